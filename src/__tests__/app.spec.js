@@ -0,0 +1,222 @@
+/**
+ * @jest-environment node
+ */
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { Router } from 'express';
+
+import { createApp } from '../app.js';
+import { ConfigValidationError } from '../core/helpers/config-loader.helper.js';
+import {
+  BaseException,
+  createErrorHandlerRegistry,
+  getRegisteredHandlers,
+} from '../core/helpers/error-handler-registry.helper.js';
+import { HttpResponse, wrapController } from '../core/helpers/http.helper.js';
+import {
+  createDefaultUserRepository,
+  createUserModule,
+} from '../modules/user/user.module.js';
+
+class TeapotException extends BaseException {
+  constructor() {
+    super('Short and stout', { statusCode: 500 });
+  }
+}
+
+// Shared by every app below; only the apps whose module registers a
+// handler should turn the exception into a 418
+const teapotRoutes = Router();
+teapotRoutes.get(
+  '/',
+  wrapController(async () => {
+    throw new TeapotException();
+  })
+);
+
+const teapotModule = {
+  name: 'teapot',
+  basePath: '/teapot',
+  routes: teapotRoutes,
+  initialize: ({ registry }) =>
+    registry.register(TeapotException, () =>
+      HttpResponse.error("I'm a teapot", 418)
+    ),
+};
+
+const plainTeapotModule = { ...teapotModule, initialize: undefined };
+
+async function listen(app) {
+  const server = await new Promise(resolve => {
+    const started = app.listen(0, '127.0.0.1', () => resolve(started));
+  });
+  return {
+    server,
+    get: path => fetch(`http://127.0.0.1:${server.address().port}${path}`),
+    post: (path, body) =>
+      fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify(body),
+      }),
+  };
+}
+
+describe('createApp', () => {
+  const servers = [];
+
+  async function start(options) {
+    const client = await listen(createApp(options));
+    servers.push(client.server);
+    return client;
+  }
+
+  afterAll(async () => {
+    await Promise.all(
+      servers.map(server => new Promise(resolve => server.close(resolve)))
+    );
+  });
+
+  it('serves the default modules, demo routes and error catalog', async () => {
+    const app = await start();
+
+    const user = await app.get('/users/not-found/7');
+    expect(user.status).toBe(404);
+    expect(await user.json()).toMatchObject({
+      error: { type: 'user_not_found' },
+    });
+
+    expect((await app.get('/')).status).toBe(200);
+    expect((await app.get('/errors/ROUTE_NOT_FOUND')).status).toBe(200);
+    // Codes raised by the demo routes are declared too
+    expect((await app.get('/errors/E_BAD_REQ')).status).toBe(200);
+    expect((await app.get('/health/live')).status).toBe(200);
+    expect((await app.get('/nope')).status).toBe(404);
+  });
+
+  it('keeps error handlers isolated between apps in one process', async () => {
+    const withHandler = await start({
+      modules: [teapotModule],
+      demoRoutes: false,
+    });
+    const withoutHandler = await start({
+      modules: [plainTeapotModule],
+      demoRoutes: false,
+    });
+
+    expect((await withHandler.get('/teapot')).status).toBe(418);
+    expect((await withoutHandler.get('/teapot')).status).toBe(500);
+
+    // Neither app touched the process-wide registry
+    expect(getRegisteredHandlers().has(TeapotException)).toBe(false);
+  });
+
+  it('builds new default modules for each app', () => {
+    const first = createApp();
+    const second = createApp();
+    const [firstUsers] = first.locals.modules;
+    const [secondUsers] = second.locals.modules;
+
+    expect(firstUsers.name).toBe('user');
+    expect(firstUsers).not.toBe(secondUsers);
+    expect(firstUsers.service).not.toBe(secondUsers.service);
+    expect(firstUsers.auth).not.toBe(secondUsers.auth);
+  });
+
+  it('keeps the users of default modules isolated between apps', async () => {
+    const first = await start({ demoRoutes: false });
+    const second = await start({ demoRoutes: false });
+    const alice = { username: 'alice', password: 'secret-password' };
+
+    const signUp = await first.post('/users', {
+      ...alice,
+      email: 'alice@example.com',
+    });
+    expect(signUp.status).toBe(201);
+
+    expect((await first.post('/users/auth/login', alice)).status).toBe(200);
+    expect((await second.post('/users/auth/login', alice)).status).toBe(401);
+  });
+
+  it('gives the configured data file to one app at a time', async () => {
+    const options = {
+      REPOSITORY: 'file',
+      DATA_FILE: join(tmpdir(), `users-${process.pid}.json`),
+    };
+    const repository = createDefaultUserRepository(options);
+
+    expect(() => createDefaultUserRepository(options)).toThrow(
+      /already used by another app/
+    );
+
+    await repository.close();
+    await createDefaultUserRepository(options).close();
+  });
+
+  it('uses the given registry and exposes it on app.locals', () => {
+    const registry = createErrorHandlerRegistry();
+    const app = createApp({ registry, modules: [teapotModule] });
+
+    expect(app.locals.registry).toBe(registry);
+    expect(app.locals.modules.map(module => module.name)).toEqual(['teapot']);
+    expect([...registry.getRegisteredHandlers().keys()]).toEqual([
+      BaseException,
+      TeapotException,
+    ]);
+  });
+
+  it('mounts only the given modules', async () => {
+    const app = await start({ modules: [], demoRoutes: false });
+
+    const response = await app.get('/users/not-found/7');
+    expect(response.status).toBe(404);
+    expect((await response.json()).meta.errorCode).toBe('ROUTE_NOT_FOUND');
+    expect((await app.get('/')).status).toBe(404);
+  });
+
+  it('applies HTTP option overrides to this app only', async () => {
+    const bare = await start({
+      modules: [createUserModule()],
+      httpOptions: { USE_STATUS_CODE_IN_RESPONSE: false },
+    });
+    const regular = await start({ modules: [createUserModule()] });
+
+    expect(await (await bare.get('/')).json()).not.toHaveProperty('statusCode');
+    expect(await (await regular.get('/')).json()).toHaveProperty(
+      'statusCode',
+      200
+    );
+  });
+
+  it('runs module shutdown hooks through the app lifecycle', async () => {
+    const calls = [];
+    const onDrain = jest.fn(() => calls.push('drain'));
+    const onShutdown = jest.fn(() => calls.push('shutdown'));
+    const app = createApp({
+      modules: [{ ...plainTeapotModule, onDrain, onShutdown }],
+      demoRoutes: false,
+    });
+
+    await app.locals.lifecycle.shutdown({ reason: 'SIGTERM' });
+
+    expect(calls).toEqual(['drain', 'shutdown']);
+    expect(onDrain).toHaveBeenCalledWith({ app, reason: 'SIGTERM' });
+    expect(onShutdown).toHaveBeenCalledWith({ app, reason: 'SIGTERM' });
+  });
+
+  it('rejects invalid options before building the app', () => {
+    expect(() =>
+      createApp({ httpOptions: { DEFAULT_HTTP_STATUS_CODE: 42 } })
+    ).toThrow(ConfigValidationError);
+    expect(() => createApp({ modules: [{ basePath: '/x' }] })).toThrow(
+      'App module needs a name'
+    );
+    expect(() =>
+      createApp({ modules: [{ name: 'x', routes: teapotRoutes }] })
+    ).toThrow('App module "x" needs a basePath for its routes');
+    expect(() =>
+      createApp({ modules: [{ name: 'x', onDrain: 'later' }] })
+    ).toThrow('App module "x" has an invalid onDrain()');
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * @jest-environment node
+ */
+import { createApp } from '../app.js';
+import { SERVER_OPTIONS_SCHEMA } from '../core/config/server.config.js';
+import { EXIT_CODES } from '../core/constants/exit-code.constant.js';
+import {
+  ConfigValidationError,
+  loadConfig,
+} from '../core/helpers/config-loader.helper.js';
+import { captureLogs } from '../core/helpers/test-core.helper.js';
+import { startServer } from '../server.js';
+
+describe('startServer', () => {
+  let logs;
+
+  beforeEach(() => {
+    logs = captureLogs('info');
+  });
+
+  afterEach(() => {
+    logs.restore();
+  });
+
+  const close = server => new Promise(resolve => server.close(resolve));
+
+  const load = sources =>
+    loadConfig(SERVER_OPTIONS_SCHEMA, {
+      env: {},
+      argv: [],
+      file: {},
+      ...sources,
+    });
+
+  it('defaults to port 3000 on all interfaces', () => {
+    expect(load()).toMatchObject({ PORT: 3000, HOST: '0.0.0.0' });
+  });
+
+  it('reads the address from env and CLI flags', () => {
+    expect(
+      load({ env: { PORT: '8080' }, argv: ['--host=127.0.0.1'] })
+    ).toMatchObject({ PORT: 8080, HOST: '127.0.0.1' });
+    expect(() => load({ env: { PORT: '70000' } })).toThrow(
+      ConfigValidationError
+    );
+  });
+
+  it('listens on the given address and logs it', async () => {
+    const app = createApp({ demoRoutes: false });
+    const server = await startServer({ app, port: 0, host: '127.0.0.1' });
+    const { port } = server.address();
+
+    const response = await fetch(`http://127.0.0.1:${port}/errors`);
+    expect(response.status).toBe(200);
+    expect(app.locals.lifecycle.isReady()).toBe(true);
+    expect(logs.records).toContainEqual(
+      expect.objectContaining({
+        msg: 'Server is running',
+        host: '127.0.0.1',
+        port,
+      })
+    );
+
+    await close(server);
+  });
+
+  it('is drained by the app lifecycle on shutdown', async () => {
+    const app = createApp({ demoRoutes: false });
+    const server = await startServer({ app, port: 0, host: '127.0.0.1' });
+
+    await expect(app.locals.lifecycle.shutdown()).resolves.toBe(EXIT_CODES.OK);
+    expect(server.listening).toBe(false);
+  });
+
+  it('rejects when the port is already in use', async () => {
+    const first = await startServer({ port: 0, host: '127.0.0.1' });
+
+    await expect(
+      startServer({ port: first.address().port, host: '127.0.0.1' })
+    ).rejects.toMatchObject({ code: 'EADDRINUSE' });
+
+    await close(first);
+  });
+});
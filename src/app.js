@@ -0,0 +1,139 @@
+/**
+ * src/app.js
+ * --------------------------------------------------
+ * Application factory.
+ *
+ * `createApp` builds a fully configured Express app without side effects:
+ * it does not listen and keeps its error handlers in its own registry, so
+ * several apps (e.g. one per test) can run side by side in one process.
+ * The server entrypoint (`server.js`) decides where to listen; each app's
+ * lifecycle (readiness, graceful shutdown, module `onShutdown` hooks) is
+ * exposed as `app.locals.lifecycle`.
+ *
+ * Example:
+ *   const app = createApp({ modules: [createUserModule()], demoRoutes: false });
+ *   app.listen(0);
+ */
+import express from 'express';
+
+import { createErrorHandlerRegistry } from './core/helpers/error-handler-registry.helper.js';
+import { createLifecycle } from './core/helpers/lifecycle.helper.js';
+import { createGlobalErrorHandler } from './core/middlewares/error-handler.middleware.js';
+import withHttpOptions from './core/middlewares/http-options.middleware.js';
+import notFoundHandler from './core/middlewares/not-found.middleware.js';
+import requestIdMiddleware from './core/middlewares/request-id.middleware.js';
+import errorCatalogRoutes from './core/routes/error-catalog.route.js';
+import { createHealthRoutes } from './core/routes/health.route.js';
+import demoRoutes from './demo.route.js';
+import { createUserModule } from './modules/user/user.module.js';
+
+/**
+ * Business modules of an app built without `modules`; new instances on each
+ * call, so apps never share repositories, sessions or event feeds
+ * @returns {Array<Object>}
+ */
+export function createDefaultModules() {
+  return [createUserModule()];
+}
+
+/**
+ * Check a module definition before anything is mounted
+ * @param {Object} module
+ */
+function assertModule(module) {
+  if (!module || typeof module.name !== 'string' || module.name === '') {
+    throw new Error('App module needs a name');
+  }
+  if (
+    module.initialize !== undefined &&
+    typeof module.initialize !== 'function'
+  ) {
+    throw new Error(`App module "${module.name}" has an invalid initialize()`);
+  }
+  for (const hook of ['onDrain', 'onShutdown']) {
+    if (module[hook] !== undefined && typeof module[hook] !== 'function') {
+      throw new Error(`App module "${module.name}" has an invalid ${hook}()`);
+    }
+  }
+  if (module.routes !== undefined && typeof module.basePath !== 'string') {
+    throw new Error(
+      `App module "${module.name}" needs a basePath for its routes`
+    );
+  }
+}
+
+/**
+ * Build a configured Express app
+ *
+ * @param {Object} options
+ * @param {Array<{name: string, basePath?: string, routes?: Function, initialize?: Function, onDrain?: Function, onShutdown?: Function}>} options.modules
+ *        Business modules; `initialize({ registry, app })` runs before
+ *        `routes` are mounted at `basePath`; `onDrain({ app, reason })` and
+ *        `onShutdown({ app, reason })` run during graceful shutdown (see
+ *        `createLifecycle`). Default: `createDefaultModules()`
+ * @param {Object} options.registry - Error handler registry (default: a new,
+ *        isolated one from `createErrorHandlerRegistry`)
+ * @param {Object} options.lifecycle - Default: a new one from `createLifecycle`
+ * @param {Object} options.httpOptions - HTTP_OPTIONS overrides for every
+ *        request of this app, validated like `withHttpOptions`
+ * @param {boolean} options.demoRoutes - Mount the demo endpoints (default: true)
+ * @returns {import('express').Express} App; `app.locals.registry`,
+ *          `app.locals.lifecycle` and `app.locals.modules` expose what it
+ *          was built with
+ */
+export function createApp(options = {}) {
+  const {
+    modules = createDefaultModules(),
+    registry = createErrorHandlerRegistry(),
+    lifecycle = createLifecycle(),
+    httpOptions,
+    demoRoutes: withDemoRoutes = true,
+  } = options;
+
+  modules.forEach(assertModule);
+
+  const app = express();
+  app.locals.registry = registry;
+  app.locals.lifecycle = lifecycle;
+  app.locals.modules = Object.freeze([...modules]);
+
+  // Correlation ID first, so every later middleware and log runs inside it
+  app.use(requestIdMiddleware);
+  app.use(lifecycle.trackRequests);
+  if (httpOptions) app.use(withHttpOptions(httpOptions));
+  app.use(express.json());
+
+  app.use('/health', createHealthRoutes(lifecycle));
+
+  // Initialize error handling system
+  registry.setupDefaultHandlers();
+
+  // Initialize business modules
+  for (const module of modules) {
+    module.initialize?.({ registry, app });
+    if (module.routes) app.use(module.basePath, module.routes);
+    if (module.onDrain) {
+      lifecycle.onDrain(module.name, ({ reason }) =>
+        module.onDrain({ app, reason })
+      );
+    }
+    if (module.onShutdown) {
+      lifecycle.onShutdown(module.name, ({ reason }) =>
+        module.onShutdown({ app, reason })
+      );
+    }
+  }
+
+  app.use('/errors', errorCatalogRoutes);
+  if (withDemoRoutes) app.use(demoRoutes);
+
+  // Unknown routes → normalized 404 envelope
+  app.use(notFoundHandler);
+
+  // Global error handler must be the last middleware
+  app.use(createGlobalErrorHandler({ registry }));
+
+  return app;
+}
+
+export default createApp;
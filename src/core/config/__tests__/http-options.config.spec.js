@@ -1,4 +1,9 @@
-import { HTTP_OPTIONS, overrideHttpOptions } from '../http-options.config.js';
+import { loadConfig } from '../../helpers/config-loader.helper.js';
+import {
+  HTTP_OPTIONS,
+  HTTP_OPTIONS_SCHEMA,
+  overrideHttpOptions,
+} from '../http-options.config.js';
 
 /**
  * Tests for overrideHttpOptions to reach full coverage on configuration helper.
@@ -22,4 +27,60 @@ describe('overrideHttpOptions()', () => {
     overrideHttpOptions(); // no param
     expect(HTTP_OPTIONS).toEqual(ORIGINAL);
   });
+
+  test('rejects unknown options and invalid values', () => {
+    expect(() => overrideHttpOptions({ USE_STATUS_CODE: false })).toThrow(
+      'USE_STATUS_CODE: is not a known option'
+    );
+    expect(() => overrideHttpOptions({ ERROR_RESPONSE_FORMAT: 'xml' })).toThrow(
+      'ERROR_RESPONSE_FORMAT: must be one of: envelope, problem'
+    );
+    expect(HTTP_OPTIONS).toEqual(ORIGINAL);
+  });
+});
+
+describe('HTTP_OPTIONS', () => {
+  const load = env =>
+    loadConfig(HTTP_OPTIONS_SCHEMA, { env, argv: [], file: {} });
+
+  test('is deep-frozen', () => {
+    expect(Object.isFrozen(HTTP_OPTIONS)).toBe(true);
+    expect(Object.isFrozen(HTTP_OPTIONS.REDACT_FIELDS)).toBe(true);
+  });
+
+  test('USE_STATUS_CODE_IN_RESPONSE can be turned off from env', () => {
+    expect(
+      load({ HTTP_USE_STATUS_CODE_IN_RESPONSE: 'false' })
+        .USE_STATUS_CODE_IN_RESPONSE
+    ).toBe(false);
+  });
+
+  test('parses typed values from env', () => {
+    expect(
+      load({
+        HTTP_DEFAULT_STATUS_CODE: '202',
+        HTTP_STRICT_CONTROLLER_RETURN: 'false',
+        HTTP_REDACT_FIELDS: 'otp, pin',
+      })
+    ).toMatchObject({
+      DEFAULT_HTTP_STATUS_CODE: 202,
+      STRICT_CONTROLLER_RETURN: false,
+      REDACT_FIELDS: ['otp', 'pin'],
+    });
+  });
+
+  test('fails fast on invalid env values', () => {
+    expect(() =>
+      load({
+        HTTP_DEFAULT_STATUS_CODE: '99',
+        HTTP_ERROR_HANDLER_TIMEOUT_MS: 'soon',
+      })
+    ).toThrow(
+      [
+        'Invalid configuration (2 problems):',
+        '  - DEFAULT_HTTP_STATUS_CODE: must be >= 100 (got 99 from env HTTP_DEFAULT_STATUS_CODE)',
+        '  - ERROR_HANDLER_TIMEOUT_MS: must be an integer (got "soon" from env HTTP_ERROR_HANDLER_TIMEOUT_MS)',
+      ].join('\n')
+    );
+  });
 });
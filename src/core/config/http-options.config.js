@@ -3,51 +3,150 @@
  * --------------------------------------------------
  * Central location for HTTP-related behaviour flags.
  *
- * 1) Values are initialised from environment variables so they can be
- *    changed without recompiling.
- * 2) An `overrideHttpOptions` helper is exported for tests or runtime
- *    mutation (e.g. in a DI container).
+ * 1) Every option declares its type, default, environment variable and
+ *    validation; values are loaded by `loadConfig` from env, an optional
+ *    `.env`/JSON file and CLI flags. Invalid values stop startup with a report
+ *    listing all of them.
+ * 2) `HTTP_OPTIONS` is deep-frozen. `overrideHttpOptions` is the explicit
+ *    override API for tests or runtime mutation (e.g. in a DI container): it
+ *    validates the overrides and swaps in a new frozen object.
  */
+import {
+  applyConfigOverrides,
+  defineConfigSchema,
+  loadConfig,
+} from '../helpers/config-loader.helper.js';
 
-const defaultOptions = {
+export const HTTP_OPTIONS_SCHEMA = defineConfigSchema({
   /**
    * Whether to copy the HTTP status code into the JSON body.
    */
-  USE_STATUS_CODE_IN_RESPONSE:
-    process.env.HTTP_USE_STATUS_CODE_IN_RESPONSE === 'true' || true,
+  USE_STATUS_CODE_IN_RESPONSE: {
+    type: 'boolean',
+    default: true,
+    env: 'HTTP_USE_STATUS_CODE_IN_RESPONSE',
+  },
 
   /**
    * Force all outgoing responses to use `DEFAULT_HTTP_STATUS_CODE`.
    */
-  SET_DEFAULT_HTTP_STATUS_CODE:
-    process.env.HTTP_SET_DEFAULT_STATUS_CODE === 'true',
+  SET_DEFAULT_HTTP_STATUS_CODE: {
+    type: 'boolean',
+    default: false,
+    env: 'HTTP_SET_DEFAULT_STATUS_CODE',
+  },
 
   /**
    * The default status code if none is specified or when the above flag is true.
    */
-  DEFAULT_HTTP_STATUS_CODE: Number(process.env.HTTP_DEFAULT_STATUS_CODE) || 200,
+  DEFAULT_HTTP_STATUS_CODE: {
+    type: 'integer',
+    default: 200,
+    env: 'HTTP_DEFAULT_STATUS_CODE',
+    min: 100,
+    max: 599,
+  },
 
   /**
    * Enforce every controller to explicitly return / throw or send response.
    */
-  STRICT_CONTROLLER_RETURN:
-    process.env.HTTP_STRICT_CONTROLLER_RETURN !== 'false', // default true
-};
+  STRICT_CONTROLLER_RETURN: {
+    type: 'boolean',
+    default: true,
+    env: 'HTTP_STRICT_CONTROLLER_RETURN',
+  },
 
-// console.log(
-//   'defaultOptions',
-//   process.env.HTTP_USE_STATUS_CODE_IN_RESPONSE,
-//   defaultOptions
-// );
-// We keep the object mutable for test overrides but avoid reassigning the reference.
-export const HTTP_OPTIONS = { ...defaultOptions };
+  /**
+   * Error body format: `envelope` (default JSON envelope) or `problem`
+   * (RFC 9457 `application/problem+json`). Clients can still ask for Problem
+   * Details per request through the Accept header.
+   */
+  ERROR_RESPONSE_FORMAT: {
+    type: 'string',
+    default: 'envelope',
+    env: 'HTTP_ERROR_RESPONSE_FORMAT',
+    enum: ['envelope', 'problem'],
+  },
+
+  /**
+   * Base URI used to build the Problem Details `type` member from `errorCode`.
+   */
+  PROBLEM_TYPE_BASE_URI: {
+    type: 'string',
+    default: '/errors',
+    env: 'HTTP_PROBLEM_TYPE_BASE_URI',
+    validate: value => value !== '' || 'must not be empty',
+  },
+
+  /**
+   * How long (ms) an async error handler may take before the safe fallback
+   * response is sent instead. `0` disables the timeout.
+   */
+  ERROR_HANDLER_TIMEOUT_MS: {
+    type: 'integer',
+    default: 5000,
+    env: 'HTTP_ERROR_HANDLER_TIMEOUT_MS',
+    min: 0,
+  },
+
+  /**
+   * Replace sensitive fields (password, token, ...) in response payloads and
+   * logs with `[REDACTED]`.
+   */
+  REDACTION_ENABLED: {
+    type: 'boolean',
+    default: true,
+    env: 'HTTP_REDACTION_ENABLED',
+  },
+
+  /**
+   * Extra field names to redact, comma-separated (e.g. `otp,pin`).
+   */
+  REDACT_FIELDS: {
+    type: 'array',
+    default: [],
+    env: 'HTTP_REDACT_FIELDS',
+  },
+
+  /**
+   * Header carrying the request correlation ID. An incoming value is reused
+   * when it looks safe; otherwise a new ID is generated. The ID is echoed back
+   * in the same header.
+   */
+  REQUEST_ID_HEADER: {
+    type: 'string',
+    default: 'X-Request-Id',
+    env: 'HTTP_REQUEST_ID_HEADER',
+    validate: value =>
+      /^[A-Za-z0-9-]+$/.test(value) || 'must be a valid header name',
+  },
+});
+
+// Reassigned (never mutated) by overrideHttpOptions; importers see the new object
+export let HTTP_OPTIONS = loadConfig(HTTP_OPTIONS_SCHEMA);
 
 /**
- * Merge new values into `HTTP_OPTIONS` at runtime.
+ * Replace `HTTP_OPTIONS` with a validated, frozen copy including `overrides`.
  * Useful for unit-tests or DI containers.
  *
- * @param {Partial<typeof defaultOptions>} overrides
+ * @param {Partial<typeof HTTP_OPTIONS>} overrides
+ * @throws {import('../helpers/config-loader.helper.js').ConfigValidationError}
  */
 export function overrideHttpOptions(overrides = {}) {
-  Object.assign(HTTP_OPTIONS, overrides);
+  HTTP_OPTIONS = applyConfigOverrides(
+    HTTP_OPTIONS_SCHEMA,
+    HTTP_OPTIONS,
+    overrides
+  );
+}
+
+/**
+ * Check partial overrides against the schema without applying them
+ * (route-level overrides, see `runWithHttpOptions`).
+ *
+ * @param {Partial<typeof HTTP_OPTIONS>} overrides
+ * @throws {import('../helpers/config-loader.helper.js').ConfigValidationError}
+ */
+export function validateHttpOptionOverrides(overrides = {}) {
+  applyConfigOverrides(HTTP_OPTIONS_SCHEMA, HTTP_OPTIONS, overrides);
 }
@@ -0,0 +1,83 @@
+/**
+ * core/config/logger.config.js
+ * --------------------------------------------------
+ * Logger settings, loaded and validated like HTTP_OPTIONS (env, optional
+ * `.env`/JSON file, CLI flags).
+ *
+ * `overrideLogOptions` mirrors `overrideHttpOptions` for tests or runtime
+ * changes (e.g. raising the level while debugging).
+ */
+import {
+  applyConfigOverrides,
+  defineConfigSchema,
+  loadConfig,
+} from '../helpers/config-loader.helper.js';
+
+export const LOG_OPTIONS_SCHEMA = defineConfigSchema({
+  /**
+   * Minimum level written: trace, debug, info, warn, error, fatal or silent.
+   * Tests stay quiet unless a level is set explicitly.
+   */
+  LEVEL: {
+    type: 'string',
+    default: process.env.NODE_ENV === 'test' ? 'silent' : 'info',
+    env: 'LOG_LEVEL',
+    enum: ['trace', 'debug', 'info', 'warn', 'error', 'fatal', 'silent'],
+  },
+
+  /**
+   * Comma-separated transports for the root logger: `stdout`, `file`.
+   */
+  TRANSPORTS: {
+    type: 'array',
+    default: ['stdout'],
+    env: 'LOG_TRANSPORTS',
+    items: { enum: ['stdout', 'file'] },
+  },
+
+  /**
+   * Target of the `file` transport.
+   */
+  FILE_PATH: {
+    type: 'string',
+    default: 'logs/app.log',
+    env: 'LOG_FILE_PATH',
+    validate: value => value !== '' || 'must not be empty',
+  },
+
+  /**
+   * Rotate the log file once it would grow beyond this size (bytes).
+   */
+  FILE_MAX_BYTES: {
+    type: 'integer',
+    default: 10 * 1024 * 1024,
+    env: 'LOG_FILE_MAX_BYTES',
+    min: 1,
+  },
+
+  /**
+   * Number of rotated files kept (`app.log.1` … `app.log.N`).
+   */
+  FILE_MAX_FILES: {
+    type: 'integer',
+    default: 5,
+    env: 'LOG_FILE_MAX_FILES',
+    min: 1,
+  },
+});
+
+// Reassigned (never mutated) by overrideLogOptions
+export let LOG_OPTIONS = loadConfig(LOG_OPTIONS_SCHEMA);
+
+/**
+ * Replace `LOG_OPTIONS` with a validated, frozen copy including `overrides`.
+ *
+ * @param {Partial<typeof LOG_OPTIONS>} overrides
+ */
+export function overrideLogOptions(overrides = {}) {
+  LOG_OPTIONS = applyConfigOverrides(
+    LOG_OPTIONS_SCHEMA,
+    LOG_OPTIONS,
+    overrides
+  );
+}
@@ -0,0 +1,73 @@
+/**
+ * core/config/server.config.js
+ * --------------------------------------------------
+ * Listen address and shutdown timing of the HTTP server, loaded and
+ * validated like HTTP_OPTIONS (env, optional `.env`/JSON file, CLI flags such
+ * as `--port=8080`).
+ *
+ * Only the server entrypoint reads it; apps built with `createApp` do not
+ * listen on their own, so tests can bind them to an ephemeral port.
+ */
+import {
+  defineConfigSchema,
+  loadConfig,
+} from '../helpers/config-loader.helper.js';
+
+export const SERVER_OPTIONS_SCHEMA = defineConfigSchema({
+  /**
+   * TCP port; `0` picks a free ephemeral port.
+   */
+  PORT: {
+    type: 'integer',
+    default: 3000,
+    env: 'PORT',
+    min: 0,
+    max: 65535,
+  },
+
+  /**
+   * Interface to bind, e.g. `127.0.0.1` to accept local connections only.
+   */
+  HOST: {
+    type: 'string',
+    default: '0.0.0.0',
+    env: 'HOST',
+    validate: value => value !== '' || 'must not be empty',
+  },
+
+  /**
+   * On SIGTERM/SIGINT, how long (ms) readiness reports failing before the
+   * server stops accepting connections, so load balancers can stop routing
+   * traffic here first.
+   */
+  SHUTDOWN_READINESS_DELAY_MS: {
+    type: 'integer',
+    default: 0,
+    env: 'SHUTDOWN_READINESS_DELAY_MS',
+    min: 0,
+  },
+
+  /**
+   * Deadline (ms) for in-flight requests to finish; remaining connections are
+   * then closed and the process exits with `SHUTDOWN_TIMEOUT`.
+   */
+  SHUTDOWN_TIMEOUT_MS: {
+    type: 'integer',
+    default: 10000,
+    env: 'SHUTDOWN_TIMEOUT_MS',
+    min: 0,
+  },
+
+  /**
+   * How long (ms) each module `onShutdown` hook may take. `0` disables the
+   * timeout.
+   */
+  SHUTDOWN_HOOK_TIMEOUT_MS: {
+    type: 'integer',
+    default: 5000,
+    env: 'SHUTDOWN_HOOK_TIMEOUT_MS',
+    min: 0,
+  },
+});
+
+export const SERVER_OPTIONS = loadConfig(SERVER_OPTIONS_SCHEMA);
@@ -0,0 +1,15 @@
+import { EXIT_CODES, signalExitCode } from '../exit-code.constant.js';
+
+describe('exit codes', () => {
+  it('is frozen and distinct', () => {
+    expect(Object.isFrozen(EXIT_CODES)).toBe(true);
+    const values = Object.values(EXIT_CODES);
+    expect(new Set(values).size).toBe(values.length);
+    expect(EXIT_CODES.OK).toBe(0);
+  });
+
+  it('maps signals to 128 + signal number', () => {
+    expect(signalExitCode('SIGINT')).toBe(130);
+    expect(signalExitCode('SIGTERM')).toBe(143);
+  });
+});
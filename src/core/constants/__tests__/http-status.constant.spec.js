@@ -1,4 +1,14 @@
-import { getStatusText } from '../http-status.constant.js';
+import {
+  HTTP_STATUS,
+  getStatusText,
+  isCacheableByDefault,
+  isClientError,
+  isInformational,
+  isRedirect,
+  isRetryableStatus,
+  isServerError,
+  isSuccess,
+} from '../http-status.constant.js';
 
 describe('getStatusText()', () => {
   test('returns custom text for known code', () => {
@@ -9,3 +19,70 @@ describe('getStatusText()', () => {
     expect(getStatusText(999)).toBe('');
   });
 });
+
+describe('HTTP_STATUS', () => {
+  test('names the registry codes, including legacy aliases', () => {
+    expect(HTTP_STATUS.MOVED_PERMANENTLY).toBe(301);
+    expect(HTTP_STATUS.UNPROCESSABLE_CONTENT).toBe(422);
+    expect(HTTP_STATUS.UNPROCESSABLE_ENTITY).toBe(422);
+    expect(HTTP_STATUS.TOO_MANY_REQUESTS).toBe(429);
+    expect(HTTP_STATUS.NETWORK_AUTHENTICATION_REQUIRED).toBe(511);
+  });
+
+  test('every code has a reason phrase', () => {
+    for (const code of Object.values(HTTP_STATUS)) {
+      expect(getStatusText(code)).not.toBe('');
+    }
+  });
+
+  test('is frozen', () => {
+    expect(Object.isFrozen(HTTP_STATUS)).toBe(true);
+    expect(() => {
+      HTTP_STATUS.OK = 201;
+    }).toThrow(TypeError);
+  });
+});
+
+describe('category helpers', () => {
+  test.each([
+    [isInformational, 100, 199, 200],
+    [isSuccess, 200, 299, 300],
+    [isRedirect, 300, 399, 400],
+    [isClientError, 400, 499, 500],
+    [isServerError, 500, 599, 600],
+  ])('%p covers its class only', (check, first, last, next) => {
+    expect(check(first)).toBe(true);
+    expect(check(last)).toBe(true);
+    expect(check(first - 1)).toBe(false);
+    expect(check(next)).toBe(false);
+  });
+
+  test('reject non-integer input', () => {
+    expect(isSuccess('200')).toBe(false);
+    expect(isSuccess(200.5)).toBe(false);
+    expect(isServerError(undefined)).toBe(false);
+  });
+});
+
+describe('isRetryableStatus()', () => {
+  test.each([408, 425, 429, 500, 502, 503, 504])('%i is retryable', code => {
+    expect(isRetryableStatus(code)).toBe(true);
+  });
+
+  test.each([200, 400, 401, 404, 409, 422, 501])('%i is not', code => {
+    expect(isRetryableStatus(code)).toBe(false);
+  });
+});
+
+describe('isCacheableByDefault()', () => {
+  test.each([200, 203, 204, 206, 300, 301, 308, 404, 405, 410, 414, 501])(
+    '%i is heuristically cacheable',
+    code => {
+      expect(isCacheableByDefault(code)).toBe(true);
+    }
+  );
+
+  test.each([201, 302, 307, 400, 500, 503])('%i is not', code => {
+    expect(isCacheableByDefault(code)).toBe(false);
+  });
+});
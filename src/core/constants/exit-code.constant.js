@@ -0,0 +1,37 @@
+/**
+ * core/constants/exit-code.constant.js
+ * --------------------------------------------------
+ * Process exit codes, so orchestrators and scripts can tell a clean stop
+ * from a failed startup or an unclean shutdown.
+ *
+ * A second SIGTERM/SIGINT during shutdown exits immediately with the shell
+ * convention `128 + signal number` (`signalExitCode`).
+ */
+import { constants } from 'node:os';
+
+import { safeGet } from '../utils/safe-get.util.js';
+
+export const EXIT_CODES = Object.freeze({
+  // Graceful shutdown completed: connections drained, hooks succeeded
+  OK: 0,
+  // Invalid configuration, address in use, ...
+  STARTUP_FAILED: 1,
+  // At least one onDrain/onShutdown hook threw or timed out
+  SHUTDOWN_HOOK_FAILED: 2,
+  // In-flight requests were still running at the drain deadline
+  SHUTDOWN_TIMEOUT: 3,
+});
+
+/**
+ * Conventional exit code for a process ended by a signal
+ * @param {string} signal - e.g. `SIGTERM`
+ * @returns {number} e.g. 143 for SIGTERM, 130 for SIGINT
+ */
+export function signalExitCode(signal) {
+  return 128 + safeGet(constants.signals, signal, 0);
+}
+
+export default {
+  EXIT_CODES,
+  signalExitCode,
+};
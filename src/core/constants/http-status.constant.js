@@ -3,34 +3,93 @@
  * --------------------------------------------------
  * Centralised, tree-shakeable constants for HTTP status codes & default texts.
  *
- * Uses Node.js built-in `http.STATUS_CODES` so we don't duplicate the full table.
- * Only a curated subset of numeric constants are exported for developer ergonomics
- * while the entire status-to-text map is exposed via `getStatusText()`.
+ * `HTTP_STATUS` names every code of the IANA HTTP Status Code Registry
+ * (RFC 9110 names, plus the widespread legacy aliases) and is frozen.
+ * Reason phrases come from Node.js built-in `http.STATUS_CODES` and are exposed
+ * via `getStatusText()`.
+ *
+ * Category helpers (`isSuccess`, `isClientError`, ...) replace hand-written
+ * range checks; `isRetryableStatus` and `isCacheableByDefault` follow the
+ * semantics of RFC 9110.
  */
 import { STATUS_CODES } from 'http';
 
 import { safeGet } from '../utils/safe-get.util.js';
 
-export const HTTP_STATUS = {
+export const HTTP_STATUS = Object.freeze({
+  // 1xx Informational
+  CONTINUE: 100,
+  SWITCHING_PROTOCOLS: 101,
+  PROCESSING: 102,
+  EARLY_HINTS: 103,
+
   // 2xx Success
   OK: 200,
   CREATED: 201,
   ACCEPTED: 202,
+  NON_AUTHORITATIVE_INFORMATION: 203,
   NO_CONTENT: 204,
+  RESET_CONTENT: 205,
+  PARTIAL_CONTENT: 206,
+  MULTI_STATUS: 207,
+  ALREADY_REPORTED: 208,
+  IM_USED: 226,
+
+  // 3xx Redirection
+  MULTIPLE_CHOICES: 300,
+  MOVED_PERMANENTLY: 301,
+  FOUND: 302,
+  SEE_OTHER: 303,
+  NOT_MODIFIED: 304,
+  USE_PROXY: 305,
+  TEMPORARY_REDIRECT: 307,
+  PERMANENT_REDIRECT: 308,
 
   // 4xx Client errors
   BAD_REQUEST: 400,
   UNAUTHORIZED: 401,
+  PAYMENT_REQUIRED: 402,
   FORBIDDEN: 403,
   NOT_FOUND: 404,
+  METHOD_NOT_ALLOWED: 405,
+  NOT_ACCEPTABLE: 406,
+  PROXY_AUTHENTICATION_REQUIRED: 407,
+  REQUEST_TIMEOUT: 408,
   CONFLICT: 409,
+  GONE: 410,
+  LENGTH_REQUIRED: 411,
+  PRECONDITION_FAILED: 412,
+  CONTENT_TOO_LARGE: 413,
+  PAYLOAD_TOO_LARGE: 413, // Pre-RFC 9110 name
+  URI_TOO_LONG: 414,
+  UNSUPPORTED_MEDIA_TYPE: 415,
+  RANGE_NOT_SATISFIABLE: 416,
+  EXPECTATION_FAILED: 417,
+  MISDIRECTED_REQUEST: 421,
+  UNPROCESSABLE_CONTENT: 422,
+  UNPROCESSABLE_ENTITY: 422, // Pre-RFC 9110 name
+  LOCKED: 423,
+  FAILED_DEPENDENCY: 424,
+  TOO_EARLY: 425,
+  UPGRADE_REQUIRED: 426,
+  PRECONDITION_REQUIRED: 428,
+  TOO_MANY_REQUESTS: 429,
+  REQUEST_HEADER_FIELDS_TOO_LARGE: 431,
+  UNAVAILABLE_FOR_LEGAL_REASONS: 451,
 
   // 5xx Server errors
   INTERNAL_SERVER_ERROR: 500,
   NOT_IMPLEMENTED: 501,
   BAD_GATEWAY: 502,
   SERVICE_UNAVAILABLE: 503,
-};
+  GATEWAY_TIMEOUT: 504,
+  HTTP_VERSION_NOT_SUPPORTED: 505,
+  VARIANT_ALSO_NEGOTIATES: 506,
+  INSUFFICIENT_STORAGE: 507,
+  LOOP_DETECTED: 508,
+  NOT_EXTENDED: 510,
+  NETWORK_AUTHENTICATION_REQUIRED: 511,
+});
 
 // Node exposes a mapping { '200': 'OK', ... }
 export const HTTP_STATUS_TEXT = STATUS_CODES;
@@ -38,3 +97,78 @@ export const HTTP_STATUS_TEXT = STATUS_CODES;
 export function getStatusText(code) {
   return safeGet(STATUS_CODES, String(code), '');
 }
+
+// Transient failures: the same request may succeed later
+const RETRYABLE_STATUS_CODES = Object.freeze([
+  HTTP_STATUS.REQUEST_TIMEOUT,
+  HTTP_STATUS.TOO_EARLY,
+  HTTP_STATUS.TOO_MANY_REQUESTS,
+  HTTP_STATUS.INTERNAL_SERVER_ERROR,
+  HTTP_STATUS.BAD_GATEWAY,
+  HTTP_STATUS.SERVICE_UNAVAILABLE,
+  HTTP_STATUS.GATEWAY_TIMEOUT,
+]);
+
+// RFC 9110 §15.1: cacheable without explicit freshness information
+const CACHEABLE_BY_DEFAULT_STATUS_CODES = Object.freeze([
+  HTTP_STATUS.OK,
+  HTTP_STATUS.NON_AUTHORITATIVE_INFORMATION,
+  HTTP_STATUS.NO_CONTENT,
+  HTTP_STATUS.PARTIAL_CONTENT,
+  HTTP_STATUS.MULTIPLE_CHOICES,
+  HTTP_STATUS.MOVED_PERMANENTLY,
+  HTTP_STATUS.PERMANENT_REDIRECT,
+  HTTP_STATUS.NOT_FOUND,
+  HTTP_STATUS.METHOD_NOT_ALLOWED,
+  HTTP_STATUS.GONE,
+  HTTP_STATUS.URI_TOO_LONG,
+  HTTP_STATUS.NOT_IMPLEMENTED,
+]);
+
+function inRange(code, min) {
+  return Number.isInteger(code) && code >= min && code < min + 100;
+}
+
+/** 1xx */
+export function isInformational(code) {
+  return inRange(code, 100);
+}
+
+/** 2xx */
+export function isSuccess(code) {
+  return inRange(code, 200);
+}
+
+/** 3xx */
+export function isRedirect(code) {
+  return inRange(code, 300);
+}
+
+/** 4xx */
+export function isClientError(code) {
+  return inRange(code, 400);
+}
+
+/** 5xx */
+export function isServerError(code) {
+  return inRange(code, 500);
+}
+
+/**
+ * Whether repeating the same request may succeed (timeouts, rate limits,
+ * transient server errors)
+ * @param {number} code
+ * @returns {boolean}
+ */
+export function isRetryableStatus(code) {
+  return RETRYABLE_STATUS_CODES.includes(code);
+}
+
+/**
+ * Whether caches may store the response without explicit freshness headers
+ * @param {number} code
+ * @returns {boolean}
+ */
+export function isCacheableByDefault(code) {
+  return CACHEABLE_BY_DEFAULT_STATUS_CODES.includes(code);
+}
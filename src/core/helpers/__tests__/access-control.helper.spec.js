@@ -0,0 +1,103 @@
+import {
+  createAccessControl,
+  formatResource,
+} from '../access-control.helper.js';
+
+const owners = { user: (principal, id) => principal.id === id };
+
+describe('createAccessControl()', () => {
+  const acl = createAccessControl({
+    roles: {
+      guest: { permissions: ['create:user'] },
+      user: { inherits: ['guest'], own: ['read:user', 'update:user'] },
+      moderator: { inherits: ['user'], permissions: ['suspend:user'] },
+      admin: { inherits: ['moderator'], permissions: ['*:user'] },
+      auditor: { permissions: ['read:*'] },
+      support: { permissions: ['read:user:42'] },
+    },
+    owners,
+  });
+
+  const principal = (id, ...roles) => ({ id, roles });
+
+  test('grants direct and inherited permissions', () => {
+    expect(acl.can(principal('1', 'guest'), 'create', 'user')).toBe(true);
+    expect(acl.can(principal('1', 'moderator'), 'create', 'user')).toBe(true);
+    expect(acl.can(principal('1', 'moderator'), 'suspend', 'user:9')).toBe(
+      true
+    );
+    expect(acl.can(principal('1', 'guest'), 'suspend', 'user:9')).toBe(false);
+  });
+
+  test('applies own permissions to owned resources only', () => {
+    const alice = principal('7', 'user');
+
+    expect(acl.can(alice, 'update', 'user:7')).toBe(true);
+    expect(acl.can(alice, 'update', 'user:8')).toBe(false);
+    // No id, no owner
+    expect(acl.can(alice, 'update', 'user')).toBe(false);
+    expect(acl.can(alice, 'delete', 'user:7')).toBe(false);
+  });
+
+  test('supports wildcards and id-scoped permissions', () => {
+    expect(acl.can(principal('1', 'admin'), 'delete', 'user:9')).toBe(true);
+    expect(acl.can(principal('1', 'admin'), 'delete', 'order:9')).toBe(false);
+    expect(acl.can(principal('1', 'auditor'), 'read', 'order:9')).toBe(true);
+    expect(acl.can(principal('1', 'support'), 'read', 'user:42')).toBe(true);
+    expect(acl.can(principal('1', 'support'), 'read', 'user:43')).toBe(false);
+  });
+
+  test('grants nothing to unknown roles or missing principals', () => {
+    expect(acl.can(principal('1', 'root'), 'create', 'user')).toBe(false);
+    expect(acl.can(undefined, 'create', 'user')).toBe(false);
+  });
+
+  test('combines the permissions of several roles', () => {
+    expect(acl.can(principal('1', 'guest', 'auditor'), 'read', 'user:9')).toBe(
+      true
+    );
+  });
+
+  test('getPermissions() resolves inheritance', () => {
+    expect(acl.getPermissions('moderator')).toEqual({
+      permissions: ['suspend:user', 'create:user'],
+      own: ['read:user', 'update:user'],
+    });
+    expect(acl.roles).toContain('admin');
+  });
+
+  describe('definition errors', () => {
+    test.each([
+      [{ a: { permissions: ['delete'] } }, 'invalid permission "delete"'],
+      [{ a: { permissions: [':user'] } }, 'invalid permission'],
+      [{ a: { inherits: ['b'] } }, 'Role "a" inherits unknown role "b"'],
+      [
+        { a: { inherits: ['b'] }, b: { inherits: ['a'] } },
+        'Circular role inheritance: a → b → a',
+      ],
+      [{ a: { permissions: 'read:user' } }, 'needs arrays'],
+      [{ a: { own: ['read:order'] } }, 'no owner rule'],
+    ])('rejects %j', (roles, message) => {
+      expect(() => createAccessControl({ roles, owners })).toThrow(message);
+    });
+
+    test('getPermissions() rejects unknown roles', () => {
+      expect(() => createAccessControl().getPermissions('x')).toThrow(
+        'Unknown role "x"'
+      );
+    });
+  });
+});
+
+describe('formatResource()', () => {
+  test('fills placeholders from params', () => {
+    expect(formatResource('user:{id}', { id: 42 })).toBe('user:42');
+    expect(formatResource('user')).toBe('user');
+  });
+
+  test('throws when a placeholder has no value', () => {
+    expect(() => formatResource('user:{id}', {})).toThrow(
+      'Resource "user:{id}" needs a value for {id}'
+    );
+  });
+});
@@ -0,0 +1,47 @@
+import {
+  isBodyParserError,
+  toBodyParserResponse,
+} from '../body-parser-error.helper.js';
+
+function parserError(type, status, extra = {}) {
+  return Object.assign(new Error('raw parser message'), {
+    type,
+    status,
+    statusCode: status,
+    expose: true,
+    ...extra,
+  });
+}
+
+describe('body-parser error mapping', () => {
+  it.each([
+    ['entity.parse.failed', 400, 'MALFORMED_REQUEST_BODY', {}],
+    ['entity.too.large', 413, 'PAYLOAD_TOO_LARGE', { limit: 100 }],
+    ['charset.unsupported', 415, 'UNSUPPORTED_CHARSET', { charset: 'utf-7' }],
+    ['encoding.unsupported', 415, 'UNSUPPORTED_CONTENT_ENCODING', {}],
+  ])('should map %s to %i %s', (type, status, errorCode, details) => {
+    const response = toBodyParserResponse(parserError(type, status, details));
+
+    expect(response.statusCode).toBe(status);
+    expect(response.message).not.toBe('raw parser message');
+    expect(response.data).toBeNull();
+    expect(response.meta).toMatchObject({ errorCode, ...details });
+  });
+
+  it('should echo the unsupported encoding when known', () => {
+    const response = toBodyParserResponse(
+      parserError('encoding.unsupported', 415, { encoding: 'br' })
+    );
+
+    expect(response.meta.encoding).toBe('br');
+  });
+
+  it('should ignore other errors', () => {
+    expect(isBodyParserError(new Error('boom'))).toBe(false);
+    expect(isBodyParserError(parserError('request.aborted', 400))).toBe(false);
+    expect(toBodyParserResponse(null)).toBeNull();
+    expect(isBodyParserError(parserError('entity.parse.failed', 400))).toBe(
+      true
+    );
+  });
+});
@@ -0,0 +1,220 @@
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import {
+  ConfigValidationError,
+  applyConfigOverrides,
+  defineConfigSchema,
+  loadConfig,
+  parseCliArgs,
+  parseEnvFile,
+  readConfigFile,
+} from '../config-loader.helper.js';
+
+const schema = defineConfigSchema({
+  PORT: { type: 'integer', default: 3000, env: 'APP_PORT', min: 1, max: 65535 },
+  DEBUG: { type: 'boolean', default: false, env: 'APP_DEBUG' },
+  MODE: {
+    type: 'string',
+    default: 'safe',
+    env: 'APP_MODE',
+    enum: ['safe', 'fast'],
+  },
+  TAGS: {
+    type: 'array',
+    default: [],
+    env: 'APP_TAGS',
+    items: { enum: ['a', 'b'] },
+  },
+});
+
+const load = (sources = {}) =>
+  loadConfig(schema, { env: {}, argv: [], file: {}, ...sources });
+
+describe('config loader', () => {
+  describe('defineConfigSchema()', () => {
+    it('should reject invalid declarations', () => {
+      expect(() =>
+        defineConfigSchema({ X: { type: 'date', default: 1, env: 'X' } })
+      ).toThrow('Config option "X" needs a type');
+      expect(() =>
+        defineConfigSchema({ X: { type: 'integer', default: 1 } })
+      ).toThrow('Config option "X" needs an env variable name');
+      expect(() =>
+        defineConfigSchema({
+          X: { type: 'integer', default: 1, env: 'X', minimum: 0 },
+        })
+      ).toThrow('Config option "X" has unknown key "minimum"');
+      expect(() =>
+        defineConfigSchema({ X: { type: 'integer', default: 'a', env: 'X' } })
+      ).toThrow('Default of config option "X" must be an integer');
+    });
+  });
+
+  describe('loadConfig()', () => {
+    it('should use defaults and freeze the result', () => {
+      const config = load();
+
+      expect(config).toEqual({
+        PORT: 3000,
+        DEBUG: false,
+        MODE: 'safe',
+        TAGS: [],
+      });
+      expect(Object.isFrozen(config)).toBe(true);
+      expect(Object.isFrozen(config.TAGS)).toBe(true);
+    });
+
+    it('should coerce string values by type', () => {
+      const config = load({
+        env: { APP_PORT: ' 8080 ', APP_DEBUG: 'false', APP_TAGS: 'a, b' },
+      });
+
+      expect(config).toMatchObject({
+        PORT: 8080,
+        DEBUG: false,
+        TAGS: ['a', 'b'],
+      });
+    });
+
+    it('should apply file < env < CLI precedence', () => {
+      const file = { APP_PORT: '1000', APP_MODE: 'fast', APP_DEBUG: true };
+      const env = { APP_PORT: '2000', APP_MODE: 'safe' };
+      const argv = ['--app-port=3001', '--unrelated', 'positional'];
+
+      expect(load({ file, env, argv })).toMatchObject({
+        PORT: 3001,
+        MODE: 'safe',
+        DEBUG: true,
+      });
+    });
+
+    it('should report every invalid value with its source', () => {
+      let error;
+      try {
+        load({
+          env: { APP_PORT: 'abc', APP_TAGS: 'a,z' },
+          argv: ['--app-mode=turbo'],
+        });
+      } catch (thrown) {
+        error = thrown;
+      }
+
+      expect(error).toBeInstanceOf(ConfigValidationError);
+      expect(error.problems.map(problem => problem.option)).toEqual([
+        'PORT',
+        'MODE',
+        'TAGS',
+      ]);
+      expect(error.message).toBe(
+        [
+          'Invalid configuration (3 problems):',
+          '  - PORT: must be an integer (got "abc" from env APP_PORT)',
+          '  - MODE: must be one of: safe, fast (got "turbo" from --app-mode)',
+          '  - TAGS: contains unsupported z (allowed: a, b) (got ["a","z"] from env APP_TAGS)',
+        ].join('\n')
+      );
+    });
+
+    it('should check min and max', () => {
+      expect(() => load({ env: { APP_PORT: '70000' } })).toThrow(
+        'PORT: must be <= 65535'
+      );
+    });
+  });
+
+  describe('config files', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = mkdtempSync(join(tmpdir(), 'config-loader-'));
+    });
+
+    afterEach(() => {
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should load the file named by --config-file', () => {
+      const filePath = join(dir, 'app.json');
+      writeFileSync(
+        filePath,
+        JSON.stringify({ APP_PORT: 4000, APP_DEBUG: true })
+      );
+
+      expect(
+        loadConfig(schema, { env: {}, argv: [`--config-file=${filePath}`] })
+      ).toMatchObject({ PORT: 4000, DEBUG: true });
+    });
+
+    it('should load the file named by CONFIG_FILE', () => {
+      const filePath = join(dir, 'app.env');
+      writeFileSync(filePath, 'APP_MODE=fast\n');
+
+      expect(
+        loadConfig(schema, { env: { CONFIG_FILE: filePath }, argv: [] }).MODE
+      ).toBe('fast');
+    });
+
+    it('should fail when an explicit file is missing or not an object', () => {
+      const jsonPath = join(dir, 'list.json');
+      writeFileSync(jsonPath, '[1, 2]');
+
+      expect(() => readConfigFile(join(dir, 'missing.env'))).toThrow(
+        'config file does not exist'
+      );
+      expect(() => readConfigFile(jsonPath)).toThrow(
+        'JSON config file must contain an object'
+      );
+      expect(
+        readConfigFile(join(dir, 'missing.env'), { optional: true })
+      ).toEqual({});
+    });
+  });
+
+  describe('parsers', () => {
+    it('should parse .env content', () => {
+      expect(
+        parseEnvFile(
+          [
+            '# comment',
+            'export APP_PORT=8080',
+            'APP_MODE="fast"',
+            "APP_TAGS='a,b'",
+            'APP_DEBUG=true # inline comment',
+            'not a pair',
+          ].join('\n')
+        )
+      ).toEqual({
+        APP_PORT: '8080',
+        APP_MODE: 'fast',
+        APP_TAGS: 'a,b',
+        APP_DEBUG: 'true',
+      });
+    });
+
+    it('should parse CLI flags into env-style names', () => {
+      expect(parseCliArgs(['--app-port=1', '--app-debug', 'file.js'])).toEqual({
+        APP_PORT: '1',
+        APP_DEBUG: 'true',
+      });
+    });
+  });
+
+  describe('applyConfigOverrides()', () => {
+    it('should return a new frozen config', () => {
+      const current = load();
+      const next = applyConfigOverrides(schema, current, { PORT: 9000 });
+
+      expect(next).toMatchObject({ PORT: 9000, MODE: 'safe' });
+      expect(current.PORT).toBe(3000);
+      expect(Object.isFrozen(next)).toBe(true);
+    });
+
+    it('should reject unknown options and invalid values', () => {
+      expect(() =>
+        applyConfigOverrides(schema, load(), { PROT: 1, MODE: 'turbo' })
+      ).toThrow(ConfigValidationError);
+    });
+  });
+});
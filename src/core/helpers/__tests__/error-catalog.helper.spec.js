@@ -0,0 +1,197 @@
+/**
+ * @jest-environment node
+ */
+import { HTTP_STATUS } from '../../constants/http-status.constant.js';
+import {
+  CORE_ERROR_CODES,
+  getErrorCode,
+  hasErrorCode,
+  listErrorCodes,
+  registerErrorCodes,
+  resetErrorCatalog,
+} from '../error-catalog.helper.js';
+import { BaseException } from '../error-handler-registry.helper.js';
+import { captureLogs } from '../test-core.helper.js';
+
+describe('ErrorCatalog', () => {
+  afterEach(() => {
+    resetErrorCatalog();
+  });
+
+  describe('registerErrorCodes', () => {
+    it('should register codes with defaults for optional fields', () => {
+      registerErrorCodes('billing', {
+        PAYMENT_DECLINED: {
+          status: HTTP_STATUS.CONFLICT,
+          message: 'Payment declined',
+        },
+      });
+
+      expect(getErrorCode('PAYMENT_DECLINED')).toEqual({
+        code: 'PAYMENT_DECLINED',
+        domain: 'billing',
+        status: HTTP_STATUS.CONFLICT,
+        message: 'Payment declined',
+        retryable: false,
+        description: '',
+      });
+      expect(Object.isFrozen(getErrorCode('PAYMENT_DECLINED'))).toBe(true);
+    });
+
+    it('should reject invalid definitions without registering any of them', () => {
+      expect(() =>
+        registerErrorCodes('billing', {
+          PAYMENT_DECLINED: { status: 409, message: 'Payment declined' },
+          'bad-code': { status: 400, message: 'Bad' },
+        })
+      ).toThrow('Error code "bad-code" must be UPPER_SNAKE_CASE');
+      expect(hasErrorCode('PAYMENT_DECLINED')).toBe(false);
+    });
+
+    it.each([
+      [{ status: 200, message: 'Ok' }, 'needs a 4xx or 5xx status'],
+      [{ status: 400 }, 'needs a default message'],
+      [{ status: 400, message: 'x', retryable: 'yes' }, 'must be a boolean'],
+      [{ status: 400, message: 'x', description: 1 }, 'must be a string'],
+    ])('should validate definition %j', (definition, error) => {
+      expect(() =>
+        registerErrorCodes('billing', { SOME_CODE: definition })
+      ).toThrow(error);
+    });
+
+    it('should refuse codes owned by another domain', () => {
+      expect(() =>
+        registerErrorCodes('billing', {
+          [CORE_ERROR_CODES.HANDLER_EXECUTION_FAILED]: {
+            status: 500,
+            message: 'Oops',
+          },
+        })
+      ).toThrow('already registered by "core"');
+    });
+
+    it('should allow a domain to re-register its own codes', () => {
+      const definitions = { PAYMENT_DECLINED: { status: 409, message: 'A' } };
+      registerErrorCodes('billing', definitions);
+      registerErrorCodes('billing', {
+        PAYMENT_DECLINED: { status: 409, message: 'B' },
+      });
+
+      expect(getErrorCode('PAYMENT_DECLINED').message).toBe('B');
+    });
+  });
+
+  describe('lookups', () => {
+    it('should return null for unknown codes', () => {
+      expect(getErrorCode('NOPE')).toBeNull();
+      expect(hasErrorCode('NOPE')).toBe(false);
+    });
+
+    it('should list codes sorted and filtered by domain', () => {
+      registerErrorCodes('billing', {
+        PAYMENT_DECLINED: { status: 409, message: 'Payment declined' },
+        CARD_EXPIRED: { status: 400, message: 'Card expired' },
+      });
+
+      expect(listErrorCodes({ domain: 'billing' }).map(e => e.code)).toEqual([
+        'CARD_EXPIRED',
+        'PAYMENT_DECLINED',
+      ]);
+      expect(listErrorCodes().map(e => e.code)).toEqual([
+        'CARD_EXPIRED',
+        CORE_ERROR_CODES.ERROR_CODE_NOT_FOUND,
+        CORE_ERROR_CODES.HANDLER_EXECUTION_FAILED,
+        CORE_ERROR_CODES.MALFORMED_REQUEST_BODY,
+        CORE_ERROR_CODES.PAYLOAD_TOO_LARGE,
+        'PAYMENT_DECLINED',
+        CORE_ERROR_CODES.ROUTE_NOT_FOUND,
+        CORE_ERROR_CODES.SERVICE_NOT_READY,
+        CORE_ERROR_CODES.UNSUPPORTED_CHARSET,
+        CORE_ERROR_CODES.UNSUPPORTED_CONTENT_ENCODING,
+      ]);
+    });
+
+    it('should keep core codes after reset', () => {
+      registerErrorCodes('billing', {
+        PAYMENT_DECLINED: { status: 409, message: 'Payment declined' },
+      });
+      resetErrorCatalog();
+
+      expect(hasErrorCode('PAYMENT_DECLINED')).toBe(false);
+      expect(hasErrorCode(CORE_ERROR_CODES.HANDLER_EXECUTION_FAILED)).toBe(
+        true
+      );
+    });
+  });
+
+  describe('BaseException integration', () => {
+    const originalEnv = process.env.NODE_ENV;
+
+    afterEach(() => {
+      process.env.NODE_ENV = originalEnv;
+    });
+
+    it('should default statusCode to the catalog status', () => {
+      registerErrorCodes('billing', {
+        PAYMENT_DECLINED: { status: 409, message: 'Payment declined' },
+      });
+
+      expect(
+        new BaseException('x', { errorCode: 'PAYMENT_DECLINED' }).statusCode
+      ).toBe(409);
+      expect(
+        new BaseException('x', {
+          errorCode: 'PAYMENT_DECLINED',
+          statusCode: 422,
+        }).statusCode
+      ).toBe(422);
+    });
+
+    it('should default retryable to the catalog value', () => {
+      registerErrorCodes('billing', {
+        PAYMENT_DECLINED: {
+          status: 409,
+          message: 'Payment declined',
+          retryable: true,
+        },
+      });
+
+      expect(
+        new BaseException('x', { errorCode: 'PAYMENT_DECLINED' }).retryable
+      ).toBe(true);
+      expect(
+        new BaseException('x', {
+          errorCode: 'PAYMENT_DECLINED',
+          retryable: false,
+        }).retryable
+      ).toBe(false);
+      expect(new BaseException('x').retryable).toBe(false);
+    });
+
+    it('should warn about unknown codes in development only', () => {
+      const logs = captureLogs('warn');
+
+      try {
+        process.env.NODE_ENV = 'development';
+        new BaseException('x', { errorCode: 'NOT_DECLARED' });
+        new BaseException('x', {
+          errorCode: CORE_ERROR_CODES.HANDLER_EXECUTION_FAILED,
+        });
+        new BaseException('x');
+        expect(logs.records).toEqual([
+          expect.objectContaining({
+            level: 'warn',
+            event: 'ERROR_CATALOG',
+            errorCode: 'NOT_DECLARED',
+          }),
+        ]);
+
+        process.env.NODE_ENV = 'production';
+        new BaseException('x', { errorCode: 'NOT_DECLARED' });
+        expect(logs.records).toHaveLength(1);
+      } finally {
+        logs.restore();
+      }
+    });
+  });
+});
@@ -5,12 +5,15 @@ import { HTTP_STATUS } from '../../constants/http-status.constant.js';
 import {
   BaseException,
   clearRegistry,
+  createErrorHandlerRegistry,
+  createFallbackResponse,
   findErrorHandler,
   getRegisteredHandlers,
   handleWithRegistry,
   registerErrorHandler,
 } from '../error-handler-registry.helper.js';
 import { HttpResponse } from '../http.helper.js';
+import { captureLogs } from '../test-core.helper.js';
 
 // Test exception classes
 class TestException extends BaseException {
@@ -206,4 +209,188 @@ describe('ErrorHandlerRegistry', () => {
       expect(handler).toBe(testHandler);
     });
   });
+
+  describe('most-specific-first resolution', () => {
+    class DeepTestException extends SpecificTestException {}
+
+    function baseHandler() {
+      return HttpResponse.error('Base handler response');
+    }
+
+    it('should pick the nearest ancestor regardless of registration order', () => {
+      registerErrorHandler(BaseException, baseHandler);
+      registerErrorHandler(SpecificTestException, specificHandler);
+      registerErrorHandler(TestException, testHandler);
+
+      expect(findErrorHandler(new DeepTestException('deep'))).toBe(
+        specificHandler
+      );
+      expect(findErrorHandler(new TestException('test'))).toBe(testHandler);
+      expect(findErrorHandler(new BaseException('base'))).toBe(baseHandler);
+    });
+
+    it('should let a higher priority ancestor win over a nearer one', () => {
+      registerErrorHandler(TestException, testHandler, { priority: 10 });
+      registerErrorHandler(SpecificTestException, specificHandler);
+
+      expect(findErrorHandler(new DeepTestException('deep'))).toBe(testHandler);
+    });
+
+    it('should keep the nearest handler when priorities are equal', () => {
+      registerErrorHandler(TestException, testHandler, { priority: 5 });
+      registerErrorHandler(SpecificTestException, specificHandler, {
+        priority: 5,
+      });
+
+      expect(findErrorHandler(new DeepTestException('deep'))).toBe(
+        specificHandler
+      );
+    });
+
+    it('should throw error for invalid priority', () => {
+      expect(() =>
+        registerErrorHandler(TestException, testHandler, { priority: 'high' })
+      ).toThrow('Priority must be a finite number');
+    });
+
+    it('should invalidate cached resolutions when handlers change', () => {
+      registerErrorHandler(TestException, testHandler);
+      const err = new SpecificTestException('child');
+      expect(findErrorHandler(err)).toBe(testHandler);
+
+      registerErrorHandler(SpecificTestException, specificHandler);
+      expect(findErrorHandler(err)).toBe(specificHandler);
+
+      clearRegistry();
+      expect(findErrorHandler(err)).toBeNull();
+    });
+
+    it('should cache misses per constructor', () => {
+      expect(findErrorHandler(new Error('plain'))).toBeNull();
+
+      registerErrorHandler(Error, testHandler);
+      expect(findErrorHandler(new Error('plain'))).toBe(testHandler);
+    });
+
+    it('should return null for non-object errors', () => {
+      registerErrorHandler(Error, testHandler);
+
+      expect(findErrorHandler('boom')).toBeNull();
+      expect(findErrorHandler(null)).toBeNull();
+      expect(findErrorHandler(Object.create(null))).toBeNull();
+    });
+  });
+
+  describe('createFallbackResponse retryable flag', () => {
+    it.each([
+      [undefined, true],
+      [400, false],
+      [422, false],
+      [429, true],
+      [500, true],
+      [501, false],
+      [503, true],
+    ])('should mark status %s as retryable=%s', (statusCode, retryable) => {
+      const err = new Error('boom');
+      if (statusCode !== undefined) err.statusCode = statusCode;
+
+      const response = createFallbackResponse(
+        err,
+        new Error('handler crashed')
+      );
+
+      expect(response.meta.retryable).toBe(retryable);
+    });
+  });
+
+  describe('createFallbackResponse logging', () => {
+    let logs;
+
+    beforeEach(() => {
+      logs = captureLogs();
+    });
+
+    afterEach(() => {
+      logs.restore();
+    });
+
+    it('should mask client details in logs', () => {
+      const req = {
+        method: 'POST',
+        path: '/login',
+        ip: '203.0.113.42',
+        get: () => 'Mozilla/5.0 (X11; Linux x86_64) Chrome/120.0',
+      };
+
+      createFallbackResponse(
+        new TestException('bad'),
+        new Error('handler crashed'),
+        req
+      );
+
+      expect(logs.records[0]).toMatchObject({
+        level: 'warn',
+        event: 'HANDLER_FAILURE_BUSINESS',
+        module: 'error-handler-registry',
+        request: {
+          method: 'POST',
+          path: '/login',
+          ip: '203.0.113.x',
+          userAgent: 'Mozilla/5.0',
+        },
+      });
+    });
+
+    it('should log system failures as errors', () => {
+      createFallbackResponse(
+        new BaseException('db', { isOperational: false }),
+        new Error('handler crashed')
+      );
+
+      expect(logs.records[0]).toMatchObject({
+        level: 'error',
+        event: 'HANDLER_FAILURE_SYSTEM',
+      });
+    });
+  });
+
+  describe('createErrorHandlerRegistry', () => {
+    afterEach(() => {
+      clearRegistry();
+    });
+
+    it('keeps handlers separate from other registries', () => {
+      const first = createErrorHandlerRegistry();
+      const second = createErrorHandlerRegistry();
+
+      first.register(TestException, testHandler);
+
+      expect(first.find(new TestException('x'))).toBe(testHandler);
+      expect(second.find(new TestException('x'))).toBeNull();
+      expect(findErrorHandler(new TestException('x'))).toBeNull();
+    });
+
+    it('resolves through the prototype chain and handles errors', () => {
+      const registry = createErrorHandlerRegistry();
+      registry.register(TestException, testHandler);
+
+      const response = registry.handle(new SpecificTestException('x'), {}, {});
+      expect(response.message).toBe('Test handler response');
+      expect(registry.handle(new Error('plain'), {}, {})).toBeNull();
+    });
+
+    it('registers the BaseException default and clears only itself', () => {
+      const registry = createErrorHandlerRegistry();
+      registerErrorHandler(TestException, testHandler);
+
+      registry.setupDefaultHandlers();
+      expect([...registry.getRegisteredHandlers().keys()]).toEqual([
+        BaseException,
+      ]);
+
+      registry.clear();
+      expect(registry.getRegisteredHandlers().size).toBe(0);
+      expect(getRegisteredHandlers().has(TestException)).toBe(true);
+    });
+  });
 });
@@ -0,0 +1,177 @@
+/**
+ * @jest-environment node
+ */
+import { BaseException } from '../error-handler-registry.helper.js';
+import {
+  collectCauses,
+  serializeError,
+  shouldExposeCauses,
+} from '../error-serializer.helper.js';
+
+describe('ErrorSerializer', () => {
+  const originalEnv = process.env.NODE_ENV;
+
+  afterEach(() => {
+    process.env.NODE_ENV = originalEnv;
+  });
+
+  describe('serializeError', () => {
+    it('should walk the cause chain', () => {
+      const root = new Error('connection refused');
+      const wrapped = new BaseException('User service failed', {
+        cause: root,
+        errorCode: 'USER_SERVICE_DOWN',
+        statusCode: 503,
+      });
+
+      expect(serializeError(wrapped, { includeStack: false })).toEqual({
+        name: 'BaseException',
+        message: 'User service failed',
+        errorCode: 'USER_SERVICE_DOWN',
+        statusCode: 503,
+        isOperational: true,
+        cause: { name: 'Error', message: 'connection refused' },
+      });
+    });
+
+    it('should include AggregateError members', () => {
+      const aggregate = new AggregateError(
+        [new Error('a'), new TypeError('b')],
+        'all failed'
+      );
+
+      const serialized = serializeError(aggregate, { includeStack: false });
+
+      expect(serialized.errors).toEqual([
+        { name: 'Error', message: 'a' },
+        { name: 'TypeError', message: 'b' },
+      ]);
+    });
+
+    it('should cut cycles', () => {
+      const a = new Error('a');
+      const b = new Error('b', { cause: a });
+      a.cause = b;
+
+      expect(serializeError(a, { includeStack: false })).toEqual({
+        name: 'Error',
+        message: 'a',
+        cause: {
+          name: 'Error',
+          message: 'b',
+          cause: { name: 'Error', message: 'a', circular: true },
+        },
+      });
+    });
+
+    it('should bound the depth', () => {
+      const deep = new Error('2', {
+        cause: new Error('1', { cause: new Error('0') }),
+      });
+
+      const serialized = serializeError(deep, {
+        includeStack: false,
+        maxDepth: 1,
+      });
+
+      expect(serialized.cause.cause).toEqual({
+        name: 'Error',
+        message: '0',
+        truncated: true,
+      });
+    });
+
+    it('should summarize non-error causes', () => {
+      const err = new Error('x', { cause: { reason: 'quota' } });
+
+      expect(serializeError(err, { includeStack: false }).cause).toEqual({
+        name: 'Object',
+        message: '{"reason":"quota"}',
+      });
+      expect(serializeError('boom')).toEqual({
+        name: 'string',
+        message: 'boom',
+      });
+      expect(serializeError(null)).toBeNull();
+    });
+
+    it('should summarize cyclic and BigInt causes without throwing', () => {
+      const cyclic = { reason: 'loop' };
+      cyclic.self = cyclic;
+      const err = new Error('x', {
+        cause: new Error('y', { cause: { total: 10n } }),
+      });
+
+      expect(serializeError(new Error('x', { cause: cyclic })).cause).toEqual({
+        name: 'Object',
+        message: '{"reason":"loop","self":"[Circular]"}',
+      });
+      expect(serializeError(err).cause.cause).toEqual({
+        name: 'Object',
+        message: '{"total":10}',
+      });
+      expect(collectCauses(new Error('x', { cause: cyclic }))).toEqual([
+        { name: 'Object', message: '{"reason":"loop","self":"[Circular]"}' },
+      ]);
+    });
+
+    it('should include stacks only outside production', () => {
+      process.env.NODE_ENV = 'development';
+      expect(serializeError(new Error('x')).stack).toContain('Error: x');
+
+      process.env.NODE_ENV = 'production';
+      expect(serializeError(new Error('x')).stack).toBeUndefined();
+    });
+
+    it('should back BaseException#toJSON', () => {
+      const err = new BaseException('wrapped', { cause: new Error('root') });
+
+      expect(JSON.parse(JSON.stringify(err))).toMatchObject({
+        name: 'BaseException',
+        message: 'wrapped',
+        cause: { name: 'Error', message: 'root' },
+      });
+    });
+  });
+
+  describe('collectCauses', () => {
+    it('should flatten causes depth-first without stacks', () => {
+      const err = new BaseException('top', {
+        cause: new AggregateError(
+          [new Error('a', { cause: new Error('a.1') }), new Error('b')],
+          'batch failed'
+        ),
+      });
+
+      expect(collectCauses(err)).toEqual([
+        { name: 'AggregateError', message: 'batch failed' },
+        { name: 'Error', message: 'a' },
+        { name: 'Error', message: 'a.1' },
+        { name: 'Error', message: 'b' },
+      ]);
+    });
+
+    it('should skip errors already visited', () => {
+      const a = new Error('a');
+      const b = new Error('b', { cause: a });
+      a.cause = b;
+
+      expect(collectCauses(a)).toEqual([{ name: 'Error', message: 'b' }]);
+    });
+
+    it('should return an empty list without causes', () => {
+      expect(collectCauses(new Error('x'))).toEqual([]);
+      expect(collectCauses('x')).toEqual([]);
+    });
+  });
+
+  describe('shouldExposeCauses', () => {
+    it('should only be true in development', () => {
+      process.env.NODE_ENV = 'development';
+      expect(shouldExposeCauses()).toBe(true);
+
+      process.env.NODE_ENV = 'test';
+      expect(shouldExposeCauses()).toBe(false);
+    });
+  });
+});
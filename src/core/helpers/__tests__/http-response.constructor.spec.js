@@ -41,6 +41,26 @@ describe('HttpResponse – constructor & utilities', () => {
     });
   });
 
+  test('toObject() exposes headers and cookies when present', () => {
+    const resp = HttpResponse.created({ id: 1 })
+      .withHeader('Location', '/users/1')
+      .withCookie('sid', 'x', { httpOnly: true })
+      .clearCookie('old');
+
+    expect(resp.toObject()).toEqual({
+      success: true,
+      message: 'Created',
+      statusCode: HTTP_STATUS.CREATED,
+      data: { id: 1 },
+      meta: { timestamp: expect.any(String) },
+      headers: { location: '/users/1' },
+      cookies: [
+        { name: 'sid', value: 'x', options: { httpOnly: true } },
+        { name: 'old', options: {}, clear: true },
+      ],
+    });
+  });
+
   test('toJSON() should stringify toObject()', () => {
     const resp = new HttpResponse({ foo: 'bar' }, 'yep');
     expect(JSON.parse(resp.toJSON())).toEqual(resp.toObject());
@@ -91,6 +91,13 @@ describe('HttpResponse – factory methods', () => {
       expect(resp.statusCode).toBe(HTTP_STATUS.NOT_FOUND);
     });
 
+    test('notAcceptable()', () => {
+      const resp = HttpResponse.notAcceptable();
+      expect(resp.success).toBe(false);
+      expect(resp.message).toBe('Not Acceptable');
+      expect(resp.statusCode).toBe(HTTP_STATUS.NOT_ACCEPTABLE);
+    });
+
     test('conflict()', () => {
       const resp = HttpResponse.conflict('Email already exists');
       expect(resp.success).toBe(false);
@@ -117,3 +117,243 @@ describe('HttpResponse – send() normalized format', () => {
     expect(() => resp.send({})).toThrow('Invalid Express response object');
   });
 });
+
+describe('HttpResponse – send() Problem Details mode', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+    resetHttpOptions();
+  });
+
+  test('renders errors as problem+json when ERROR_RESPONSE_FORMAT = problem', () => {
+    overrideHttpOptions({ ERROR_RESPONSE_FORMAT: 'problem' });
+    const res = createMockRes();
+    HttpResponse.error('Nope', HTTP_STATUS.CONFLICT, null, {
+      errorCode: 'E_CONFLICT',
+    }).send(res);
+
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.CONFLICT);
+    expect(res.type).toHaveBeenCalledWith('application/problem+json');
+    expect(res.body).toEqual({
+      type: '/errors/E_CONFLICT',
+      title: 'Conflict',
+      status: HTTP_STATUS.CONFLICT,
+      detail: 'Nope',
+      errorCode: 'E_CONFLICT',
+      timestamp: expect.any(String),
+    });
+  });
+
+  test('reports the status actually sent in problem+json', () => {
+    overrideHttpOptions({
+      ERROR_RESPONSE_FORMAT: 'problem',
+      SET_DEFAULT_HTTP_STATUS_CODE: true,
+      DEFAULT_HTTP_STATUS_CODE: 200,
+    });
+    const res = createMockRes();
+    HttpResponse.error('Nope', HTTP_STATUS.CONFLICT).send(res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.body).toMatchObject({
+      status: 200,
+      title: 'OK',
+      detail: 'Nope',
+    });
+  });
+
+  test('negotiates problem+json per request via Accept', () => {
+    const res = createMockRes();
+    res.req = { accepts: () => 'application/problem+json' };
+    HttpResponse.notFound('Missing').send(res);
+
+    expect(res.type).toHaveBeenCalledWith('application/problem+json');
+    expect(res.body.detail).toBe('Missing');
+  });
+
+  test('success responses keep the envelope in problem mode', () => {
+    overrideHttpOptions({ ERROR_RESPONSE_FORMAT: 'problem' });
+    const res = createMockRes();
+    HttpResponse.success({ id: 1 }).send(res);
+
+    expect(res.type).toHaveBeenCalledWith('application/json');
+    expect(res.body.success).toBe(true);
+  });
+});
+
+describe('HttpResponse – send() content negotiation', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+    resetHttpOptions();
+  });
+
+  test('uses the serializer matching the Accept header', () => {
+    const res = createMockRes();
+    res.req = { accepts: () => 'text/csv' };
+    HttpResponse.success([{ id: 1 }, { id: 2 }]).send(res);
+
+    expect(res.type).toHaveBeenCalledWith('text/csv');
+    expect(res.body).toBe('id\r\n1\r\n2\r\n');
+  });
+
+  test('responds 406 when no serializer is acceptable', () => {
+    overrideHttpOptions({ USE_STATUS_CODE_IN_RESPONSE: false });
+    const res = createMockRes();
+    res.req = { accepts: () => false };
+    HttpResponse.success({ id: 1 }).send(res);
+
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.NOT_ACCEPTABLE);
+    expect(res.type).toHaveBeenCalledWith('application/json');
+    expect(res.body).toEqual({
+      success: false,
+      message: 'Not Acceptable',
+      error: {
+        supportedMediaTypes: [
+          'application/json',
+          'text/csv',
+          'application/x-ndjson',
+          'application/xml',
+        ],
+      },
+      meta: { timestamp: expect.any(String) },
+    });
+  });
+
+  test('a 406 carries none of the headers and cookies it replaces', () => {
+    const res = createMockRes();
+    res.req = { accepts: () => false };
+    HttpResponse.created({ id: 1 })
+      .withHeader('Location', '/users/1')
+      .withHeader('Cache-Control', 'no-store')
+      .withCookie('session', 'abc')
+      .send(res);
+
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.NOT_ACCEPTABLE);
+    expect(res.headers).toEqual({});
+    expect(res.cookie).not.toHaveBeenCalled();
+    expect(res.cookies).toEqual({});
+  });
+
+  test('error responses stay JSON whatever the Accept header', () => {
+    const res = createMockRes();
+    res.req = {
+      accepts: types =>
+        types.includes('text/csv') ? 'text/csv' : 'application/json',
+    };
+    HttpResponse.badRequest('nope').send(res);
+
+    expect(res.type).toHaveBeenCalledWith('application/json');
+    expect(res.body.success).toBe(false);
+  });
+});
+
+describe('HttpResponse – send() headers, cookies and status', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+    resetHttpOptions();
+  });
+
+  test('applies headers and cookies before sending', () => {
+    const res = createMockRes();
+    HttpResponse.created({ id: 7 })
+      .withHeader('Location', '/users/7')
+      .withHeaders({ 'Cache-Control': 'no-store', 'Retry-After': 30 })
+      .withCookie('session', 'abc', { httpOnly: true })
+      .clearCookie('legacy')
+      .send(res);
+
+    expect(res.set).toHaveBeenCalledWith('location', '/users/7');
+    expect(res.set).toHaveBeenCalledWith('cache-control', 'no-store');
+    expect(res.set).toHaveBeenCalledWith('retry-after', '30');
+    expect(res.cookie).toHaveBeenCalledWith('session', 'abc', {
+      httpOnly: true,
+    });
+    expect(res.clearCookie).toHaveBeenCalledWith('legacy', {});
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.CREATED);
+  });
+
+  test('headers are applied to error responses too', () => {
+    const res = createMockRes();
+    HttpResponse.error('Busy', HTTP_STATUS.SERVICE_UNAVAILABLE)
+      .withHeader('Retry-After', 120)
+      .send(res);
+
+    expect(res.headers['retry-after']).toBe('120');
+    expect(res.body.success).toBe(false);
+  });
+
+  test('status-only responses end without a body', () => {
+    const res = createMockRes();
+    HttpResponse.noContent().withHeader('ETag', '"v1"').send(res);
+
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.NO_CONTENT);
+    expect(res.end).toHaveBeenCalledTimes(1);
+    expect(res.send).not.toHaveBeenCalled();
+    expect(res.headers.etag).toBe('"v1"');
+  });
+
+  test('withStatus() changes status and success flag', () => {
+    const res = createMockRes();
+    HttpResponse.success({ queued: true })
+      .withStatus(HTTP_STATUS.ACCEPTED)
+      .send(res);
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.ACCEPTED);
+    expect(res.body.success).toBe(true);
+
+    const failed = HttpResponse.success().withStatus(HTTP_STATUS.CONFLICT);
+    expect(failed.success).toBe(false);
+  });
+});
+
+describe('HttpResponse – send() redaction', () => {
+  test('redacts sensitive fields in success payloads', () => {
+    const res = createMockRes();
+    HttpResponse.success({ id: 1, password: 'hunter2' }).send(res);
+
+    expect(res.body.data).toEqual({ id: 1, password: '[REDACTED]' });
+  });
+
+  test('redacts echoed values of sensitive fields in errors', () => {
+    const res = createMockRes();
+    HttpResponse.badRequest('Invalid', {
+      field: 'password',
+      value: 'hunter2',
+    }).send(res);
+
+    expect(res.body.error).toEqual({ field: 'password', value: '[REDACTED]' });
+  });
+
+  test('redacts Problem Details extension members', () => {
+    const res = createMockRes();
+    res.req = { accepts: () => 'application/problem+json' };
+    HttpResponse.badRequest('Invalid', { apiKey: 'k' }).send(res);
+
+    expect(res.body.apiKey).toBe('[REDACTED]');
+  });
+
+  test('withRedaction() opts a response out', () => {
+    const res = createMockRes();
+    HttpResponse.success({ accessToken: 'jwt', password: 'p' })
+      .withRedaction({ allow: ['accessToken'] })
+      .send(res);
+
+    expect(res.body.data).toEqual({
+      accessToken: 'jwt',
+      password: '[REDACTED]',
+    });
+    expect(() => HttpResponse.success().withRedaction('no')).toThrow(
+      'Redaction policy must be false or { allow: [...] }'
+    );
+  });
+
+  test('toObject() is redacted too', () => {
+    const response = HttpResponse.success({ secret: 's' }).withHeader(
+      'Authorization',
+      'Bearer x'
+    );
+
+    expect(response.toObject().data).toEqual({ secret: '[REDACTED]' });
+    expect(response.toObject().headers).toEqual({
+      authorization: '[REDACTED]',
+    });
+    expect(response.data.secret).toBe('s');
+  });
+});
@@ -0,0 +1,98 @@
+import { createHmac } from 'node:crypto';
+
+import { TokenVerificationError, signJwt, verifyJwt } from '../jwt.helper.js';
+
+const secret = 'a'.repeat(32);
+
+const encode = value =>
+  Buffer.from(JSON.stringify(value)).toString('base64url');
+
+// Error thrown by `fn`, or null
+function thrownBy(fn) {
+  try {
+    fn();
+  } catch (err) {
+    return err;
+  }
+  return null;
+}
+
+const verificationError = code => ({
+  name: TokenVerificationError.name,
+  code,
+});
+
+describe('JWT helper', () => {
+  test('signs and verifies claims with iat/exp in seconds', () => {
+    const token = signJwt({ sub: '42' }, secret, {
+      expiresIn: 60,
+      now: 1000,
+    });
+
+    expect(token.split('.')).toHaveLength(3);
+    expect(verifyJwt(token, secret, { now: 1059 })).toEqual({
+      sub: '42',
+      iat: 1000,
+      exp: 1060,
+    });
+  });
+
+  test('produces standard HS256 tokens', () => {
+    const token = signJwt({ sub: '42' }, secret, { now: 1 });
+    const [header, payload, signature] = token.split('.');
+
+    expect(JSON.parse(Buffer.from(header, 'base64url'))).toEqual({
+      alg: 'HS256',
+      typ: 'JWT',
+    });
+    expect(signature).toBe(
+      createHmac('sha256', secret)
+        .update(`${header}.${payload}`)
+        .digest('base64url')
+    );
+  });
+
+  test('rejects expired tokens', () => {
+    const token = signJwt({}, secret, { expiresIn: 60, now: 1000 });
+
+    expect(
+      thrownBy(() => verifyJwt(token, secret, { now: 1060 }))
+    ).toMatchObject(verificationError('expired'));
+  });
+
+  test('rejects tampered payloads and other secrets', () => {
+    const [header, , signature] = signJwt({ role: 'user' }, secret).split('.');
+    const forged = `${header}.${encode({ role: 'admin' })}.${signature}`;
+
+    expect(thrownBy(() => verifyJwt(forged, secret))).toMatchObject(
+      verificationError('invalid_signature')
+    );
+    expect(
+      thrownBy(() => verifyJwt(signJwt({}, 'b'.repeat(32)), secret))
+    ).toMatchObject(verificationError('invalid_signature'));
+  });
+
+  test('rejects algorithms other than HS256', () => {
+    const unsigned = `${encode({ alg: 'none' })}.${encode({ sub: '1' })}.`;
+
+    expect(thrownBy(() => verifyJwt(unsigned, secret))).toMatchObject(
+      verificationError('unsupported_algorithm')
+    );
+  });
+
+  test.each(['', 'abc', 'a.b', 'a.b.c', null])(
+    'rejects malformed token %p',
+    token => {
+      expect(thrownBy(() => verifyJwt(token, secret))).toMatchObject(
+        verificationError('malformed')
+      );
+    }
+  );
+
+  test('requires a secret of at least 32 bytes', () => {
+    expect(() => signJwt({}, 'short')).toThrow('at least 32 bytes');
+    expect(() => verifyJwt('a.b.c', undefined)).toThrow(
+      'must be a string or a Buffer'
+    );
+  });
+});
@@ -0,0 +1,227 @@
+/**
+ * @jest-environment node
+ */
+import { EventEmitter } from 'node:events';
+import { createServer } from 'node:http';
+
+import { EXIT_CODES } from '../../constants/exit-code.constant.js';
+import {
+  LIFECYCLE_STATES,
+  createLifecycle,
+  handleShutdownSignals,
+} from '../lifecycle.helper.js';
+import { captureLogs } from '../test-core.helper.js';
+
+/**
+ * Server whose requests are answered only when `release()` is called
+ */
+async function startSlowServer(lifecycle) {
+  let release;
+  const released = new Promise(resolve => {
+    release = resolve;
+  });
+  let markStarted;
+  const started = new Promise(resolve => {
+    markStarted = resolve;
+  });
+
+  const server = createServer((req, res) =>
+    lifecycle.trackRequests(req, res, async () => {
+      markStarted();
+      await released;
+      res.end('done');
+    })
+  );
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  lifecycle.attach(server);
+  lifecycle.markReady();
+
+  return {
+    server,
+    release,
+    started,
+    url: `http://127.0.0.1:${server.address().port}/slow`,
+  };
+}
+
+describe('lifecycle helper', () => {
+  let logs;
+
+  beforeEach(() => {
+    logs = captureLogs('info');
+  });
+
+  afterEach(() => {
+    logs.restore();
+  });
+
+  describe('createLifecycle', () => {
+    it('moves from starting to ready once', () => {
+      const lifecycle = createLifecycle();
+      expect(lifecycle.getState()).toBe(LIFECYCLE_STATES.STARTING);
+      expect(lifecycle.isReady()).toBe(false);
+
+      lifecycle.markReady();
+      expect(lifecycle.isReady()).toBe(true);
+    });
+
+    it('validates shutdown hooks', () => {
+      const lifecycle = createLifecycle();
+      expect(() => lifecycle.onShutdown('', () => {})).toThrow(
+        'Shutdown hook needs a name'
+      );
+      expect(() => lifecycle.onShutdown('db', null)).toThrow(
+        'Shutdown hook "db" must be a function'
+      );
+    });
+
+    it('fails readiness, drains in-flight requests, then runs hooks', async () => {
+      const lifecycle = createLifecycle();
+      const calls = [];
+      lifecycle.onShutdown('first', ({ reason }) =>
+        calls.push(['first', reason])
+      );
+      lifecycle.onShutdown('second', async () => calls.push(['second']));
+      const { release, started, url } = await startSlowServer(lifecycle);
+
+      const pending = fetch(url);
+      await started;
+      expect(lifecycle.getInFlightCount()).toBe(1);
+
+      const stopping = lifecycle.shutdown({
+        reason: 'SIGTERM',
+        timeoutMs: 2000,
+      });
+      expect(lifecycle.getState()).toBe(LIFECYCLE_STATES.DRAINING);
+      expect(lifecycle.isReady()).toBe(false);
+      expect(lifecycle.shutdown()).toBe(stopping);
+
+      // New connections are refused while the in-flight one finishes
+      await expect(fetch(url)).rejects.toThrow();
+      expect(calls).toEqual([]);
+
+      release();
+      const response = await pending;
+      expect(response.status).toBe(200);
+      expect(response.headers.get('connection')).toBe('close');
+
+      await expect(stopping).resolves.toBe(EXIT_CODES.OK);
+      expect(lifecycle.getState()).toBe(LIFECYCLE_STATES.STOPPED);
+      expect(calls).toEqual([['second'], ['first', 'SIGTERM']]);
+      expect(logs.records.map(record => record.event)).toEqual([
+        'SHUTDOWN_STARTED',
+        'SHUTDOWN_COMPLETE',
+      ]);
+    });
+
+    it('runs drain hooks before waiting for in-flight requests', async () => {
+      const lifecycle = createLifecycle();
+      const calls = [];
+      const { release, started, url } = await startSlowServer(lifecycle);
+      // e.g. ending an SSE stream that would never finish on its own
+      lifecycle.onDrain('streams', () => {
+        calls.push('drain');
+        release();
+      });
+      lifecycle.onShutdown('db', () => calls.push('shutdown'));
+
+      const pending = fetch(url);
+      await started;
+
+      await expect(lifecycle.shutdown({ timeoutMs: 2000 })).resolves.toBe(
+        EXIT_CODES.OK
+      );
+      expect((await pending).status).toBe(200);
+      expect(calls).toEqual(['drain', 'shutdown']);
+    });
+
+    it('closes remaining connections at the drain deadline', async () => {
+      const lifecycle = createLifecycle();
+      const hook = jest.fn();
+      lifecycle.onShutdown('cleanup', hook);
+      const { started, url } = await startSlowServer(lifecycle);
+
+      const pending = fetch(url);
+      await started;
+
+      await expect(lifecycle.shutdown({ timeoutMs: 50 })).resolves.toBe(
+        EXIT_CODES.SHUTDOWN_TIMEOUT
+      );
+      await expect(pending).rejects.toThrow();
+      expect(hook).toHaveBeenCalled();
+      expect(logs.records).toContainEqual(
+        expect.objectContaining({ event: 'SHUTDOWN_TIMEOUT', inFlight: 1 })
+      );
+    });
+
+    it('runs every hook and reports failing or hanging ones', async () => {
+      const lifecycle = createLifecycle();
+      const last = jest.fn();
+      lifecycle.onShutdown('last', last);
+      lifecycle.onShutdown('hangs', () => new Promise(() => {}));
+      lifecycle.onShutdown('throws', () => {
+        throw new Error('flush failed');
+      });
+
+      await expect(
+        lifecycle.shutdown({ timeoutMs: 100, hookTimeoutMs: 20 })
+      ).resolves.toBe(EXIT_CODES.SHUTDOWN_HOOK_FAILED);
+      expect(last).toHaveBeenCalled();
+      expect(
+        logs.records
+          .filter(record => record.event === 'SHUTDOWN_HOOK_FAILURE')
+          .map(record => record.hook)
+      ).toEqual(['throws', 'hangs']);
+    });
+  });
+
+  describe('handleShutdownSignals', () => {
+    it('shuts down on a signal and exits with the result', async () => {
+      const lifecycle = createLifecycle();
+      const target = new EventEmitter();
+      const exit = jest.fn();
+      handleShutdownSignals(lifecycle, { target, exit });
+
+      target.emit('SIGTERM', 'SIGTERM');
+      await lifecycle.shutdown();
+
+      expect(exit).toHaveBeenCalledWith(EXIT_CODES.OK);
+    });
+
+    it('exits at once on a second signal while draining', async () => {
+      const lifecycle = createLifecycle();
+      let finishHook;
+      lifecycle.onShutdown(
+        'slow',
+        () =>
+          new Promise(resolve => {
+            finishHook = resolve;
+          })
+      );
+      const target = new EventEmitter();
+      const exit = jest.fn();
+      handleShutdownSignals(lifecycle, { target, exit });
+
+      target.emit('SIGINT', 'SIGINT');
+      target.emit('SIGINT', 'SIGINT');
+
+      expect(exit).toHaveBeenCalledWith(130);
+      await new Promise(resolve => setImmediate(resolve));
+      finishHook();
+      await lifecycle.shutdown();
+    });
+
+    it('removes its listeners when disposed', () => {
+      const target = new EventEmitter();
+      const dispose = handleShutdownSignals(createLifecycle(), {
+        target,
+        exit: jest.fn(),
+      });
+
+      expect(target.listenerCount('SIGTERM')).toBe(1);
+      dispose();
+      expect(target.listenerCount('SIGTERM')).toBe(0);
+      expect(target.listenerCount('SIGINT')).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * @jest-environment node
+ */
+import { mkdtempSync, readFileSync, readdirSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Writable } from 'node:stream';
+
+import {
+  createFileTransport,
+  createMemoryTransport,
+  createStdoutTransport,
+} from '../log-transports.helper.js';
+
+describe('Log transports', () => {
+  describe('createStdoutTransport()', () => {
+    test('writes one line per record', () => {
+      const chunks = [];
+      const stream = new Writable({
+        write(chunk, _encoding, callback) {
+          chunks.push(chunk.toString());
+          callback();
+        },
+      });
+
+      const transport = createStdoutTransport({ stream });
+      transport.write({}, '{"a":1}');
+      transport.write({}, '{"a":2}');
+
+      expect(chunks.join('')).toBe('{"a":1}\n{"a":2}\n');
+    });
+  });
+
+  describe('createFileTransport()', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = mkdtempSync(join(tmpdir(), 'log-transport-'));
+    });
+
+    afterEach(() => {
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('appends lines, creating missing directories', () => {
+      const filePath = join(dir, 'nested', 'app.log');
+      const transport = createFileTransport({ filePath });
+
+      transport.write({}, 'one');
+      transport.write({}, 'two');
+
+      expect(readFileSync(filePath, 'utf8')).toBe('one\ntwo\n');
+    });
+
+    test('rotates by size and keeps maxFiles rotated files', () => {
+      const filePath = join(dir, 'app.log');
+      const transport = createFileTransport({
+        filePath,
+        maxBytes: 10,
+        maxFiles: 2,
+      });
+
+      ['aaaaaaa', 'bbbbbbb', 'ccccccc', 'ddddddd'].forEach(line =>
+        transport.write({}, line)
+      );
+
+      expect(readdirSync(dir).sort()).toEqual([
+        'app.log',
+        'app.log.1',
+        'app.log.2',
+      ]);
+      expect(readFileSync(filePath, 'utf8')).toBe('ddddddd\n');
+      expect(readFileSync(`${filePath}.1`, 'utf8')).toBe('ccccccc\n');
+      expect(readFileSync(`${filePath}.2`, 'utf8')).toBe('bbbbbbb\n');
+    });
+
+    test('requires a file path', () => {
+      expect(() => createFileTransport()).toThrow(
+        'File transport requires a filePath'
+      );
+    });
+  });
+
+  describe('createMemoryTransport()', () => {
+    test('keeps the latest records up to the limit', () => {
+      const transport = createMemoryTransport({ limit: 2 });
+
+      [1, 2, 3].forEach(n => transport.write({ n }));
+      expect(transport.records).toEqual([{ n: 2 }, { n: 3 }]);
+
+      transport.clear();
+      expect(transport.records).toEqual([]);
+    });
+  });
+});
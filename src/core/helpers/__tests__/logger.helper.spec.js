@@ -0,0 +1,148 @@
+/**
+ * @jest-environment node
+ */
+import { overrideLogOptions } from '../../config/logger.config.js';
+import { createMemoryTransport } from '../log-transports.helper.js';
+import {
+  createLogger,
+  logger,
+  setLogContextProvider,
+  setLogTransports,
+} from '../logger.helper.js';
+import { captureLogs } from '../test-core.helper.js';
+
+describe('Logger', () => {
+  let logs;
+
+  beforeEach(() => {
+    logs = captureLogs('info');
+  });
+
+  afterEach(() => {
+    setLogContextProvider(null);
+    logs.restore();
+  });
+
+  test('writes structured records with time, level and message', () => {
+    logger.info('Server is running', { port: 3000 });
+
+    expect(logs.records).toEqual([
+      {
+        time: expect.any(String),
+        level: 'info',
+        msg: 'Server is running',
+        port: 3000,
+      },
+    ]);
+  });
+
+  test('drops records below the configured level', () => {
+    logger.debug('noisy');
+    logger.warn('kept');
+
+    expect(logs.records.map(record => record.msg)).toEqual(['kept']);
+
+    overrideLogOptions({ LEVEL: 'silent' });
+    logger.fatal('muted');
+    expect(logs.records).toHaveLength(1);
+  });
+
+  test('child loggers add their bindings and share transports', () => {
+    const userLog = logger.child({ module: 'user' });
+    const requestLog = userLog.child({ correlationId: 'req-1' });
+
+    requestLog.warn('Permission denied', { userId: 'u1' });
+
+    expect(logs.records[0]).toMatchObject({
+      module: 'user',
+      correlationId: 'req-1',
+      userId: 'u1',
+    });
+  });
+
+  test('binds context from the registered provider', () => {
+    setLogContextProvider(() => ({ correlationId: 'ctx-9' }));
+
+    logger.info('inside request');
+
+    expect(logs.records[0].correlationId).toBe('ctx-9');
+  });
+
+  test('ignores a failing context provider', () => {
+    setLogContextProvider(() => {
+      throw new Error('no context');
+    });
+
+    logger.info('still logged');
+
+    expect(logs.records[0].msg).toBe('still logged');
+  });
+
+  test('serializes errors with their causes and redacts secrets', () => {
+    logger.error('Login failed', {
+      err: new Error('bad credentials', { cause: new Error('locked') }),
+      password: 'hunter2',
+    });
+
+    expect(logs.records[0]).toMatchObject({
+      err: {
+        name: 'Error',
+        message: 'bad credentials',
+        cause: { name: 'Error', message: 'locked' },
+      },
+      password: '[REDACTED]',
+    });
+  });
+
+  test('accepts an Error or a scalar as fields', () => {
+    logger.error('boom', new TypeError('bad type'));
+    logger.info('count', 3);
+
+    expect(logs.records[0].err).toMatchObject({ name: 'TypeError' });
+    expect(logs.records[1].data).toBe(3);
+  });
+
+  test('keeps logging when a transport throws', () => {
+    const stderr = jest
+      .spyOn(process.stderr, 'write')
+      .mockImplementation(() => true);
+    const memory = createMemoryTransport();
+    setLogTransports([
+      {
+        name: 'broken',
+        write() {
+          throw new Error('disk full');
+        },
+      },
+      memory,
+    ]);
+
+    logger.info('hello');
+
+    expect(memory.records).toHaveLength(1);
+    expect(stderr).toHaveBeenCalledWith('[LOGGER] broken failed: disk full\n');
+    stderr.mockRestore();
+  });
+
+  test('standalone loggers can use their own level and transports', () => {
+    const memory = createMemoryTransport();
+    const audit = createLogger({ level: 'debug', transports: [memory] });
+
+    audit.debug('audit record');
+
+    expect(memory.records).toHaveLength(1);
+    expect(logs.records).toHaveLength(0);
+  });
+
+  test('rejects unknown levels and invalid transports', () => {
+    expect(() => createLogger({ level: 'verbose' })).toThrow(
+      'Unknown log level "verbose"'
+    );
+    expect(() => setLogTransports([{}])).toThrow(
+      'Transports must be an array of { write(record, line) }'
+    );
+    expect(() => setLogContextProvider('nope')).toThrow(
+      'Log context provider must be a function or null'
+    );
+  });
+});
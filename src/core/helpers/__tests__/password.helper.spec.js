@@ -0,0 +1,35 @@
+import { hashPassword, verifyPassword } from '../password.helper.js';
+
+// Low cost keeps the suite fast; the format is the same
+const params = { N: 1024, r: 8, p: 1 };
+
+describe('Password helper', () => {
+  test('hashes with a random salt and verifies', async () => {
+    const first = await hashPassword('correct horse', params);
+    const second = await hashPassword('correct horse', params);
+
+    expect(first).toMatch(/^scrypt\$1024\$8\$1\$[\w-]+\$[\w-]+$/);
+    expect(first).not.toBe(second);
+    expect(await verifyPassword('correct horse', first)).toBe(true);
+    expect(await verifyPassword('Correct horse', first)).toBe(false);
+  });
+
+  test('uses the default cost parameters', async () => {
+    expect(await hashPassword('pw')).toMatch(/^scrypt\$16384\$8\$1\$/);
+  });
+
+  test.each([
+    null,
+    '',
+    'bcrypt$x',
+    'scrypt$a$b$c$salt$key',
+    'scrypt$1024$8$1$$',
+  ])('returns false for unreadable hash %p', async hash => {
+    expect(await verifyPassword('pw', hash)).toBe(false);
+  });
+
+  test('rejects empty passwords', async () => {
+    await expect(hashPassword('')).rejects.toThrow('non-empty string');
+    expect(await verifyPassword(undefined, 'scrypt$1$1$1$a$b')).toBe(false);
+  });
+});
@@ -0,0 +1,109 @@
+import { overrideHttpOptions } from '../../config/http-options.config.js';
+import { HTTP_STATUS } from '../../constants/http-status.constant.js';
+import {
+  buildProblemType,
+  toProblemDetails,
+  wantsProblemDetails,
+} from '../problem-details.helper.js';
+import { HttpResponse } from '../response.helper.js';
+import { resetHttpOptions } from '../test-core.helper.js';
+
+describe('Problem Details helper', () => {
+  afterEach(() => {
+    resetHttpOptions();
+  });
+
+  describe('buildProblemType()', () => {
+    test('uses about:blank when there is no error code', () => {
+      expect(buildProblemType(undefined)).toBe('about:blank');
+    });
+
+    test('joins the configured base URI and the error code', () => {
+      overrideHttpOptions({
+        PROBLEM_TYPE_BASE_URI: 'https://api.example.com/errors/',
+      });
+      expect(buildProblemType('USER_NOT_FOUND')).toBe(
+        'https://api.example.com/errors/USER_NOT_FOUND'
+      );
+    });
+  });
+
+  describe('toProblemDetails()', () => {
+    test('maps envelope fields to RFC 9457 members', () => {
+      const response = HttpResponse.error(
+        'User not found: 42',
+        HTTP_STATUS.NOT_FOUND,
+        { identifier: '42', type: 'user_not_found' },
+        { errorCode: 'USER_NOT_FOUND', correlationId: 'req-1' }
+      );
+
+      expect(toProblemDetails(response)).toEqual({
+        type: '/errors/USER_NOT_FOUND',
+        title: 'Not Found',
+        status: HTTP_STATUS.NOT_FOUND,
+        detail: 'User not found: 42',
+        instance: 'req-1',
+        errorCode: 'USER_NOT_FOUND',
+        timestamp: expect.any(String),
+        identifier: '42',
+      });
+    });
+
+    test('keeps the other meta fields as extension members', () => {
+      const causes = [{ name: 'Error', message: 'db down' }];
+      const response = HttpResponse.error(
+        'Route not found',
+        HTTP_STATUS.NOT_FOUND,
+        { method: 'ignored' },
+        {
+          errorCode: 'ROUTE_NOT_FOUND',
+          method: 'GET',
+          path: '/nope',
+          causes,
+          status: 999,
+        }
+      );
+      const problem = toProblemDetails(response);
+
+      expect(problem).toMatchObject({
+        status: HTTP_STATUS.NOT_FOUND,
+        errorCode: 'ROUTE_NOT_FOUND',
+        method: 'GET',
+        path: '/nope',
+        causes,
+      });
+      expect(problem.correlationId).toBeUndefined();
+    });
+
+    test('non-object error details become a `details` member', () => {
+      const response = HttpResponse.error('bad', HTTP_STATUS.BAD_REQUEST, [1]);
+      const problem = toProblemDetails(response);
+
+      expect(problem.type).toBe('about:blank');
+      expect(problem.details).toEqual([1]);
+      expect(problem.instance).toBeUndefined();
+    });
+  });
+
+  describe('wantsProblemDetails()', () => {
+    const reqAccepting = preferred => ({
+      accepts: jest.fn(() => preferred),
+    });
+
+    test('true when global mode is problem', () => {
+      overrideHttpOptions({ ERROR_RESPONSE_FORMAT: 'problem' });
+      expect(wantsProblemDetails(undefined)).toBe(true);
+    });
+
+    test('negotiates through req.accepts()', () => {
+      expect(wantsProblemDetails(reqAccepting('application/json'))).toBe(false);
+      expect(
+        wantsProblemDetails(reqAccepting('application/problem+json'))
+      ).toBe(true);
+    });
+
+    test('false without a request', () => {
+      expect(wantsProblemDetails(undefined)).toBe(false);
+    });
+  });
+});
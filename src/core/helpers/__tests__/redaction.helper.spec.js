@@ -0,0 +1,152 @@
+/**
+ * @jest-environment node
+ */
+import { overrideHttpOptions } from '../../config/http-options.config.js';
+import {
+  REDACTED,
+  isSensitiveKey,
+  maskIp,
+  maskUserAgent,
+  redact,
+  registerSensitiveFields,
+  resetSensitiveFields,
+} from '../redaction.helper.js';
+import { resetHttpOptions } from '../test-core.helper.js';
+
+describe('Redaction helper', () => {
+  afterEach(() => {
+    resetSensitiveFields();
+    resetHttpOptions();
+  });
+
+  describe('isSensitiveKey()', () => {
+    test.each([
+      'password',
+      'newPassword',
+      'passwd',
+      'accessToken',
+      'refresh_token',
+      'clientSecret',
+      'apiKey',
+      'X-API-KEY',
+      'Authorization',
+      'set-cookie',
+      'cardNumber',
+    ])('%s is sensitive', key => {
+      expect(isSensitiveKey(key)).toBe(true);
+    });
+
+    test.each(['email', 'username', 'passport', 'possibleActions'])(
+      '%s is not sensitive',
+      key => {
+        expect(isSensitiveKey(key)).toBe(false);
+      }
+    );
+
+    test('allow list exempts fields case-insensitively', () => {
+      expect(isSensitiveKey('csrfToken', { allow: ['CSRFTOKEN'] })).toBe(false);
+    });
+
+    test('configured and registered fields are sensitive', () => {
+      overrideHttpOptions({ REDACT_FIELDS: ['otp'] });
+      registerSensitiveFields('pin', /^iban$/i);
+
+      expect(isSensitiveKey('otp')).toBe(true);
+      expect(isSensitiveKey('PIN')).toBe(true);
+      expect(isSensitiveKey('IBAN')).toBe(true);
+      expect(isSensitiveKey('pinned')).toBe(false);
+    });
+
+    test('follows REDACT_FIELDS changes', () => {
+      overrideHttpOptions({ REDACT_FIELDS: ['otp'] });
+      expect(isSensitiveKey('otp')).toBe(true);
+
+      overrideHttpOptions({ REDACT_FIELDS: ['pin'] });
+      expect(isSensitiveKey('otp')).toBe(false);
+      expect(isSensitiveKey('pin')).toBe(true);
+    });
+
+    test('uses patterns resolved by the caller', () => {
+      expect(isSensitiveKey('password', { patterns: [/^otp$/] })).toBe(false);
+      expect(isSensitiveKey('otp', { patterns: [/^otp$/] })).toBe(true);
+    });
+
+    test('rejects invalid registrations', () => {
+      expect(() => registerSensitiveFields('')).toThrow(
+        'Sensitive field must be a non-empty string or a RegExp'
+      );
+    });
+  });
+
+  describe('redact()', () => {
+    test('replaces sensitive values deeply without mutating the input', () => {
+      const input = {
+        email: 'a@b.c',
+        password: 'hunter2',
+        sessions: [{ id: 1, refreshToken: 'r1' }],
+      };
+
+      expect(redact(input)).toEqual({
+        email: 'a@b.c',
+        password: REDACTED,
+        sessions: [{ id: 1, refreshToken: REDACTED }],
+      });
+      expect(input.password).toBe('hunter2');
+    });
+
+    test('redacts the value of descriptors naming a sensitive field', () => {
+      expect(
+        redact({ field: 'password', value: 'hunter2', rule: 'too short' })
+      ).toEqual({ field: 'password', value: REDACTED, rule: 'too short' });
+      expect(redact({ field: 'email', value: 'a@b.c' })).toEqual({
+        field: 'email',
+        value: 'a@b.c',
+      });
+    });
+
+    test('honours per-call opt-outs', () => {
+      const input = { token: 't', password: 'p' };
+
+      expect(redact(input, false)).toBe(input);
+      expect(redact(input, { allow: ['token'] })).toEqual({
+        token: 't',
+        password: REDACTED,
+      });
+    });
+
+    test('can be disabled globally', () => {
+      overrideHttpOptions({ REDACTION_ENABLED: false });
+      const input = { password: 'p' };
+
+      expect(redact(input)).toBe(input);
+    });
+
+    test('handles cycles and keeps non-plain values', () => {
+      const date = new Date(0);
+      const input = { date, secret: 's' };
+      input.self = input;
+
+      const output = redact(input);
+
+      expect(output.date).toBe(date);
+      expect(output.secret).toBe(REDACTED);
+      expect(output.self).toBe(output);
+    });
+  });
+
+  describe('log masking', () => {
+    test('maskIp() keeps the network part only', () => {
+      expect(maskIp('203.0.113.42')).toBe('203.0.113.x');
+      expect(maskIp('::ffff:10.0.0.7')).toBe('10.0.0.x');
+      expect(maskIp('2001:db8:85a3:8d3::1')).toBe('2001:db8:85a3::x');
+      expect(maskIp(undefined)).toBeUndefined();
+    });
+
+    test('maskUserAgent() keeps the product token only', () => {
+      expect(
+        maskUserAgent('Mozilla/5.0 (X11; Linux x86_64) Chrome/120.0 Safari/537')
+      ).toBe('Mozilla/5.0');
+      expect(maskUserAgent('')).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,105 @@
+import { HTTP_OPTIONS } from '../../config/http-options.config.js';
+import { BaseException } from '../error-handler-registry.helper.js';
+import { logger } from '../logger.helper.js';
+import {
+  generateRequestId,
+  getCorrelationId,
+  getHttpOptions,
+  getRequestContext,
+  isSafeRequestId,
+  runWithHttpOptions,
+  runWithRequestContext,
+} from '../request-context.helper.js';
+import { HttpResponse } from '../response.helper.js';
+import { captureLogs } from '../test-core.helper.js';
+
+describe('request context', () => {
+  test('is empty outside a request', () => {
+    expect(getRequestContext()).toBeUndefined();
+    expect(getCorrelationId()).toBeUndefined();
+    expect(new HttpResponse(null, 'OK').meta).not.toHaveProperty(
+      'correlationId'
+    );
+    expect(new BaseException('x').correlationId).toBeUndefined();
+  });
+
+  test('exposes the correlation ID across async boundaries', async () => {
+    const seen = await runWithRequestContext(
+      { correlationId: 'req-1' },
+      async () => {
+        await new Promise(resolve => setTimeout(resolve, 1));
+        return getCorrelationId();
+      }
+    );
+
+    expect(seen).toBe('req-1');
+    expect(getCorrelationId()).toBeUndefined();
+  });
+
+  test('keeps concurrent requests apart', async () => {
+    const run = (id, delay) =>
+      runWithRequestContext({ correlationId: id }, async () => {
+        await new Promise(resolve => setTimeout(resolve, delay));
+        return getCorrelationId();
+      });
+
+    await expect(Promise.all([run('a', 5), run('b', 1)])).resolves.toEqual([
+      'a',
+      'b',
+    ]);
+  });
+
+  test('is picked up by HttpResponse, BaseException and the logger', () => {
+    const logs = captureLogs();
+
+    runWithRequestContext({ correlationId: 'req-2' }, () => {
+      expect(HttpResponse.success({}).meta.correlationId).toBe('req-2');
+      expect(new BaseException('x').correlationId).toBe('req-2');
+      logger.info('inside');
+    });
+
+    expect(logs.records[0].correlationId).toBe('req-2');
+    logs.restore();
+  });
+
+  test('explicit values win over the context', () => {
+    runWithRequestContext({ correlationId: 'req-3' }, () => {
+      expect(
+        HttpResponse.success({}, 'OK', 200, { correlationId: 'custom' }).meta
+          .correlationId
+      ).toBe('custom');
+      expect(
+        new BaseException('x', { correlationId: 'custom' }).correlationId
+      ).toBe('custom');
+    });
+  });
+
+  test('layers HTTP option overrides without touching the global', () => {
+    expect(getHttpOptions()).toBe(HTTP_OPTIONS);
+
+    runWithRequestContext({ correlationId: 'req-4' }, () => {
+      runWithHttpOptions({ USE_STATUS_CODE_IN_RESPONSE: false }, () => {
+        runWithHttpOptions({ ERROR_RESPONSE_FORMAT: 'problem' }, () => {
+          expect(getHttpOptions()).toMatchObject({
+            USE_STATUS_CODE_IN_RESPONSE: false,
+            ERROR_RESPONSE_FORMAT: 'problem',
+            STRICT_CONTROLLER_RETURN: HTTP_OPTIONS.STRICT_CONTROLLER_RETURN,
+          });
+          expect(getCorrelationId()).toBe('req-4');
+        });
+        expect(getHttpOptions().ERROR_RESPONSE_FORMAT).toBe('envelope');
+      });
+    });
+
+    expect(HTTP_OPTIONS.USE_STATUS_CODE_IN_RESPONSE).toBe(true);
+  });
+
+  test('validates client-supplied IDs', () => {
+    expect(isSafeRequestId('abc-123_x.y:z')).toBe(true);
+    expect(isSafeRequestId('')).toBe(false);
+    expect(isSafeRequestId('a'.repeat(129))).toBe(false);
+    expect(isSafeRequestId('bad id\r\n')).toBe(false);
+    expect(isSafeRequestId(undefined)).toBe(false);
+    expect(generateRequestId()).not.toBe(generateRequestId());
+  });
+});
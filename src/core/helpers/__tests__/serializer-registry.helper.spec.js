@@ -0,0 +1,141 @@
+import {
+  DEFAULT_MEDIA_TYPE,
+  getRegisteredSerializers,
+  negotiateSerializer,
+  registerSerializer,
+  resetSerializers,
+  unregisterSerializer,
+} from '../serializer-registry.helper.js';
+
+const reqAccepting = accept => ({
+  // Minimal stand-in for Express' req.accepts(types)
+  accepts: types =>
+    types.find(type => accept === '*/*' || accept.includes(type)) ?? false,
+});
+
+const serialize = (mediaType, body) =>
+  getRegisteredSerializers().get(mediaType)(body);
+
+describe('SerializerRegistry', () => {
+  afterEach(() => {
+    resetSerializers();
+  });
+
+  describe('built-in serializers', () => {
+    const body = {
+      success: true,
+      message: 'Users',
+      data: [
+        { id: 1, name: 'Ann, "A"' },
+        { id: 2, tags: ['x'] },
+      ],
+    };
+
+    test('registers JSON first so it wins for */*', () => {
+      expect([...getRegisteredSerializers().keys()]).toEqual([
+        'application/json',
+        'text/csv',
+        'application/x-ndjson',
+        'application/xml',
+      ]);
+      expect(negotiateSerializer(reqAccepting('*/*')).mediaType).toBe(
+        DEFAULT_MEDIA_TYPE
+      );
+    });
+
+    test('JSON returns the body untouched', () => {
+      expect(serialize('application/json', body)).toBe(body);
+    });
+
+    test('CSV renders data rows with escaped cells', () => {
+      expect(serialize('text/csv', body)).toBe(
+        'id,name,tags\r\n1,"Ann, ""A""",\r\n2,,"[""x""]"\r\n'
+      );
+    });
+
+    test('CSV neutralizes cells that spreadsheets run as formulas', () => {
+      const data = [
+        { name: '=HYPERLINK("http://x")' },
+        { name: '+1' },
+        { name: '-1+2' },
+        { name: '@SUM(A1)' },
+        { name: '\tcmd' },
+        { name: '\rcmd' },
+        { name: -5 },
+      ];
+
+      expect(serialize('text/csv', { data })).toBe(
+        [
+          'name',
+          `"'=HYPERLINK(""http://x"")"`,
+          "'+1",
+          "'-1+2",
+          "'@SUM(A1)",
+          "'\tcmd",
+          `"'\rcmd"`,
+          '-5',
+          '',
+        ].join('\r\n')
+      );
+    });
+
+    test('CSV renders a single object as one row', () => {
+      expect(serialize('text/csv', { data: { a: 1 } })).toBe('a\r\n1\r\n');
+    });
+
+    test('NDJSON renders one line per row', () => {
+      expect(serialize('application/x-ndjson', body)).toBe(
+        '{"id":1,"name":"Ann, \\"A\\""}\n{"id":2,"tags":["x"]}\n'
+      );
+    });
+
+    test('XML renders the whole envelope', () => {
+      expect(
+        serialize('application/xml', {
+          success: true,
+          data: [{ id: 1, 'first name': 'A&B' }],
+          meta: null,
+        })
+      ).toBe(
+        '<?xml version="1.0" encoding="UTF-8"?><response><success>true</success>' +
+          '<data><item><id>1</id><first_name>A&amp;B</first_name></item></data>' +
+          '<meta/></response>'
+      );
+    });
+  });
+
+  describe('registerSerializer / unregisterSerializer', () => {
+    test('custom serializer can be negotiated', () => {
+      const yaml = jest.fn(() => 'yaml');
+      registerSerializer('Text/YAML', yaml);
+
+      const negotiated = negotiateSerializer(reqAccepting('text/yaml'));
+      expect(negotiated.mediaType).toBe('text/yaml');
+      expect(negotiated.serialize).toBe(yaml);
+    });
+
+    test('rejects invalid media types and serializers', () => {
+      expect(() => registerSerializer('csv', () => '')).toThrow(
+        'Media type must be a string like "type/subtype"'
+      );
+      expect(() => registerSerializer('text/csv', 'nope')).toThrow(
+        'Serializer must be a function'
+      );
+    });
+
+    test('unregistered media types are no longer negotiable', () => {
+      expect(unregisterSerializer('application/xml')).toBe(true);
+      expect(negotiateSerializer(reqAccepting('application/xml'))).toBeNull();
+    });
+  });
+
+  describe('negotiateSerializer', () => {
+    test('falls back to JSON without a request', () => {
+      expect(negotiateSerializer(undefined).mediaType).toBe('application/json');
+    });
+
+    test('returns null when nothing is acceptable', () => {
+      expect(negotiateSerializer(reqAccepting('image/png'))).toBeNull();
+    });
+  });
+});
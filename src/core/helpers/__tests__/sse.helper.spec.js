@@ -0,0 +1,134 @@
+import { setTimeout as delay } from 'node:timers/promises';
+
+import { HttpResponse } from '../response.helper.js';
+import {
+  formatSseEvent,
+  getLastEventId,
+  sendEventStream,
+} from '../sse.helper.js';
+import { createMockStreamRes } from '../test-core.helper.js';
+
+async function* fromArray(items) {
+  for (const item of items) yield item;
+}
+
+describe('SSE helper', () => {
+  describe('formatSseEvent()', () => {
+    test('formats id, event, retry and data fields', () => {
+      expect(
+        formatSseEvent({ id: 7, event: 'user.state', retry: 1000, data: 'hi' })
+      ).toBe('id: 7\nevent: user.state\nretry: 1000\ndata: hi\n\n');
+    });
+
+    test('JSON-encodes non-string data and splits multi-line strings', () => {
+      expect(formatSseEvent({ data: { a: 1 } })).toBe('data: {"a":1}\n\n');
+      expect(formatSseEvent('line1\nline2')).toBe(
+        'data: line1\ndata: line2\n\n'
+      );
+    });
+
+    test('objects with other keys are sent as data', () => {
+      expect(formatSseEvent({ userId: 1 })).toBe('data: {"userId":1}\n\n');
+    });
+
+    test('strips newlines from id and event fields', () => {
+      expect(formatSseEvent({ id: 'a\nb', data: 'x' })).toBe(
+        'id: a b\ndata: x\n\n'
+      );
+    });
+  });
+
+  describe('getLastEventId()', () => {
+    test('reads the Last-Event-ID header then the query fallback', () => {
+      expect(getLastEventId({ headers: { 'last-event-id': '5' } })).toBe('5');
+      expect(getLastEventId({ headers: {}, query: { lastEventId: '3' } })).toBe(
+        '3'
+      );
+      expect(getLastEventId(undefined)).toBeUndefined();
+    });
+  });
+
+  describe('sendEventStream()', () => {
+    test('writes SSE headers, retry hint and events, then ends', async () => {
+      const res = createMockStreamRes();
+      await sendEventStream(res, {
+        source: fromArray([{ id: 1, data: 'a' }, 'b']),
+        retry: 2000,
+        heartbeatMs: 0,
+      });
+
+      expect(res.headers['content-type']).toBe('text/event-stream');
+      expect(res.headers['cache-control']).toBe('no-cache, no-transform');
+      expect(res.text()).toBe('retry: 2000\n\nid: 1\ndata: a\n\ndata: b\n\n');
+      expect(res.writableEnded).toBe(true);
+    });
+
+    test('passes lastEventId and an abort signal to source factories', async () => {
+      const res = createMockStreamRes();
+      res.req = { headers: { 'last-event-id': '41' } };
+      const factory = jest.fn(() => fromArray([]));
+
+      await sendEventStream(res, { source: factory, heartbeatMs: 0 });
+
+      expect(factory).toHaveBeenCalledWith({
+        lastEventId: '41',
+        signal: expect.any(AbortSignal),
+      });
+    });
+
+    test('sends heartbeat comments while idle', async () => {
+      const res = createMockStreamRes();
+      async function* slow() {
+        await delay(35);
+        yield 'done';
+      }
+
+      await sendEventStream(res, { source: slow(), heartbeatMs: 10 });
+
+      expect(res.text()).toMatch(/^(: heartbeat\n\n)+data: done\n\n$/);
+    });
+
+    test('aborts the source signal when the client disconnects', async () => {
+      const res = createMockStreamRes();
+      let receivedSignal;
+      const source = async function* ({ signal }) {
+        receivedSignal = signal;
+        yield 'first';
+        await new Promise((_resolve, reject) =>
+          signal.addEventListener('abort', () => {
+            const err = new Error('aborted');
+            err.name = 'AbortError';
+            reject(err);
+          })
+        );
+      };
+
+      const done = sendEventStream(res, { source, heartbeatMs: 0 });
+      await delay(5);
+      res.destroy();
+      await done;
+
+      expect(receivedSignal.aborted).toBe(true);
+      expect(res.text()).toBe('data: first\n\n');
+    });
+
+    test('rejects before writing headers when the source is invalid', async () => {
+      const res = createMockStreamRes();
+      await expect(
+        sendEventStream(res, { source: () => 42, heartbeatMs: 0 })
+      ).rejects.toThrow('Event stream source must be an async iterable');
+      expect(res.status).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('HttpResponse.eventStream()', () => {
+    test('send() streams the events', async () => {
+      const res = createMockStreamRes();
+      await HttpResponse.eventStream(fromArray(['x']), {
+        heartbeatMs: 0,
+      }).send(res);
+
+      expect(res.text()).toBe('data: x\n\n');
+    });
+  });
+});
@@ -0,0 +1,182 @@
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Readable } from 'node:stream';
+
+import { HTTP_STATUS } from '../../constants/http-status.constant.js';
+import { HttpResponse } from '../response.helper.js';
+import {
+  formatContentDisposition,
+  isAsyncIterable,
+  isReadableStream,
+  isStreamable,
+  sendStream,
+} from '../stream.helper.js';
+import { createMockStreamRes } from '../test-core.helper.js';
+
+async function* lines() {
+  yield 'a\n';
+  yield 'b\n';
+}
+
+describe('stream helper', () => {
+  describe('type guards', () => {
+    test('detect streams, async iterables and buffers', () => {
+      expect(isReadableStream(Readable.from(['x']))).toBe(true);
+      expect(isAsyncIterable(lines())).toBe(true);
+      expect(isStreamable(Buffer.from('x'))).toBe(true);
+    });
+
+    test('plain values are not streamable', () => {
+      expect(isStreamable({ a: 1 })).toBe(false);
+      expect(isStreamable([1, 2])).toBe(false);
+      expect(isStreamable('text')).toBe(false);
+      expect(isStreamable(null)).toBe(false);
+    });
+  });
+
+  describe('formatContentDisposition()', () => {
+    test('adds ASCII fallback and UTF-8 encoded name', () => {
+      expect(formatContentDisposition('báo cáo.csv')).toBe(
+        `attachment; filename="b_o c_o.csv"; filename*=UTF-8''b%C3%A1o%20c%C3%A1o.csv`
+      );
+      expect(formatContentDisposition('a.pdf', 'inline')).toMatch(/^inline;/);
+    });
+  });
+
+  describe('sendStream()', () => {
+    let dir;
+
+    beforeAll(async () => {
+      dir = await mkdtemp(join(tmpdir(), 'stream-helper-'));
+      await writeFile(join(dir, 'users.csv'), 'id\n1\n');
+    });
+
+    afterAll(async () => {
+      await rm(dir, { recursive: true, force: true });
+    });
+
+    test('pipes an async iterable', async () => {
+      const res = createMockStreamRes();
+      await sendStream(
+        res,
+        { source: lines(), contentType: 'text/plain' },
+        200
+      );
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.OK);
+      expect(res.headers['content-type']).toBe('text/plain');
+      expect(res.text()).toBe('a\nb\n');
+    });
+
+    test('sets Content-Length for buffers and Content-Disposition when named', async () => {
+      const res = createMockStreamRes();
+      await sendStream(
+        res,
+        { source: Buffer.from('hello'), filename: 'hello.txt' },
+        200
+      );
+
+      expect(res.headers['content-type']).toBe('application/octet-stream');
+      expect(res.headers['content-length']).toBe('5');
+      expect(res.headers['content-disposition']).toMatch(
+        /^attachment; filename="hello.txt"/
+      );
+      expect(res.text()).toBe('hello');
+    });
+
+    test('sends files as downloads with size and extension type', async () => {
+      const res = createMockStreamRes();
+      await sendStream(res, { filePath: join(dir, 'users.csv') }, 200);
+
+      expect(res.type).toHaveBeenCalledWith('.csv');
+      expect(res.headers['content-length']).toBe('5');
+      expect(res.headers['content-disposition']).toMatch(
+        /filename="users.csv"/
+      );
+      expect(res.text()).toBe('id\n1\n');
+    });
+
+    test('missing file rejects before any header is written', async () => {
+      const res = createMockStreamRes();
+      await expect(
+        sendStream(res, { filePath: join(dir, 'nope.csv') }, 200)
+      ).rejects.toThrow(/ENOENT/);
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
+    test('error before the first chunk rejects and clears stream headers', async () => {
+      const res = createMockStreamRes();
+      const failing = new Readable({
+        read() {
+          this.destroy(new Error('source failed'));
+        },
+      });
+
+      await expect(
+        sendStream(res, { source: failing, filename: 'x.bin' }, 200)
+      ).rejects.toThrow('source failed');
+      expect(res.headersSent).toBe(false);
+      expect(res.headers).toEqual({});
+    });
+
+    test('error after data was sent aborts the response', async () => {
+      const res = createMockStreamRes();
+      async function* partial() {
+        yield 'first';
+        throw new Error('mid-stream');
+      }
+
+      await expect(
+        sendStream(res, { source: partial() }, 200)
+      ).resolves.toBeUndefined();
+      expect(res.text()).toBe('first');
+      expect(res.destroyed).toBe(true);
+    });
+
+    test('handles every error a source emits and ends the response once', async () => {
+      const res = createMockStreamRes();
+      const failing = new Readable({
+        read() {
+          this.emit('error', new Error('first failure'));
+          this.emit('error', new Error('second failure'));
+        },
+      });
+
+      await expect(sendStream(res, { source: failing }, 200)).rejects.toThrow(
+        'first failure'
+      );
+      expect(failing.listenerCount('error')).toBeGreaterThan(0);
+      expect(() => failing.emit('error', new Error('late'))).not.toThrow();
+      expect(res.headersSent).toBe(false);
+    });
+
+    test('rejects unsupported sources', async () => {
+      const res = createMockStreamRes();
+      await expect(sendStream(res, { source: 42 }, 200)).rejects.toThrow(
+        TypeError
+      );
+    });
+  });
+
+  describe('HttpResponse.stream() / HttpResponse.file()', () => {
+    test('send() pipes the stream with the requested status', async () => {
+      const res = createMockStreamRes();
+      await HttpResponse.stream(Readable.from(['x', 'y']), {
+        contentType: 'text/plain',
+        statusCode: HTTP_STATUS.ACCEPTED,
+      }).send(res);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.ACCEPTED);
+      expect(res.text()).toBe('xy');
+    });
+
+    test('file() keeps its descriptor', () => {
+      const response = HttpResponse.file('/tmp/report.pdf', { inline: true });
+      expect(response.stream).toEqual({
+        filePath: '/tmp/report.pdf',
+        inline: true,
+      });
+    });
+  });
+});
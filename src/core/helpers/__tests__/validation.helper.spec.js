@@ -0,0 +1,266 @@
+import {
+  assignParsedValues,
+  defineSchema,
+  parseRequest,
+  validateRequest,
+} from '../validation.helper.js';
+
+describe('defineSchema()', () => {
+  test('returns the schema when it is well formed', () => {
+    const schema = { body: { email: { type: 'email', required: true } } };
+    expect(defineSchema(schema)).toBe(schema);
+  });
+
+  test('rejects unknown locations', () => {
+    expect(() => defineSchema({ cookies: {} })).toThrow(
+      /Unknown schema location "cookies"/
+    );
+  });
+
+  test('rejects unknown types and rule keys', () => {
+    expect(() => defineSchema({ body: { a: { type: 'uuid' } } })).toThrow(
+      'Unknown schema type "uuid" for "body.a"'
+    );
+    expect(() => defineSchema({ body: { a: { minimum: 1 } } })).toThrow(
+      'Unknown schema rule "minimum" for "body.a"'
+    );
+  });
+
+  test('validates nested item and property rules', () => {
+    expect(() =>
+      defineSchema({ body: { tags: { type: 'array', items: { type: 'x' } } } })
+    ).toThrow('Unknown schema type "x" for "body.tags[]"');
+  });
+});
+
+describe('validateRequest()', () => {
+  const schema = defineSchema({
+    params: { id: { type: 'string', required: true } },
+    body: {
+      email: { type: 'email', required: true },
+      username: { type: 'string', minLength: 3, maxLength: 20 },
+      role: { type: 'string', enum: ['user', 'admin'] },
+      age: { type: 'integer', min: 18 },
+    },
+    headers: { 'X-Tenant-Id': { type: 'string', required: true } },
+  });
+
+  test('returns no errors for a valid request', () => {
+    const req = {
+      params: { id: 'u1' },
+      body: { email: 'a@b.co', username: 'alice', role: 'admin', age: 30 },
+      headers: { 'x-tenant-id': 't1' },
+    };
+    expect(validateRequest(req, schema)).toEqual([]);
+  });
+
+  test('collects every failing field instead of stopping at the first', () => {
+    const req = {
+      params: {},
+      body: { email: 'not-an-email', username: 'al', role: 'root', age: 12 },
+      headers: {},
+    };
+
+    expect(validateRequest(req, schema)).toEqual([
+      {
+        location: 'params',
+        field: 'id',
+        rule: 'required',
+        message: 'id is required',
+      },
+      {
+        location: 'body',
+        field: 'email',
+        rule: 'type',
+        message: 'email must be a valid email',
+      },
+      {
+        location: 'body',
+        field: 'username',
+        rule: 'minLength',
+        message: 'username must have at least 3 characters',
+      },
+      {
+        location: 'body',
+        field: 'role',
+        rule: 'enum',
+        message: 'role must be one of: user, admin',
+      },
+      {
+        location: 'body',
+        field: 'age',
+        rule: 'min',
+        message: 'age must be greater than or equal to 18',
+      },
+      {
+        location: 'headers',
+        field: 'X-Tenant-Id',
+        rule: 'required',
+        message: 'X-Tenant-Id is required',
+      },
+    ]);
+  });
+
+  test('skips optional fields that are missing', () => {
+    const req = { body: {} };
+    const result = validateRequest(req, {
+      body: { nickname: { type: 'string', minLength: 2 } },
+    });
+    expect(result).toEqual([]);
+  });
+
+  test('validates array items and nested object properties', () => {
+    const req = {
+      body: {
+        tags: ['ok', 1],
+        address: { city: '', zip: 'abc' },
+      },
+    };
+    const errors = validateRequest(req, {
+      body: {
+        tags: { type: 'array', items: { type: 'string' } },
+        address: {
+          type: 'object',
+          properties: {
+            city: { type: 'string', required: true },
+            zip: { type: 'string', pattern: /^\d{5}$/ },
+          },
+        },
+      },
+    });
+
+    expect(errors.map(e => `${e.field}:${e.rule}`)).toEqual([
+      'tags[1]:type',
+      'address.city:required',
+      'address.zip:pattern',
+    ]);
+  });
+
+  test('custom validate() messages and rule-level message overrides', () => {
+    const req = { body: { password: 'short', confirm: 'x' } };
+    const errors = validateRequest(req, {
+      body: {
+        password: {
+          type: 'string',
+          validate: value => value.length >= 8 || 'password is too weak',
+        },
+        confirm: { type: 'integer', message: 'confirm must be a number' },
+      },
+    });
+
+    expect(errors).toEqual([
+      expect.objectContaining({
+        field: 'password',
+        rule: 'validate',
+        message: 'password is too weak',
+      }),
+      expect.objectContaining({
+        field: 'confirm',
+        rule: 'type',
+        message: 'confirm must be a number',
+      }),
+    ]);
+  });
+});
+
+describe('parseRequest()', () => {
+  const schema = defineSchema({
+    query: {
+      page: { type: 'integer', default: 1, min: 1 },
+      limit: { type: 'integer', default: 10, min: 1, max: 100 },
+      active: { type: 'boolean' },
+      sort: { type: 'string', enum: ['asc', 'desc'], default: 'asc' },
+      ids: { type: 'array', items: { type: 'integer' } },
+      since: { type: 'date' },
+    },
+  });
+
+  test('coerces query strings into typed values', () => {
+    const { errors, values } = parseRequest(
+      {
+        query: {
+          page: '2',
+          limit: '50',
+          active: 'true',
+          sort: 'desc',
+          ids: '1,2,3',
+          since: '2024-01-01',
+        },
+      },
+      schema
+    );
+
+    expect(errors).toEqual([]);
+    expect(values.query).toEqual({
+      page: 2,
+      limit: 50,
+      active: true,
+      sort: 'desc',
+      ids: [1, 2, 3],
+      since: new Date('2024-01-01'),
+    });
+  });
+
+  test('applies defaults for absent values', () => {
+    const { values } = parseRequest({ query: {} }, schema);
+    expect(values.query).toEqual({ page: 1, limit: 10, sort: 'asc' });
+  });
+
+  test('reports coercion failures and bounds in the validation envelope shape', () => {
+    const { errors } = parseRequest(
+      { query: { page: 'abc', limit: '500', ids: '1,x', since: 'yesterday' } },
+      schema
+    );
+
+    expect(errors.map(e => `${e.field}:${e.rule}`)).toEqual([
+      'page:type',
+      'limit:max',
+      'ids[1]:type',
+      'since:type',
+    ]);
+    expect(errors[0]).toEqual({
+      location: 'query',
+      field: 'page',
+      rule: 'type',
+      message: 'page must be a valid integer',
+    });
+  });
+
+  test('does not coerce body values unless asked to', () => {
+    const { errors, values } = parseRequest(
+      { body: { age: '30', score: '4' } },
+      {
+        body: {
+          age: { type: 'integer' },
+          score: { type: 'integer', coerce: true },
+        },
+      }
+    );
+
+    expect(errors.map(e => e.field)).toEqual(['age']);
+    expect(values.body.score).toBe(4);
+  });
+});
+
+describe('assignParsedValues()', () => {
+  test('shadows getter-based req.query and merges unknown keys', () => {
+    const proto = {
+      get query() {
+        return { page: '2', extra: 'x' };
+      },
+    };
+    const req = Object.create(proto);
+    req.params = { id: '7' };
+    req.headers = { 'x-a': '1' };
+
+    assignParsedValues(req, {
+      query: { page: 2 },
+      params: { id: 7 },
+      headers: { 'x-a': 1 },
+    });
+
+    expect(req.query).toEqual({ page: 2, extra: 'x' });
+    expect(req.params).toEqual({ id: 7 });
+    expect(req.headers).toEqual({ 'x-a': '1' });
+  });
+});
@@ -1,3 +1,5 @@
+import { Readable } from 'node:stream';
+
 import { overrideHttpOptions } from '../../config/http-options.config.js';
 import { HTTP_STATUS } from '../../constants/http-status.constant.js';
 import { BaseException } from '../error-handler-registry.helper.js';
@@ -5,6 +7,7 @@ import { HttpResponse, wrapController } from '../http.helper.js';
 import {
   createMockNext,
   createMockRes,
+  createMockStreamRes,
   resetHttpOptions,
 } from '../test-core.helper.js';
 
@@ -112,3 +115,153 @@ describe('wrapController()', () => {
     expect(res.body).toBe('free');
   });
 });
+
+describe('wrapController() – schema option', () => {
+  const schema = {
+    body: {
+      email: { type: 'email', required: true },
+      username: { type: 'string', minLength: 3 },
+    },
+  };
+
+  test('rejects invalid request with validationError before controller runs', async () => {
+    const controller = jest.fn(() => ({ ok: true }));
+    const handler = wrapController(controller, { schema });
+    const res = createMockRes();
+    const next = createMockNext();
+
+    await handler({ body: { username: 'al' } }, res, next);
+
+    expect(controller).not.toHaveBeenCalled();
+    expect(next).toHaveBeenCalledTimes(1);
+    const response = next.mock.calls[0][0];
+    expect(response).toBeInstanceOf(HttpResponse);
+    expect(response.statusCode).toBe(HTTP_STATUS.BAD_REQUEST);
+    expect(response.data.type).toBe('validation');
+    expect(response.data.errors.map(e => e.field)).toEqual([
+      'email',
+      'username',
+    ]);
+  });
+
+  test('calls controller when request is valid', async () => {
+    const controller = jest.fn(() => ({ ok: true }));
+    const handler = wrapController(controller, { schema });
+    const res = createMockRes();
+    const next = createMockNext();
+
+    await handler({ body: { email: 'a@b.co' } }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(controller).toHaveBeenCalledTimes(1);
+    expect(res.body.data).toEqual({ ok: true });
+  });
+
+  test('invalid schema throws at definition time', () => {
+    expect(() =>
+      wrapController(() => null, { schema: { body: { a: { type: 'nope' } } } })
+    ).toThrow('Unknown schema type "nope" for "body.a"');
+  });
+});
+
+describe('wrapController() – query coercion', () => {
+  test('controller receives typed req.query with defaults', async () => {
+    const controller = jest.fn(req => req.query);
+    const handler = wrapController(controller, {
+      schema: {
+        query: {
+          page: { type: 'integer', default: 1, min: 1 },
+          limit: { type: 'integer', default: 10 },
+        },
+      },
+    });
+    const res = createMockRes();
+    const next = createMockNext();
+
+    await handler({ query: { page: '3' } }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.body.data).toEqual({ page: 3, limit: 10 });
+  });
+
+  test('out-of-range query value is rejected with validationError', async () => {
+    const handler = wrapController(() => ({}), {
+      schema: { query: { page: { type: 'integer', min: 1 } } },
+    });
+    const next = createMockNext();
+
+    await handler({ query: { page: '0' } }, createMockRes(), next);
+
+    const response = next.mock.calls[0][0];
+    expect(response).toBeInstanceOf(HttpResponse);
+    expect(response.data.errors).toEqual([
+      {
+        location: 'query',
+        field: 'page',
+        rule: 'min',
+        message: 'page must be greater than or equal to 1',
+      },
+    ]);
+  });
+});
+
+describe('wrapController() – streaming results', () => {
+  test('returned Buffer is streamed without allowRes', async () => {
+    const handler = wrapController(() => Buffer.from('raw'));
+    const res = createMockStreamRes();
+    const next = createMockNext();
+
+    await handler({}, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.headers['content-length']).toBe('3');
+    expect(res.text()).toBe('raw');
+  });
+
+  test('stream error before first byte is forwarded to next()', async () => {
+    const failing = new Readable({
+      read() {
+        this.destroy(new Error('export failed'));
+      },
+    });
+    const handler = wrapController(() => failing);
+    const res = createMockStreamRes();
+    const next = createMockNext();
+
+    await handler({}, res, next);
+
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(next.mock.calls[0][0].message).toBe('export failed');
+  });
+});
+
+describe('wrapController() – per-route httpOptions', () => {
+  afterEach(() => {
+    resetHttpOptions();
+  });
+
+  test('overrides apply to this route only', async () => {
+    overrideHttpOptions({ STRICT_CONTROLLER_RETURN: true });
+    const noReturn = () => undefined;
+
+    const legacy = await callWrapped(noReturn, {
+      httpOptions: {
+        STRICT_CONTROLLER_RETURN: false,
+        USE_STATUS_CODE_IN_RESPONSE: false,
+      },
+    });
+    expect(legacy.res.statusCode).toBe(HTTP_STATUS.OK);
+    expect(legacy.res.body).not.toHaveProperty('statusCode');
+
+    const strict = await callWrapped(noReturn);
+    expect(strict.next.mock.calls[0][0]).toBeInstanceOf(BaseException);
+  });
+
+  test('invalid overrides throw at definition time', () => {
+    expect(() =>
+      wrapController(simpleObjectController, {
+        httpOptions: { STRICT_CONTROLER_RETURN: false },
+      })
+    ).toThrow('STRICT_CONTROLER_RETURN: is not a known option');
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * src/core/helpers/access-control.helper.js
+ * --------------------------------------------------
+ * Role-based access control.
+ *
+ * Permissions are `action:resource` strings, e.g. `delete:user`. Checks
+ * name a resource type, optionally followed by an id (`user:42`), and a
+ * permission grants:
+ *   - `update:user`    → update any user
+ *   - `update:user:42` → update user 42 only
+ *   - `*:user`         → every action on users; `read:*` reads anything
+ *
+ * Roles inherit the permissions of the roles they list in `inherits`.
+ * `own` permissions apply only to resources the principal owns, as decided
+ * by the `owners` rule of the resource type ("users may update themselves").
+ *
+ * Example:
+ *   const acl = createAccessControl({
+ *     roles: {
+ *       user: { own: ['update:user'] },
+ *       admin: { inherits: ['user'], permissions: ['*:user'] },
+ *     },
+ *     owners: { user: (principal, id) => principal.id === id },
+ *   });
+ *   acl.can({ id: '42', roles: ['user'] }, 'update', 'user:42'); // true
+ */
+import { safeGet } from '../utils/safe-get.util.js';
+import { isArray, isPlainObject, isString } from '../utils/type-check.util.js';
+
+const WILDCARD = '*';
+
+/**
+ * Split `type:id` (the id may itself contain colons)
+ */
+function parseResource(resource) {
+  const separator = resource.indexOf(':');
+  if (separator === -1) return { type: resource, id: null };
+  return {
+    type: resource.slice(0, separator),
+    id: resource.slice(separator + 1),
+  };
+}
+
+function parsePermission(permission, role) {
+  const separator = isString(permission) ? permission.indexOf(':') : -1;
+  if (separator <= 0 || separator === permission.length - 1) {
+    throw new Error(
+      `Role "${role}" has an invalid permission ${JSON.stringify(permission)}; expected "action:resource"`
+    );
+  }
+  return {
+    action: permission.slice(0, separator),
+    ...parseResource(permission.slice(separator + 1)),
+  };
+}
+
+function grants(permission, action, resource) {
+  return (
+    (permission.action === WILDCARD || permission.action === action) &&
+    (permission.type === WILDCARD || permission.type === resource.type) &&
+    (permission.id === null || permission.id === resource.id)
+  );
+}
+
+/**
+ * @param {Object} options
+ * @param {Object<string, {inherits?: string[], permissions?: string[], own?: string[]}>} options.roles
+ * @param {Object<string, Function>} options.owners - Per resource type,
+ *        `(principal, id) => boolean`; needed by `own` permissions
+ * @returns {Object} `{ can, getPermissions, roles }`
+ * @throws {Error} Invalid permission, unknown or circular inheritance
+ */
+export function createAccessControl(options = {}) {
+  const { roles = {}, owners = {} } = options;
+  if (!isPlainObject(roles)) {
+    throw new Error('Access control roles must be an object');
+  }
+
+  // role → { permissions, own }, with inherited entries resolved
+  const resolved = new Map();
+
+  function resolve(role, path = []) {
+    if (resolved.has(role)) return resolved.get(role);
+    if (path.includes(role)) {
+      throw new Error(
+        `Circular role inheritance: ${[...path, role].join(' → ')}`
+      );
+    }
+
+    const definition = safeGet(roles, role);
+    if (!isPlainObject(definition)) {
+      throw new Error(
+        path.length > 0
+          ? `Role "${path.at(-1)}" inherits unknown role "${role}"`
+          : `Unknown role "${role}"`
+      );
+    }
+
+    const { inherits = [], permissions = [], own = [] } = definition;
+    if (![inherits, permissions, own].every(isArray)) {
+      throw new Error(
+        `Role "${role}" needs arrays for inherits, permissions and own`
+      );
+    }
+
+    const entry = {
+      permissions: permissions.map(p => parsePermission(p, role)),
+      own: own.map(p => parsePermission(p, role)),
+    };
+    for (const parent of inherits) {
+      const inherited = resolve(parent, [...path, role]);
+      entry.permissions.push(...inherited.permissions);
+      entry.own.push(...inherited.own);
+    }
+
+    for (const { type } of entry.own) {
+      if (typeof safeGet(owners, type) !== 'function') {
+        throw new Error(
+          `Role "${role}" has own permissions on "${type}" but no owner rule`
+        );
+      }
+    }
+
+    resolved.set(role, entry);
+    return entry;
+  }
+
+  // Fail at startup rather than on the first check
+  for (const role of Object.keys(roles)) resolve(role);
+
+  /**
+   * Whether `principal` may perform `action` on `resource`
+   * @param {{id: string, roles: string[]}} principal - Unknown roles grant nothing
+   * @param {string} action - e.g. `delete`
+   * @param {string} resource - `type` or `type:id`, e.g. `user:42`
+   * @returns {boolean}
+   */
+  function can(principal, action, resource) {
+    const target = parseResource(resource);
+    const principalRoles = isArray(principal?.roles) ? principal.roles : [];
+
+    return principalRoles.some(role => {
+      if (!resolved.has(role)) return false;
+      const { permissions, own } = resolved.get(role);
+
+      if (permissions.some(p => grants(p, action, target))) return true;
+      return (
+        target.id !== null &&
+        own.some(p => grants(p, action, target)) &&
+        safeGet(owners, target.type)(principal, target.id) === true
+      );
+    });
+  }
+
+  /**
+   * Permissions of a role, inherited ones included
+   * @param {string} role
+   * @returns {{permissions: string[], own: string[]}}
+   */
+  function getPermissions(role) {
+    const format = p =>
+      `${p.action}:${p.type}${p.id === null ? '' : `:${p.id}`}`;
+    const { permissions, own } = resolve(role);
+
+    return {
+      permissions: [...new Set(permissions.map(format))],
+      own: [...new Set(own.map(format))],
+    };
+  }
+
+  return Object.freeze({
+    can,
+    getPermissions,
+    roles: Object.freeze(Object.keys(roles)),
+  });
+}
+
+/**
+ * Fill `{param}` placeholders of a resource template
+ * @param {string} template - e.g. `user:{id}`
+ * @param {Object} params - e.g. `req.params`
+ * @returns {string}
+ * @throws {Error} A placeholder has no value
+ */
+export function formatResource(template, params = {}) {
+  return template.replace(/\{(\w+)\}/g, (_match, name) => {
+    const value = safeGet(params, name);
+    if (value === undefined || value === null || value === '') {
+      throw new Error(`Resource "${template}" needs a value for {${name}}`);
+    }
+    return String(value);
+  });
+}
+
+export default {
+  createAccessControl,
+  formatResource,
+};
@@ -0,0 +1,79 @@
+/**
+ * src/core/helpers/body-parser-error.helper.js
+ * --------------------------------------------------
+ * Map errors raised by Express body parsers (`express.json()`,
+ * `express.urlencoded()`, ...) to client-error responses.
+ *
+ * Parsers reject with an http-errors instance carrying a `type` such as
+ * `entity.parse.failed`. Without this mapping they reach the generic branch
+ * of `globalErrorHandler` and become a 500 that leaks the parser message.
+ *
+ *   entity.parse.failed   → 400 MALFORMED_REQUEST_BODY
+ *   entity.too.large      → 413 PAYLOAD_TOO_LARGE (meta.limit)
+ *   charset.unsupported   → 415 UNSUPPORTED_CHARSET (meta.charset)
+ *   encoding.unsupported  → 415 UNSUPPORTED_CONTENT_ENCODING (meta.encoding)
+ */
+import { safeGet } from '../utils/safe-get.util.js';
+import { isNullish } from '../utils/type-check.util.js';
+
+import { CORE_ERROR_CODES, getErrorCode } from './error-catalog.helper.js';
+import { HttpResponse } from './response.helper.js';
+
+/**
+ * Parser error type → catalog code and the error field echoed in meta
+ * Format: Map<type, { errorCode, detail? }>
+ */
+const BODY_PARSER_ERRORS = new Map([
+  [
+    'entity.parse.failed',
+    { errorCode: CORE_ERROR_CODES.MALFORMED_REQUEST_BODY },
+  ],
+  [
+    'entity.too.large',
+    { errorCode: CORE_ERROR_CODES.PAYLOAD_TOO_LARGE, detail: 'limit' },
+  ],
+  [
+    'charset.unsupported',
+    { errorCode: CORE_ERROR_CODES.UNSUPPORTED_CHARSET, detail: 'charset' },
+  ],
+  [
+    'encoding.unsupported',
+    {
+      errorCode: CORE_ERROR_CODES.UNSUPPORTED_CONTENT_ENCODING,
+      detail: 'encoding',
+    },
+  ],
+]);
+
+/**
+ * Check whether an error comes from a body parser and has a mapping
+ * @param {*} err
+ * @returns {boolean}
+ */
+export function isBodyParserError(err) {
+  return BODY_PARSER_ERRORS.has(err?.type);
+}
+
+/**
+ * Build the client-error response for a body-parser error
+ * @param {Error} err
+ * @returns {HttpResponse|null} - null when `err` is not a mapped parser error
+ */
+export function toBodyParserResponse(err) {
+  const mapping = BODY_PARSER_ERRORS.get(err?.type);
+  if (!mapping) return null;
+
+  const { errorCode, detail } = mapping;
+  const { status, message } = getErrorCode(errorCode);
+  const detailValue = detail === undefined ? undefined : safeGet(err, detail);
+
+  return HttpResponse.error(message, status, null, {
+    errorCode,
+    ...(isNullish(detailValue) ? {} : { [detail]: detailValue }),
+  });
+}
+
+export default {
+  isBodyParserError,
+  toBodyParserResponse,
+};
@@ -0,0 +1,388 @@
+/**
+ * src/core/helpers/config-loader.helper.js
+ * --------------------------------------------------
+ * Typed configuration loading with fail-fast validation.
+ *
+ * Each option declares its type, default, environment variable and rules
+ * (same vocabulary as request schemas: `enum`, `min`, `max`, `items`).
+ * Values are read from, in increasing precedence:
+ *
+ *   1. `default`
+ *   2. a config file: `.env` (KEY=VALUE) or JSON (`{ "KEY": value }`), keyed
+ *      by environment variable name. Chosen by `--config-file=<path>` or
+ *      `CONFIG_FILE`; `./.env` is used when present otherwise
+ *   3. `process.env`
+ *   4. CLI flags: `--http-default-status-code=404` (kebab-cased env name;
+ *      a bare `--flag` means `true`)
+ *
+ * Every invalid value is collected and reported at once through a
+ * `ConfigValidationError`, so startup fails with the full list instead of
+ * the first problem. The loaded object is deep-frozen with `defineConst`;
+ * `applyConfigOverrides` is the only way to derive a changed copy (tests).
+ *
+ * Example:
+ *   const schema = defineConfigSchema({
+ *     PORT: { type: 'integer', default: 3000, env: 'PORT', min: 1, max: 65535 },
+ *   });
+ *   const CONFIG = loadConfig(schema);
+ */
+import { existsSync, readFileSync } from 'node:fs';
+import { extname } from 'node:path';
+
+import { coerceValue } from '../utils/coerce.util.js';
+import defineConstModule from '../utils/define-const.util.js';
+import { safeGet } from '../utils/safe-get.util.js';
+import {
+  isArray,
+  isFunction,
+  isNullish,
+  isPlainObject,
+  isString,
+} from '../utils/type-check.util.js';
+
+import { SCHEMA_TYPES } from './validation.helper.js';
+
+const { defineConst } = defineConstModule;
+
+export const CONFIG_TYPES = Object.freeze([
+  'string',
+  'number',
+  'integer',
+  'boolean',
+  'array',
+]);
+
+const DEFAULT_CONFIG_FILE = '.env';
+const CONFIG_FILE_FLAG = '--config-file';
+const OPTION_KEYS = [
+  'type',
+  'default',
+  'env',
+  'description',
+  'enum',
+  'min',
+  'max',
+  'items',
+  'validate',
+];
+
+/**
+ * Raised when configuration values are invalid. `problems` lists every
+ * failing option; the message is a readable multi-line report.
+ */
+export class ConfigValidationError extends Error {
+  /**
+   * @param {Array<{option: string, source: string, value: *, message: string}>} problems
+   */
+  constructor(problems) {
+    const lines = problems.map(
+      ({ option, source, value, message }) =>
+        `  - ${option}: ${message} (got ${JSON.stringify(value)} from ${source})`
+    );
+    super(
+      [
+        `Invalid configuration (${problems.length} problem${problems.length === 1 ? '' : 's'}):`,
+        ...lines,
+      ].join('\n')
+    );
+    this.name = 'ConfigValidationError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Validate option declarations (throws on programmer errors) and freeze them
+ * @param {Object<string, Object>} schema
+ * @returns {Object} Frozen schema
+ */
+export function defineConfigSchema(schema) {
+  if (!isPlainObject(schema)) {
+    throw new Error('Config schema must be a plain object');
+  }
+
+  for (const [option, spec] of Object.entries(schema)) {
+    if (!isPlainObject(spec)) {
+      throw new Error(`Config option "${option}" must be an object`);
+    }
+    const unknownKey = Object.keys(spec).find(
+      key => !OPTION_KEYS.includes(key)
+    );
+    if (unknownKey) {
+      throw new Error(
+        `Config option "${option}" has unknown key "${unknownKey}"`
+      );
+    }
+    if (!CONFIG_TYPES.includes(spec.type)) {
+      throw new Error(
+        `Config option "${option}" needs a type (${CONFIG_TYPES.join(', ')})`
+      );
+    }
+    if (!isString(spec.env) || spec.env === '') {
+      throw new Error(`Config option "${option}" needs an env variable name`);
+    }
+    const problem = checkValue(spec.default, spec);
+    if (problem) {
+      throw new Error(`Default of config option "${option}" ${problem}`);
+    }
+  }
+
+  return defineConst(schema);
+}
+
+/**
+ * Return a problem message for an already-coerced value, or null
+ */
+function checkValue(value, spec) {
+  const predicate = safeGet(SCHEMA_TYPES, spec.type);
+  if (!predicate(value)) return `must be ${article(spec.type)} ${spec.type}`;
+
+  if (spec.enum && !spec.enum.includes(value)) {
+    return `must be one of: ${spec.enum.join(', ')}`;
+  }
+  if (!isNullish(spec.min) && value < spec.min) {
+    return `must be >= ${spec.min}`;
+  }
+  if (!isNullish(spec.max) && value > spec.max) {
+    return `must be <= ${spec.max}`;
+  }
+  if (spec.type === 'array' && spec.items?.enum) {
+    const invalid = value.filter(item => !spec.items.enum.includes(item));
+    if (invalid.length > 0) {
+      return `contains unsupported ${invalid.join(', ')} (allowed: ${spec.items.enum.join(', ')})`;
+    }
+  }
+  if (isFunction(spec.validate)) {
+    const result = spec.validate(value);
+    if (result !== true) return isString(result) ? result : 'is invalid';
+  }
+  return null;
+}
+
+function article(type) {
+  return /^[aeiou]/.test(type) ? 'an' : 'a';
+}
+
+function coerce(raw, spec) {
+  const value = isString(raw) && spec.type !== 'string' ? raw.trim() : raw;
+  return coerceValue(value, spec.type);
+}
+
+/**
+ * Parse `.env` content: `KEY=VALUE` lines, `#` comments, optional `export`
+ * prefix and single/double quotes around the value.
+ * @param {string} text
+ * @returns {Object<string, string>}
+ */
+export function parseEnvFile(text) {
+  const values = {};
+
+  for (const rawLine of String(text).split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (line === '' || line.startsWith('#')) continue;
+
+    const match = line.match(/^(?:export\s+)?([\w.-]+)\s*=\s*(.*)$/);
+    if (!match) continue;
+
+    const [, key, rawValue] = match;
+    const quoted = rawValue.match(/^(['"])(.*)\1$/);
+    const value = quoted ? quoted[2] : rawValue.replace(/\s+#.*$/, '');
+    Object.defineProperty(values, key, {
+      value,
+      writable: true,
+      enumerable: true,
+      configurable: true,
+    });
+  }
+
+  return values;
+}
+
+/**
+ * Parse `--kebab-name=value` flags into env-style names
+ * (`--http-default-status-code=404` → `HTTP_DEFAULT_STATUS_CODE: '404'`).
+ * @param {Array<string>} argv
+ * @returns {Object<string, string>}
+ */
+export function parseCliArgs(argv = []) {
+  const values = {};
+
+  for (const arg of argv) {
+    const match = String(arg).match(/^--([a-z0-9][a-z0-9-]*)(?:=(.*))?$/i);
+    if (!match) continue;
+
+    const [, flag, value = 'true'] = match;
+    Object.defineProperty(values, flag.toUpperCase().replace(/-/g, '_'), {
+      value,
+      writable: true,
+      enumerable: true,
+      configurable: true,
+    });
+  }
+
+  return values;
+}
+
+function toFlag(envName) {
+  return envName.toLowerCase().replace(/_/g, '-');
+}
+
+function resolveConfigFile(env, argv) {
+  const flag = argv.find(arg => String(arg).startsWith(`${CONFIG_FILE_FLAG}=`));
+  if (flag)
+    return { path: flag.slice(CONFIG_FILE_FLAG.length + 1), explicit: true };
+  if (env.CONFIG_FILE) return { path: env.CONFIG_FILE, explicit: true };
+  return { path: DEFAULT_CONFIG_FILE, explicit: false };
+}
+
+/**
+ * Read a `.env` or JSON config file
+ * @param {string} filePath
+ * @param {Object} options
+ * @param {boolean} options.optional - Return `{}` when the file does not exist
+ * @returns {Object<string, *>} Values keyed by env variable name
+ */
+export function readConfigFile(filePath, options = {}) {
+  const { optional = false } = options;
+
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  if (!existsSync(filePath)) {
+    if (optional) return {};
+    throw new ConfigValidationError([
+      {
+        option: CONFIG_FILE_FLAG,
+        source: 'CLI/CONFIG_FILE',
+        value: filePath,
+        message: 'config file does not exist',
+      },
+    ]);
+  }
+
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  const text = readFileSync(filePath, 'utf8');
+  if (extname(filePath) !== '.json') return parseEnvFile(text);
+
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (parseError) {
+    parsed = parseError;
+  }
+  if (!isPlainObject(parsed)) {
+    throw new ConfigValidationError([
+      {
+        option: CONFIG_FILE_FLAG,
+        source: `file ${filePath}`,
+        value: filePath,
+        message: 'JSON config file must contain an object',
+      },
+    ]);
+  }
+  return parsed;
+}
+
+/**
+ * Load, coerce and validate configuration for a schema
+ *
+ * @param {Object} schema - Result of `defineConfigSchema`
+ * @param {Object} options - Sources (default to the real process ones)
+ * @param {Object} options.env - Environment variables (default: process.env)
+ * @param {Array<string>} options.argv - CLI arguments (default: process.argv)
+ * @param {Object} options.file - Values keyed by env name (default: read from disk)
+ * @returns {Object} Deep-frozen option values
+ * @throws {ConfigValidationError} Listing every invalid value
+ */
+export function loadConfig(schema, options = {}) {
+  const { env = process.env, argv = process.argv.slice(2) } = options;
+  const configFile = resolveConfigFile(env, argv);
+  const file =
+    options.file ??
+    readConfigFile(configFile.path, { optional: !configFile.explicit });
+  const cli = parseCliArgs(argv);
+
+  // Lowest precedence first; each source names where a bad value came from
+  const sources = [
+    { values: file, describe: name => `${configFile.path} (${name})` },
+    { values: env, describe: name => `env ${name}` },
+    { values: cli, describe: name => `--${toFlag(name)}` },
+  ];
+  const config = {};
+  const problems = [];
+
+  for (const [option, spec] of Object.entries(schema)) {
+    let value = spec.default;
+    let source = 'default';
+
+    for (const { values, describe } of sources) {
+      const raw = safeGet(values, spec.env);
+      if (raw === undefined) continue;
+      value = coerce(raw, spec);
+      source = describe(spec.env);
+    }
+
+    const problem = checkValue(value, spec);
+    if (problem) {
+      problems.push({ option, source, value, message: problem });
+      continue;
+    }
+    Object.defineProperty(config, option, {
+      value: isArray(value) ? [...value] : value,
+      writable: true,
+      enumerable: true,
+      configurable: true,
+    });
+  }
+
+  if (problems.length > 0) throw new ConfigValidationError(problems);
+  return defineConst(config);
+}
+
+/**
+ * Derive a new frozen config with validated overrides (tests, DI containers)
+ *
+ * @param {Object} schema - Result of `defineConfigSchema`
+ * @param {Object} current - Current frozen config
+ * @param {Object} overrides - Typed values keyed by option name
+ * @returns {Object} New deep-frozen config
+ * @throws {ConfigValidationError} On unknown options or invalid values
+ */
+export function applyConfigOverrides(schema, current, overrides = {}) {
+  const next = { ...current };
+  const problems = [];
+
+  for (const [option, value] of Object.entries(overrides)) {
+    if (!Object.hasOwn(schema, option)) {
+      problems.push({
+        option,
+        source: 'override',
+        value,
+        message: 'is not a known option',
+      });
+      continue;
+    }
+    const problem = checkValue(value, safeGet(schema, option));
+    if (problem) {
+      problems.push({ option, source: 'override', value, message: problem });
+      continue;
+    }
+    Object.defineProperty(next, option, {
+      value: isArray(value) ? [...value] : value,
+      writable: true,
+      enumerable: true,
+      configurable: true,
+    });
+  }
+
+  if (problems.length > 0) throw new ConfigValidationError(problems);
+  return defineConst(next);
+}
+
+export default {
+  CONFIG_TYPES,
+  ConfigValidationError,
+  defineConfigSchema,
+  parseEnvFile,
+  parseCliArgs,
+  readConfigFile,
+  loadConfig,
+  applyConfigOverrides,
+};
@@ -0,0 +1,217 @@
+/**
+ * src/core/helpers/error-catalog.helper.js
+ * --------------------------------------------------
+ * Central catalog of machine-readable error codes.
+ *
+ * Each module declares its codes once (HTTP status, default message,
+ * retryability, description) instead of scattering string literals across
+ * exceptions and handlers. `BaseException` checks codes against the catalog
+ * in development, and `/errors` exposes it read-only so clients can build
+ * error UIs from it.
+ *
+ * Example:
+ *   registerErrorCodes('user', {
+ *     USER_NOT_FOUND: {
+ *       status: HTTP_STATUS.NOT_FOUND,
+ *       message: 'User not found',
+ *       description: 'No user matches the given identifier.',
+ *     },
+ *   });
+ */
+import {
+  HTTP_STATUS,
+  isClientError,
+  isServerError,
+} from '../constants/http-status.constant.js';
+import {
+  isBoolean,
+  isPlainObject,
+  isString,
+} from '../utils/type-check.util.js';
+
+export const CORE_ERROR_CODES = Object.freeze({
+  HANDLER_EXECUTION_FAILED: 'HANDLER_EXECUTION_FAILED',
+  ERROR_CODE_NOT_FOUND: 'ERROR_CODE_NOT_FOUND',
+  ROUTE_NOT_FOUND: 'ROUTE_NOT_FOUND',
+  MALFORMED_REQUEST_BODY: 'MALFORMED_REQUEST_BODY',
+  PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
+  UNSUPPORTED_CHARSET: 'UNSUPPORTED_CHARSET',
+  UNSUPPORTED_CONTENT_ENCODING: 'UNSUPPORTED_CONTENT_ENCODING',
+  SERVICE_NOT_READY: 'SERVICE_NOT_READY',
+});
+
+const ERROR_CODE_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+
+/**
+ * Registry to store error code definitions
+ * Format: Map<code, { code, domain, status, message, retryable, description }>
+ */
+const errorCatalog = new Map();
+
+const CORE_DEFINITIONS = {
+  [CORE_ERROR_CODES.HANDLER_EXECUTION_FAILED]: {
+    status: HTTP_STATUS.INTERNAL_SERVER_ERROR,
+    message: 'Service temporarily unavailable',
+    retryable: true,
+    description:
+      'A registered error handler failed or timed out; a safe fallback response was sent instead. `originalErrorCode` carries the code of the underlying error.',
+  },
+  [CORE_ERROR_CODES.ERROR_CODE_NOT_FOUND]: {
+    status: HTTP_STATUS.NOT_FOUND,
+    message: 'Error code not found',
+    description: 'The requested code is not part of the error catalog.',
+  },
+  [CORE_ERROR_CODES.ROUTE_NOT_FOUND]: {
+    status: HTTP_STATUS.NOT_FOUND,
+    message: 'Route not found',
+    description:
+      'No route matches the request method and path (both are echoed in `meta`).',
+  },
+  [CORE_ERROR_CODES.MALFORMED_REQUEST_BODY]: {
+    status: HTTP_STATUS.BAD_REQUEST,
+    message: 'Malformed request body',
+    description:
+      'The body could not be parsed for its Content-Type, e.g. invalid JSON.',
+  },
+  [CORE_ERROR_CODES.PAYLOAD_TOO_LARGE]: {
+    status: HTTP_STATUS.PAYLOAD_TOO_LARGE,
+    message: 'Request body too large',
+    description:
+      'The body exceeds the parser size limit; `meta.limit` gives the limit in bytes.',
+  },
+  [CORE_ERROR_CODES.UNSUPPORTED_CHARSET]: {
+    status: HTTP_STATUS.UNSUPPORTED_MEDIA_TYPE,
+    message: 'Unsupported charset',
+    description: 'The charset of the Content-Type header is not supported.',
+  },
+  [CORE_ERROR_CODES.UNSUPPORTED_CONTENT_ENCODING]: {
+    status: HTTP_STATUS.UNSUPPORTED_MEDIA_TYPE,
+    message: 'Unsupported content encoding',
+    description: 'The Content-Encoding of the body is not supported.',
+  },
+  [CORE_ERROR_CODES.SERVICE_NOT_READY]: {
+    status: HTTP_STATUS.SERVICE_UNAVAILABLE,
+    message: 'Service not ready',
+    retryable: true,
+    description:
+      'The instance is starting or shutting down (`data.state`); retry against another instance.',
+  },
+};
+
+/**
+ * Validate and normalize one catalog entry (throws on programmer errors).
+ */
+function createEntry(domain, code, definition) {
+  if (!isString(code) || !ERROR_CODE_PATTERN.test(code)) {
+    throw new Error(
+      `Error code "${code}" must be UPPER_SNAKE_CASE (e.g. USER_NOT_FOUND)`
+    );
+  }
+  if (!isPlainObject(definition)) {
+    throw new Error(`Definition for error code "${code}" must be an object`);
+  }
+
+  const { status, message, retryable = false, description = '' } = definition;
+
+  if (!isClientError(status) && !isServerError(status)) {
+    throw new Error(`Error code "${code}" needs a 4xx or 5xx status`);
+  }
+  if (!isString(message) || message === '') {
+    throw new Error(`Error code "${code}" needs a default message`);
+  }
+  if (!isBoolean(retryable)) {
+    throw new Error(`"retryable" for error code "${code}" must be a boolean`);
+  }
+  if (!isString(description)) {
+    throw new Error(`"description" for error code "${code}" must be a string`);
+  }
+
+  return Object.freeze({
+    code,
+    domain,
+    status,
+    message,
+    retryable,
+    description,
+  });
+}
+
+/**
+ * Register (or replace) the error codes of a module
+ * @param {string} domain - Owning module, e.g. `user`
+ * @param {Object<string, {status: number, message: string, retryable?: boolean, description?: string}>} definitions
+ */
+export function registerErrorCodes(domain, definitions) {
+  if (!isString(domain) || domain === '') {
+    throw new Error('Error code domain must be a non-empty string');
+  }
+  if (!isPlainObject(definitions)) {
+    throw new Error('Error code definitions must be a plain object');
+  }
+
+  // Validate everything first so a bad entry does not leave a partial module
+  const entries = Object.entries(definitions).map(([code, definition]) =>
+    createEntry(domain, code, definition)
+  );
+
+  for (const entry of entries) {
+    const existing = errorCatalog.get(entry.code);
+    if (existing && existing.domain !== domain) {
+      throw new Error(
+        `Error code "${entry.code}" is already registered by "${existing.domain}"`
+      );
+    }
+    errorCatalog.set(entry.code, entry);
+  }
+}
+
+/**
+ * Look up a catalog entry
+ * @param {string} code
+ * @returns {Object|null} - Frozen entry or null when unknown
+ */
+export function getErrorCode(code) {
+  return errorCatalog.get(code) ?? null;
+}
+
+/**
+ * Check whether a code is part of the catalog
+ * @param {string} code
+ * @returns {boolean}
+ */
+export function hasErrorCode(code) {
+  return errorCatalog.has(code);
+}
+
+/**
+ * List catalog entries sorted by code
+ * @param {Object} options
+ * @param {string} options.domain - Only entries of this module
+ * @returns {Array<Object>}
+ */
+export function listErrorCodes(options = {}) {
+  const { domain } = options;
+
+  return [...errorCatalog.values()]
+    .filter(entry => domain === undefined || entry.domain === domain)
+    .sort((a, b) => a.code.localeCompare(b.code));
+}
+
+/**
+ * Restore the core error codes, dropping module ones (mainly for testing)
+ */
+export function resetErrorCatalog() {
+  errorCatalog.clear();
+  registerErrorCodes('core', CORE_DEFINITIONS);
+}
+
+resetErrorCatalog();
+
+export default {
+  CORE_ERROR_CODES,
+  registerErrorCodes,
+  getErrorCode,
+  hasErrorCode,
+  listErrorCodes,
+  resetErrorCatalog,
+};
@@ -6,9 +6,28 @@
  * Allows business modules to register custom error handlers
  * without modifying core middleware code.
  */
-import { HTTP_STATUS } from '../constants/http-status.constant.js';
+import {
+  HTTP_STATUS,
+  isRetryableStatus,
+} from '../constants/http-status.constant.js';
+
+import {
+  CORE_ERROR_CODES,
+  getErrorCode,
+  hasErrorCode,
+} from './error-catalog.helper.js';
+import {
+  collectCauses,
+  serializeError,
+  shouldExposeCauses,
+} from './error-serializer.helper.js';
+import { logger } from './logger.helper.js';
+import { maskIp, maskUserAgent } from './redaction.helper.js';
+import { getCorrelationId, getHttpOptions } from './request-context.helper.js';
 import { HttpResponse } from './response.helper.js';
 
+const log = logger.child({ module: 'error-handler-registry' });
+
 /**
  * Base exception class for operational errors
  */
@@ -17,13 +36,16 @@ export class BaseException extends Error {
    * Create a BaseException.
    * @param {string} message - Error message
    * @param {object} options - Error options
-   * @param {number} options.statusCode - HTTP status code
-   * @param {string} options.errorCode - Machine-readable error code
+   * @param {number} options.statusCode - HTTP status code (defaults to the catalog status of `errorCode`)
+   * @param {string} options.errorCode - Machine-readable error code, declared in the error catalog
+   * @param {boolean} options.retryable - Whether a retry may succeed (defaults to the catalog value of `errorCode`)
    * @param {boolean} options.isOperational - Whether this is an operational error
-   * @param {string} options.correlationId - Request correlation ID
+   * @param {string} options.correlationId - Request correlation ID (defaults to the current request's)
    * @param {object} options.metadata - Additional metadata
    * @param {any} options.data - Error data
    * @param {Error} options.cause - Original error cause
+   * @param {false|{allow: string[]}} options.redaction - Redaction opt-out for
+   *        the response (defaults to the class's static `redaction`)
    */
   constructor(message = 'Error', options = {}) {
     // Ensure options is an object
@@ -31,23 +53,56 @@ export class BaseException extends Error {
     super(message, cause ? { cause } : undefined);
     if (cause) this.cause = cause;
 
-    this.statusCode = opts.statusCode ?? HTTP_STATUS.INTERNAL_SERVER_ERROR;
+    this.statusCode =
+      opts.statusCode ??
+      getErrorCode(opts.errorCode)?.status ??
+      HTTP_STATUS.INTERNAL_SERVER_ERROR;
     this.errorCode = opts.errorCode;
+    this.retryable =
+      opts.retryable ?? getErrorCode(opts.errorCode)?.retryable ?? false;
     this.isOperational =
       opts.isOperational !== undefined ? Boolean(opts.isOperational) : true;
-    this.correlationId = opts.correlationId;
+    this.correlationId = opts.correlationId ?? getCorrelationId();
     this.data = opts.data ?? null;
     this.metadata = {
       timestamp: new Date().toISOString(),
       ...opts.metadata,
     };
     this.meta = this.metadata; // Alias for backward compatibility
+    this.redaction = opts.redaction ?? this.constructor.redaction ?? null;
 
     this.name = this.constructor.name;
     Error.captureStackTrace(this, this.constructor);
+
+    if (process.env.NODE_ENV === 'development') {
+      warnOnUnknownErrorCode(this);
+    }
+  }
+
+  /**
+   * JSON form for logs: walks the `cause` chain (and AggregateError members)
+   * and includes stacks outside production.
+   * @returns {object}
+   */
+  toJSON() {
+    return serializeError(this);
   }
 }
 
+/**
+ * Development aid: flag error codes missing from the catalog.
+ * Only warns, so a typo never replaces the original error.
+ */
+function warnOnUnknownErrorCode(err) {
+  if (err.errorCode === undefined || hasErrorCode(err.errorCode)) return;
+
+  log.warn('Unknown error code; declare it with registerErrorCodes()', {
+    event: 'ERROR_CATALOG',
+    exception: err.name,
+    errorCode: err.errorCode,
+  });
+}
+
 // const rootError = new Error("Database connection failed");
 // const wrapped = new BaseException("User service failed", { cause: rootError });
 
@@ -69,10 +124,15 @@ export function isBaseException(err) {
 }
 
 /**
- * Registry to store error handlers by exception type
- * Format: Map<constructor, handlerFunction>
+ * `{ causes }` for the response meta in development, `{}` otherwise
+ * @param {Error} err
+ * @returns {object}
  */
-const errorHandlerRegistry = new Map();
+export function causesMeta(err) {
+  if (!shouldExposeCauses()) return {};
+  const causes = collectCauses(err);
+  return causes.length > 0 ? { causes } : {};
+}
 
 /**
  * Default handler for BaseException
@@ -87,6 +147,7 @@ function defaultBaseExceptionHandler(err, _req, _res) {
     ...(err.correlationId !== undefined
       ? { correlationId: err.correlationId }
       : {}),
+    ...causesMeta(err),
   };
 
   return HttpResponse.error(
@@ -97,46 +158,6 @@ function defaultBaseExceptionHandler(err, _req, _res) {
   );
 }
 
-/**
- * Register a custom error handler for a specific exception type
- * @param {Function} ExceptionClass - The exception constructor
- * @param {Function} handler - Handler function (err, req, res) => HttpResponse
- */
-export function registerErrorHandler(ExceptionClass, handler) {
-  if (typeof ExceptionClass !== 'function') {
-    throw new Error('ExceptionClass must be a constructor function');
-  }
-  if (typeof handler !== 'function') {
-    throw new Error('Handler must be a function');
-  }
-
-  errorHandlerRegistry.set(ExceptionClass, handler);
-}
-
-/**
- * Find the appropriate handler for an error
- * Uses prototype chain to find the most specific handler
- * @param {Error} err - The error instance
- * @returns {Function|null} - Handler function or null if not found
- */
-export function findErrorHandler(err) {
-  // Check for exact match first
-  for (const [ExceptionClass, handler] of errorHandlerRegistry) {
-    if (err.constructor === ExceptionClass) {
-      return handler;
-    }
-  }
-
-  // Check inheritance chain
-  for (const [ExceptionClass, handler] of errorHandlerRegistry) {
-    if (err instanceof ExceptionClass) {
-      return handler;
-    }
-  }
-
-  return null;
-}
-
 /**
  * Create safe fallback response when error handler fails
  * Preserves original error context while providing safe response
@@ -165,18 +186,24 @@ function createFallbackResponse(originalError, handlerError, req = null) {
       ? {
           method: req.method,
           path: req.path,
-          ip: req.ip,
-          userAgent: req.get?.('user-agent'),
+          ip: maskIp(req.ip),
+          userAgent: maskUserAgent(req.get?.('user-agent')),
         }
       : null,
     timestamp: new Date().toISOString(),
   };
 
-  // Log with appropriate level based on error type
+  // Log with appropriate level based on error type (records are redacted by the logger)
   if (originalError?.isOperational === false) {
-    console.error('[HANDLER_FAILURE_SYSTEM]', logContext);
+    log.error('Error handler failed, sent fallback response', {
+      event: 'HANDLER_FAILURE_SYSTEM',
+      ...logContext,
+    });
   } else {
-    console.warn('[HANDLER_FAILURE_BUSINESS]', logContext);
+    log.warn('Error handler failed, sent fallback response', {
+      event: 'HANDLER_FAILURE_BUSINESS',
+      ...logContext,
+    });
   }
 
   // Determine appropriate status code for fallback
@@ -199,9 +226,12 @@ function createFallbackResponse(originalError, handlerError, req = null) {
 
   // Preserve important metadata from original error
   const safeMeta = {
-    errorCode: 'HANDLER_EXECUTION_FAILED',
+    errorCode: CORE_ERROR_CODES.HANDLER_EXECUTION_FAILED,
     originalErrorCode: originalError?.errorCode,
-    correlationId: originalError?.correlationId || generateSafeCorrelationId(),
+    correlationId:
+      originalError?.correlationId ||
+      getCorrelationId() ||
+      generateSafeCorrelationId(),
     timestamp: new Date().toISOString(),
     retryable: isRetryableError(originalError),
     // Include domain if available for client routing/handling
@@ -224,31 +254,53 @@ function createFallbackResponse(originalError, handlerError, req = null) {
  * @returns {boolean} Whether the error is retryable
  */
 function isRetryableError(error) {
-  // Non-retryable errors (client errors)
-  const nonRetryableStatusCodes = [
-    HTTP_STATUS.BAD_REQUEST,
-    HTTP_STATUS.UNAUTHORIZED,
-    HTTP_STATUS.FORBIDDEN,
-    HTTP_STATUS.NOT_FOUND,
-    HTTP_STATUS.CONFLICT,
-  ];
-
-  if (error?.statusCode && nonRetryableStatusCodes.includes(error.statusCode)) {
-    return false;
-  }
+  // No HTTP status (crash, timeout, unknown failure): a retry may succeed
+  if (!error?.statusCode) return true;
 
-  // Default to retryable for server errors or unknown errors
-  return true;
+  // Transient statuses only (408, 425, 429, 500, 502-504); client errors are final
+  return isRetryableStatus(error.statusCode);
 }
 
 /**
- * Generate safe correlation ID for fallback responses
+ * Generate safe correlation ID for fallback responses outside a request context
  * @returns {string} Correlation ID
  */
 function generateSafeCorrelationId() {
   return `fallback_${Date.now()}_${Math.random().toString(36).substr(2, 8)}`;
 }
 
+/**
+ * Error used as `handlerError` when an async handler does not settle in time
+ */
+class ErrorHandlerTimeoutError extends Error {
+  constructor(handlerName, timeoutMs) {
+    super(`${handlerName} did not settle within ${timeoutMs}ms`);
+    this.name = 'ErrorHandlerTimeoutError';
+  }
+}
+
+/**
+ * Reject when the promise does not settle within `timeoutMs`
+ * @param {Promise} promise - Pending handler result
+ * @param {number} timeoutMs - Deadline in ms (0 or less disables it)
+ * @param {string} handlerName - Name for the timeout message
+ * @returns {Promise}
+ */
+function withTimeout(promise, timeoutMs, handlerName) {
+  if (!(timeoutMs > 0)) return promise;
+
+  let timer;
+  const timeout = new Promise((_resolve, reject) => {
+    timer = setTimeout(
+      () => reject(new ErrorHandlerTimeoutError(handlerName, timeoutMs)),
+      timeoutMs
+    );
+    timer.unref?.();
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
 /**
  * Safe wrapper for error handlers
  * Prevents handler failures from breaking error flow
@@ -256,6 +308,7 @@ function generateSafeCorrelationId() {
  * @param {Function} handler - Original error handler
  * @param {Object} options - Wrapper options
  * @param {string} options.handlerName - Name for logging
+ * @param {number} options.timeoutMs - Deadline for async handlers (default: HTTP_OPTIONS.ERROR_HANDLER_TIMEOUT_MS)
  * @returns {Function} Safe wrapped handler
  */
 function createSafeHandler(handler, options = {}) {
@@ -268,19 +321,28 @@ function createSafeHandler(handler, options = {}) {
 
       // Handle promise-based handlers
       if (result && typeof result.then === 'function') {
-        return result.catch(handlerError => {
-          console.error(`[ASYNC_HANDLER_FAILURE] ${handlerName}:`, {
-            originalError: err?.message,
-            handlerError: handlerError?.message,
-            path: req?.path,
-          });
-          return createFallbackResponse(err, handlerError, req);
-        });
+        const timeoutMs =
+          options.timeoutMs ?? getHttpOptions().ERROR_HANDLER_TIMEOUT_MS;
+
+        return withTimeout(result, timeoutMs, handlerName).catch(
+          handlerError => {
+            log.error('Async error handler failed', {
+              event: 'ASYNC_HANDLER_FAILURE',
+              handlerName,
+              originalError: err?.message,
+              handlerError: handlerError?.message,
+              path: req?.path,
+            });
+            return createFallbackResponse(err, handlerError, req);
+          }
+        );
       }
 
       return result;
     } catch (handlerError) {
-      console.error(`[SYNC_HANDLER_FAILURE] ${handlerName}:`, {
+      log.error('Error handler failed', {
+        event: 'SYNC_HANDLER_FAILURE',
+        handlerName,
         originalError: err?.message,
         handlerError: handlerError?.message,
         path: req?.path,
@@ -292,70 +354,250 @@ function createSafeHandler(handler, options = {}) {
 }
 
 /**
- * Handle error using registry with safe wrapper
- * @param {Error} err - The error instance
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Object} options - Options for safe handling
- * @param {boolean} options.useSafeWrapper - Whether to use safe wrapper (default: true)
- * @returns {HttpResponse|null} - HttpResponse instance or null if no handler found
+ * Create an isolated error handler registry.
+ *
+ * Each app built by `createApp` owns one, so handlers registered for one app
+ * never leak into another running in the same process. The module-level
+ * functions below (`registerErrorHandler`, `handleWithRegistry`, ...) work on
+ * `defaultErrorHandlerRegistry`.
+ *
+ * @returns {{
+ *   register: Function,
+ *   find: Function,
+ *   handle: Function,
+ *   getRegisteredHandlers: Function,
+ *   clear: Function,
+ *   setupDefaultHandlers: Function
+ * }}
  */
-export function handleWithRegistry(err, req, res, options = {}) {
-  const { useSafeWrapper = true } = options;
+export function createErrorHandlerRegistry() {
+  /**
+   * Handlers by exception type
+   * Format: Map<constructor, { handler, priority }>
+   */
+  const handlers = new Map();
 
-  const handler = findErrorHandler(err);
-  if (!handler) return null;
+  /**
+   * Resolved handler per error constructor, filled lazily by `find`.
+   * Any change to the registry invalidates it.
+   * Format: Map<constructor, handlerFunction|null>
+   */
+  const resolutionCache = new Map();
 
-  // Use safe wrapper by default to prevent handler failures
-  if (useSafeWrapper) {
-    const safeHandler = createSafeHandler(handler, {
-      handlerName: `${err.constructor.name}Handler`,
-    });
-    return safeHandler(err, req, res);
+  /**
+   * Register a custom error handler for a specific exception type
+   * @param {Function} ExceptionClass - The exception constructor
+   * @param {Function} handler - Handler function (err, req, res) => HttpResponse
+   * @param {Object} options - Registration options
+   * @param {number} options.priority - Higher priority wins over a nearer ancestor (default: 0)
+   */
+  function register(ExceptionClass, handler, options = {}) {
+    const { priority = 0 } = options;
+
+    if (typeof ExceptionClass !== 'function') {
+      throw new Error('ExceptionClass must be a constructor function');
+    }
+    if (typeof handler !== 'function') {
+      throw new Error('Handler must be a function');
+    }
+    if (!Number.isFinite(priority)) {
+      throw new Error('Priority must be a finite number');
+    }
+
+    handlers.set(ExceptionClass, { handler, priority });
+    resolutionCache.clear();
+  }
+
+  /**
+   * Walk the prototype chain of an error and pick the registered handler.
+   * Candidates are ranked by priority first, then by distance in the chain,
+   * so with equal priorities the nearest registered ancestor wins.
+   * @param {Object} prototype - Prototype of the error instance
+   * @returns {Function|null}
+   */
+  function resolveHandler(prototype) {
+    let best = null;
+
+    // Nearest-first walk: a farther ancestor only wins with a higher priority
+    for (
+      let current = prototype;
+      current !== null;
+      current = Object.getPrototypeOf(current)
+    ) {
+      if (!Object.hasOwn(current, 'constructor')) continue;
+
+      const entry = handlers.get(current.constructor);
+      if (entry && (!best || entry.priority > best.priority)) {
+        best = entry;
+      }
+    }
+
+    return best?.handler ?? null;
+  }
+
+  /**
+   * Find the appropriate handler for an error
+   * Uses prototype chain to find the most specific handler; the result is
+   * cached per constructor, so repeated errors of a class are O(1)
+   * @param {Error} err - The error instance
+   * @returns {Function|null} - Handler function or null if not found
+   */
+  function find(err) {
+    if (err === null || typeof err !== 'object') return null;
+
+    const prototype = Object.getPrototypeOf(err);
+    if (prototype === null) return null;
+
+    const key = prototype.constructor;
+    if (typeof key === 'function' && resolutionCache.has(key)) {
+      return resolutionCache.get(key);
+    }
+
+    const handler = resolveHandler(prototype);
+    if (typeof key === 'function') resolutionCache.set(key, handler);
+
+    return handler;
   }
 
-  // Direct handler execution (for testing or special cases)
-  return handler(err, req, res);
+  /**
+   * Handle error using registry with safe wrapper
+   * @param {Error} err - The error instance
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Object} options - Options for safe handling
+   * @param {boolean} options.useSafeWrapper - Whether to use safe wrapper (default: true)
+   * @param {number} options.timeoutMs - Deadline for async handlers (safe wrapper only)
+   * @returns {HttpResponse|Promise<HttpResponse>|null} - HttpResponse instance (a
+   *          promise of one for async handlers) or null if no handler found
+   */
+  function handle(err, req, res, options = {}) {
+    const { useSafeWrapper = true, timeoutMs } = options;
+
+    const handler = find(err);
+    if (!handler) return null;
+
+    // Use safe wrapper by default to prevent handler failures
+    if (useSafeWrapper) {
+      const safeHandler = createSafeHandler(handler, {
+        handlerName: `${err.constructor.name}Handler`,
+        timeoutMs,
+      });
+      return safeHandler(err, req, res);
+    }
+
+    // Direct handler execution (for testing or special cases)
+    return handler(err, req, res);
+  }
+
+  /**
+   * Get all registered error handlers (for debugging)
+   * @returns {Map} - Copy of the registry
+   */
+  function getRegisteredHandlers() {
+    return new Map(
+      [...handlers].map(([ExceptionClass, { handler }]) => [
+        ExceptionClass,
+        handler,
+      ])
+    );
+  }
+
+  /**
+   * Clear all registered handlers (mainly for testing)
+   */
+  function clear() {
+    handlers.clear();
+    resolutionCache.clear();
+  }
+
+  /**
+   * Setup default handlers with safe wrappers
+   * Call this while building the app to register core exception handlers
+   */
+  function setupDefaultHandlers(options = {}) {
+    const { useSafeWrapper = true } = options;
+
+    if (useSafeWrapper) {
+      const safeDefaultHandler = createSafeHandler(
+        defaultBaseExceptionHandler,
+        { handlerName: 'BaseExceptionHandler' }
+      );
+      register(BaseException, safeDefaultHandler);
+    } else {
+      register(BaseException, defaultBaseExceptionHandler);
+    }
+  }
+
+  return Object.freeze({
+    register,
+    find,
+    handle,
+    getRegisteredHandlers,
+    clear,
+    setupDefaultHandlers,
+  });
+}
+
+/**
+ * Process-wide registry used by the module-level functions below
+ */
+export const defaultErrorHandlerRegistry = createErrorHandlerRegistry();
+
+/**
+ * Register a custom error handler in the default registry
+ * @see createErrorHandlerRegistry register
+ */
+export function registerErrorHandler(ExceptionClass, handler, options = {}) {
+  defaultErrorHandlerRegistry.register(ExceptionClass, handler, options);
+}
+
+/**
+ * Find the handler for an error in the default registry
+ * @param {Error} err - The error instance
+ * @returns {Function|null} - Handler function or null if not found
+ */
+export function findErrorHandler(err) {
+  return defaultErrorHandlerRegistry.find(err);
 }
 
 /**
- * Get all registered error handlers (for debugging)
+ * Handle error using the default registry with safe wrapper
+ * @see createErrorHandlerRegistry handle
+ */
+export function handleWithRegistry(err, req, res, options = {}) {
+  return defaultErrorHandlerRegistry.handle(err, req, res, options);
+}
+
+/**
+ * Get all handlers of the default registry (for debugging)
  * @returns {Map} - Copy of the registry
  */
 export function getRegisteredHandlers() {
-  return new Map(errorHandlerRegistry);
+  return defaultErrorHandlerRegistry.getRegisteredHandlers();
 }
 
 /**
- * Clear all registered handlers (mainly for testing)
+ * Clear the default registry (mainly for testing)
  */
 export function clearRegistry() {
-  errorHandlerRegistry.clear();
+  defaultErrorHandlerRegistry.clear();
 }
 
 /**
- * Setup default handlers with safe wrappers
- * Call this during bootstrap to register core exception handlers
+ * Setup default handlers in the default registry
  */
 export function setupDefaultHandlers(options = {}) {
-  const { useSafeWrapper = true } = options;
-
-  if (useSafeWrapper) {
-    const safeDefaultHandler = createSafeHandler(defaultBaseExceptionHandler, {
-      handlerName: 'BaseExceptionHandler',
-    });
-    registerErrorHandler(BaseException, safeDefaultHandler);
-  } else {
-    registerErrorHandler(BaseException, defaultBaseExceptionHandler);
-  }
+  defaultErrorHandlerRegistry.setupDefaultHandlers(options);
 }
-
 // Export individual utility functions
 export { createSafeHandler, createFallbackResponse };
 
 export default {
   BaseException,
   isBaseException,
+  causesMeta,
+  createErrorHandlerRegistry,
+  defaultErrorHandlerRegistry,
   registerErrorHandler,
   findErrorHandler,
   handleWithRegistry,
@@ -0,0 +1,137 @@
+/**
+ * src/core/helpers/error-serializer.helper.js
+ * --------------------------------------------------
+ * Cause-chain aware error serialization.
+ *
+ * `serializeError` produces a JSON-safe tree of an error, its `cause` chain
+ * and the members of an AggregateError, for logs and `BaseException#toJSON`.
+ * `collectCauses` flattens the same tree into a short, sanitized list that
+ * can be exposed to clients in development (`meta.causes`).
+ *
+ * Cycles (`a.cause = b; b.cause = a`) are cut with a `circular` marker and the
+ * depth is bounded, so a hostile or buggy chain never blows the stack.
+ */
+import safeStableStringify from 'safe-stable-stringify';
+
+import { isError, isNullish, isPlainObject } from '../utils/type-check.util.js';
+
+export const DEFAULT_MAX_CAUSE_DEPTH = 10;
+
+function isProduction() {
+  return process.env.NODE_ENV === 'production';
+}
+
+/**
+ * Whether causes may be exposed in response bodies
+ * @returns {boolean}
+ */
+export function shouldExposeCauses() {
+  return process.env.NODE_ENV === 'development';
+}
+
+/**
+ * Summary of a thrown value that is not an Error (`throw 'boom'`, `{ cause: 42 }`)
+ */
+function serializeNonError(value) {
+  return {
+    name: isPlainObject(value) ? 'Object' : typeof value,
+    // Unlike JSON.stringify, tolerates cycles and BigInt values
+    message: isPlainObject(value) ? safeStableStringify(value) : String(value),
+  };
+}
+
+/**
+ * Fields shared by the full and the sanitized representation
+ */
+function describeError(err) {
+  const described = { name: err.name || 'Error', message: err.message ?? '' };
+  if (!isNullish(err.errorCode)) described.errorCode = err.errorCode;
+  if (!isNullish(err.statusCode)) described.statusCode = err.statusCode;
+  return described;
+}
+
+/**
+ * Serialize an error with its cause chain
+ *
+ * @param {*} err - Error (or any thrown value)
+ * @param {Object} options
+ * @param {boolean} options.includeStack - Include stacks (default: outside production)
+ * @param {number} options.maxDepth - Nesting limit for causes (default: 10)
+ * @returns {Object|null} JSON-safe representation
+ */
+export function serializeError(err, options = {}) {
+  const { includeStack = !isProduction(), maxDepth = DEFAULT_MAX_CAUSE_DEPTH } =
+    options;
+  const seen = new WeakSet();
+
+  const walk = (value, depth) => {
+    if (isNullish(value)) return null;
+    if (!isError(value)) return serializeNonError(value);
+    if (seen.has(value)) return { ...describeError(value), circular: true };
+    if (depth > maxDepth) return { ...describeError(value), truncated: true };
+    seen.add(value);
+
+    const serialized = describeError(value);
+    if (value.isOperational !== undefined) {
+      serialized.isOperational = value.isOperational;
+    }
+    if (value.correlationId !== undefined) {
+      serialized.correlationId = value.correlationId;
+    }
+    if (includeStack && value.stack) serialized.stack = value.stack;
+
+    if (value instanceof AggregateError) {
+      serialized.errors = value.errors.map(item => walk(item, depth + 1));
+    }
+    if (!isNullish(value.cause)) {
+      serialized.cause = walk(value.cause, depth + 1);
+    }
+
+    return serialized;
+  };
+
+  return walk(err, 0);
+}
+
+/**
+ * Flatten the causes of an error (not the error itself) in depth-first order.
+ * Only name, message, errorCode and statusCode are kept: no stacks, no data.
+ *
+ * @param {Error} err
+ * @param {Object} options
+ * @param {number} options.maxDepth - Nesting limit (default: 10)
+ * @returns {Array<{name: string, message: string, errorCode?: string, statusCode?: number}>}
+ */
+export function collectCauses(err, options = {}) {
+  const { maxDepth = DEFAULT_MAX_CAUSE_DEPTH } = options;
+  const causes = [];
+  const seen = new WeakSet([err].filter(isError));
+
+  const children = value => [
+    ...(value instanceof AggregateError ? value.errors : []),
+    ...(isNullish(value.cause) ? [] : [value.cause]),
+  ];
+
+  const visit = (value, depth) => {
+    if (isNullish(value) || depth > maxDepth) return;
+    if (!isError(value)) {
+      causes.push(serializeNonError(value));
+      return;
+    }
+    if (seen.has(value)) return;
+    seen.add(value);
+
+    causes.push(describeError(value));
+    children(value).forEach(child => visit(child, depth + 1));
+  };
+
+  if (isError(err)) children(err).forEach(child => visit(child, 1));
+  return causes;
+}
+
+export default {
+  DEFAULT_MAX_CAUSE_DEPTH,
+  shouldExposeCauses,
+  serializeError,
+  collectCauses,
+};
@@ -1,6 +1,17 @@
-import { HTTP_OPTIONS } from '../config/http-options.config.js';
+import { validateHttpOptionOverrides } from '../config/http-options.config.js';
 import { HTTP_STATUS } from '../constants/http-status.constant.js';
+
+import {
+  getHttpOptions,
+  runWithHttpOptions,
+} from './request-context.helper.js';
 import { HttpResponse } from './response.helper.js';
+import { isStreamable } from './stream.helper.js';
+import {
+  assignParsedValues,
+  defineSchema,
+  parseRequest,
+} from './validation.helper.js';
 
 // BaseException moved to error-handler-registry for cleaner architecture
 
@@ -15,14 +26,40 @@ export { HttpResponse } from './response.helper.js';
 /**
  * wrapController: enforce consistent HttpResponse usage while allowing opt-in direct res access.
  *
+ * Controllers may return a Readable stream, async iterable or Buffer (or
+ * `HttpResponse.stream()` / `HttpResponse.file()`) to stream a download
+ * without `allowRes`.
+ *
  * @param {Function} controllerFn
  * @param {Object}   [options]
  * @param {boolean}  [options.allowRes=false]  If true, the original Express res is passed to the
  *                                             controller instead of a restricted proxy.
+ * @param {Object}   [options.schema]          Declarative request schema (see validation.helper.js).
+ *                                             Invalid requests are rejected with
+ *                                             `HttpResponse.validationError` before the controller runs;
+ *                                             otherwise parsed values replace the raw ones on `req`.
+ * @param {Object}   [options.httpOptions]     HTTP_OPTIONS overrides for this route only (e.g.
+ *                                             `{ STRICT_CONTROLLER_RETURN: false }`), also applied
+ *                                             when its errors reach `globalErrorHandler`.
  */
 export function wrapController(controllerFn, options = {}) {
-  const { allowRes = false } = options;
+  const { allowRes = false, schema, httpOptions } = options;
+  // Fail at route-definition time rather than on the first request
+  const requestSchema = schema ? defineSchema(schema) : null;
+  if (httpOptions) validateHttpOptionOverrides(httpOptions);
+
+  const handle = createControllerHandler(controllerFn, {
+    allowRes,
+    requestSchema,
+  });
+
+  if (!httpOptions) return handle;
+  return function (req, res, next) {
+    return runWithHttpOptions(httpOptions, () => handle(req, res, next));
+  };
+}
 
+function createControllerHandler(controllerFn, { allowRes, requestSchema }) {
   return async function (req, res, next) {
     const resForController = allowRes
       ? res
@@ -41,10 +78,20 @@ export function wrapController(controllerFn, options = {}) {
         });
 
     try {
+      if (requestSchema) {
+        const { errors, values } = parseRequest(req, requestSchema);
+        if (errors.length > 0) {
+          throw HttpResponse.validationError('Validation Failed', errors);
+        }
+        // Controllers receive typed, defaulted values (e.g. numeric req.query.page)
+        assignParsedValues(req, values);
+      }
+
       const result = await controllerFn(req, resForController);
 
       if (result === undefined) {
-        if (HTTP_OPTIONS.STRICT_CONTROLLER_RETURN && !res.headersSent) {
+        const { STRICT_CONTROLLER_RETURN } = getHttpOptions();
+        if (STRICT_CONTROLLER_RETURN && !res.headersSent) {
           // Import BaseException dynamically to avoid circular dependency
           const { BaseException } = await import(
             './error-handler-registry.helper.js'
@@ -53,13 +100,19 @@ export function wrapController(controllerFn, options = {}) {
             statusCode: HTTP_STATUS.INTERNAL_SERVER_ERROR,
           });
         }
-        if (!HTTP_OPTIONS.STRICT_CONTROLLER_RETURN && !res.headersSent) {
+        if (!STRICT_CONTROLLER_RETURN && !res.headersSent) {
           return HttpResponse.success(null).send(res);
         }
         return;
       }
 
-      if (result instanceof HttpResponse) return result.send(res);
+      // Awaited so stream failures before the first byte reach next(err)
+      if (result instanceof HttpResponse) return await result.send(res);
+
+      // Readable, async iterable or Buffer → piped to the client
+      if (isStreamable(result)) {
+        return await HttpResponse.stream(result).send(res);
+      }
 
       return HttpResponse.success(result).send(res);
     } catch (err) {
@@ -0,0 +1,126 @@
+/**
+ * src/core/helpers/jwt.helper.js
+ * --------------------------------------------------
+ * Compact JSON Web Tokens signed with HMAC-SHA256 (`HS256`).
+ *
+ * Only HS256 is produced and accepted; the `alg` header is checked before
+ * the signature, so `none` or asymmetric algorithms cannot be smuggled in.
+ * Times (`iat`, `exp`) are in seconds, as in RFC 7519.
+ *
+ * Example:
+ *   const token = signJwt({ sub: '42' }, secret, { expiresIn: 900 });
+ *   verifyJwt(token, secret); // → { sub: '42', iat, exp }
+ */
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+import { isPlainObject } from '../utils/type-check.util.js';
+
+const HEADER = { alg: 'HS256', typ: 'JWT' };
+
+/**
+ * Why a token was rejected; `code` is one of
+ * `malformed`, `unsupported_algorithm`, `invalid_signature`, `expired`
+ */
+export class TokenVerificationError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'TokenVerificationError';
+    this.code = code;
+  }
+}
+
+const encode = value =>
+  Buffer.from(JSON.stringify(value)).toString('base64url');
+
+function decode(segment) {
+  try {
+    const value = JSON.parse(Buffer.from(segment, 'base64url').toString());
+    if (isPlainObject(value)) return value;
+  } catch {
+    // Reported below
+  }
+  throw new TokenVerificationError('Token is malformed', 'malformed');
+}
+
+function sign(input, secret) {
+  return createHmac('sha256', secret).update(input).digest();
+}
+
+function assertSecret(secret) {
+  if (!(typeof secret === 'string' || Buffer.isBuffer(secret))) {
+    throw new Error('JWT secret must be a string or a Buffer');
+  }
+  if (secret.length < 32) {
+    throw new Error('JWT secret must be at least 32 bytes long');
+  }
+}
+
+const nowInSeconds = () => Math.floor(Date.now() / 1000);
+
+/**
+ * Sign claims into a token
+ * @param {Object} claims - e.g. `{ sub, jti }`
+ * @param {string|Buffer} secret - At least 32 bytes
+ * @param {Object} options
+ * @param {number} options.expiresIn - Lifetime in seconds (sets `exp`)
+ * @param {number} options.now - Issue time in seconds (default: now)
+ * @returns {string}
+ */
+export function signJwt(claims, secret, options = {}) {
+  assertSecret(secret);
+  const { expiresIn, now = nowInSeconds() } = options;
+
+  const payload = { ...claims, iat: now };
+  if (expiresIn !== undefined) payload.exp = now + expiresIn;
+
+  const input = `${encode(HEADER)}.${encode(payload)}`;
+  return `${input}.${sign(input, secret).toString('base64url')}`;
+}
+
+/**
+ * Verify a token and return its claims
+ * @param {string} token
+ * @param {string|Buffer} secret
+ * @param {Object} options
+ * @param {number} options.now - Current time in seconds (default: now)
+ * @returns {Object} Claims
+ * @throws {TokenVerificationError}
+ */
+export function verifyJwt(token, secret, options = {}) {
+  assertSecret(secret);
+  const { now = nowInSeconds() } = options;
+
+  const segments = typeof token === 'string' ? token.split('.') : [];
+  if (segments.length !== 3) {
+    throw new TokenVerificationError('Token is malformed', 'malformed');
+  }
+
+  const [header, payload, signature] = segments;
+  if (decode(header).alg !== HEADER.alg) {
+    throw new TokenVerificationError(
+      'Token algorithm is not supported',
+      'unsupported_algorithm'
+    );
+  }
+
+  const expected = sign(`${header}.${payload}`, secret);
+  const actual = Buffer.from(signature, 'base64url');
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    throw new TokenVerificationError(
+      'Token signature is invalid',
+      'invalid_signature'
+    );
+  }
+
+  const claims = decode(payload);
+  if (typeof claims.exp === 'number' && claims.exp <= now) {
+    throw new TokenVerificationError('Token has expired', 'expired');
+  }
+  return claims;
+}
+
+export default {
+  TokenVerificationError,
+  signJwt,
+  verifyJwt,
+};
@@ -0,0 +1,306 @@
+/**
+ * src/core/helpers/lifecycle.helper.js
+ * --------------------------------------------------
+ * Startup/shutdown state of an app and graceful shutdown.
+ *
+ * Every app built by `createApp` owns a lifecycle (`app.locals.lifecycle`):
+ *
+ *   starting ──markReady()──► ready ──shutdown()──► draining ──► stopped
+ *
+ * `shutdown()` runs once, in this order:
+ *   1. readiness fails (`GET /health/ready` → 503) and, after
+ *      `SHUTDOWN_READINESS_DELAY_MS`, attached servers stop accepting
+ *      connections; responses sent while draining carry `Connection: close`
+ *   2. `onDrain` hooks end long-lived responses (SSE, long polling) that
+ *      would otherwise hold the drain until its deadline
+ *   3. in-flight requests get `SHUTDOWN_TIMEOUT_MS` to finish, then the
+ *      remaining connections are closed
+ *   4. `onShutdown` hooks release resources (connections, buffers)
+ *   5. the promise resolves with an `EXIT_CODES` value
+ *
+ * Hooks of each phase run in reverse registration order, each bounded by
+ * `SHUTDOWN_HOOK_TIMEOUT_MS`; a failing hook does not stop the others.
+ *
+ * `handleShutdownSignals` wires SIGTERM/SIGINT to `shutdown()` and exits with
+ * the resulting code.
+ */
+import { SERVER_OPTIONS } from '../config/server.config.js';
+import { EXIT_CODES, signalExitCode } from '../constants/exit-code.constant.js';
+
+import { logger } from './logger.helper.js';
+
+const log = logger.child({ module: 'lifecycle' });
+
+export const LIFECYCLE_STATES = Object.freeze({
+  STARTING: 'starting',
+  READY: 'ready',
+  DRAINING: 'draining',
+  STOPPED: 'stopped',
+});
+
+export const SHUTDOWN_SIGNALS = Object.freeze(['SIGTERM', 'SIGINT']);
+
+/**
+ * Error used when a hook does not settle in time
+ */
+class ShutdownHookTimeoutError extends Error {
+  constructor(name, timeoutMs) {
+    super(`Shutdown hook "${name}" did not settle within ${timeoutMs}ms`);
+    this.name = 'ShutdownHookTimeoutError';
+  }
+}
+
+/**
+ * Resolve after `ms` without keeping the process alive
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms).unref?.());
+}
+
+/**
+ * Reject when `fn()` does not settle within `timeoutMs` (0 disables it)
+ */
+function runWithTimeout(fn, timeoutMs, name) {
+  const pending = Promise.resolve().then(fn);
+  if (!(timeoutMs > 0)) return pending;
+
+  let timer;
+  const timeout = new Promise((_resolve, reject) => {
+    timer = setTimeout(
+      () => reject(new ShutdownHookTimeoutError(name, timeoutMs)),
+      timeoutMs
+    );
+    timer.unref?.();
+  });
+
+  return Promise.race([pending, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Stop accepting connections and wait for open ones to end
+ * @returns {Promise<boolean>} false when the deadline was reached first
+ */
+function closeServer(server, timeoutMs) {
+  const closed = new Promise(resolve => {
+    server.close(() => resolve(true));
+    // Keep-alive sockets without a pending request would hold close() open
+    server.closeIdleConnections?.();
+  });
+
+  return Promise.race([closed, delay(timeoutMs).then(() => false)]);
+}
+
+/**
+ * Create the lifecycle of one app
+ * @returns {Object} Lifecycle API (see file header)
+ */
+export function createLifecycle() {
+  const hooks = { drain: [], shutdown: [] };
+  const servers = new Set();
+  // Responses of requests that have not finished yet
+  const inFlight = new Set();
+  let state = LIFECYCLE_STATES.STARTING;
+  let shutdownPromise = null;
+
+  /**
+   * Readiness passes from now on (called once the server listens)
+   */
+  function markReady() {
+    if (state === LIFECYCLE_STATES.STARTING) state = LIFECYCLE_STATES.READY;
+  }
+
+  function addHook(phase, name, hook) {
+    if (typeof name !== 'string' || name === '') {
+      throw new Error('Shutdown hook needs a name');
+    }
+    if (typeof hook !== 'function') {
+      throw new Error(`Shutdown hook "${name}" must be a function`);
+    }
+    hooks[phase].push({ name, hook });
+  }
+
+  /**
+   * Register a hook run as soon as draining starts, e.g. to end SSE streams
+   * @param {string} name - Used in logs
+   * @param {Function} hook - `({ reason }) => void|Promise<void>`
+   */
+  function onDrain(name, hook) {
+    addHook('drain', name, hook);
+  }
+
+  /**
+   * Register a hook run once in-flight requests are done, e.g. to flush
+   * buffers or close connections
+   * @param {string} name - Used in logs
+   * @param {Function} hook - `({ reason }) => void|Promise<void>`
+   */
+  function onShutdown(name, hook) {
+    addHook('shutdown', name, hook);
+  }
+
+  /**
+   * Drain this HTTP server on shutdown
+   * @param {import('node:http').Server} server
+   */
+  function attach(server) {
+    servers.add(server);
+  }
+
+  /**
+   * Express middleware tracking in-flight requests; while draining their
+   * responses ask keep-alive clients to reconnect (to another instance)
+   */
+  function trackRequests(_req, res, next) {
+    inFlight.add(res);
+    res.once('close', () => {
+      inFlight.delete(res);
+    });
+    if (state === LIFECYCLE_STATES.DRAINING)
+      res.setHeader('Connection', 'close');
+    next();
+  }
+
+  function closeKeepAliveOnResponses() {
+    for (const res of inFlight) {
+      if (!res.headersSent) res.setHeader('Connection', 'close');
+    }
+  }
+
+  async function runHooks(phase, reason, timeoutMs) {
+    let succeeded = true;
+
+    // Last registered first, like teardown in reverse order of setup
+    for (const { name, hook } of [...hooks[phase]].reverse()) {
+      try {
+        await runWithTimeout(() => hook({ reason }), timeoutMs, name);
+      } catch (err) {
+        succeeded = false;
+        log.error('Shutdown hook failed', {
+          event: 'SHUTDOWN_HOOK_FAILURE',
+          phase,
+          hook: name,
+          err,
+        });
+      }
+    }
+
+    return succeeded;
+  }
+
+  async function runShutdown(options) {
+    const {
+      reason = 'shutdown',
+      readinessDelayMs = SERVER_OPTIONS.SHUTDOWN_READINESS_DELAY_MS,
+      timeoutMs = SERVER_OPTIONS.SHUTDOWN_TIMEOUT_MS,
+      hookTimeoutMs = SERVER_OPTIONS.SHUTDOWN_HOOK_TIMEOUT_MS,
+    } = options;
+
+    state = LIFECYCLE_STATES.DRAINING;
+    closeKeepAliveOnResponses();
+    log.info('Shutting down', {
+      event: 'SHUTDOWN_STARTED',
+      reason,
+      inFlight: inFlight.size,
+    });
+
+    if (readinessDelayMs > 0) await delay(readinessDelayMs);
+
+    const closing = [...servers].map(server => closeServer(server, timeoutMs));
+    const drainHooksSucceeded = await runHooks('drain', reason, hookTimeoutMs);
+    const results = await Promise.all(closing);
+    const drained = results.every(Boolean);
+    if (!drained) {
+      log.warn('Drain deadline reached, closing remaining connections', {
+        event: 'SHUTDOWN_TIMEOUT',
+        inFlight: inFlight.size,
+        timeoutMs,
+      });
+      for (const server of servers) server.closeAllConnections?.();
+    }
+
+    const shutdownHooksSucceeded = await runHooks(
+      'shutdown',
+      reason,
+      hookTimeoutMs
+    );
+    const hooksSucceeded = drainHooksSucceeded && shutdownHooksSucceeded;
+    state = LIFECYCLE_STATES.STOPPED;
+
+    let exitCode = EXIT_CODES.OK;
+    if (!drained) exitCode = EXIT_CODES.SHUTDOWN_TIMEOUT;
+    else if (!hooksSucceeded) exitCode = EXIT_CODES.SHUTDOWN_HOOK_FAILED;
+
+    log.info('Shutdown complete', { event: 'SHUTDOWN_COMPLETE', exitCode });
+    return exitCode;
+  }
+
+  /**
+   * Gracefully stop the app; later calls return the same promise
+   * @param {Object} options - Defaults from `SERVER_OPTIONS`
+   * @param {string} options.reason - e.g. the signal name, for logs and hooks
+   * @param {number} options.readinessDelayMs
+   * @param {number} options.timeoutMs - Drain deadline
+   * @param {number} options.hookTimeoutMs - Per-hook deadline
+   * @returns {Promise<number>} One of `EXIT_CODES`
+   */
+  function shutdown(options = {}) {
+    shutdownPromise ??= runShutdown(options);
+    return shutdownPromise;
+  }
+
+  return Object.freeze({
+    markReady,
+    onDrain,
+    onShutdown,
+    attach,
+    trackRequests,
+    shutdown,
+    getState: () => state,
+    isReady: () => state === LIFECYCLE_STATES.READY,
+    getInFlightCount: () => inFlight.size,
+  });
+}
+
+/**
+ * Shut the lifecycle down on SIGTERM/SIGINT and exit with its code.
+ * A second signal while draining exits at once with `128 + signal number`.
+ *
+ * @param {Object} lifecycle - Result of `createLifecycle`
+ * @param {Object} options
+ * @param {Array<string>} options.signals - Default: SIGTERM, SIGINT
+ * @param {Function} options.exit - Default: `process.exit`
+ * @param {import('node:events').EventEmitter} options.target - Signal source (default: process)
+ * @returns {Function} Removes the signal listeners
+ */
+export function handleShutdownSignals(lifecycle, options = {}) {
+  const {
+    signals = SHUTDOWN_SIGNALS,
+    exit = code => process.exit(code),
+    target = process,
+  } = options;
+
+  function onSignal(signal) {
+    if (lifecycle.getState() === LIFECYCLE_STATES.DRAINING) {
+      log.warn('Second signal received, exiting immediately', {
+        event: 'SHUTDOWN_FORCED',
+        signal,
+      });
+      return exit(signalExitCode(signal));
+    }
+
+    return lifecycle.shutdown({ reason: signal }).then(exit);
+  }
+
+  for (const signal of signals) target.on(signal, onSignal);
+
+  return () => {
+    for (const signal of signals) target.off(signal, onSignal);
+  };
+}
+
+export default {
+  LIFECYCLE_STATES,
+  SHUTDOWN_SIGNALS,
+  createLifecycle,
+  handleShutdownSignals,
+};
@@ -0,0 +1,113 @@
+/**
+ * src/core/helpers/log-transports.helper.js
+ * --------------------------------------------------
+ * Destinations for logger records.
+ *
+ * A transport is any object with `write(record, line)`, where `record` is the
+ * redacted log object and `line` its JSON serialization (no trailing newline).
+ *
+ *   - stdout: one JSON line per record on process.stdout
+ *   - file:   appends to a file and rotates it by size (`app.log.1`, ...)
+ *   - memory: keeps records in an array, for tests
+ */
+import {
+  appendFileSync,
+  existsSync,
+  mkdirSync,
+  renameSync,
+  statSync,
+} from 'node:fs';
+import { dirname } from 'node:path';
+
+/**
+ * Write JSON lines to a stream (process.stdout by default)
+ * @param {Object} options
+ * @param {import('node:stream').Writable} options.stream
+ * @returns {{write: Function}}
+ */
+export function createStdoutTransport(options = {}) {
+  const { stream = process.stdout } = options;
+
+  return {
+    name: 'stdout',
+    write(_record, line) {
+      stream.write(`${line}\n`);
+    },
+  };
+}
+
+/**
+ * Append JSON lines to a file, rotating it when it would exceed `maxBytes`.
+ * Writes are synchronous so records are never lost or reordered around a
+ * rotation, and nothing is left pending when the process exits.
+ *
+ * @param {Object} options
+ * @param {string} options.filePath - Active log file
+ * @param {number} options.maxBytes - Size that triggers a rotation (default: 10 MiB)
+ * @param {number} options.maxFiles - Rotated files kept (default: 5)
+ * @returns {{write: Function, rotate: Function}}
+ */
+export function createFileTransport(options = {}) {
+  const { filePath, maxBytes = 10 * 1024 * 1024, maxFiles = 5 } = options;
+
+  if (typeof filePath !== 'string' || filePath === '') {
+    throw new Error('File transport requires a filePath');
+  }
+
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  mkdirSync(dirname(filePath), { recursive: true });
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  let size = existsSync(filePath) ? statSync(filePath).size : 0;
+
+  // app.log.(N-1) → app.log.N, …, app.log → app.log.1; the oldest is overwritten
+  const rotate = () => {
+    for (let index = maxFiles; index >= 1; index--) {
+      const source = index === 1 ? filePath : `${filePath}.${index - 1}`;
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      if (existsSync(source)) renameSync(source, `${filePath}.${index}`);
+    }
+    size = 0;
+  };
+
+  return {
+    name: 'file',
+    rotate,
+    write(_record, line) {
+      const bytes = Buffer.byteLength(line) + 1;
+      if (size > 0 && size + bytes > maxBytes) rotate();
+
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      appendFileSync(filePath, `${line}\n`);
+      size += bytes;
+    },
+  };
+}
+
+/**
+ * Keep records in memory (tests, debugging endpoints)
+ * @param {Object} options
+ * @param {number} options.limit - Oldest records are dropped beyond this (default: 1000)
+ * @returns {{write: Function, records: Array<Object>, clear: Function}}
+ */
+export function createMemoryTransport(options = {}) {
+  const { limit = 1000 } = options;
+  const records = [];
+
+  return {
+    name: 'memory',
+    records,
+    write(record) {
+      records.push(record);
+      if (records.length > limit) records.shift();
+    },
+    clear() {
+      records.length = 0;
+    },
+  };
+}
+
+export default {
+  createStdoutTransport,
+  createFileTransport,
+  createMemoryTransport,
+};
@@ -0,0 +1,265 @@
+/**
+ * src/core/helpers/logger.helper.js
+ * --------------------------------------------------
+ * Leveled JSON-lines logger.
+ *
+ * Every record is one JSON object: `time`, `level`, `msg`, the bindings of the
+ * logger (e.g. `module`), the request context (e.g. `correlationId`) and the
+ * fields passed to the call. Records go through the redaction layer before
+ * reaching any transport.
+ *
+ * Example:
+ *   const log = logger.child({ module: 'user' });
+ *   log.warn('Permission denied', { userId, action, resource });
+ *   // {"time":"…","level":"warn","msg":"Permission denied","module":"user",…}
+ */
+import safeStableStringify from 'safe-stable-stringify';
+
+import { LOG_OPTIONS } from '../config/logger.config.js';
+import { safeGet } from '../utils/safe-get.util.js';
+import {
+  isError,
+  isFunction,
+  isPlainObject,
+} from '../utils/type-check.util.js';
+
+import { serializeError } from './error-serializer.helper.js';
+import {
+  createFileTransport,
+  createStdoutTransport,
+} from './log-transports.helper.js';
+import { redact } from './redaction.helper.js';
+import { getCorrelationId } from './request-context.helper.js';
+
+export const LOG_LEVELS = Object.freeze({
+  trace: 10,
+  debug: 20,
+  info: 30,
+  warn: 40,
+  error: 50,
+  fatal: 60,
+  silent: Infinity,
+});
+
+/**
+ * Default context: the correlation ID of the current request, if any
+ */
+function requestContextFields() {
+  const correlationId = getCorrelationId();
+  return correlationId === undefined ? {} : { correlationId };
+}
+
+/**
+ * Shared by the root logger and all of its children, so transports and the
+ * context provider can be swapped after module-level children were created.
+ */
+const sharedState = {
+  transports: [],
+  contextProvider: requestContextFields,
+};
+
+function levelValue(level) {
+  if (!Object.hasOwn(LOG_LEVELS, level)) {
+    throw new Error(
+      `Unknown log level "${level}". Expected one of: ${Object.keys(LOG_LEVELS).join(', ')}`
+    );
+  }
+  return safeGet(LOG_LEVELS, level);
+}
+
+/**
+ * Error instances anywhere at the top level of the fields are serialized with
+ * their cause chain instead of becoming `{}`.
+ */
+function normalizeFields(fields) {
+  if (isError(fields)) return { err: serializeError(fields) };
+  if (!isPlainObject(fields))
+    return fields === undefined ? {} : { data: fields };
+
+  return Object.fromEntries(
+    Object.entries(fields).map(([key, value]) => [
+      key,
+      isError(value) ? serializeError(value) : value,
+    ])
+  );
+}
+
+function readContext() {
+  if (!isFunction(sharedState.contextProvider)) return {};
+  try {
+    return sharedState.contextProvider() ?? {};
+  } catch {
+    return {};
+  }
+}
+
+export class Logger {
+  /**
+   * @param {Object} options
+   * @param {Object} options.bindings - Fields added to every record
+   * @param {string} options.level - Fixed level; follows LOG_OPTIONS.LEVEL when omitted
+   * @param {Array} options.transports - Own transports instead of the shared ones
+   */
+  constructor(options = {}) {
+    const { bindings = {}, level, transports } = options;
+    if (level !== undefined) levelValue(level);
+
+    this.bindings = { ...bindings };
+    this.level = level;
+    this.transports = transports;
+  }
+
+  /**
+   * Create a logger that adds `bindings` to every record
+   * @param {Object} bindings - e.g. `{ module: 'user' }` or `{ correlationId }`
+   * @returns {Logger}
+   */
+  child(bindings = {}) {
+    return new Logger({
+      bindings: { ...this.bindings, ...bindings },
+      level: this.level,
+      transports: this.transports,
+    });
+  }
+
+  /**
+   * Whether a record at `level` would be written
+   * @param {string} level
+   * @returns {boolean}
+   */
+  isLevelEnabled(level) {
+    return levelValue(level) >= levelValue(this.level ?? LOG_OPTIONS.LEVEL);
+  }
+
+  /**
+   * Write a record
+   * @param {string} level - trace, debug, info, warn, error or fatal
+   * @param {string} msg - Short, constant message (details go in fields)
+   * @param {Object|Error} [fields] - Structured data for this record
+   */
+  log(level, msg, fields) {
+    if (level === 'silent' || !this.isLevelEnabled(level)) return;
+
+    const record = redact({
+      time: new Date().toISOString(),
+      level,
+      msg: String(msg),
+      ...readContext(),
+      ...this.bindings,
+      ...normalizeFields(fields),
+    });
+    const line = safeStableStringify(record);
+
+    for (const transport of this.transports ?? sharedState.transports) {
+      try {
+        transport.write(record, line);
+      } catch (transportError) {
+        // A broken transport must never break the request being logged
+        process.stderr.write(
+          `[LOGGER] ${transport.name ?? 'transport'} failed: ${transportError.message}\n`
+        );
+      }
+    }
+  }
+
+  trace(msg, fields) {
+    this.log('trace', msg, fields);
+  }
+
+  debug(msg, fields) {
+    this.log('debug', msg, fields);
+  }
+
+  info(msg, fields) {
+    this.log('info', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.log('warn', msg, fields);
+  }
+
+  error(msg, fields) {
+    this.log('error', msg, fields);
+  }
+
+  fatal(msg, fields) {
+    this.log('fatal', msg, fields);
+  }
+}
+
+/**
+ * Build transports from LOG_OPTIONS.TRANSPORTS
+ * @returns {Array}
+ */
+export function createDefaultTransports() {
+  return LOG_OPTIONS.TRANSPORTS.map(name => {
+    if (name === 'stdout') return createStdoutTransport();
+    if (name === 'file') {
+      return createFileTransport({
+        filePath: LOG_OPTIONS.FILE_PATH,
+        maxBytes: LOG_OPTIONS.FILE_MAX_BYTES,
+        maxFiles: LOG_OPTIONS.FILE_MAX_FILES,
+      });
+    }
+    throw new Error(`Unknown log transport "${name}"`);
+  });
+}
+
+/**
+ * Replace the transports used by the root logger and its children
+ * @param {Array<{write: Function}>} transports
+ */
+export function setLogTransports(transports) {
+  if (
+    !Array.isArray(transports) ||
+    !transports.every(transport => isFunction(transport?.write))
+  ) {
+    throw new Error('Transports must be an array of { write(record, line) }');
+  }
+  sharedState.transports = [...transports];
+}
+
+/**
+ * Register a function returning request-scoped fields (e.g. `correlationId`)
+ * merged into every record. Pass `null` to remove it.
+ * @param {Function|null} provider
+ */
+export function setLogContextProvider(provider) {
+  if (provider !== null && !isFunction(provider)) {
+    throw new Error('Log context provider must be a function or null');
+  }
+  sharedState.contextProvider = provider;
+}
+
+/**
+ * Restore the transports configured in LOG_OPTIONS and the default context
+ * provider (mainly for testing)
+ */
+export function resetLogger() {
+  sharedState.transports = createDefaultTransports();
+  sharedState.contextProvider = requestContextFields;
+}
+
+/**
+ * Create a standalone logger
+ * @param {Object} options - See Logger constructor
+ * @returns {Logger}
+ */
+export function createLogger(options = {}) {
+  return new Logger(options);
+}
+
+export const logger = new Logger();
+
+resetLogger();
+
+export default {
+  LOG_LEVELS,
+  Logger,
+  logger,
+  createLogger,
+  createDefaultTransports,
+  setLogTransports,
+  setLogContextProvider,
+  resetLogger,
+};
@@ -0,0 +1,90 @@
+/**
+ * src/core/helpers/password.helper.js
+ * --------------------------------------------------
+ * Password hashing with Node's built-in `crypto.scrypt`.
+ *
+ * Hashes are self-describing strings, so the cost parameters can be raised
+ * later without breaking stored hashes:
+ *
+ *   scrypt$<N>$<r>$<p>$<salt base64url>$<key base64url>
+ *
+ * Example:
+ *   const hash = await hashPassword('correct horse');
+ *   await verifyPassword('correct horse', hash); // true
+ */
+import { randomBytes, scrypt, timingSafeEqual } from 'node:crypto';
+
+const SCHEME = 'scrypt';
+const KEY_LENGTH = 64;
+const SALT_LENGTH = 16;
+
+// Interactive-login cost (~50ms); N must be a power of two
+export const PASSWORD_HASH_PARAMS = Object.freeze({ N: 16384, r: 8, p: 1 });
+
+function deriveKey(password, salt, { N, r, p }) {
+  return new Promise((resolve, reject) => {
+    scrypt(
+      password,
+      salt,
+      KEY_LENGTH,
+      // Default maxmem (32 MiB) is exactly 128 * N * r for N=2^15
+      { N, r, p, maxmem: 256 * N * r },
+      (err, key) => (err ? reject(err) : resolve(key))
+    );
+  });
+}
+
+/**
+ * Hash a password with a random salt
+ * @param {string} password
+ * @param {{N: number, r: number, p: number}} params - Default: `PASSWORD_HASH_PARAMS`
+ * @returns {Promise<string>}
+ */
+export async function hashPassword(password, params = PASSWORD_HASH_PARAMS) {
+  if (typeof password !== 'string' || password === '') {
+    throw new Error('Password must be a non-empty string');
+  }
+
+  const salt = randomBytes(SALT_LENGTH);
+  const key = await deriveKey(password, salt, params);
+
+  return [
+    SCHEME,
+    params.N,
+    params.r,
+    params.p,
+    salt.toString('base64url'),
+    key.toString('base64url'),
+  ].join('$');
+}
+
+/**
+ * Check a password against a hash from `hashPassword`
+ * @param {string} password
+ * @param {string} hash
+ * @returns {Promise<boolean>} false for wrong passwords and unreadable hashes
+ */
+export async function verifyPassword(password, hash) {
+  if (typeof password !== 'string' || typeof hash !== 'string') return false;
+
+  const [scheme, N, r, p, salt, key] = hash.split('$');
+  if (scheme !== SCHEME || !salt || !key) return false;
+
+  const params = { N: Number(N), r: Number(r), p: Number(p) };
+  if (!Object.values(params).every(Number.isSafeInteger)) return false;
+
+  const expected = Buffer.from(key, 'base64url');
+  const actual = await deriveKey(
+    password,
+    Buffer.from(salt, 'base64url'),
+    params
+  );
+
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+export default {
+  PASSWORD_HASH_PARAMS,
+  hashPassword,
+  verifyPassword,
+};
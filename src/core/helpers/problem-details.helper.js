@@ -0,0 +1,113 @@
+/**
+ * src/core/helpers/problem-details.helper.js
+ * --------------------------------------------------
+ * RFC 9457 Problem Details rendering for error responses.
+ *
+ * Mapping from the normalized envelope:
+ *   meta.errorCode     → type (`${PROBLEM_TYPE_BASE_URI}/${errorCode}`)
+ *   status text        → title
+ *   message            → detail
+ *   meta.correlationId → instance
+ *   other meta fields  → extension members (e.g. `causes`, `method`, `path`)
+ *   error details      → extension members
+ */
+import { getStatusText } from '../constants/http-status.constant.js';
+import { isNullish, isPlainObject } from '../utils/type-check.util.js';
+
+import { getHttpOptions } from './request-context.helper.js';
+
+export const PROBLEM_JSON_MEDIA_TYPE = 'application/problem+json';
+
+// Members defined by the RFC; error details may not overwrite them
+const RESERVED_MEMBERS = ['type', 'title', 'status', 'detail', 'instance'];
+
+/**
+ * Build the `type` URI for an error code.
+ * @param {string} [errorCode]
+ * @returns {string} `about:blank` when no error code is known
+ */
+export function buildProblemType(errorCode) {
+  if (isNullish(errorCode)) return 'about:blank';
+  const base = getHttpOptions().PROBLEM_TYPE_BASE_URI.replace(/\/+$/, '');
+  return `${base}/${encodeURIComponent(errorCode)}`;
+}
+
+/**
+ * Copy members that neither the RFC nor earlier sources already set
+ */
+function addExtensions(problem, members) {
+  for (const [key, value] of Object.entries(members)) {
+    if (value === undefined) continue;
+    if (RESERVED_MEMBERS.includes(key) || Object.hasOwn(problem, key)) continue;
+    Object.defineProperty(problem, key, {
+      value,
+      writable: true,
+      enumerable: true,
+      configurable: true,
+    });
+  }
+}
+
+/**
+ * Convert an error HttpResponse into a Problem Details object.
+ *
+ * @param {import('./response.helper.js').HttpResponse} response
+ * @param {Object} options
+ * @param {number} options.statusCode - Status actually sent, which `status`
+ *        must match (RFC 9457 §3.1.4); default: `response.statusCode`
+ * @returns {object}
+ */
+export function toProblemDetails(response, options = {}) {
+  const { message, data, meta } = response;
+  const { correlationId, errorCode, timestamp, ...otherMeta } = meta ?? {};
+  const { statusCode = response.statusCode } = options;
+
+  const problem = {
+    type: buildProblemType(errorCode),
+    title: getStatusText(statusCode) || message,
+    status: statusCode,
+    detail: message,
+  };
+
+  if (!isNullish(correlationId)) {
+    problem.instance = String(correlationId);
+  }
+
+  // Extension members: the same details the JSON envelope carries in `meta`
+  if (!isNullish(errorCode)) problem.errorCode = errorCode;
+  if (timestamp) problem.timestamp = timestamp;
+  addExtensions(problem, otherMeta);
+
+  if (isPlainObject(data)) {
+    addExtensions(problem, data);
+  } else if (!isNullish(data)) {
+    problem.details = data;
+  }
+
+  return problem;
+}
+
+/**
+ * Decide whether an error should be rendered as Problem Details: either the
+ * global mode is `problem`, or the client prefers `application/problem+json`
+ * over `application/json` in its Accept header.
+ *
+ * @param {import('express').Request} [req]
+ * @returns {boolean}
+ */
+export function wantsProblemDetails(req) {
+  if (getHttpOptions().ERROR_RESPONSE_FORMAT === 'problem') return true;
+  if (typeof req?.accepts !== 'function') return false;
+
+  return (
+    req.accepts(['application/json', PROBLEM_JSON_MEDIA_TYPE]) ===
+    PROBLEM_JSON_MEDIA_TYPE
+  );
+}
+
+export default {
+  PROBLEM_JSON_MEDIA_TYPE,
+  buildProblemType,
+  toProblemDetails,
+  wantsProblemDetails,
+};
@@ -0,0 +1,214 @@
+/**
+ * src/core/helpers/redaction.helper.js
+ * --------------------------------------------------
+ * Sensitive-field redaction for response payloads and logs.
+ *
+ * Values are replaced by `[REDACTED]` when their key looks sensitive
+ * (password, token, secret, ...). Descriptor objects that name a field and
+ * carry its value, such as `{ field: 'password', value: 'hunter2' }` in
+ * validation errors, get their `value` redacted as well.
+ *
+ * Policy:
+ *   - Built-in patterns plus `HTTP_OPTIONS.REDACT_FIELDS` and
+ *     `registerSensitiveFields()`
+ *   - `HTTP_OPTIONS.REDACTION_ENABLED=false` switches it off globally
+ *   - Per call (HttpResponse#withRedaction, BaseException `redaction` option):
+ *     `false` to opt out, `{ allow: ['token'] }` to keep specific fields
+ *
+ * Example:
+ *   redact({ email: 'a@b.c', password: 'x' });
+ *   // → { email: 'a@b.c', password: '[REDACTED]' }
+ */
+import { safeGet } from '../utils/safe-get.util.js';
+import {
+  isArray,
+  isPlainObject,
+  isRegExp,
+  isString,
+} from '../utils/type-check.util.js';
+
+import { getHttpOptions } from './request-context.helper.js';
+
+export const REDACTED = '[REDACTED]';
+
+const DEFAULT_SENSITIVE_PATTERNS = [
+  /passw(or)?d/i,
+  /^pwd$/i,
+  /secret/i,
+  /token/i,
+  /api[-_]?key/i,
+  /^authorization$/i,
+  /cookie/i,
+  /credential/i,
+  /private[-_]?key/i,
+  /card[-_]?number/i,
+  /^cvv$/i,
+  /^ssn$/i,
+];
+
+// Keys naming the field whose value sits next to them under `value`
+const DESCRIPTOR_NAME_KEYS = ['field', 'name', 'key'];
+
+/**
+ * Patterns added at runtime by modules
+ * Format: Array<RegExp>
+ */
+let customPatterns = [];
+
+function toPattern(field) {
+  if (isRegExp(field)) return field;
+  if (isString(field) && field !== '') {
+    // Plain names match the whole key, case-insensitively
+    return new RegExp(`^${field.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+  }
+  throw new Error('Sensitive field must be a non-empty string or a RegExp');
+}
+
+// Compiled patterns per REDACT_FIELDS value; overrides bring a new array
+const configuredPatterns = new WeakMap();
+const NO_FIELDS = Object.freeze([]);
+
+function getPatterns() {
+  const configured = getHttpOptions().REDACT_FIELDS ?? NO_FIELDS;
+  if (!configuredPatterns.has(configured)) {
+    configuredPatterns.set(configured, configured.map(toPattern));
+  }
+  return [
+    ...DEFAULT_SENSITIVE_PATTERNS,
+    ...configuredPatterns.get(configured),
+    ...customPatterns,
+  ];
+}
+
+/**
+ * Mark additional field names (or patterns) as sensitive
+ * @param {...(string|RegExp)} fields
+ */
+export function registerSensitiveFields(...fields) {
+  customPatterns = [...customPatterns, ...fields.map(toPattern)];
+}
+
+/**
+ * Drop fields registered at runtime (mainly for testing)
+ */
+export function resetSensitiveFields() {
+  customPatterns = [];
+}
+
+/**
+ * Check whether a key names a sensitive value
+ * @param {string} key
+ * @param {Object} options
+ * @param {Array<string>} options.allow - Field names exempt from redaction
+ * @param {Array<RegExp>} options.patterns - Sensitive patterns, when already
+ *        resolved by the caller (default: current policy)
+ * @returns {boolean}
+ */
+export function isSensitiveKey(key, options = {}) {
+  const { allow = [] } = options;
+  if (!isString(key)) return false;
+
+  const lowerKey = key.toLowerCase();
+  if (allow.some(name => String(name).toLowerCase() === lowerKey)) {
+    return false;
+  }
+
+  const patterns = options.patterns ?? getPatterns();
+  return patterns.some(pattern => pattern.test(key));
+}
+
+/**
+ * Whether redaction applies with the given per-call policy
+ * @param {false|Object} [policy]
+ * @returns {boolean}
+ */
+function isEnabled(policy) {
+  return policy !== false && getHttpOptions().REDACTION_ENABLED !== false;
+}
+
+/**
+ * Deep-copy plain objects and arrays, replacing sensitive values. Other
+ * values (class instances, Dates, Buffers) are kept by reference.
+ *
+ * @param {*} value
+ * @param {false|{allow?: Array<string>}} [policy] - `false` to opt out
+ * @returns {*} Redacted copy (or `value` itself when nothing applies)
+ */
+export function redact(value, policy = {}) {
+  if (!isEnabled(policy)) return value;
+
+  // Resolved once per call, not once per key
+  const options = { allow: policy?.allow ?? [], patterns: getPatterns() };
+  const seen = new WeakMap();
+
+  const walk = current => {
+    if (!isArray(current) && !isPlainObject(current)) return current;
+    if (seen.has(current)) return seen.get(current);
+
+    if (isArray(current)) {
+      const copy = [];
+      seen.set(current, copy);
+      current.forEach(item => copy.push(walk(item)));
+      return copy;
+    }
+
+    const copy = {};
+    seen.set(current, copy);
+
+    const describesSensitiveField = DESCRIPTOR_NAME_KEYS.some(nameKey =>
+      isSensitiveKey(safeGet(current, nameKey), options)
+    );
+
+    for (const [key, child] of Object.entries(current)) {
+      const sensitive =
+        isSensitiveKey(key, options) ||
+        (describesSensitiveField && key === 'value');
+
+      Object.defineProperty(copy, key, {
+        value: sensitive ? REDACTED : walk(child),
+        writable: true,
+        enumerable: true,
+        configurable: true,
+      });
+    }
+
+    return copy;
+  };
+
+  return walk(value);
+}
+
+/**
+ * Reduce an IP address to its network part for logs
+ * (`203.0.113.42` → `203.0.113.x`, `2001:db8:85a3:8d3::1` → `2001:db8:85a3::x`).
+ * @param {string} ip
+ * @returns {string|undefined}
+ */
+export function maskIp(ip) {
+  if (!isString(ip) || ip === '') return undefined;
+
+  const ipv4 = ip.match(/(\d{1,3}\.\d{1,3}\.\d{1,3})\.\d{1,3}$/);
+  if (ipv4) return `${ipv4[1]}.x`;
+
+  return `${ip.split(':').slice(0, 3).join(':')}::x`;
+}
+
+/**
+ * Keep only the product token of a User-Agent (`Mozilla/5.0 (...)` → `Mozilla/5.0`)
+ * @param {string} userAgent
+ * @returns {string|undefined}
+ */
+export function maskUserAgent(userAgent) {
+  if (!isString(userAgent) || userAgent === '') return undefined;
+  return userAgent.split(' ')[0];
+}
+
+export default {
+  REDACTED,
+  registerSensitiveFields,
+  resetSensitiveFields,
+  isSensitiveKey,
+  redact,
+  maskIp,
+  maskUserAgent,
+};
@@ -0,0 +1,109 @@
+/**
+ * src/core/helpers/request-context.helper.js
+ * --------------------------------------------------
+ * Request-scoped context backed by AsyncLocalStorage.
+ *
+ * The request-id middleware opens a context for every request; anything
+ * running inside it (controllers, error handlers, promise continuations)
+ * can read the correlation ID without having `req` at hand. `HttpResponse`,
+ * `BaseException` and the logger pick it up automatically.
+ *
+ * The context also carries HTTP option overrides for a subtree of routes
+ * (`withHttpOptions` middleware, `wrapController(fn, { httpOptions })`).
+ * Core helpers read options through `getHttpOptions()` so the global
+ * `HTTP_OPTIONS` is never mutated per request.
+ *
+ * Example:
+ *   runWithRequestContext({ correlationId: 'abc' }, () => {
+ *     getCorrelationId(); // 'abc'
+ *   });
+ */
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { randomUUID } from 'node:crypto';
+
+import { HTTP_OPTIONS } from '../config/http-options.config.js';
+
+const storage = new AsyncLocalStorage();
+
+// Incoming IDs are echoed in headers and logs: keep them short and inert
+const SAFE_REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Generate a new correlation ID
+ * @returns {string} UUID v4
+ */
+export function generateRequestId() {
+  return randomUUID();
+}
+
+/**
+ * Check whether a client-supplied ID can be reused as-is
+ * @param {*} value - Raw header value
+ * @returns {boolean}
+ */
+export function isSafeRequestId(value) {
+  return typeof value === 'string' && SAFE_REQUEST_ID_PATTERN.test(value);
+}
+
+/**
+ * Run `fn` inside a request context
+ * @param {{correlationId: string}} context
+ * @param {Function} fn
+ * @returns {*} Result of `fn`
+ */
+export function runWithRequestContext(context, fn) {
+  return storage.run({ ...context }, fn);
+}
+
+/**
+ * Current request context, or undefined outside a request
+ * @returns {{correlationId: string}|undefined}
+ */
+export function getRequestContext() {
+  return storage.getStore();
+}
+
+/**
+ * Correlation ID of the current request, or undefined outside a request
+ * @returns {string|undefined}
+ */
+export function getCorrelationId() {
+  return storage.getStore()?.correlationId;
+}
+
+/**
+ * Run `fn` with HTTP option overrides layered over the current context
+ * (nested overrides win; the correlation ID is kept)
+ * @param {Partial<typeof HTTP_OPTIONS>} overrides - Checked once, when the
+ *        route is defined, with `validateHttpOptionOverrides`
+ * @param {Function} fn
+ * @returns {*} Result of `fn`
+ */
+export function runWithHttpOptions(overrides, fn) {
+  const parent = storage.getStore();
+
+  return storage.run(
+    { ...parent, httpOptions: { ...parent?.httpOptions, ...overrides } },
+    fn
+  );
+}
+
+/**
+ * Effective HTTP options: global `HTTP_OPTIONS` plus the overrides of the
+ * current request context
+ * @returns {typeof HTTP_OPTIONS}
+ */
+export function getHttpOptions() {
+  const overrides = storage.getStore()?.httpOptions;
+  return overrides ? { ...HTTP_OPTIONS, ...overrides } : HTTP_OPTIONS;
+}
+
+export default {
+  generateRequestId,
+  isSafeRequestId,
+  runWithRequestContext,
+  runWithHttpOptions,
+  getRequestContext,
+  getCorrelationId,
+  getHttpOptions,
+};
@@ -5,12 +5,33 @@ import safeStableStringify from 'safe-stable-stringify';
  * --------------------------------------------------
  * HttpResponse class extracted to avoid import cycles.
  */
-import { HTTP_OPTIONS } from '../config/http-options.config.js';
 import {
   HTTP_STATUS,
   getStatusText,
+  isSuccess,
 } from '../constants/http-status.constant.js';
 
+import {
+  PROBLEM_JSON_MEDIA_TYPE,
+  toProblemDetails,
+  wantsProblemDetails,
+} from './problem-details.helper.js';
+import { redact } from './redaction.helper.js';
+import { getCorrelationId, getHttpOptions } from './request-context.helper.js';
+import {
+  DEFAULT_MEDIA_TYPE,
+  getRegisteredSerializers,
+  negotiateSerializer,
+} from './serializer-registry.helper.js';
+import { sendEventStream } from './sse.helper.js';
+import { sendStream } from './stream.helper.js';
+
+const BODYLESS_STATUS_CODES = [
+  HTTP_STATUS.NO_CONTENT,
+  HTTP_STATUS.RESET_CONTENT,
+  HTTP_STATUS.NOT_MODIFIED,
+];
+
 // -----------------------------------------------------------------------------
 // HttpResponse class (Express version)
 // -----------------------------------------------------------------------------
@@ -25,13 +46,28 @@ export class HttpResponse {
     this.data = data;
     this.message = message ?? getStatusText(statusCode);
     this.statusCode = statusCode;
-    this.success = statusCode >= HTTP_STATUS.OK && statusCode < 300;
+    this.success = isSuccess(statusCode);
 
-    // Enhanced metadata with automatic timestamp
+    // Enhanced metadata with automatic timestamp and request correlation ID
+    const correlationId = getCorrelationId();
     this.meta = {
       timestamp: new Date().toISOString(),
+      ...(correlationId !== undefined ? { correlationId } : {}),
       ...meta,
     };
+
+    // Applied to the Express response in send(); keys are lower-cased names
+    this.headers = {};
+    this.cookies = [];
+
+    // Set by stream()/file(); send() pipes it instead of a JSON body
+    this.stream = null;
+
+    // Set by eventStream(); send() holds the response open for SSE
+    this.eventStream = null;
+
+    // Per-response redaction policy; null follows the global one
+    this.redaction = null;
   }
 
   // ---------------------------------------------------------------------------
@@ -103,6 +139,19 @@ export class HttpResponse {
     );
   }
 
+  static notAcceptable(
+    message = 'Not Acceptable',
+    errorDetails = null,
+    meta = {}
+  ) {
+    return HttpResponse.error(
+      message,
+      HTTP_STATUS.NOT_ACCEPTABLE,
+      errorDetails,
+      meta
+    );
+  }
+
   static conflict(message = 'Conflict', errorDetails = null, meta = {}) {
     return HttpResponse.error(
       message,
@@ -140,6 +189,52 @@ export class HttpResponse {
     });
   }
 
+  /**
+   * Stream a Readable, async iterable or Buffer to the client.
+   *
+   * @param {*} source
+   * @param {object} [options]
+   * @param {string} [options.contentType='application/octet-stream'] - MIME type or extension
+   * @param {number} [options.contentLength] - Byte length, when known
+   * @param {string} [options.filename] - Sent as a download with this name
+   * @param {boolean} [options.inline=false] - `inline` Content-Disposition
+   * @param {number} [options.statusCode=200]
+   */
+  static stream(source, options = {}) {
+    const { statusCode = HTTP_STATUS.OK, ...descriptor } = options;
+    const response = new HttpResponse(null, 'Success', statusCode);
+    response.stream = { ...descriptor, source };
+    return response;
+  }
+
+  /**
+   * Send a file from disk (as an attachment named after the file by default).
+   *
+   * @param {string} filePath
+   * @param {object} [options] - Same as `stream()`; `inline: true` displays it
+   */
+  static file(filePath, options = {}) {
+    const { statusCode = HTTP_STATUS.OK, ...descriptor } = options;
+    const response = new HttpResponse(null, 'Success', statusCode);
+    response.stream = { ...descriptor, filePath };
+    return response;
+  }
+
+  /**
+   * Open a Server-Sent Events channel.
+   *
+   * @param {AsyncIterable|Function} source - Async iterable of events, or
+   *        `({ lastEventId, signal }) => AsyncIterable` for resumable feeds
+   * @param {object} [options]
+   * @param {number} [options.heartbeatMs=15000] - Heartbeat comment interval
+   * @param {number} [options.retry] - Reconnect delay advertised to clients (ms)
+   */
+  static eventStream(source, options = {}) {
+    const response = new HttpResponse(null, 'Success', HTTP_STATUS.OK);
+    response.eventStream = { ...options, source };
+    return response;
+  }
+
   static paginated(
     data,
     { page = 1, limit = 10, total = 0 } = {},
@@ -179,11 +274,93 @@ export class HttpResponse {
     return this;
   }
 
+  /**
+   * Override the status code (and the derived `success` flag).
+   * @param {number} statusCode
+   */
+  withStatus(statusCode) {
+    this.statusCode = statusCode;
+    this.success = isSuccess(statusCode);
+    return this;
+  }
+
+  /**
+   * Set a response header, e.g. `Location`, `Cache-Control`, `Retry-After`.
+   * @param {string} name
+   * @param {string|number|string[]} value
+   */
+  withHeader(name, value) {
+    Object.defineProperty(this.headers, String(name).toLowerCase(), {
+      value: Array.isArray(value) ? value.map(String) : String(value),
+      writable: true,
+      enumerable: true,
+      configurable: true,
+    });
+    return this;
+  }
+
+  /**
+   * Set several response headers at once.
+   * @param {Record<string, string|number|string[]>} headers
+   */
+  withHeaders(headers = {}) {
+    for (const [name, value] of Object.entries(headers)) {
+      this.withHeader(name, value);
+    }
+    return this;
+  }
+
+  /**
+   * Set a cookie (same options as Express `res.cookie`).
+   * @param {string} name
+   * @param {string|object} value
+   * @param {import('express').CookieOptions} [options]
+   */
+  withCookie(name, value, options = {}) {
+    this.cookies.push({ name, value, options });
+    return this;
+  }
+
+  /**
+   * Clear a cookie (same options as Express `res.clearCookie`).
+   * @param {string} name
+   * @param {import('express').CookieOptions} [options]
+   */
+  clearCookie(name, options = {}) {
+    this.cookies.push({ name, options, clear: true });
+    return this;
+  }
+
+  /**
+   * Adjust sensitive-field redaction for this response only.
+   * @param {false|{allow?: string[]}} policy - `false` disables redaction,
+   *        `allow` keeps the listed fields even if they look sensitive
+   */
+  withRedaction(policy) {
+    if (policy !== false && !(policy && typeof policy === 'object')) {
+      throw new Error('Redaction policy must be false or { allow: [...] }');
+    }
+    this.redaction = policy;
+    return this;
+  }
+
   // ---------------------------------------------------------------------------
   // Express integration
   // ---------------------------------------------------------------------------
   /**
    * Send through an Express Response object.
+   *
+   * Success responses are rendered by the serializer negotiated from the
+   * request's Accept header (see serializer-registry.helper.js); a 406
+   * envelope is sent when no registered media type is acceptable.
+   *
+   * Responses built with `stream()`/`file()`/`eventStream()` are piped
+   * instead; the returned promise settles when the transfer ends.
+   *
+   * Error responses are always JSON: RFC 9457 Problem Details when
+   * `HTTP_OPTIONS.ERROR_RESPONSE_FORMAT` is `problem` or the request's Accept
+   * header prefers `application/problem+json`, the envelope otherwise.
+   *
    * @param {import('express').Response} res
    */
   send(res) {
@@ -195,16 +372,61 @@ export class HttpResponse {
       throw new Error('Invalid Express response object');
     }
 
-    const finalStatusCode = HTTP_OPTIONS.SET_DEFAULT_HTTP_STATUS_CODE
-      ? HTTP_OPTIONS.DEFAULT_HTTP_STATUS_CODE
+    // Route-level overrides (withHttpOptions) apply on top of HTTP_OPTIONS
+    const options = getHttpOptions();
+    const finalStatusCode = options.SET_DEFAULT_HTTP_STATUS_CODE
+      ? options.DEFAULT_HTTP_STATUS_CODE
       : this.statusCode;
 
+    const bodyless = BODYLESS_STATUS_CODES.includes(finalStatusCode);
+    const negotiated =
+      this.success && !this.stream && !this.eventStream && !bodyless;
+
+    // A 406 replaces this response: negotiate before its headers and
+    // cookies (Location, Cache-Control, session) are applied
+    const serializer = negotiated ? negotiateSerializer(res.req) : null;
+    if (negotiated && !serializer) {
+      return HttpResponse.notAcceptable('Not Acceptable', {
+        supportedMediaTypes: [...getRegisteredSerializers().keys()],
+      }).send(res);
+    }
+
+    this.applyHeaders(res);
+
+    if (this.stream) {
+      return sendStream(res, this.stream, finalStatusCode);
+    }
+
+    if (this.eventStream) {
+      return sendEventStream(res, this.eventStream);
+    }
+
+    // Status-only responses never carry a body
+    if (bodyless) {
+      return res.status(finalStatusCode).end();
+    }
+
+    // The representation depends on the Accept header
+    res.vary?.('Accept');
+
+    const { mediaType, serialize } = serializer ?? {
+      mediaType: DEFAULT_MEDIA_TYPE,
+      serialize: null,
+    };
+
+    if (!this.success && wantsProblemDetails(res.req)) {
+      return res
+        .status(finalStatusCode)
+        .type(PROBLEM_JSON_MEDIA_TYPE)
+        .send(redact(this.toProblemDetails(finalStatusCode), this.redaction));
+    }
+
     const body = {
       success: this.success,
       message: this.message,
     };
 
-    if (HTTP_OPTIONS.USE_STATUS_CODE_IN_RESPONSE) {
+    if (options.USE_STATUS_CODE_IN_RESPONSE) {
       body.statusCode = this.statusCode;
     }
 
@@ -220,7 +442,31 @@ export class HttpResponse {
       body.meta = this.meta;
     }
 
-    return res.status(finalStatusCode).type('application/json').send(body);
+    // Secrets must never reach the client, whatever the serializer
+    const payload = redact(body, this.redaction);
+
+    return res
+      .status(finalStatusCode)
+      .type(mediaType)
+      .send(serialize ? serialize(payload, this) : payload);
+  }
+
+  /**
+   * Copy headers and cookies collected through the fluent API onto `res`.
+   * @param {import('express').Response} res
+   */
+  applyHeaders(res) {
+    for (const [name, value] of Object.entries(this.headers)) {
+      res.set(name, value);
+    }
+
+    for (const { name, value, options, clear } of this.cookies) {
+      if (clear) {
+        res.clearCookie(name, options);
+      } else {
+        res.cookie(name, value, options);
+      }
+    }
   }
 
   // ---------------------------------------------------------------------------
@@ -243,12 +489,33 @@ export class HttpResponse {
       obj.meta = this.meta;
     }
 
-    return obj;
+    if (Object.keys(this.headers).length > 0) {
+      obj.headers = { ...this.headers };
+    }
+
+    // Sensitive values replaced; cookies are kept as set
+    const redacted = redact(obj, this.redaction);
+
+    if (this.cookies.length > 0) {
+      redacted.cookies = this.cookies.map(cookie => ({ ...cookie }));
+    }
+
+    return redacted;
   }
 
   toJSON() {
     return safeStableStringify(this.toObject());
   }
+
+  /**
+   * RFC 9457 representation of this (error) response.
+   * @param {number} [statusCode] - Status actually sent, when it differs
+   *        from `this.statusCode` (SET_DEFAULT_HTTP_STATUS_CODE)
+   * @returns {object}
+   */
+  toProblemDetails(statusCode = this.statusCode) {
+    return toProblemDetails(this, { statusCode });
+  }
 }
 
 export default {
@@ -0,0 +1,217 @@
+/**
+ * src/core/helpers/serializer-registry.helper.js
+ * --------------------------------------------------
+ * Pluggable response serializers keyed by media type.
+ *
+ * `HttpResponse.send` negotiates the Accept header against the registered
+ * media types (registration order breaks ties, so JSON stays the default for
+ * `Accept: *\/*`) and renders the body with the matching serializer.
+ *
+ * A serializer receives the normalized body and the HttpResponse instance and
+ * returns what is handed to `res.send` (string, Buffer or object).
+ *
+ * Example:
+ *   registerSerializer('text/yaml', body => toYaml(body));
+ */
+import { safeGet } from '../utils/safe-get.util.js';
+import {
+  isArray,
+  isDate,
+  isNullish,
+  isObject,
+  isPlainObject,
+} from '../utils/type-check.util.js';
+
+export const DEFAULT_MEDIA_TYPE = 'application/json';
+
+/**
+ * Registry to store serializers by media type
+ * Format: Map<mediaType, serializerFunction>
+ */
+const serializerRegistry = new Map();
+
+// -----------------------------------------------------------------------------
+// Built-in serializers
+// -----------------------------------------------------------------------------
+
+/**
+ * Rows rendered by tabular formats: the data array itself, or a single row
+ * for an object payload.
+ */
+function toRows(data) {
+  if (isNullish(data)) return [];
+  return isArray(data) ? data : [data];
+}
+
+function serializeJson(body) {
+  return body;
+}
+
+function toCsvText(value) {
+  if (isNullish(value)) return '';
+  if (isDate(value)) return value.toISOString();
+  if (isObject(value) || isArray(value)) return JSON.stringify(value);
+  return String(value);
+}
+
+// Spreadsheet apps evaluate cells starting with these as formulas
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function escapeCsvCell(value) {
+  let text = toCsvText(value);
+  // Numbers (e.g. -5) cannot carry a formula and stay numeric
+  if (typeof value !== 'number' && CSV_FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV of `data` rows; the header is the union of the row keys in first-seen order.
+ */
+function serializeCsv(body) {
+  const rows = toRows(body.data).map(row =>
+    isPlainObject(row) ? row : { value: row }
+  );
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+
+  const lines = [columns.map(escapeCsvCell).join(',')];
+  for (const row of rows) {
+    lines.push(
+      columns.map(column => escapeCsvCell(safeGet(row, column))).join(',')
+    );
+  }
+
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * One JSON document per `data` row.
+ */
+function serializeNdjson(body) {
+  return toRows(body.data)
+    .map(row => `${JSON.stringify(row)}\n`)
+    .join('');
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function toXmlTag(key) {
+  const tag = String(key).replace(/[^A-Za-z0-9_.-]/g, '_');
+  return /^[A-Za-z_]/.test(tag) ? tag : `_${tag}`;
+}
+
+function toXml(value, tag) {
+  if (isNullish(value)) return `<${tag}/>`;
+  if (isDate(value)) return `<${tag}>${value.toISOString()}</${tag}>`;
+  if (isArray(value)) {
+    return `<${tag}>${value.map(item => toXml(item, 'item')).join('')}</${tag}>`;
+  }
+  if (isObject(value)) {
+    const children = Object.entries(value)
+      .map(([key, child]) => toXml(child, toXmlTag(key)))
+      .join('');
+    return `<${tag}>${children}</${tag}>`;
+  }
+  return `<${tag}>${escapeXml(value)}</${tag}>`;
+}
+
+/**
+ * Whole envelope wrapped in a `<response>` root element.
+ */
+function serializeXml(body) {
+  return `<?xml version="1.0" encoding="UTF-8"?>${toXml(body, 'response')}`;
+}
+
+const BUILT_IN_SERIALIZERS = [
+  [DEFAULT_MEDIA_TYPE, serializeJson],
+  ['text/csv', serializeCsv],
+  ['application/x-ndjson', serializeNdjson],
+  ['application/xml', serializeXml],
+];
+
+// -----------------------------------------------------------------------------
+// Registry API
+// -----------------------------------------------------------------------------
+
+/**
+ * Register (or replace) the serializer for a media type
+ * @param {string} mediaType - e.g. `text/csv`
+ * @param {Function} serializer - (body, response) => string | Buffer | object
+ */
+export function registerSerializer(mediaType, serializer) {
+  if (typeof mediaType !== 'string' || !mediaType.includes('/')) {
+    throw new Error('Media type must be a string like "type/subtype"');
+  }
+  if (typeof serializer !== 'function') {
+    throw new Error('Serializer must be a function');
+  }
+
+  serializerRegistry.set(mediaType.toLowerCase(), serializer);
+}
+
+/**
+ * Remove the serializer for a media type
+ * @param {string} mediaType
+ * @returns {boolean} Whether a serializer was removed
+ */
+export function unregisterSerializer(mediaType) {
+  return serializerRegistry.delete(String(mediaType).toLowerCase());
+}
+
+/**
+ * Get all registered serializers (for debugging)
+ * @returns {Map} - Copy of the registry
+ */
+export function getRegisteredSerializers() {
+  return new Map(serializerRegistry);
+}
+
+/**
+ * Restore the built-in serializers (JSON, CSV, NDJSON, XML), dropping custom ones
+ */
+export function resetSerializers() {
+  serializerRegistry.clear();
+  for (const [mediaType, serializer] of BUILT_IN_SERIALIZERS) {
+    serializerRegistry.set(mediaType, serializer);
+  }
+}
+
+/**
+ * Pick the serializer for a request based on its Accept header.
+ *
+ * @param {import('express').Request} [req]
+ * @returns {{mediaType: string, serialize: Function}|null} `null` when the
+ *          client accepts none of the registered media types
+ */
+export function negotiateSerializer(req) {
+  const mediaTypes = [...serializerRegistry.keys()];
+
+  // Without a real request (e.g. unit tests) fall back to JSON
+  const mediaType =
+    typeof req?.accepts === 'function'
+      ? req.accepts(mediaTypes)
+      : DEFAULT_MEDIA_TYPE;
+
+  if (!mediaType || !serializerRegistry.has(mediaType)) return null;
+
+  return { mediaType, serialize: serializerRegistry.get(mediaType) };
+}
+
+resetSerializers();
+
+export default {
+  DEFAULT_MEDIA_TYPE,
+  registerSerializer,
+  unregisterSerializer,
+  getRegisteredSerializers,
+  resetSerializers,
+  negotiateSerializer,
+};
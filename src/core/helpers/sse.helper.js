@@ -0,0 +1,164 @@
+/**
+ * src/core/helpers/sse.helper.js
+ * --------------------------------------------------
+ * Server-Sent Events support for HttpResponse.eventStream().
+ *
+ * The source is an async iterable of events, or a factory receiving
+ * `{ lastEventId, signal }` so it can resume after a reconnect and stop when
+ * the client disconnects. Each event is either a plain value (sent as `data`)
+ * or an object `{ id?, event?, data, retry? }`.
+ *
+ * Example:
+ *   return HttpResponse.eventStream(({ lastEventId, signal }) =>
+ *     subscribe({ after: lastEventId, signal })
+ *   );
+ */
+import { once } from 'node:events';
+
+import {
+  isFunction,
+  isNullish,
+  isPlainObject,
+  isString,
+} from '../utils/type-check.util.js';
+
+import { isAsyncIterable } from './stream.helper.js';
+
+export const EVENT_STREAM_MEDIA_TYPE = 'text/event-stream';
+export const DEFAULT_HEARTBEAT_MS = 15000;
+
+const EVENT_FIELDS = ['id', 'event', 'data', 'retry'];
+
+function isEventObject(value) {
+  return (
+    isPlainObject(value) &&
+    Object.keys(value).length > 0 &&
+    Object.keys(value).every(key => EVENT_FIELDS.includes(key))
+  );
+}
+
+// Field values must not break the line-based framing
+function singleLine(value) {
+  return String(value).replace(/[\r\n]/g, ' ');
+}
+
+/**
+ * Serialize one event into the SSE wire format.
+ *
+ * @param {*} value - `{ id?, event?, data, retry? }` or any value used as data
+ * @returns {string}
+ */
+export function formatSseEvent(value) {
+  const event = isEventObject(value) ? value : { data: value };
+  let frame = '';
+
+  if (!isNullish(event.id)) frame += `id: ${singleLine(event.id)}\n`;
+  if (!isNullish(event.event)) frame += `event: ${singleLine(event.event)}\n`;
+  if (!isNullish(event.retry)) frame += `retry: ${Number(event.retry)}\n`;
+
+  const data = isString(event.data)
+    ? event.data
+    : JSON.stringify(event.data ?? null);
+  for (const line of data.split(/\r\n|\r|\n/)) {
+    frame += `data: ${line}\n`;
+  }
+
+  return `${frame}\n`;
+}
+
+/**
+ * Read the id the browser sends back when reconnecting (`Last-Event-ID`
+ * header, or `?lastEventId=` for polyfills that cannot set headers).
+ *
+ * @param {import('express').Request} [req]
+ * @returns {string|undefined}
+ */
+export function getLastEventId(req) {
+  const header = req?.headers?.['last-event-id'];
+  if (isString(header) && header !== '') return header;
+
+  const fromQuery = req?.query?.lastEventId;
+  return isString(fromQuery) && fromQuery !== '' ? fromQuery : undefined;
+}
+
+function isAbortError(err) {
+  return err?.name === 'AbortError';
+}
+
+/**
+ * Hold the response open and write events until the source ends or the client
+ * disconnects.
+ *
+ * @param {import('express').Response} res
+ * @param {object}   descriptor
+ * @param {*}        descriptor.source                - Async iterable or factory
+ * @param {number}   [descriptor.heartbeatMs=15000]   - Comment ping interval, 0 to disable
+ * @param {number}   [descriptor.retry]               - Client reconnect delay (ms)
+ * @returns {Promise<void>}
+ */
+export async function sendEventStream(res, descriptor) {
+  const { source, heartbeatMs = DEFAULT_HEARTBEAT_MS, retry } = descriptor;
+  const controller = new AbortController();
+  const { signal } = controller;
+
+  // Resolve the source before writing headers so setup errors still produce
+  // a regular error response
+  const events = isFunction(source)
+    ? await source({ lastEventId: getLastEventId(res.req), signal })
+    : source;
+  if (!isAsyncIterable(events)) {
+    throw new TypeError('Event stream source must be an async iterable');
+  }
+
+  res.status(200);
+  res.set({
+    'Content-Type': EVENT_STREAM_MEDIA_TYPE,
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Disable proxy buffering (nginx)
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders?.();
+
+  if (!isNullish(retry)) res.write(`retry: ${Number(retry)}\n\n`);
+
+  const heartbeat =
+    heartbeatMs > 0
+      ? setInterval(() => res.write(': heartbeat\n\n'), heartbeatMs)
+      : null;
+  heartbeat?.unref?.();
+
+  const cleanup = () => {
+    if (heartbeat) clearInterval(heartbeat);
+    controller.abort();
+  };
+  res.once('close', cleanup);
+
+  try {
+    for await (const event of events) {
+      if (signal.aborted) break;
+      // Respect backpressure from slow clients
+      if (!res.write(formatSseEvent(event))) {
+        await once(res, 'drain', { signal });
+      }
+    }
+    if (!signal.aborted) res.end();
+  } catch (err) {
+    // Client disconnects surface as AbortError from the source or drain wait
+    if (!isAbortError(err) && !signal.aborted) {
+      // Headers are already sent: abort so EventSource reconnects
+      res.destroy();
+    }
+  } finally {
+    cleanup();
+    res.off?.('close', cleanup);
+  }
+}
+
+export default {
+  EVENT_STREAM_MEDIA_TYPE,
+  DEFAULT_HEARTBEAT_MS,
+  formatSseEvent,
+  getLastEventId,
+  sendEventStream,
+};
@@ -0,0 +1,215 @@
+/**
+ * src/core/helpers/stream.helper.js
+ * --------------------------------------------------
+ * Streaming and file-download support for HttpResponse.
+ *
+ * Sources can be a Readable stream, an async iterable, a Buffer or a file
+ * path. Data is piped so backpressure is respected. A source error raised
+ * before anything was written rejects the returned promise (wrapController
+ * forwards it to globalErrorHandler); once headers are on the wire the
+ * connection is aborted instead, so the client never mistakes a truncated
+ * body for a complete one.
+ */
+import { createReadStream } from 'node:fs';
+import { stat } from 'node:fs/promises';
+import { basename, extname } from 'node:path';
+import { Readable } from 'node:stream';
+
+import { isBuffer, isFunction } from '../utils/type-check.util.js';
+
+export const DEFAULT_STREAM_CONTENT_TYPE = 'application/octet-stream';
+
+// Headers describing the stream; dropped when an error response replaces it
+const STREAM_HEADERS = [
+  'Content-Type',
+  'Content-Length',
+  'Content-Disposition',
+];
+
+/**
+ * Check if value is a Node.js Readable (or any pipeable) stream
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isReadableStream(value) {
+  return (
+    value !== null &&
+    typeof value === 'object' &&
+    isFunction(value.pipe) &&
+    isFunction(value.on)
+  );
+}
+
+/**
+ * Check if value implements the async iteration protocol
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isAsyncIterable(value) {
+  return value != null && isFunction(value[Symbol.asyncIterator]);
+}
+
+/**
+ * Whether a controller return value should be streamed rather than wrapped
+ * into a JSON envelope.
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isStreamable(value) {
+  return isBuffer(value) || isReadableStream(value) || isAsyncIterable(value);
+}
+
+/**
+ * Build a Content-Disposition value with an ASCII fallback and an RFC 5987
+ * encoded UTF-8 filename.
+ *
+ * @param {string} filename
+ * @param {'attachment'|'inline'} [type='attachment']
+ * @returns {string}
+ */
+export function formatContentDisposition(filename, type = 'attachment') {
+  const fallback = String(filename).replace(/[^\x20-\x7e]|["\\]/g, '_');
+  const encoded = encodeURIComponent(String(filename)).replace(
+    /['()*]/g,
+    char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+/**
+ * Resolve the source into a Readable plus the headers that describe it.
+ * File lookups happen here, before any header is written, so a missing file
+ * surfaces as a normal error response.
+ */
+async function openSource(descriptor) {
+  const { source, filePath } = descriptor;
+
+  if (filePath) {
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    const stats = await stat(filePath);
+    if (!stats.isFile()) {
+      throw new Error(`Not a file: ${filePath}`);
+    }
+    return {
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      readable: createReadStream(filePath),
+      contentLength: stats.size,
+      contentType: extname(filePath) || DEFAULT_STREAM_CONTENT_TYPE,
+      filename: basename(filePath),
+    };
+  }
+
+  if (isBuffer(source)) {
+    return {
+      readable: Readable.from([source]),
+      contentLength: source.length,
+      contentType: DEFAULT_STREAM_CONTENT_TYPE,
+    };
+  }
+
+  if (isReadableStream(source)) {
+    return { readable: source, contentType: DEFAULT_STREAM_CONTENT_TYPE };
+  }
+
+  if (isAsyncIterable(source)) {
+    return {
+      readable: Readable.from(source, { objectMode: false }),
+      contentType: DEFAULT_STREAM_CONTENT_TYPE,
+    };
+  }
+
+  throw new TypeError(
+    'Stream source must be a Readable, an async iterable, a Buffer or a file path'
+  );
+}
+
+/**
+ * Pipe a stream descriptor to an Express response.
+ *
+ * @param {import('express').Response} res
+ * @param {object}  descriptor
+ * @param {*}       [descriptor.source]        - Readable, async iterable or Buffer
+ * @param {string}  [descriptor.filePath]      - File to send instead of `source`
+ * @param {string}  [descriptor.contentType]   - MIME type or extension (`csv`)
+ * @param {number}  [descriptor.contentLength] - Known length in bytes
+ * @param {string}  [descriptor.filename]      - Download name (Content-Disposition)
+ * @param {boolean} [descriptor.inline=false]  - `inline` instead of `attachment`
+ * @param {number}  statusCode
+ * @returns {Promise<void>} Resolves when the response finished or the client left
+ */
+export async function sendStream(res, descriptor, statusCode) {
+  const opened = await openSource(descriptor);
+  const { readable } = opened;
+
+  const contentType = descriptor.contentType ?? opened.contentType;
+  const contentLength = descriptor.contentLength ?? opened.contentLength;
+  // Files are downloads unless sent inline; other sources only when named
+  const filename =
+    descriptor.filename ?? (descriptor.inline ? undefined : opened.filename);
+
+  res.status(statusCode);
+  res.type(contentType);
+  if (contentLength !== undefined) {
+    res.set('Content-Length', String(contentLength));
+  }
+  if (filename) {
+    res.set(
+      'Content-Disposition',
+      formatContentDisposition(
+        filename,
+        descriptor.inline ? 'inline' : 'attachment'
+      )
+    );
+  }
+
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    const settle = err => {
+      if (settled) return;
+      settled = true;
+      if (err) reject(err);
+      else resolve();
+    };
+
+    // Stays attached: a source may emit several errors, and an `error`
+    // without a listener would crash the process
+    let failed = false;
+    readable.on('error', err => {
+      if (failed) return;
+      failed = true;
+      readable.unpipe(res);
+
+      if (!res.headersSent) {
+        // Nothing written yet: let the error pipeline answer instead
+        STREAM_HEADERS.forEach(name => res.removeHeader(name));
+        settle(err);
+        return;
+      }
+
+      // Partial body already sent: abort so the client sees a failure.
+      // No error argument, the response has nobody left to report it to.
+      res.destroy();
+      settle();
+    });
+
+    res.once('finish', () => settle());
+    res.once('close', () => {
+      // Client went away (or response completed): release the source
+      if (!readable.destroyed && isFunction(readable.destroy)) {
+        readable.destroy();
+      }
+      settle();
+    });
+
+    readable.pipe(res);
+  });
+}
+
+export default {
+  DEFAULT_STREAM_CONTENT_TYPE,
+  isReadableStream,
+  isAsyncIterable,
+  isStreamable,
+  formatContentDisposition,
+  sendStream,
+};
@@ -4,17 +4,32 @@
  * Centralised utilities for unit-tests that need Express mocks or to mutate
  * HTTP_OPTIONS.  Having a single helper file keeps __tests__ folders clean.
  */
+import { Writable } from 'node:stream';
+
 import {
   HTTP_OPTIONS,
   overrideHttpOptions,
 } from '../config/http-options.config.js';
+import { LOG_OPTIONS, overrideLogOptions } from '../config/logger.config.js';
+
+import { createMemoryTransport } from './log-transports.helper.js';
+import { resetLogger, setLogTransports } from './logger.helper.js';
 
 /* -------------------------------------------------------------------------- */
 /* Express mocks                                                              */
 /* -------------------------------------------------------------------------- */
 
+// Mirrors `res.set(name, value)` and `res.set({ name: value })`
+function setMockHeaders(headers, name, value) {
+  const entries =
+    typeof name === 'object' ? Object.entries(name) : [[name, value]];
+  for (const [key, val] of entries) {
+    headers[key.toLowerCase()] = val;
+  }
+}
+
 export function createMockRes() {
-  const res = { headersSent: false };
+  const res = { headersSent: false, headers: {}, cookies: {} };
   res.status = jest.fn().mockImplementation(function (code) {
     res.statusCode = code;
     return res;
@@ -30,9 +45,63 @@ export function createMockRes() {
     res.headersSent = true;
     return res;
   });
+  res.end = jest.fn().mockImplementation(() => {
+    res.headersSent = true;
+    return res;
+  });
+  res.set = jest.fn().mockImplementation((name, value) => {
+    setMockHeaders(res.headers, name, value);
+    return res;
+  });
+  res.cookie = jest.fn().mockImplementation((name, value) => {
+    res.cookies[name] = value;
+    return res;
+  });
+  res.clearCookie = jest.fn().mockImplementation(name => {
+    delete res.cookies[name];
+    return res;
+  });
   res.wasSent = () =>
     res.status.mock.calls.length > 0 &&
-    (res.json.mock.calls.length > 0 || res.send.mock.calls.length > 0);
+    (res.json.mock.calls.length > 0 ||
+      res.send.mock.calls.length > 0 ||
+      res.end.mock.calls.length > 0);
+  return res;
+}
+
+/**
+ * Writable mock for streamed responses: collects written chunks and flips
+ * `headersSent` on the first write, like a real ServerResponse.
+ */
+export function createMockStreamRes() {
+  const chunks = [];
+  const res = new Writable({
+    write(chunk, _encoding, callback) {
+      res.headersSent = true;
+      chunks.push(Buffer.from(chunk));
+      callback();
+    },
+  });
+  res.headersSent = false;
+  res.headers = {};
+  res.status = jest.fn().mockImplementation(code => {
+    res.statusCode = code;
+    return res;
+  });
+  res.type = jest.fn().mockImplementation(type => {
+    res.headers['content-type'] = type;
+    return res;
+  });
+  res.set = jest.fn().mockImplementation((name, value) => {
+    setMockHeaders(res.headers, name, value);
+    return res;
+  });
+  res.removeHeader = jest.fn().mockImplementation(name => {
+    delete res.headers[name.toLowerCase()];
+  });
+  res.json = jest.fn();
+  res.send = jest.fn();
+  res.text = () => Buffer.concat(chunks).toString();
   return res;
 }
 
@@ -52,3 +121,29 @@ export const ORIGINAL_HTTP_OPTIONS = { ...HTTP_OPTIONS };
 export function resetHttpOptions() {
   overrideHttpOptions({ ...ORIGINAL_HTTP_OPTIONS });
 }
+
+/* -------------------------------------------------------------------------- */
+/* Logger helpers                                                             */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Route every logger record to memory until `restore()` is called.
+ * @param {string} [level='trace'] - Minimum level captured
+ * @returns {{records: Array<object>, clear: Function, restore: Function}}
+ */
+export function captureLogs(level = 'trace') {
+  const originalLevel = LOG_OPTIONS.LEVEL;
+  const memory = createMemoryTransport();
+
+  overrideLogOptions({ LEVEL: level });
+  setLogTransports([memory]);
+
+  return {
+    records: memory.records,
+    clear: memory.clear,
+    restore() {
+      overrideLogOptions({ LEVEL: originalLevel });
+      resetLogger();
+    },
+  };
+}
@@ -0,0 +1,378 @@
+/**
+ * src/core/helpers/validation.helper.js
+ * --------------------------------------------------
+ * Declarative request validation used by `wrapController({ schema })`.
+ *
+ * A schema maps request locations (params, query, body, headers) to field
+ * rules. Every rule is checked so the client receives all failing fields at
+ * once instead of the first one only.
+ *
+ * Example:
+ *   const schema = {
+ *     params: { id: { type: 'string', required: true } },
+ *     body: {
+ *       email: { type: 'email', required: true },
+ *       username: { type: 'string', minLength: 3, maxLength: 20 },
+ *       role: { type: 'string', enum: ['user', 'admin'] },
+ *     },
+ *     query: {
+ *       page: { type: 'integer', default: 1, min: 1 },
+ *       tags: { type: 'array', items: { type: 'string' } }, // ?tags=a,b
+ *     },
+ *   };
+ */
+import { coerceValue } from '../utils/coerce.util.js';
+import { safeGet } from '../utils/safe-get.util.js';
+import {
+  isArray,
+  isBoolean,
+  isDate,
+  isEmail,
+  isFunction,
+  isInteger,
+  isJSON,
+  isNullish,
+  isNumber,
+  isPlainObject,
+  isRegExp,
+  isString,
+  isURL,
+} from '../utils/type-check.util.js';
+
+export const SCHEMA_LOCATIONS = Object.freeze([
+  'params',
+  'query',
+  'body',
+  'headers',
+]);
+
+/**
+ * Supported `type` values and the predicate backing each of them.
+ */
+export const SCHEMA_TYPES = Object.freeze({
+  string: isString,
+  number: isNumber,
+  integer: isInteger,
+  boolean: isBoolean,
+  email: isEmail,
+  url: isURL,
+  array: isArray,
+  object: isPlainObject,
+  date: isDate,
+  json: isJSON,
+});
+
+const RULE_KEYS = [
+  'type',
+  'required',
+  'enum',
+  'min',
+  'max',
+  'minLength',
+  'maxLength',
+  'pattern',
+  'validate',
+  'message',
+  'items',
+  'properties',
+  'default',
+  'coerce',
+  'separator',
+];
+
+// Locations whose values are always raw strings
+const COERCED_LOCATIONS = ['params', 'query', 'headers'];
+
+/**
+ * Validate a single field rule definition (throws on programmer errors).
+ * @param {object} rule
+ * @param {string} path - Dotted path used in error messages
+ */
+function assertValidRule(rule, path) {
+  if (!isPlainObject(rule)) {
+    throw new Error(`Schema rule for "${path}" must be a plain object`);
+  }
+
+  for (const key of Object.keys(rule)) {
+    if (!RULE_KEYS.includes(key)) {
+      throw new Error(`Unknown schema rule "${key}" for "${path}"`);
+    }
+  }
+
+  if (rule.type !== undefined && !Object.hasOwn(SCHEMA_TYPES, rule.type)) {
+    throw new Error(`Unknown schema type "${rule.type}" for "${path}"`);
+  }
+  if (rule.enum !== undefined && !isArray(rule.enum)) {
+    throw new Error(`Schema "enum" for "${path}" must be an array`);
+  }
+  if (rule.pattern !== undefined && !isRegExp(rule.pattern)) {
+    throw new Error(`Schema "pattern" for "${path}" must be a RegExp`);
+  }
+  if (rule.validate !== undefined && !isFunction(rule.validate)) {
+    throw new Error(`Schema "validate" for "${path}" must be a function`);
+  }
+  if (rule.items !== undefined) {
+    assertValidRule(rule.items, `${path}[]`);
+  }
+  if (rule.properties !== undefined) {
+    assertValidFields(rule.properties, path);
+  }
+}
+
+function assertValidFields(fields, prefix) {
+  if (!isPlainObject(fields)) {
+    throw new Error(`Schema fields for "${prefix}" must be a plain object`);
+  }
+  for (const [name, rule] of Object.entries(fields)) {
+    assertValidRule(rule, prefix ? `${prefix}.${name}` : name);
+  }
+}
+
+/**
+ * Check a schema definition once, at route-definition time.
+ *
+ * @param {object} schema - `{ params?, query?, body?, headers? }`
+ * @returns {object} The same schema, for inline use
+ */
+export function defineSchema(schema) {
+  if (!isPlainObject(schema)) {
+    throw new Error('Schema must be a plain object');
+  }
+
+  for (const [location, fields] of Object.entries(schema)) {
+    if (!SCHEMA_LOCATIONS.includes(location)) {
+      throw new Error(
+        `Unknown schema location "${location}". Expected one of: ${SCHEMA_LOCATIONS.join(', ')}`
+      );
+    }
+    assertValidFields(fields, location);
+  }
+
+  return schema;
+}
+
+function createError(location, field, rule, message) {
+  return { location, field, rule, message };
+}
+
+function lengthOf(value) {
+  return isString(value) || isArray(value) ? value.length : undefined;
+}
+
+function lengthUnit(value) {
+  return isString(value) ? 'characters' : 'items';
+}
+
+/**
+ * Validate one value against its rule, pushing every failure into `errors`.
+ *
+ * @param {any}     value
+ * @param {object}  rule
+ * @param {object}  ctx
+ * @param {string}  ctx.location - Request location (body, query, ...)
+ * @param {string}  ctx.field    - Dotted field path inside the location
+ * @param {boolean} ctx.coerce   - Whether raw strings are converted to `rule.type`
+ * @param {Array}   ctx.errors   - Accumulator
+ * @returns {any} The coerced value (or its default when absent)
+ */
+function checkValue(value, rule, ctx) {
+  const { location, field, errors } = ctx;
+  const coerce = rule.coerce ?? ctx.coerce;
+  const fail = (ruleName, fallback) =>
+    errors.push(
+      createError(location, field, ruleName, rule.message ?? fallback)
+    );
+
+  if (isNullish(value) || value === '') {
+    if (rule.default !== undefined) {
+      return isFunction(rule.default) ? rule.default() : rule.default;
+    }
+    if (rule.required) fail('required', `${field} is required`);
+    return undefined;
+  }
+
+  if (coerce && rule.type) {
+    value = coerceValue(value, rule.type, { separator: rule.separator });
+  }
+
+  if (rule.type && !safeGet(SCHEMA_TYPES, rule.type)(value)) {
+    fail('type', `${field} must be a valid ${rule.type}`);
+    // Further checks are meaningless on a value of the wrong type
+    return value;
+  }
+
+  if (rule.items && isArray(value)) {
+    value = value.map((item, index) =>
+      checkValue(item, rule.items, {
+        ...ctx,
+        coerce,
+        field: `${field}[${index}]`,
+      })
+    );
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    fail('enum', `${field} must be one of: ${rule.enum.join(', ')}`);
+  }
+
+  if (isNumber(value) || isDate(value)) {
+    if (rule.min !== undefined && value < rule.min) {
+      fail('min', `${field} must be greater than or equal to ${rule.min}`);
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      fail('max', `${field} must be less than or equal to ${rule.max}`);
+    }
+  }
+
+  const length = lengthOf(value);
+  if (length !== undefined) {
+    const unit = lengthUnit(value);
+    if (rule.minLength !== undefined && length < rule.minLength) {
+      fail(
+        'minLength',
+        `${field} must have at least ${rule.minLength} ${unit}`
+      );
+    }
+    if (rule.maxLength !== undefined && length > rule.maxLength) {
+      fail('maxLength', `${field} must have at most ${rule.maxLength} ${unit}`);
+    }
+  }
+
+  if (rule.pattern && isString(value) && !rule.pattern.test(value)) {
+    fail('pattern', `${field} has an invalid format`);
+  }
+
+  if (rule.properties && isPlainObject(value)) {
+    value = {
+      ...value,
+      ...checkFields(value, rule.properties, { ...ctx, coerce, prefix: field }),
+    };
+  }
+
+  if (rule.validate) {
+    const outcome = rule.validate(value);
+    if (outcome !== true && outcome !== undefined) {
+      fail('validate', isString(outcome) ? outcome : `${field} is invalid`);
+    }
+  }
+
+  return value;
+}
+
+/**
+ * @returns {object} Parsed values of the declared fields that are present
+ */
+function checkFields(source, fields, { prefix, ...ctx }) {
+  const values = {};
+
+  for (const [name, rule] of Object.entries(fields)) {
+    const value = checkValue(safeGet(source, name), rule, {
+      ...ctx,
+      field: prefix ? `${prefix}.${name}` : name,
+    });
+    if (value !== undefined) {
+      Object.defineProperty(values, name, {
+        value,
+        writable: true,
+        enumerable: true,
+        configurable: true,
+      });
+    }
+  }
+
+  return values;
+}
+
+function readLocation(req, location, fields) {
+  // `query` and `headers` are prototype getters, so safeGet cannot be used
+  // eslint-disable-next-line security/detect-object-injection
+  const source = req?.[location] ?? {};
+
+  // Express lower-cases incoming header names
+  if (location === 'headers') {
+    return Object.fromEntries(
+      Object.keys(fields).map(name => [
+        name,
+        safeGet(source, name.toLowerCase()),
+      ])
+    );
+  }
+
+  return source;
+}
+
+/**
+ * Validate an Express request against a schema and collect typed values.
+ *
+ * Values from `params`, `query` and `headers` always arrive as strings, so
+ * they are coerced to the declared `type` by default; `body` values are only
+ * coerced when a rule sets `coerce: true`. Absent fields take their `default`.
+ *
+ * @param {import('express').Request} req
+ * @param {object} schema - Schema created with `defineSchema`
+ * @returns {{errors: Array<{location: string, field: string, rule: string, message: string}>, values: object}}
+ *          Every failing field, and the parsed values grouped by location
+ */
+export function parseRequest(req, schema) {
+  const errors = [];
+  const values = {};
+
+  for (const [location, fields] of Object.entries(schema)) {
+    Object.defineProperty(values, location, {
+      value: checkFields(readLocation(req, location, fields), fields, {
+        location,
+        prefix: '',
+        coerce: COERCED_LOCATIONS.includes(location),
+        errors,
+      }),
+      enumerable: true,
+    });
+  }
+
+  return { errors, values };
+}
+
+/**
+ * Validate an Express request against a schema.
+ *
+ * @param {import('express').Request} req
+ * @param {object} schema - Schema created with `defineSchema`
+ * @returns {Array<{location: string, field: string, rule: string, message: string}>}
+ *          Every failing field; empty when the request is valid
+ */
+export function validateRequest(req, schema) {
+  return parseRequest(req, schema).errors;
+}
+
+/**
+ * Replace `req.params`, `req.query` and `req.body` fields with parsed values.
+ * Headers are left untouched.
+ *
+ * Express 5 exposes `req.query` as a read-only getter, so the parsed object is
+ * defined as an own property that shadows it.
+ *
+ * @param {import('express').Request} req
+ * @param {object} values - `values` returned by `parseRequest`
+ */
+export function assignParsedValues(req, values) {
+  for (const [location, parsed] of Object.entries(values)) {
+    if (location === 'headers') continue;
+
+    Object.defineProperty(req, location, {
+      // eslint-disable-next-line security/detect-object-injection
+      value: { ...req[location], ...parsed },
+      writable: true,
+      enumerable: true,
+      configurable: true,
+    });
+  }
+}
+
+export default {
+  SCHEMA_LOCATIONS,
+  SCHEMA_TYPES,
+  defineSchema,
+  parseRequest,
+  validateRequest,
+  assignParsedValues,
+};
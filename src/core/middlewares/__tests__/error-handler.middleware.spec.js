@@ -1,10 +1,17 @@
+import { overrideHttpOptions } from '../../config/http-options.config.js';
 import { HTTP_STATUS } from '../../constants/http-status.constant.js';
-import { BaseException } from '../../helpers/error-handler-registry.helper.js';
+import {
+  BaseException,
+  clearRegistry,
+  registerErrorHandler,
+} from '../../helpers/error-handler-registry.helper.js';
 import { HttpResponse } from '../../helpers/http.helper.js';
 import {
+  captureLogs,
   createMockNext,
   createMockReq,
   createMockRes,
+  resetHttpOptions,
 } from '../../helpers/test-core.helper.js';
 import globalErrorHandler from '../error-handler.middleware.js';
 
@@ -61,3 +68,216 @@ describe('globalErrorHandler()', () => {
     process.env.NODE_ENV = originalEnv;
   });
 });
+
+describe('globalErrorHandler() – Problem Details', () => {
+  test('maps BaseException fields to problem members when requested', () => {
+    const err = new BaseException('Invalid payload', {
+      statusCode: HTTP_STATUS.BAD_REQUEST,
+      errorCode: 'E_BAD_REQ',
+      correlationId: 'corr-1',
+      data: { field: 'name' },
+    });
+    const req = createMockReq();
+    const res = createMockRes();
+    res.req = { accepts: () => 'application/problem+json' };
+
+    globalErrorHandler(err, req, res, createMockNext());
+
+    expect(res.type).toHaveBeenCalledWith('application/problem+json');
+    expect(res.body).toEqual({
+      type: '/errors/E_BAD_REQ',
+      title: 'Bad Request',
+      status: HTTP_STATUS.BAD_REQUEST,
+      detail: 'Invalid payload',
+      instance: 'corr-1',
+      errorCode: 'E_BAD_REQ',
+      timestamp: expect.any(String),
+      isOperational: true,
+      field: 'name',
+    });
+  });
+});
+
+describe('globalErrorHandler() – async registry handlers', () => {
+  class AuditedException extends BaseException {}
+  let logs;
+
+  beforeEach(() => {
+    logs = captureLogs();
+  });
+
+  afterEach(() => {
+    clearRegistry();
+    resetHttpOptions();
+    logs.restore();
+  });
+
+  test('awaits the handler before sending its response', async () => {
+    registerErrorHandler(AuditedException, async () => {
+      await Promise.resolve();
+      return HttpResponse.error('Localized message', HTTP_STATUS.CONFLICT);
+    });
+    const res = createMockRes();
+
+    await globalErrorHandler(
+      new AuditedException('raw'),
+      createMockReq(),
+      res,
+      createMockNext()
+    );
+
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.CONFLICT);
+    expect(res.body.message).toBe('Localized message');
+  });
+
+  test('uses the fallback response when the handler rejects', async () => {
+    registerErrorHandler(AuditedException, async () => {
+      throw new Error('audit store down');
+    });
+    const res = createMockRes();
+
+    await globalErrorHandler(
+      new AuditedException('raw', { statusCode: HTTP_STATUS.FORBIDDEN }),
+      createMockReq(),
+      res,
+      createMockNext()
+    );
+
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.FORBIDDEN);
+    expect(res.body.message).toBe('Access denied');
+    expect(res.body.meta.errorCode).toBe('HANDLER_EXECUTION_FAILED');
+  });
+
+  test('uses the fallback response when the handler times out', async () => {
+    overrideHttpOptions({ ERROR_HANDLER_TIMEOUT_MS: 20 });
+    registerErrorHandler(AuditedException, () => new Promise(() => {}));
+    const res = createMockRes();
+
+    await globalErrorHandler(
+      new AuditedException('raw', { statusCode: HTTP_STATUS.CONFLICT }),
+      createMockReq(),
+      res,
+      createMockNext()
+    );
+
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.CONFLICT);
+    expect(res.body.message).toBe('Resource conflict occurred');
+    expect(logs.records).toContainEqual(
+      expect.objectContaining({
+        event: 'ASYNC_HANDLER_FAILURE',
+        handlerName: 'AuditedExceptionHandler',
+        handlerError: 'AuditedExceptionHandler did not settle within 20ms',
+      })
+    );
+  });
+
+  test('falls back to the default response when the handler resolves empty', async () => {
+    registerErrorHandler(AuditedException, async () => null);
+    const res = createMockRes();
+
+    await globalErrorHandler(
+      new AuditedException('raw', { statusCode: HTTP_STATUS.BAD_REQUEST }),
+      createMockReq(),
+      res,
+      createMockNext()
+    );
+
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.BAD_REQUEST);
+    expect(res.body.message).toBe('raw');
+  });
+
+  test('does not send twice when the handler wrote the response itself', async () => {
+    registerErrorHandler(AuditedException, async (_err, _req, res) => {
+      res.status(HTTP_STATUS.ACCEPTED).json({ handled: true });
+    });
+    const res = createMockRes();
+
+    await globalErrorHandler(
+      new AuditedException('raw'),
+      createMockReq(),
+      res,
+      createMockNext()
+    );
+
+    expect(res.json).toHaveBeenCalledTimes(1);
+    expect(res.body).toEqual({ handled: true });
+  });
+});
+
+describe('globalErrorHandler() – causes', () => {
+  const originalEnv = process.env.NODE_ENV;
+  let logs;
+
+  beforeEach(() => {
+    logs = captureLogs();
+  });
+
+  afterEach(() => {
+    process.env.NODE_ENV = originalEnv;
+    logs.restore();
+  });
+
+  test('exposes sanitized causes in development', () => {
+    process.env.NODE_ENV = 'development';
+    const err = new BaseException('Checkout failed', {
+      statusCode: HTTP_STATUS.CONFLICT,
+      cause: new Error('stock service timeout'),
+    });
+
+    const { res } = callErrorHandler(err);
+
+    expect(res.body.meta.causes).toEqual([
+      { name: 'Error', message: 'stock service timeout' },
+    ]);
+  });
+
+  test('hides causes outside development', () => {
+    process.env.NODE_ENV = 'production';
+    const err = new Error('boom', { cause: new Error('db down') });
+
+    const { res } = callErrorHandler(err);
+
+    expect(res.body.meta.causes).toBeUndefined();
+    expect(logs.records).toEqual([
+      expect.objectContaining({
+        level: 'error',
+        event: 'UNHANDLED_ERROR',
+        err: {
+          name: 'Error',
+          message: 'boom',
+          cause: { name: 'Error', message: 'db down' },
+        },
+      }),
+    ]);
+  });
+});
+
+describe('globalErrorHandler() – redaction', () => {
+  test('redacts values echoed by exceptions', () => {
+    const err = new BaseException('Invalid password', {
+      statusCode: HTTP_STATUS.BAD_REQUEST,
+      data: { field: 'password', value: 'hunter2', rule: 'too short' },
+    });
+
+    const { res } = callErrorHandler(err);
+
+    expect(res.body.error.value).toBe('[REDACTED]');
+  });
+
+  test('applies the exception opt-out to the response', () => {
+    class TokenRejectedException extends BaseException {
+      static redaction = { allow: ['token'] };
+    }
+    const err = new TokenRejectedException('Token rejected', {
+      statusCode: HTTP_STATUS.BAD_REQUEST,
+      data: { token: 'public-invite-code', password: 'p' },
+    });
+
+    const { res } = callErrorHandler(err);
+
+    expect(res.body.error).toEqual({
+      token: 'public-invite-code',
+      password: '[REDACTED]',
+    });
+  });
+});
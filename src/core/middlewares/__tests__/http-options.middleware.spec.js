@@ -0,0 +1,106 @@
+/**
+ * @jest-environment node
+ */
+import express from 'express';
+
+import { HTTP_OPTIONS } from '../../config/http-options.config.js';
+import { BaseException } from '../../helpers/error-handler-registry.helper.js';
+import { wrapController } from '../../helpers/http.helper.js';
+import globalErrorHandler from '../error-handler.middleware.js';
+import withHttpOptions from '../http-options.middleware.js';
+
+describe('withHttpOptions()', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    const legacy = express.Router();
+    legacy.use(
+      withHttpOptions({
+        STRICT_CONTROLLER_RETURN: false,
+        USE_STATUS_CODE_IN_RESPONSE: false,
+      })
+    );
+    legacy.get(
+      '/empty',
+      wrapController(async () => undefined)
+    );
+    legacy.get(
+      '/fail',
+      wrapController(async () => {
+        throw new BaseException('Legacy failure', { statusCode: 409 });
+      })
+    );
+    legacy.get(
+      '/problem',
+      wrapController(
+        async () => {
+          throw new BaseException('Nested override', { statusCode: 409 });
+        },
+        { httpOptions: { ERROR_RESPONSE_FORMAT: 'problem' } }
+      )
+    );
+
+    const app = express();
+    app.use('/legacy', legacy);
+    app.get(
+      '/empty',
+      wrapController(async () => undefined)
+    );
+    app.use(globalErrorHandler);
+
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should apply overrides to the routes of the router', async () => {
+    const response = await fetch(`${baseUrl}/legacy/empty`);
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(body).toEqual({
+      success: true,
+      message: 'Success',
+      meta: { timestamp: expect.any(String) },
+    });
+  });
+
+  it('should keep the global options elsewhere', async () => {
+    const response = await fetch(`${baseUrl}/empty`);
+    const body = await response.json();
+
+    expect(response.status).toBe(500);
+    expect(body.statusCode).toBe(500);
+    expect(HTTP_OPTIONS.STRICT_CONTROLLER_RETURN).toBe(true);
+  });
+
+  it('should apply overrides to error responses of the router', async () => {
+    const response = await fetch(`${baseUrl}/legacy/fail`);
+    const body = await response.json();
+
+    expect(response.status).toBe(409);
+    expect(body.message).toBe('Legacy failure');
+    expect(body).not.toHaveProperty('statusCode');
+  });
+
+  it('should let route overrides win over router overrides', async () => {
+    const response = await fetch(`${baseUrl}/legacy/problem`);
+
+    expect(response.headers.get('content-type')).toMatch(
+      /application\/problem\+json/
+    );
+    expect((await response.json()).detail).toBe('Nested override');
+  });
+
+  it('should reject invalid overrides when the router is defined', () => {
+    expect(() => withHttpOptions({ DEFAULT_HTTP_STATUS_CODE: 42 })).toThrow(
+      'DEFAULT_HTTP_STATUS_CODE: must be >= 100'
+    );
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * @jest-environment node
+ */
+import express from 'express';
+
+import { wrapController } from '../../helpers/http.helper.js';
+import globalErrorHandler from '../error-handler.middleware.js';
+import notFoundHandler from '../not-found.middleware.js';
+
+describe('not-found fallback and body-parser errors', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.json({ limit: 64 }));
+    app.post(
+      '/echo',
+      wrapController(async req => ({ received: req.body }))
+    );
+    app.use(notFoundHandler);
+    app.use(globalErrorHandler);
+
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const postJson = (body, contentType = 'application/json') =>
+    fetch(`${baseUrl}/echo`, {
+      method: 'POST',
+      headers: { 'Content-Type': contentType },
+      body,
+    });
+
+  it('should answer unknown routes with a JSON 404 envelope', async () => {
+    const response = await fetch(`${baseUrl}/nope/42?token=secret`, {
+      method: 'DELETE',
+    });
+    const body = await response.json();
+
+    expect(response.status).toBe(404);
+    expect(response.headers.get('content-type')).toMatch(/application\/json/);
+    expect(body.message).toBe('Cannot DELETE /nope/42');
+    expect(body.meta).toMatchObject({
+      errorCode: 'ROUTE_NOT_FOUND',
+      method: 'DELETE',
+      path: '/nope/42',
+    });
+  });
+
+  it('should negotiate Problem Details for unknown routes', async () => {
+    const response = await fetch(`${baseUrl}/nope`, {
+      headers: { Accept: 'application/problem+json' },
+    });
+    const body = await response.json();
+
+    expect(response.headers.get('content-type')).toMatch(
+      /application\/problem\+json/
+    );
+    expect(body).toMatchObject({
+      type: '/errors/ROUTE_NOT_FOUND',
+      status: 404,
+      detail: 'Cannot GET /nope',
+    });
+  });
+
+  it('should keep valid bodies working', async () => {
+    const response = await postJson('{"name":"Ada"}');
+
+    expect(response.status).toBe(200);
+    expect((await response.json()).data).toEqual({ received: { name: 'Ada' } });
+  });
+
+  it('should answer malformed JSON with 400', async () => {
+    const response = await postJson('{"name":');
+    const body = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(body.message).toBe('Malformed request body');
+    expect(body.meta.errorCode).toBe('MALFORMED_REQUEST_BODY');
+  });
+
+  it('should answer oversized bodies with 413', async () => {
+    const response = await postJson(JSON.stringify({ a: 'x'.repeat(100) }));
+    const body = await response.json();
+
+    expect(response.status).toBe(413);
+    expect(body.meta).toMatchObject({
+      errorCode: 'PAYLOAD_TOO_LARGE',
+      limit: 64,
+    });
+  });
+
+  it('should answer unsupported charsets with 415', async () => {
+    const response = await postJson('{}', 'application/json; charset=latin1');
+    const body = await response.json();
+
+    expect(response.status).toBe(415);
+    expect(body.meta).toMatchObject({
+      errorCode: 'UNSUPPORTED_CHARSET',
+      charset: 'latin1',
+    });
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * @jest-environment node
+ */
+import express from 'express';
+
+import { overrideHttpOptions } from '../../config/http-options.config.js';
+import {
+  BaseException,
+  clearRegistry,
+  registerErrorHandler,
+} from '../../helpers/error-handler-registry.helper.js';
+import { HttpResponse, wrapController } from '../../helpers/http.helper.js';
+import { logger } from '../../helpers/logger.helper.js';
+import {
+  captureLogs,
+  resetHttpOptions,
+} from '../../helpers/test-core.helper.js';
+import globalErrorHandler from '../error-handler.middleware.js';
+import requestIdMiddleware from '../request-id.middleware.js';
+
+class AsyncHandledException extends BaseException {}
+
+describe('requestIdMiddleware', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    registerErrorHandler(AsyncHandledException, async err => {
+      await new Promise(resolve => setTimeout(resolve, 5));
+      return HttpResponse.error(err.message, 409);
+    });
+
+    const app = express();
+    app.use(requestIdMiddleware);
+    app.get(
+      '/ok',
+      wrapController(async () => {
+        await new Promise(resolve => setTimeout(resolve, 5));
+        logger.info('Handled');
+        return { ok: true };
+      })
+    );
+    app.get(
+      '/business',
+      wrapController(async () => {
+        throw new BaseException('Conflict', { statusCode: 409 });
+      })
+    );
+    app.get(
+      '/async-handler',
+      wrapController(async () => {
+        throw new AsyncHandledException('Handled later');
+      })
+    );
+    app.get(
+      '/crash',
+      wrapController(async () => {
+        throw new Error('boom');
+      })
+    );
+    app.use(globalErrorHandler);
+
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    clearRegistry();
+    resetHttpOptions();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should reuse a safe incoming X-Request-Id', async () => {
+    const response = await fetch(`${baseUrl}/ok`, {
+      headers: { 'X-Request-Id': 'client-req-42' },
+    });
+    const body = await response.json();
+
+    expect(response.headers.get('x-request-id')).toBe('client-req-42');
+    expect(body.meta.correlationId).toBe('client-req-42');
+  });
+
+  it('should generate an ID when the header is missing or unsafe', async () => {
+    const missing = await fetch(`${baseUrl}/ok`);
+    const unsafe = await fetch(`${baseUrl}/ok`, {
+      headers: { 'X-Request-Id': 'a'.repeat(200) },
+    });
+
+    for (const response of [missing, unsafe]) {
+      const id = response.headers.get('x-request-id');
+      expect(id).toMatch(/^[0-9a-f-]{36}$/);
+      expect((await response.json()).meta.correlationId).toBe(id);
+    }
+  });
+
+  it.each(['/business', '/async-handler', '/crash'])(
+    'should use the request ID in error responses (%s)',
+    async path => {
+      const response = await fetch(`${baseUrl}${path}`, {
+        headers: { 'X-Request-Id': 'err-1' },
+      });
+      const body = await response.json();
+
+      expect(response.headers.get('x-request-id')).toBe('err-1');
+      expect(body.meta.correlationId).toBe('err-1');
+    }
+  );
+
+  it('should add the request ID to log records', async () => {
+    const logs = captureLogs();
+
+    await fetch(`${baseUrl}/ok`, { headers: { 'X-Request-Id': 'log-1' } });
+
+    expect(logs.records).toEqual([
+      expect.objectContaining({ msg: 'Handled', correlationId: 'log-1' }),
+    ]);
+    logs.restore();
+  });
+
+  it('should honour a custom header name', async () => {
+    overrideHttpOptions({ REQUEST_ID_HEADER: 'X-Correlation-Id' });
+
+    const response = await fetch(`${baseUrl}/ok`, {
+      headers: { 'X-Correlation-Id': 'corr-7' },
+    });
+
+    expect(response.headers.get('x-correlation-id')).toBe('corr-7');
+    expect(response.headers.get('x-request-id')).toBeNull();
+    resetHttpOptions();
+  });
+});
@@ -1,29 +1,36 @@
 import { HTTP_STATUS } from '../constants/http-status.constant.js';
+import { toBodyParserResponse } from '../helpers/body-parser-error.helper.js';
 import {
   BaseException,
-  handleWithRegistry,
+  causesMeta,
+  createFallbackResponse,
+  defaultErrorHandlerRegistry,
 } from '../helpers/error-handler-registry.helper.js';
 import { HttpResponse } from '../helpers/http.helper.js';
+import { logger } from '../helpers/logger.helper.js';
+import { isNullish } from '../utils/type-check.util.js';
+
+const log = logger.child({ module: 'error-handler' });
 
 /**
- * Express global error handler – MUST be the last middleware.
- *
- * 1. Nếu controller đã trả về HttpResponse → gửi thẳng.
- * 2. Kiểm tra registry cho custom handlers → sử dụng nếu có.
- * 3. Nếu là lỗi nghiệp vụ (BaseException) → chuyển thành HttpResponse.error.
- * 4. Mọi lỗi khác → 500 kèm stack ở môi trường dev.
+ * Áp dụng opt-out redaction của exception (`err.redaction`) cho response,
+ * trừ khi handler đã tự đặt policy riêng.
  */
-export default function globalErrorHandler(err, req, res, next) {
-  // Nếu response đã gửi rồi thì chuyển cho Express xử lý mặc định
-  if (res.headersSent) return next(err);
-
-  /* 1. Trường hợp đã chủ động throw HttpResponse (ít dùng) */
-  if (err instanceof HttpResponse) return err.send(res);
-
-  /* 2. Kiểm tra registry cho custom handlers */
-  const customResponse = handleWithRegistry(err, req, res);
-  if (customResponse) return customResponse.send(res);
+function withExceptionRedaction(response, err) {
+  if (
+    response instanceof HttpResponse &&
+    response.redaction === null &&
+    !isNullish(err?.redaction)
+  ) {
+    response.withRedaction(err.redaction);
+  }
+  return response;
+}
 
+/**
+ * Gửi response mặc định khi không có custom handler (bước 3 và 4).
+ */
+function sendDefaultResponse(err, res) {
   /* 3. Trường hợp nghiệp vụ (fallback cho BaseException không có custom handler) */
   if (err instanceof BaseException) {
     const meta = {
@@ -35,24 +42,116 @@ export default function globalErrorHandler(err, req, res, next) {
       ...(err.correlationId !== undefined
         ? { correlationId: err.correlationId }
         : {}),
+      ...causesMeta(err),
     };
 
-    return HttpResponse.error(
-      err.message,
-      err.statusCode ?? HTTP_STATUS.BAD_REQUEST,
-      err.data,
-      meta
+    return withExceptionRedaction(
+      HttpResponse.error(
+        err.message,
+        err.statusCode ?? HTTP_STATUS.BAD_REQUEST,
+        err.data,
+        meta
+      ),
+      err
     ).send(res);
   }
 
   /* 4. Trường hợp không xác định */
-  console.error({ err }); // Có thể thay bằng logger
+  log.error('Unhandled error', { event: 'UNHANDLED_ERROR', err });
   const message =
     process.env.NODE_ENV === 'production'
       ? 'Internal Server Error'
       : err.message || 'Internal Server Error';
 
-  return HttpResponse.error(message, HTTP_STATUS.INTERNAL_SERVER_ERROR).send(
-    res
-  );
+  return HttpResponse.error(
+    message,
+    HTTP_STATUS.INTERNAL_SERVER_ERROR,
+    null,
+    causesMeta(err)
+  ).send(res);
+}
+
+/**
+ * Chờ handler bất đồng bộ rồi mới gửi response.
+ * Handler đã được bọc bởi `createSafeHandler` nên lỗi hoặc timeout đã được đổi
+ * sang fallback response; nhánh `catch` chỉ là lưới an toàn cuối cùng.
+ */
+async function sendAsyncResponse(pending, err, req, res, next) {
+  let customResponse;
+  try {
+    customResponse = await pending;
+  } catch (handlerError) {
+    customResponse = createFallbackResponse(err, handlerError, req);
+  }
+
+  // Handler có thể đã tự ghi response trong lúc chờ
+  if (res.headersSent) return;
+
+  try {
+    if (customResponse instanceof HttpResponse) {
+      return await withExceptionRedaction(customResponse, err).send(res);
+    }
+    return await sendDefaultResponse(err, res);
+  } catch (sendError) {
+    return next(sendError);
+  }
+}
+
+/**
+ * Tạo Express global error handler – MUST be the last middleware.
+ *
+ * Mỗi app (`createApp`) truyền registry riêng nên handler của app này không
+ * ảnh hưởng app khác trong cùng process; mặc định dùng
+ * `defaultErrorHandlerRegistry`.
+ *
+ * 1. Nếu controller đã trả về HttpResponse → gửi thẳng. Lỗi của body parser
+ *    (JSON sai cú pháp, body quá lớn, charset/encoding không hỗ trợ) → 400/413/415.
+ * 2. Kiểm tra registry cho custom handlers → sử dụng nếu có. Handler async
+ *    được await (có timeout `HTTP_OPTIONS.ERROR_HANDLER_TIMEOUT_MS`, quá hạn thì
+ *    dùng fallback response của `createFallbackResponse`).
+ * 3. Nếu là lỗi nghiệp vụ (BaseException) → chuyển thành HttpResponse.error.
+ * 4. Mọi lỗi khác → 500; log kèm chuỗi `cause` (stack chỉ ngoài production).
+ *
+ * Các field nhạy cảm (password, token, ...) bị thay bằng `[REDACTED]` trong
+ * `HttpResponse.send`; exception có thể opt-out qua option `redaction`.
+ *
+ * Ở môi trường development, `meta.causes` liệt kê chuỗi `cause` (đã lược bỏ
+ * stack và data) để debug nhanh từ phía client.
+ *
+ * Định dạng body (envelope hoặc RFC 9457 Problem Details) do `HttpResponse.send`
+ * quyết định theo `HTTP_OPTIONS.ERROR_RESPONSE_FORMAT` và header Accept;
+ * `errorCode`, `correlationId` và `data` của BaseException được giữ nguyên để map sang
+ * `type`, `instance` và extension members.
+ *
+ * @param {Object} options
+ * @param {ReturnType<import('../helpers/error-handler-registry.helper.js').createErrorHandlerRegistry>} options.registry
+ * @returns {import('express').ErrorRequestHandler}
+ */
+export function createGlobalErrorHandler(options = {}) {
+  const { registry = defaultErrorHandlerRegistry } = options;
+
+  return function globalErrorHandler(err, req, res, next) {
+    // Nếu response đã gửi rồi thì chuyển cho Express xử lý mặc định
+    if (res.headersSent) return next(err);
+
+    /* 1. Trường hợp đã chủ động throw HttpResponse (ít dùng) */
+    if (err instanceof HttpResponse) return err.send(res);
+
+    /* 1b. Lỗi từ express.json()/urlencoded() – lỗi của client, không phải 500 */
+    const parserResponse = toBodyParserResponse(err);
+    if (parserResponse) return parserResponse.send(res);
+
+    /* 2. Kiểm tra registry cho custom handlers */
+    const customResponse = registry.handle(err, req, res);
+    if (customResponse && typeof customResponse.then === 'function') {
+      return sendAsyncResponse(customResponse, err, req, res, next);
+    }
+    if (customResponse) {
+      return withExceptionRedaction(customResponse, err).send(res);
+    }
+
+    return sendDefaultResponse(err, res);
+  };
 }
+
+export default createGlobalErrorHandler();
@@ -0,0 +1,24 @@
+import { validateHttpOptionOverrides } from '../config/http-options.config.js';
+import { runWithHttpOptions } from '../helpers/request-context.helper.js';
+
+/**
+ * Ghi đè HTTP_OPTIONS cho một nhánh route (router cũ/mới) mà không sửa global.
+ *
+ * Overrides được kiểm tra theo schema ngay khi khai báo route; mỗi request đi
+ * qua middleware này chạy trong AsyncLocalStorage context chứa overrides, nên
+ * `HttpResponse.send`, `wrapController` và `globalErrorHandler` đều đọc được
+ * qua `getHttpOptions()`. Lồng nhau thì lớp trong thắng.
+ *
+ * Ví dụ:
+ *   legacyRouter.use(withHttpOptions({ STRICT_CONTROLLER_RETURN: false }));
+ *
+ * @param {Partial<import('../config/http-options.config.js').HTTP_OPTIONS>} overrides
+ * @returns {import('express').RequestHandler}
+ */
+export default function withHttpOptions(overrides) {
+  validateHttpOptionOverrides(overrides);
+
+  return function httpOptionsMiddleware(_req, _res, next) {
+    return runWithHttpOptions(overrides, () => next());
+  };
+}
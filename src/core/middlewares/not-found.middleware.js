@@ -0,0 +1,18 @@
+import { CORE_ERROR_CODES } from '../helpers/error-catalog.helper.js';
+import { HttpResponse } from '../helpers/http.helper.js';
+
+/**
+ * Fallback cho route không tồn tại – đặt SAU mọi route và TRƯỚC
+ * `globalErrorHandler`.
+ *
+ * Trả về envelope `HttpResponse.notFound` (hoặc Problem Details tuỳ Accept)
+ * thay vì trang HTML 404 mặc định của Express. `meta` có `method` và `path`
+ * (không kèm query string để tránh lộ token trong URL).
+ */
+export default function notFoundHandler(req, res) {
+  return HttpResponse.notFound(`Cannot ${req.method} ${req.path}`, null, {
+    errorCode: CORE_ERROR_CODES.ROUTE_NOT_FOUND,
+    method: req.method,
+    path: req.path,
+  }).send(res);
+}
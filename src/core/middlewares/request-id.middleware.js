@@ -0,0 +1,28 @@
+import {
+  generateRequestId,
+  getHttpOptions,
+  isSafeRequestId,
+  runWithRequestContext,
+} from '../helpers/request-context.helper.js';
+
+/**
+ * Gắn correlation ID cho mỗi request – đặt TRƯỚC mọi middleware khác.
+ *
+ * 1. Đọc header `HTTP_OPTIONS.REQUEST_ID_HEADER` (mặc định `X-Request-Id`);
+ *    giá trị không hợp lệ (quá dài, ký tự lạ) bị bỏ qua và sinh UUID mới.
+ * 2. Trả lại ID qua cùng header trong response.
+ * 3. Chạy phần còn lại của request trong AsyncLocalStorage context để
+ *    `HttpResponse` (`meta.correlationId`), `BaseException` và logger tự lấy ID.
+ */
+export default function requestIdMiddleware(req, res, next) {
+  const headerName = getHttpOptions().REQUEST_ID_HEADER;
+  const incoming = req.get(headerName);
+  const correlationId = isSafeRequestId(incoming)
+    ? incoming
+    : generateRequestId();
+
+  req.id = correlationId;
+  res.set(headerName, correlationId);
+
+  return runWithRequestContext({ correlationId }, () => next());
+}
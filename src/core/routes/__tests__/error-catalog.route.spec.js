@@ -0,0 +1,85 @@
+/**
+ * @jest-environment node
+ */
+import express from 'express';
+
+import {
+  registerErrorCodes,
+  resetErrorCatalog,
+} from '../../helpers/error-catalog.helper.js';
+import globalErrorHandler from '../../middlewares/error-handler.middleware.js';
+import errorCatalogRoutes from '../error-catalog.route.js';
+
+describe('error catalog routes', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    registerErrorCodes('billing', {
+      PAYMENT_DECLINED: {
+        status: 409,
+        message: 'Payment declined',
+        retryable: true,
+        description: 'The card issuer declined the payment.',
+      },
+    });
+
+    const app = express();
+    app.use('/errors', errorCatalogRoutes);
+    app.use(globalErrorHandler);
+
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/errors`;
+  });
+
+  afterAll(async () => {
+    resetErrorCatalog();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should list the catalog with a cacheable response', async () => {
+    const response = await fetch(baseUrl);
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('cache-control')).toBe('public, max-age=300');
+    expect(body.data.map(entry => entry.code)).toContain('PAYMENT_DECLINED');
+    expect(body.meta.total).toBe(body.data.length);
+  });
+
+  it('should filter by domain', async () => {
+    const response = await fetch(`${baseUrl}?domain=billing`);
+    const body = await response.json();
+
+    expect(body.data).toEqual([
+      {
+        code: 'PAYMENT_DECLINED',
+        domain: 'billing',
+        status: 409,
+        message: 'Payment declined',
+        retryable: true,
+        description: 'The card issuer declined the payment.',
+      },
+    ]);
+    expect(body.meta.domain).toBe('billing');
+  });
+
+  it('should return a single code', async () => {
+    const response = await fetch(`${baseUrl}/PAYMENT_DECLINED`);
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(body.data.code).toBe('PAYMENT_DECLINED');
+  });
+
+  it('should answer 404 ERROR_CODE_NOT_FOUND for unknown codes', async () => {
+    const response = await fetch(`${baseUrl}/NOPE`);
+    const body = await response.json();
+
+    expect(response.status).toBe(404);
+    expect(body.meta.errorCode).toBe('ERROR_CODE_NOT_FOUND');
+    expect(body.error).toEqual({ code: 'NOPE' });
+  });
+});
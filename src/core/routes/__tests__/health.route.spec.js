@@ -0,0 +1,59 @@
+/**
+ * @jest-environment node
+ */
+import express from 'express';
+
+import { createLifecycle } from '../../helpers/lifecycle.helper.js';
+import globalErrorHandler from '../../middlewares/error-handler.middleware.js';
+import { createHealthRoutes } from '../health.route.js';
+
+describe('health routes', () => {
+  let server;
+  let baseUrl;
+  let lifecycle;
+
+  beforeAll(async () => {
+    lifecycle = createLifecycle();
+
+    const app = express();
+    app.use('/health', createHealthRoutes(lifecycle));
+    app.use(globalErrorHandler);
+
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/health`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('reports liveness regardless of readiness', async () => {
+    const response = await fetch(`${baseUrl}/live`);
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('cache-control')).toBe('no-store');
+    expect((await response.json()).data).toEqual({ status: 'ok' });
+  });
+
+  it('follows the lifecycle state for readiness', async () => {
+    const starting = await fetch(`${baseUrl}/ready`);
+    expect(starting.status).toBe(503);
+    expect(await starting.json()).toMatchObject({
+      error: { state: 'starting' },
+      meta: { errorCode: 'SERVICE_NOT_READY' },
+    });
+
+    lifecycle.markReady();
+    const ready = await fetch(`${baseUrl}/ready`);
+    expect(ready.status).toBe(200);
+    expect((await ready.json()).data).toEqual({ status: 'ready' });
+
+    // The lifecycle is not attached to this server: shutdown only flips state
+    await lifecycle.shutdown({ hookTimeoutMs: 0 });
+    const stopped = await fetch(`${baseUrl}/ready`);
+    expect(stopped.status).toBe(503);
+    expect((await stopped.json()).error.state).toBe('stopped');
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * src/core/routes/error-catalog.route.js
+ * --------------------------------------------------
+ * Read-only documentation endpoints for the error catalog.
+ *
+ * Mounted at `/errors`, which matches the default
+ * `HTTP_OPTIONS.PROBLEM_TYPE_BASE_URI`, so the Problem Details `type` URI of an
+ * error resolves to its catalog entry.
+ *
+ *   GET /errors                → every code (optional `?domain=user`)
+ *   GET /errors/:code          → one code, 404 ERROR_CODE_NOT_FOUND otherwise
+ */
+import { Router } from 'express';
+
+import { HTTP_STATUS } from '../constants/http-status.constant.js';
+import {
+  CORE_ERROR_CODES,
+  getErrorCode,
+  listErrorCodes,
+} from '../helpers/error-catalog.helper.js';
+import { BaseException } from '../helpers/error-handler-registry.helper.js';
+import { HttpResponse, wrapController } from '../helpers/http.helper.js';
+
+// The catalog only changes on deploy; let clients and proxies cache it briefly
+const CACHE_CONTROL = 'public, max-age=300';
+
+const router = Router();
+
+router.get(
+  '/',
+  wrapController(
+    async req => {
+      const { domain } = req.query;
+      const codes = listErrorCodes({ domain });
+
+      return HttpResponse.success(codes, 'Error catalog', HTTP_STATUS.OK, {
+        total: codes.length,
+        ...(domain !== undefined ? { domain } : {}),
+      }).withHeader('Cache-Control', CACHE_CONTROL);
+    },
+    { schema: { query: { domain: { type: 'string' } } } }
+  )
+);
+
+router.get(
+  '/:code',
+  wrapController(async req => {
+    const { code } = req.params;
+    const entry = getErrorCode(code);
+
+    if (!entry) {
+      throw new BaseException(`Unknown error code: ${code}`, {
+        errorCode: CORE_ERROR_CODES.ERROR_CODE_NOT_FOUND,
+        data: { code },
+      });
+    }
+
+    return HttpResponse.success(entry, entry.message).withHeader(
+      'Cache-Control',
+      CACHE_CONTROL
+    );
+  })
+);
+
+export default router;
@@ -0,0 +1,62 @@
+/**
+ * src/core/routes/health.route.js
+ * --------------------------------------------------
+ * Liveness and readiness probes, mounted at `/health` by `createApp`.
+ *
+ *   GET /health/live   → 200 while the process can serve requests at all
+ *   GET /health/ready  → 200 once listening, 503 SERVICE_NOT_READY while
+ *                        starting or shutting down
+ *
+ * Readiness fails first on shutdown so load balancers stop routing new
+ * traffic before the server stops accepting connections.
+ */
+import { Router } from 'express';
+
+import { CORE_ERROR_CODES } from '../helpers/error-catalog.helper.js';
+import { BaseException } from '../helpers/error-handler-registry.helper.js';
+import { HttpResponse, wrapController } from '../helpers/http.helper.js';
+
+// Probes must always reach the instance, never a cache
+const CACHE_CONTROL = 'no-store';
+
+/**
+ * Build the probe routes of one app
+ * @param {Object} lifecycle - Result of `createLifecycle`
+ * @returns {import('express').Router}
+ */
+export function createHealthRoutes(lifecycle) {
+  const router = Router();
+
+  router.get(
+    '/live',
+    wrapController(async () =>
+      HttpResponse.success({ status: 'ok' }).withHeader(
+        'Cache-Control',
+        CACHE_CONTROL
+      )
+    )
+  );
+
+  router.get(
+    '/ready',
+    wrapController(async () => {
+      const state = lifecycle.getState();
+
+      if (!lifecycle.isReady()) {
+        throw new BaseException(`Service is ${state}`, {
+          errorCode: CORE_ERROR_CODES.SERVICE_NOT_READY,
+          data: { state },
+        });
+      }
+
+      return HttpResponse.success({ status: state }).withHeader(
+        'Cache-Control',
+        CACHE_CONTROL
+      );
+    })
+  );
+
+  return router;
+}
+
+export default createHealthRoutes;
@@ -0,0 +1,94 @@
+import {
+  coerceBoolean,
+  coerceDate,
+  coerceInteger,
+  coerceList,
+  coerceNumber,
+  coerceValue,
+} from '../coerce.util.js';
+
+describe('Coerce Utils', () => {
+  describe('coerceInteger', () => {
+    test('converts integer strings', () => {
+      expect(coerceInteger('42')).toBe(42);
+      expect(coerceInteger(' -7 ')).toBe(-7);
+    });
+
+    test('leaves non-integer input untouched', () => {
+      expect(coerceInteger('4.2')).toBe('4.2');
+      expect(coerceInteger('abc')).toBe('abc');
+      expect(coerceInteger(5)).toBe(5);
+    });
+  });
+
+  describe('coerceNumber', () => {
+    test('converts decimal and exponent strings', () => {
+      expect(coerceNumber('4.5')).toBe(4.5);
+      expect(coerceNumber('1e3')).toBe(1000);
+    });
+
+    test('leaves invalid input untouched', () => {
+      expect(coerceNumber('12abc')).toBe('12abc');
+      expect(coerceNumber('')).toBe('');
+    });
+  });
+
+  describe('coerceBoolean', () => {
+    test.each([
+      ['true', true],
+      ['1', true],
+      ['YES', true],
+      ['on', true],
+      ['false', false],
+      ['0', false],
+      ['no', false],
+      ['off', false],
+    ])('%s -> %s', (input, expected) => {
+      expect(coerceBoolean(input)).toBe(expected);
+    });
+
+    test('leaves unknown strings untouched', () => {
+      expect(coerceBoolean('maybe')).toBe('maybe');
+    });
+  });
+
+  describe('coerceDate', () => {
+    test('converts ISO 8601 dates and date-times', () => {
+      expect(coerceDate('2024-01-31')).toEqual(new Date('2024-01-31'));
+      expect(coerceDate('2024-01-31T10:20:30.000Z')).toEqual(
+        new Date('2024-01-31T10:20:30.000Z')
+      );
+    });
+
+    test('rejects non-ISO or impossible dates', () => {
+      expect(coerceDate('01/31/2024')).toBe('01/31/2024');
+      expect(coerceDate('2024-13-45')).toBe('2024-13-45');
+    });
+  });
+
+  describe('coerceList', () => {
+    test('splits comma-separated strings and drops empty items', () => {
+      expect(coerceList('a, b,,c')).toEqual(['a', 'b', 'c']);
+    });
+
+    test('supports custom separators and keeps arrays', () => {
+      expect(coerceList('a|b', '|')).toEqual(['a', 'b']);
+      expect(coerceList(['x', 'y'])).toEqual(['x', 'y']);
+    });
+  });
+
+  describe('coerceValue', () => {
+    test('dispatches by schema type', () => {
+      expect(coerceValue('3', 'integer')).toBe(3);
+      expect(coerceValue('true', 'boolean')).toBe(true);
+      expect(coerceValue('a;b', 'array', { separator: ';' })).toEqual([
+        'a',
+        'b',
+      ]);
+    });
+
+    test('returns value unchanged for types without a coercer', () => {
+      expect(coerceValue('42', 'string')).toBe('42');
+    });
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Coercion Utilities
+ * Best-effort conversion of raw request strings (query string, route params)
+ * into typed values. A value that cannot be converted is returned untouched so
+ * the type predicate that runs afterwards reports it as invalid.
+ */
+import { safeGet } from './safe-get.util.js';
+import { isArray, isString } from './type-check.util.js';
+
+const INTEGER_PATTERN = /^[-+]?\d+$/;
+const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+const ISO_DATE_PATTERN =
+  /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+
+const TRUE_VALUES = ['true', '1', 'yes', 'on'];
+const FALSE_VALUES = ['false', '0', 'no', 'off'];
+
+/**
+ * Coerce a string into an integer
+ * @param {*} value - The value to coerce
+ * @returns {*} - Integer, or the original value when not convertible
+ */
+const coerceInteger = value => {
+  if (!isString(value)) return value;
+  const trimmed = value.trim();
+  return INTEGER_PATTERN.test(trimmed) ? Number(trimmed) : value;
+};
+
+/**
+ * Coerce a string into a finite number
+ * @param {*} value - The value to coerce
+ * @returns {*} - Number, or the original value when not convertible
+ */
+const coerceNumber = value => {
+  if (!isString(value)) return value;
+  const trimmed = value.trim();
+  return NUMBER_PATTERN.test(trimmed) ? Number(trimmed) : value;
+};
+
+/**
+ * Coerce a string into a boolean (true/false, 1/0, yes/no, on/off)
+ * @param {*} value - The value to coerce
+ * @returns {*} - Boolean, or the original value when not convertible
+ */
+const coerceBoolean = value => {
+  if (!isString(value)) return value;
+  const normalized = value.trim().toLowerCase();
+  if (TRUE_VALUES.includes(normalized)) return true;
+  if (FALSE_VALUES.includes(normalized)) return false;
+  return value;
+};
+
+/**
+ * Coerce an ISO 8601 date string (date or date-time) into a Date
+ * @param {*} value - The value to coerce
+ * @returns {*} - Date, or the original value when not convertible
+ */
+const coerceDate = value => {
+  if (!isString(value) || !ISO_DATE_PATTERN.test(value.trim())) return value;
+  const date = new Date(value.trim());
+  return isNaN(date.getTime()) ? value : date;
+};
+
+/**
+ * Coerce a comma-separated string (or repeated query key) into an array
+ * @param {*} value - The value to coerce
+ * @param {string} [separator=','] - Item separator
+ * @returns {*} - Array of trimmed, non-empty items, or the original value
+ */
+const coerceList = (value, separator = ',') => {
+  if (isArray(value)) return value;
+  if (!isString(value)) return value;
+  return value
+    .split(separator)
+    .map(item => item.trim())
+    .filter(item => item !== '');
+};
+
+const COERCERS = {
+  integer: coerceInteger,
+  number: coerceNumber,
+  boolean: coerceBoolean,
+  date: coerceDate,
+};
+
+/**
+ * Coerce a raw value according to a schema type name
+ * @param {*} value - The value to coerce
+ * @param {string} type - Schema type (integer, number, boolean, date, array)
+ * @param {object} [options]
+ * @param {string} [options.separator] - Item separator for `array`
+ * @returns {*} - Coerced value, or the original value for other types
+ */
+const coerceValue = (value, type, options = {}) => {
+  if (type === 'array') return coerceList(value, options.separator);
+  const coercer = safeGet(COERCERS, type, null);
+  return coercer ? coercer(value) : value;
+};
+
+export {
+  coerceInteger,
+  coerceNumber,
+  coerceBoolean,
+  coerceDate,
+  coerceList,
+  coerceValue,
+};
+
+const Coerce = {
+  coerceInteger,
+  coerceNumber,
+  coerceBoolean,
+  coerceDate,
+  coerceList,
+  coerceValue,
+};
+
+export default Coerce;
@@ -0,0 +1,282 @@
+/**
+ * src/demo.route.js
+ * --------------------------------------------------
+ * Demo endpoints showcasing the core helpers (responses, streaming, error
+ * handling) and the user module exceptions. Mounted at `/` by `createApp`
+ * unless `demoRoutes: false`.
+ */
+import { Router } from 'express';
+
+import {
+  HTTP_STATUS,
+  getStatusText,
+} from './core/constants/http-status.constant.js';
+import { registerErrorCodes } from './core/helpers/error-catalog.helper.js';
+import { HttpResponse, wrapController } from './core/helpers/http.helper.js';
+import { getHttpOptions } from './core/helpers/request-context.helper.js';
+import defineConstModule from './core/utils/define-const.util.js';
+import { safeGet } from './core/utils/safe-get.util.js';
+import {
+  getType,
+  isArray,
+  isEmail,
+  isEmpty,
+  isPlainObject,
+  isURL,
+} from './core/utils/type-check.util.js';
+import { getUserExceptions } from './modules/user/user.module.js';
+
+const { defineConst } = defineConstModule;
+
+// Codes raised by the demo endpoints themselves
+registerErrorCodes('demo', {
+  E_BAD_REQ: {
+    status: HTTP_STATUS.BAD_REQUEST,
+    message: 'Invalid payload',
+    description:
+      'Raised by `GET /base-exception`; `metadata.field` names the invalid field.',
+  },
+});
+
+const router = Router();
+
+// Success: plain object → HttpResponse.success 200
+router.get(
+  '/',
+  wrapController(async () => ({ status: 'ok' }))
+);
+
+// Success: explicit HttpResponse
+router.get(
+  '/success-response',
+  wrapController(async () => HttpResponse.success({ hello: 'world' }, 'OK'))
+);
+
+// Success: headers/cookies without direct res access
+router.post(
+  '/headers-demo',
+  wrapController(async () =>
+    HttpResponse.created({ id: 1 })
+      .withHeader('Location', '/users/1')
+      .withHeader('Cache-Control', 'no-store')
+      .withCookie('last_created', '1', { httpOnly: true, sameSite: 'lax' })
+  )
+);
+
+// Success: paginated response
+router.get(
+  '/paginated',
+  wrapController(async () =>
+    HttpResponse.paginated(
+      [{ id: 1 }, { id: 2 }],
+      { page: 1, limit: 2, total: 5 },
+      'List'
+    )
+  )
+);
+
+// Constants: getStatusText usage
+router.get(
+  '/status-text/:code',
+  wrapController(async req => {
+    const code = Number(req.params.code);
+    return { code, text: getStatusText(code) };
+  })
+);
+
+// Config: expose the effective HTTP options (global + app/route overrides)
+router.get(
+  '/http-options',
+  wrapController(async () => ({ options: getHttpOptions() }))
+);
+
+// Utils: safeGet usage
+router.get(
+  '/safe-get-demo',
+  wrapController(async () => {
+    const obj = { a: { b: 'c' }, empty: {} };
+    return {
+      fromNested: safeGet(obj.a, 'b', 'default'),
+      missing: safeGet(obj, 'missing', 'default'),
+      emptyHasX: safeGet(obj.empty, 'x', null),
+    };
+  })
+);
+
+// Utils: type-check usage
+router.get(
+  '/type-check',
+  wrapController(async () => ({
+    isEmailSample: isEmail('user@example.com'),
+    isURLSample: isURL('https://example.com'),
+    isArraySample: isArray([1, 2, 3]),
+    isEmptyObject: isEmpty({}),
+    typeOfDate: getType(new Date()),
+    isPlainObjectSample: isPlainObject({ x: 1 }),
+  }))
+);
+
+// Utils: defineConst (deepFreeze) usage
+router.get(
+  '/define-const',
+  wrapController(async () => {
+    const frozen = defineConst({ a: { b: 1 } });
+    let mutateError = null;
+    try {
+      // Attempt to mutate deep property
+      frozen.a.b = 2;
+    } catch (e) {
+      mutateError = e.message;
+    }
+    return {
+      frozen,
+      mutateError,
+      valueAfterAttempt: frozen.a.b,
+    };
+  })
+);
+
+// Error: throw HttpResponse → forwarded to next(); handled by the global error handler
+router.get(
+  '/throw-http-response',
+  wrapController(async () => {
+    throw HttpResponse.error('Bad input', HTTP_STATUS.BAD_REQUEST);
+  })
+);
+
+// Error: Raw BaseException example
+router.get(
+  '/base-exception',
+  wrapController(async () => {
+    const { BaseException } = await import(
+      './core/helpers/error-handler-registry.helper.js'
+    );
+    throw new BaseException('Invalid payload', {
+      statusCode: HTTP_STATUS.BAD_REQUEST,
+      errorCode: 'E_BAD_REQ',
+      metadata: { field: 'name' },
+    });
+  })
+);
+
+// Legacy examples removed - use business module patterns instead
+
+// =================== BUSINESS MODULE DEMOS ===================
+
+const {
+  UserNotFoundException,
+  UserValidationErrorsException,
+  UserStateException,
+} = getUserExceptions();
+
+// Demo: User not found with custom handler
+router.get(
+  '/user/:id',
+  wrapController(async req => {
+    const { id } = req.params;
+    // Simulate user lookup
+    if (id === '404') {
+      throw new UserNotFoundException(id);
+    }
+    return { user: { id, name: 'John Doe' } };
+  })
+);
+
+// Demo: User validation with business rules (every failing field reported)
+router.post(
+  '/user/validate',
+  wrapController(async req => {
+    const { email, username } = req.body;
+    const errors = [];
+
+    // Simulate business validation
+    if (email === 'taken@example.com') {
+      errors.push({ field: 'email', value: email, rule: 'unique' });
+    }
+
+    if (username && username.length < 3) {
+      errors.push({ field: 'username', value: username, rule: 'length' });
+    }
+
+    if (errors.length > 0) throw new UserValidationErrorsException(errors);
+
+    return { message: 'Validation passed' };
+  })
+);
+
+// Demo: User state validation
+router.post(
+  '/user/:id/activate',
+  wrapController(async req => {
+    const { id } = req.params;
+
+    // Simulate user state check
+    const userStates = {
+      u1: 'suspended',
+      u2: 'pending',
+      u3: 'inactive',
+    };
+
+    const currentState = userStates[id] || 'unknown';
+
+    if (currentState === 'suspended') {
+      throw new UserStateException(id, currentState, 'active', 'activation');
+    }
+
+    if (currentState === 'pending') {
+      throw new UserStateException(id, currentState, 'active', 'activation');
+    }
+
+    return { message: 'User activated successfully' };
+  })
+);
+
+// Error: no return with STRICT_CONTROLLER_RETURN=true → throws BaseException (forwarded)
+router.get(
+  '/no-return',
+  wrapController(async () => {
+    return undefined;
+  })
+);
+
+// Error: direct res.send is blocked by proxy (unless allowRes)
+router.get(
+  '/proxy-block',
+  wrapController((_req, res) => {
+    res.send('should not send');
+  })
+);
+
+// Streaming: async iterable sent as a CSV download (no allowRes needed)
+router.get(
+  '/export-demo',
+  wrapController(async () => {
+    async function* rows() {
+      yield 'id,name\n';
+      for (let id = 1; id <= 3; id++) yield `${id},User ${id}\n`;
+    }
+    return HttpResponse.stream(rows(), {
+      contentType: 'text/csv',
+      filename: 'users.csv',
+    });
+  })
+);
+
+// Streaming: a returned Buffer is piped as application/octet-stream
+router.get(
+  '/buffer-demo',
+  wrapController(async () => Buffer.from('raw bytes'))
+);
+
+// Special: allow direct res access (prefer HttpResponse.stream/file for exports)
+router.get(
+  '/allow-res',
+  wrapController(
+    (_req, res) => {
+      res.status(201).type('text/plain').send('free');
+    },
+    { allowRes: true }
+  )
+);
+
+export default router;
@@ -0,0 +1,244 @@
+import { hashPassword } from '../../../core/helpers/password.helper.js';
+import {
+  UserAuthenticationException,
+  UserStateException,
+} from '../exceptions/user.exceptions.js';
+import { createMemoryUserRepository } from '../repositories/user-memory.repository.js';
+import {
+  createTokenRevocationList,
+  createUserAuthService,
+} from '../user.auth.js';
+import { USER_STATUS } from '../user.constant.js';
+
+const secret = 's'.repeat(32);
+
+describe('createUserAuthService()', () => {
+  let clock;
+  let repository;
+  let auth;
+  let passwordHash;
+
+  const now = () => clock;
+
+  beforeAll(async () => {
+    passwordHash = await hashPassword('secret-password');
+  });
+
+  beforeEach(async () => {
+    clock = 1_000_000;
+    repository = createMemoryUserRepository();
+    await repository.insert({
+      id: 'u1',
+      email: 'alice@example.com',
+      username: 'alice',
+      passwordHash,
+      roles: ['user'],
+      status: USER_STATUS.ACTIVE,
+    });
+    auth = createUserAuthService({
+      repository,
+      secret,
+      accessTokenTtl: 60,
+      refreshTokenTtl: 3600,
+      now,
+    });
+  });
+
+  const loginAlice = () =>
+    auth.login({ username: 'alice', password: 'secret-password' });
+
+  const reasonOf = async promiseOrFn => {
+    try {
+      await (typeof promiseOrFn === 'function' ? promiseOrFn() : promiseOrFn);
+    } catch (err) {
+      expect(err).toBeInstanceOf(UserAuthenticationException);
+      return err.data.reason;
+    }
+    throw new Error('Expected an authentication failure');
+  };
+
+  test('login issues a token pair whose access token authenticates', async () => {
+    const tokens = await loginAlice();
+
+    expect(tokens).toMatchObject({
+      tokenType: 'Bearer',
+      expiresIn: 60,
+      refreshExpiresIn: 3600,
+    });
+    expect(auth.authenticateToken(tokens.accessToken)).toEqual({
+      id: 'u1',
+      roles: ['user'],
+      sessionId: expect.any(String),
+    });
+  });
+
+  test('login rejects wrong passwords, unknown users and users without password', async () => {
+    await repository.insert({ id: 'u2', username: 'bob', status: 'active' });
+
+    for (const credentials of [
+      { username: 'alice', password: 'nope' },
+      { username: 'nobody', password: 'secret-password' },
+      { username: 'bob', password: '' },
+    ]) {
+      expect(await reasonOf(auth.login(credentials))).toBe(
+        'invalid_credentials'
+      );
+    }
+  });
+
+  test('login refuses locked accounts', async () => {
+    await repository.update('u1', { status: USER_STATUS.SUSPENDED });
+
+    await expect(loginAlice()).rejects.toBeInstanceOf(UserStateException);
+  });
+
+  test('access tokens expire and are not refresh tokens', async () => {
+    const tokens = await loginAlice();
+
+    expect(await reasonOf(() => auth.refresh(tokens.accessToken))).toBe(
+      'invalid_token'
+    );
+    expect(
+      await reasonOf(() => auth.authenticateToken(tokens.refreshToken))
+    ).toBe('invalid_token');
+
+    clock += 60;
+    expect(
+      await reasonOf(() => auth.authenticateToken(tokens.accessToken))
+    ).toBe('expired_token');
+  });
+
+  test('refresh rotates tokens and keeps the session', async () => {
+    const first = await loginAlice();
+    clock += 30;
+    const second = await auth.refresh(first.refreshToken);
+
+    expect(auth.authenticateToken(second.accessToken).sessionId).toBe(
+      auth.authenticateToken(first.accessToken).sessionId
+    );
+  });
+
+  test('reusing a refresh token revokes the whole session', async () => {
+    const first = await loginAlice();
+    const second = await auth.refresh(first.refreshToken);
+
+    expect(await reasonOf(auth.refresh(first.refreshToken))).toBe(
+      'revoked_token'
+    );
+    expect(await reasonOf(auth.refresh(second.refreshToken))).toBe(
+      'revoked_token'
+    );
+    expect(
+      await reasonOf(() => auth.authenticateToken(second.accessToken))
+    ).toBe('revoked_token');
+  });
+
+  test('logout revokes one session, revokeUserSessions all of them', async () => {
+    const phone = await loginAlice();
+    const laptop = await loginAlice();
+
+    auth.logout(auth.authenticateToken(phone.accessToken));
+    expect(
+      await reasonOf(() => auth.authenticateToken(phone.accessToken))
+    ).toBe('revoked_token');
+    expect(auth.authenticateToken(laptop.accessToken).id).toBe('u1');
+
+    auth.revokeUserSessions('u1');
+    expect(await reasonOf(auth.refresh(laptop.refreshToken))).toBe(
+      'revoked_token'
+    );
+
+    // Sessions opened later are valid again, even within the same second
+    expect(auth.authenticateToken((await loginAlice()).accessToken).id).toBe(
+      'u1'
+    );
+  });
+
+  test('refresh fails once the user is gone', async () => {
+    const tokens = await loginAlice();
+    await repository.remove('u1');
+
+    expect(await reasonOf(auth.refresh(tokens.refreshToken))).toBe(
+      'revoked_token'
+    );
+  });
+});
+
+describe('createUserAuthService() secret', () => {
+  const nodeEnv = process.env.NODE_ENV;
+
+  afterEach(() => {
+    process.env.NODE_ENV = nodeEnv;
+  });
+
+  test('refuses to start without a secret in production', () => {
+    process.env.NODE_ENV = 'production';
+
+    expect(() =>
+      createUserAuthService({
+        repository: createMemoryUserRepository(),
+        secret: '',
+      })
+    ).toThrow('AUTH_TOKEN_SECRET must be set in production');
+  });
+
+  test('falls back to a random key outside production', async () => {
+    const repository = createMemoryUserRepository();
+    const first = createUserAuthService({ repository, secret: '' });
+    const second = createUserAuthService({ repository, secret: '' });
+    await repository.insert({
+      id: 'u1',
+      username: 'alice',
+      passwordHash: await hashPassword('secret-password'),
+      status: USER_STATUS.ACTIVE,
+    });
+
+    const { accessToken } = await first.login({
+      username: 'alice',
+      password: 'secret-password',
+    });
+    expect(first.authenticateToken(accessToken).id).toBe('u1');
+    expect(() => second.authenticateToken(accessToken)).toThrow(
+      UserAuthenticationException
+    );
+  });
+});
+
+describe('createTokenRevocationList()', () => {
+  test('forgets revocations once the tokens have expired', () => {
+    let clock = 100;
+    const list = createTokenRevocationList({
+      maxTokenAge: 50,
+      now: () => clock,
+    });
+
+    list.revoke('jti-1', 110);
+    const before = list.currentGeneration();
+    list.revokeSubject('u1');
+    expect(list.isRevoked('jti-1')).toBe(true);
+    expect(list.isSubjectRevoked('u1', before)).toBe(true);
+    expect(list.isSubjectRevoked('u1', list.currentGeneration())).toBe(false);
+    expect(list.isSubjectRevoked('u2', before)).toBe(false);
+
+    clock = 160;
+    list.revoke('jti-2', 200);
+    expect(list.isRevoked('jti-1')).toBe(false);
+    expect(list.isSubjectRevoked('u1', before)).toBe(false);
+  });
+
+  test('revokes older tokens again after an earlier revocation expired', () => {
+    let clock = 100;
+    const list = createTokenRevocationList({
+      maxTokenAge: 50,
+      now: () => clock,
+    });
+
+    list.revokeSubject('u1');
+    // Issued after the first revocation, still valid at the second one
+    const issued = list.currentGeneration();
+    clock = 160;
+    list.revokeSubject('u1');
+
+    expect(list.isSubjectRevoked('u1', issued)).toBe(true);
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * @jest-environment node
+ */
+import { USER_STATE_CHANGED, createUserEvents } from '../user.events.js';
+
+async function take(iterator, count) {
+  const items = [];
+  for (let i = 0; i < count; i++) {
+    const { value } = await iterator.next();
+    items.push(value);
+  }
+  return items;
+}
+
+describe('User events', () => {
+  let events;
+
+  beforeEach(() => {
+    events = createUserEvents();
+  });
+
+  it('should publish transitions as SSE-ready events with increasing ids', () => {
+    const first = events.publish({
+      userId: 'u1',
+      from: 'inactive',
+      to: 'active',
+      operation: 'activation',
+    });
+    const second = events.publish({
+      userId: 'u2',
+      from: 'active',
+      to: 'suspended',
+    });
+
+    expect(first).toEqual({
+      id: expect.stringMatching(/^[0-9a-z]+-1$/),
+      event: USER_STATE_CHANGED,
+      data: {
+        userId: 'u1',
+        from: 'inactive',
+        to: 'active',
+        operation: 'activation',
+        timestamp: expect.any(String),
+      },
+    });
+    expect(second.id).toBe(first.id.replace(/1$/, '2'));
+  });
+
+  it('should replay backlog after lastEventId then follow live events', async () => {
+    const first = events.publish({ userId: 'u1', from: 'a', to: 'b' });
+    events.publish({ userId: 'u2', from: 'a', to: 'b' });
+
+    const controller = new AbortController();
+    const iterator = events.subscribe({
+      lastEventId: first.id,
+      signal: controller.signal,
+    });
+
+    const [replayed] = await take(iterator, 1);
+    expect(replayed.data.userId).toBe('u2');
+
+    const pending = take(iterator, 1);
+    const third = events.publish({ userId: 'u3', from: 'a', to: 'b' });
+    const [live] = await pending;
+    expect(live.id).toBe(third.id);
+
+    controller.abort();
+    await expect(iterator.next()).rejects.toMatchObject({
+      name: 'AbortError',
+    });
+  });
+
+  it('should follow live events after a Last-Event-ID from another process', async () => {
+    events.publish({ userId: 'u1', from: 'a', to: 'b' });
+
+    // A restarted or different instance issued ids far ahead of this one
+    const controller = new AbortController();
+    const iterator = events.subscribe({
+      lastEventId: 'otherepoch-500',
+      signal: controller.signal,
+    });
+
+    const pending = take(iterator, 1);
+    events.publish({ userId: 'u2', from: 'a', to: 'b' });
+    const [live] = await pending;
+    expect(live.data.userId).toBe('u2');
+
+    controller.abort();
+    await expect(iterator.next()).rejects.toMatchObject({
+      name: 'AbortError',
+    });
+  });
+
+  it('should follow live events after a numeric Last-Event-ID', async () => {
+    const controller = new AbortController();
+    const iterator = events.subscribe({
+      lastEventId: '500',
+      signal: controller.signal,
+    });
+
+    const pending = take(iterator, 1);
+    events.publish({ userId: 'u1', from: 'a', to: 'b' });
+    const [live] = await pending;
+    expect(live.data.userId).toBe('u1');
+    controller.abort();
+  });
+
+  it('should keep feeds independent', async () => {
+    const other = createUserEvents();
+    const event = events.publish({ userId: 'u1', from: 'a', to: 'b' });
+
+    const iterator = other.subscribe({
+      lastEventId: event.id,
+      signal: new AbortController().signal,
+    });
+    const pending = iterator.next();
+    await new Promise(resolve => setImmediate(resolve));
+    // Closing this feed leaves the other one's subscribers connected
+    events.close();
+    other.publish({ userId: 'u2', from: 'a', to: 'b' });
+
+    const { value } = await pending;
+    expect(value.data.userId).toBe('u2');
+    expect(value.id.split('-')[0]).not.toBe(event.id.split('-')[0]);
+    other.close();
+  });
+
+  it('should end live subscriptions when streams are closed', async () => {
+    const iterator = events.subscribe({
+      signal: new AbortController().signal,
+    });
+
+    const pending = iterator.next();
+    // Let the generator subscribe before closing
+    await new Promise(resolve => setImmediate(resolve));
+    events.close();
+
+    await expect(pending).resolves.toEqual({ value: undefined, done: true });
+  });
+});
@@ -4,11 +4,14 @@
 import { HTTP_STATUS } from '../../../core/constants/http-status.constant.js';
 import { BaseException } from '../../../core/helpers/error-handler-registry.helper.js';
 import {
+  UserAuthenticationException,
   UserNotFoundException,
   UserPermissionException,
   UserStateException,
+  UserValidationErrorsException,
   UserValidationException,
 } from '../exceptions/user.exceptions.js';
+import { USER_ERROR_CATALOG } from '../user.error-codes.js';
 
 describe('User Exceptions', () => {
   describe('UserNotFoundException', () => {
@@ -79,6 +82,71 @@ describe('User Exceptions', () => {
     });
   });
 
+  describe('UserValidationErrorsException', () => {
+    it('should collect every failing field', () => {
+      const exception = new UserValidationErrorsException([
+        { field: 'email', value: 'taken@example.com', rule: 'unique' },
+        {
+          field: 'username',
+          value: 'ab',
+          rule: 'length',
+          message: 'username needs 3 characters',
+        },
+      ]);
+
+      expect(exception).toBeInstanceOf(BaseException);
+      expect(exception.name).toBe('UserValidationErrorsException');
+      expect(exception.message).toBe(
+        'User validation failed: email unique, username length'
+      );
+      expect(exception.statusCode).toBe(HTTP_STATUS.BAD_REQUEST);
+      expect(exception.errorCode).toBe('USER_VALIDATION_ERROR');
+      expect(exception.data.errors).toEqual([
+        {
+          location: 'body',
+          field: 'email',
+          value: 'taken@example.com',
+          rule: 'unique',
+          message: 'email is already taken',
+        },
+        {
+          location: 'body',
+          field: 'username',
+          value: 'ab',
+          rule: 'length',
+          message: 'username needs 3 characters',
+        },
+      ]);
+      expect(exception.metadata.validationType).toBe('business');
+    });
+
+    it('should describe rules without a default message', () => {
+      const exception = new UserValidationErrorsException([
+        { location: 'query', field: 'role', value: 'root', rule: 'allowed' },
+      ]);
+
+      expect(exception.data.errors[0]).toMatchObject({
+        location: 'query',
+        message: 'role breaks the allowed rule',
+      });
+    });
+
+    it('should treat UserValidationException as a single-error case', () => {
+      const exception = new UserValidationException('email', 'a@b', 'unique');
+
+      expect(exception).toBeInstanceOf(UserValidationErrorsException);
+      expect(exception.data.errors).toEqual([
+        {
+          location: 'body',
+          field: 'email',
+          value: 'a@b',
+          rule: 'unique',
+          message: 'email is already taken',
+        },
+      ]);
+    });
+  });
+
   describe('UserPermissionException', () => {
     it('should create permission exception with security context', () => {
       const userId = 'user123';
@@ -167,6 +235,20 @@ describe('User Exceptions', () => {
     });
   });
 
+  describe('UserAuthenticationException', () => {
+    it('should create a 401 exception with the failure reason', () => {
+      const exception = new UserAuthenticationException('expired_token');
+
+      expect(exception).toBeInstanceOf(BaseException);
+      expect(exception.name).toBe('UserAuthenticationException');
+      expect(exception.message).toBe('Authentication failed: expired_token');
+      expect(exception.statusCode).toBe(HTTP_STATUS.UNAUTHORIZED);
+      expect(exception.errorCode).toBe('USER_UNAUTHENTICATED');
+      expect(exception.data.reason).toBe('expired_token');
+      expect(exception.metadata.securityContext).toBe(true);
+    });
+  });
+
   describe('Inheritance', () => {
     it('should all extend BaseException', () => {
       const exceptions = [
@@ -174,6 +256,7 @@ describe('User Exceptions', () => {
         new UserValidationException('field', 'value', 'rule'),
         new UserPermissionException('user', 'action', 'resource'),
         new UserStateException('user', 'current', 'required', 'operation'),
+        new UserAuthenticationException('missing_token'),
       ];
 
       exceptions.forEach(exception => {
@@ -183,6 +266,22 @@ describe('User Exceptions', () => {
       });
     });
 
+    it('should take status and retryability from the catalog', () => {
+      const exceptions = [
+        new UserNotFoundException('test'),
+        new UserValidationException('field', 'value', 'rule'),
+        new UserPermissionException('user', 'action', 'resource'),
+        new UserStateException('user', 'current', 'required', 'operation'),
+        new UserAuthenticationException('missing_token'),
+      ];
+
+      exceptions.forEach(exception => {
+        const entry = USER_ERROR_CATALOG[exception.errorCode];
+        expect(exception.statusCode).toBe(entry.status);
+        expect(exception.retryable).toBe(entry.retryable ?? false);
+      });
+    });
+
     it('should have proper stack traces', () => {
       const exception = new UserNotFoundException('test');
       expect(exception.stack).toBeDefined();
@@ -0,0 +1,544 @@
+/**
+ * @jest-environment node
+ */
+import { createApp } from '../../../app.js';
+import { hashPassword } from '../../../core/helpers/password.helper.js';
+import { createMemoryUserRepository } from '../repositories/user-memory.repository.js';
+import { USER_STATUS } from '../user.constant.js';
+import { createUserModule } from '../user.module.js';
+
+describe('User CRUD routes', () => {
+  let server;
+  let repository;
+  let baseUrl;
+  let adminToken;
+  let passwordHash;
+
+  // Requests act as the admin unless another token (or null) is given
+  const request = (method, path, body, token = adminToken) =>
+    fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        ...(body ? { 'content-type': 'application/json' } : {}),
+        ...(token ? { authorization: `Bearer ${token}` } : {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+
+  const login = (username, password = 'secret-password') =>
+    request('POST', '/users/auth/login', { username, password }, null).then(
+      response => response.json()
+    );
+
+  const createAlice = () =>
+    request(
+      'POST',
+      '/users',
+      {
+        email: 'alice@example.com',
+        username: 'alice',
+        name: 'Alice',
+        password: 'secret-password',
+      },
+      null
+    ).then(response => response.json());
+
+  beforeAll(async () => {
+    passwordHash = await hashPassword('secret-password');
+  });
+
+  beforeEach(async () => {
+    repository = createMemoryUserRepository();
+    await repository.insert({
+      id: 'admin-1',
+      email: 'admin@example.com',
+      username: 'admin',
+      name: null,
+      passwordHash,
+      roles: ['admin'],
+      status: USER_STATUS.ACTIVE,
+      statusHistory: [],
+    });
+    const app = createApp({
+      modules: [createUserModule({ repository })],
+      demoRoutes: false,
+    });
+    server = await new Promise(resolve => {
+      const started = app.listen(0, '127.0.0.1', () => resolve(started));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    adminToken = (await login('admin')).data.accessToken;
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('POST /users signs a guest up', async () => {
+    const response = await request(
+      'POST',
+      '/users',
+      {
+        email: 'alice@example.com',
+        username: 'alice',
+        password: 'secret-password',
+      },
+      null
+    );
+    const body = await response.json();
+
+    expect(response.status).toBe(201);
+    expect(response.headers.get('location')).toBe(`/users/${body.data.id}`);
+    expect(body.data).toMatchObject({
+      email: 'alice@example.com',
+      status: USER_STATUS.INACTIVE,
+      roles: ['user'],
+    });
+    expect(body.data).not.toHaveProperty('passwordHash');
+  });
+
+  test('POST /users validates the body', async () => {
+    const response = await request('POST', '/users', {
+      email: 'not-an-email',
+      username: 'a',
+    });
+    const body = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(body.error.type).toBe('validation');
+    expect(body.error.errors.map(error => error.field).sort()).toEqual([
+      'email',
+      'password',
+      'username',
+    ]);
+  });
+
+  test('POST /users rejects a taken username', async () => {
+    await createAlice();
+
+    const response = await request('POST', '/users', {
+      email: 'other@example.com',
+      username: 'alice',
+      password: 'secret-password',
+    });
+
+    const body = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(body.meta.errorCode).toBe('USER_VALIDATION_ERROR');
+    expect(body.error.type).toBe('validation');
+    expect(body.error.errors).toEqual([
+      {
+        location: 'body',
+        field: 'username',
+        rule: 'unique',
+        message: 'username is already taken',
+        suggestions: expect.arrayContaining(['This username is taken']),
+      },
+    ]);
+  });
+
+  test('POST /users reports every taken field at once', async () => {
+    await createAlice();
+
+    const response = await request('POST', '/users', {
+      email: 'alice@example.com',
+      username: 'alice',
+      password: 'secret-password',
+    });
+    const body = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(body.error.errors.map(error => error.field)).toEqual([
+      'email',
+      'username',
+    ]);
+    expect(JSON.stringify(body)).not.toContain('alice@example.com');
+  });
+
+  test('GET /users returns a page of users', async () => {
+    await createAlice();
+
+    const response = await request('GET', '/users?page=1&limit=5');
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(body.data).toHaveLength(2);
+    expect(body.meta.pagination).toMatchObject({ page: 1, limit: 5, total: 2 });
+  });
+
+  test('GET /users/:id returns the user or 404', async () => {
+    const { data: alice } = await createAlice();
+
+    const found = await request('GET', `/users/${alice.id}`);
+    expect(found.status).toBe(200);
+    expect((await found.json()).data).toEqual(alice);
+
+    const missing = await request('GET', '/users/nope');
+    expect(missing.status).toBe(404);
+    expect((await missing.json()).error.type).toBe('user_not_found');
+  });
+
+  test('PATCH and PUT /users/:id update the user', async () => {
+    const { data: alice } = await createAlice();
+
+    const patched = await request('PATCH', `/users/${alice.id}`, {
+      username: 'alice_2',
+    });
+    expect((await patched.json()).data).toMatchObject({
+      username: 'alice_2',
+      name: 'Alice',
+    });
+
+    const replaced = await request('PUT', `/users/${alice.id}`, {
+      email: 'alice@example.com',
+      username: 'alice',
+    });
+    expect(replaced.status).toBe(200);
+    expect((await replaced.json()).data).toMatchObject({
+      username: 'alice',
+      name: null,
+    });
+  });
+
+  test('PATCH /users/:id changes the password and ends the sessions', async () => {
+    const { data: alice } = await createAlice();
+    const { data: tokens } = await login('alice');
+    const asAlice = (method, path, body) =>
+      request(method, path, body, tokens.accessToken);
+
+    const missing = await asAlice('PATCH', `/users/${alice.id}`, {
+      password: 'new-password',
+    });
+    expect(missing.status).toBe(400);
+    expect((await missing.json()).error.errors[0]).toMatchObject({
+      field: 'currentPassword',
+      rule: 'required',
+    });
+
+    const changed = await asAlice('PATCH', `/users/${alice.id}`, {
+      password: 'new-password',
+      currentPassword: 'secret-password',
+    });
+    expect(changed.status).toBe(200);
+
+    expect((await asAlice('GET', '/users/me')).status).toBe(401);
+    const refreshed = await request(
+      'POST',
+      '/users/auth/refresh',
+      { refreshToken: tokens.refreshToken },
+      null
+    );
+    expect(refreshed.status).toBe(401);
+    expect((await login('alice')).error.type).toBe('unauthenticated');
+
+    // Logging in right away with the new password works
+    const { data: fresh } = await login('alice', 'new-password');
+    expect(
+      (await request('GET', '/users/me', null, fresh.accessToken)).status
+    ).toBe(200);
+  });
+
+  test('PATCH /users/:id refuses to edit a suspended user', async () => {
+    const { data: alice } = await createAlice();
+    await repository.update(alice.id, { status: USER_STATUS.SUSPENDED });
+
+    const response = await request('PATCH', `/users/${alice.id}`, {
+      name: 'X',
+    });
+
+    expect(response.status).toBe(409);
+  });
+
+  test('DELETE /users/:id removes the user', async () => {
+    const { data: alice } = await createAlice();
+
+    const deleted = await request('DELETE', `/users/${alice.id}`);
+    expect(deleted.status).toBe(204);
+
+    expect((await request('GET', `/users/${alice.id}`)).status).toBe(404);
+    expect((await request('DELETE', `/users/${alice.id}`)).status).toBe(404);
+  });
+
+  test('POST /users/:id/transitions/:event changes the status', async () => {
+    const { data: alice } = await createAlice();
+
+    const activated = await request(
+      'POST',
+      `/users/${alice.id}/transitions/activate`
+    );
+    expect(activated.status).toBe(200);
+    expect((await activated.json()).data.status).toBe(USER_STATUS.ACTIVE);
+
+    const history = await request('GET', `/users/${alice.id}/transitions`);
+    expect((await history.json()).data).toMatchObject([
+      { event: 'activate', from: 'inactive', to: 'active' },
+    ]);
+  });
+
+  test('POST /users/:id/transitions/:event rejects invalid events', async () => {
+    const { data: alice } = await createAlice();
+
+    const refused = await request(
+      'POST',
+      `/users/${alice.id}/transitions/reinstate`,
+      { reason: 'reviewed' }
+    );
+    expect(refused.status).toBe(409);
+    expect((await refused.json()).error).toMatchObject({
+      type: 'invalid_state',
+      currentState: 'inactive',
+      requiredState: 'suspended',
+      possibleActions: [{ event: 'activate' }, { event: 'delete' }],
+    });
+
+    const unknown = await request(
+      'POST',
+      `/users/${alice.id}/transitions/explode`
+    );
+    expect(unknown.status).toBe(400);
+  });
+
+  describe('authentication', () => {
+    test('logs in with username or email and returns the current user', async () => {
+      await createAlice();
+
+      const byUsername = await request(
+        'POST',
+        '/users/auth/login',
+        { username: 'alice', password: 'secret-password' },
+        null
+      );
+      expect(byUsername.status).toBe(200);
+      expect(byUsername.headers.get('cache-control')).toBe('no-store');
+      const { data: tokens } = await byUsername.json();
+      expect(tokens).toMatchObject({
+        tokenType: 'Bearer',
+        accessToken: expect.stringMatching(/^[\w-]+\.[\w-]+\.[\w-]+$/),
+        refreshToken: expect.any(String),
+      });
+
+      const me = await request('GET', '/users/me', null, tokens.accessToken);
+      expect((await me.json()).data.username).toBe('alice');
+
+      const byEmail = await login('ALICE@example.com');
+      expect(byEmail.success).toBe(true);
+    });
+
+    test('rejects wrong credentials with 401', async () => {
+      await createAlice();
+
+      for (const username of ['alice', 'nobody']) {
+        const response = await request(
+          'POST',
+          '/users/auth/login',
+          { username, password: 'wrong-password' },
+          null
+        );
+        expect(response.status).toBe(401);
+        expect((await response.json()).error).toEqual({
+          type: 'unauthenticated',
+          reason: 'invalid_credentials',
+        });
+      }
+    });
+
+    test('requires a valid bearer token', async () => {
+      const missing = await request('GET', '/users/me', null, null);
+      expect(missing.status).toBe(401);
+      expect(missing.headers.get('www-authenticate')).toBe('Bearer');
+      expect((await missing.json()).meta.errorCode).toBe(
+        'USER_UNAUTHENTICATED'
+      );
+
+      const invalid = await request('GET', '/users/me', null, 'abc.def.ghi');
+      expect(invalid.status).toBe(401);
+      expect(invalid.headers.get('www-authenticate')).toBe(
+        'Bearer error="invalid_token"'
+      );
+    });
+
+    test('rotates refresh tokens and revokes the session on reuse', async () => {
+      const { data: first } = await login('admin');
+      const refresh = token =>
+        request('POST', '/users/auth/refresh', { refreshToken: token }, null);
+
+      const rotated = await refresh(first.refreshToken);
+      expect(rotated.status).toBe(200);
+      const { data: second } = await rotated.json();
+      expect(second.refreshToken).not.toBe(first.refreshToken);
+
+      // The first refresh token was already used: the session is revoked
+      expect((await refresh(first.refreshToken)).status).toBe(401);
+      expect((await refresh(second.refreshToken)).status).toBe(401);
+      expect(
+        (await request('GET', '/users/me', null, second.accessToken)).status
+      ).toBe(401);
+    });
+
+    test('logout revokes the session', async () => {
+      const { data: tokens } = await login('admin');
+
+      const logout = await request(
+        'POST',
+        '/users/auth/logout',
+        null,
+        tokens.accessToken
+      );
+      expect(logout.status).toBe(204);
+
+      expect(
+        (await request('GET', '/users/me', null, tokens.accessToken)).status
+      ).toBe(401);
+      expect(
+        (
+          await request(
+            'POST',
+            '/users/auth/refresh',
+            { refreshToken: tokens.refreshToken },
+            null
+          )
+        ).status
+      ).toBe(401);
+      // Other sessions are unaffected
+      expect((await request('GET', '/users/me')).status).toBe(200);
+    });
+
+    test('suspension ends the sessions of the user', async () => {
+      const { data: alice } = await createAlice();
+      const { data: tokens } = await login('alice');
+
+      await request('POST', `/users/${alice.id}/transitions/activate`);
+      await request('POST', `/users/${alice.id}/transitions/suspend`, {
+        reason: 'spam',
+      });
+
+      expect(
+        (await request('GET', '/users/me', null, tokens.accessToken)).status
+      ).toBe(401);
+      expect((await login('alice')).error.type).toBe('invalid_state');
+    });
+  });
+
+  describe('permissions', () => {
+    test('users read and update themselves only', async () => {
+      const { data: alice } = await createAlice();
+      const { data: tokens } = await login('alice');
+      const asAlice = (method, path, body) =>
+        request(method, path, body, tokens.accessToken);
+
+      expect((await asAlice('GET', `/users/${alice.id}`)).status).toBe(200);
+      expect(
+        (await asAlice('PATCH', `/users/${alice.id}`, { name: 'Al' })).status
+      ).toBe(200);
+
+      const others = await asAlice('GET', '/users/admin-1');
+      expect(others.status).toBe(403);
+      expect((await others.json()).error.type).toBe('permission_denied');
+      expect((await asAlice('GET', '/users')).status).toBe(403);
+      expect((await asAlice('DELETE', `/users/${alice.id}`)).status).toBe(403);
+      expect(
+        (await asAlice('POST', `/users/${alice.id}/transitions/activate`))
+          .status
+      ).toBe(403);
+    });
+
+    test('only admins follow the state event feed', async () => {
+      await createAlice();
+      const { data: tokens } = await login('alice');
+
+      expect(
+        (await request('GET', '/users/state-events', null, null)).status
+      ).toBe(401);
+      expect(
+        (await request('GET', '/users/state-events', null, tokens.accessToken))
+          .status
+      ).toBe(403);
+
+      const controller = new AbortController();
+      const stream = await fetch(`${baseUrl}/users/state-events`, {
+        headers: { authorization: `Bearer ${adminToken}` },
+        signal: controller.signal,
+      });
+      expect(stream.status).toBe(200);
+      expect(stream.headers.get('content-type')).toMatch(/text\/event-stream/);
+      controller.abort();
+    });
+
+    test('guests may only sign up', async () => {
+      expect((await request('GET', '/users', null, null)).status).toBe(401);
+      expect((await request('GET', '/users/admin-1', null, null)).status).toBe(
+        401
+      );
+    });
+  });
+
+  test('seeds the configured admin at startup', async () => {
+    const module = createUserModule({
+      repository: createMemoryUserRepository(),
+      admin: { username: 'root', password: 'admin-password' },
+    });
+    const app = createApp({ modules: [module], demoRoutes: false });
+    const seeded = await new Promise(resolve => {
+      const started = app.listen(0, '127.0.0.1', () => resolve(started));
+    });
+    const url = `http://127.0.0.1:${seeded.address().port}`;
+
+    try {
+      await module.seedAdmin();
+      const login = await fetch(`${url}/users/auth/login`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ username: 'root', password: 'admin-password' }),
+      });
+      const { data: tokens } = await login.json();
+
+      const list = await fetch(`${url}/users`, {
+        headers: { authorization: `Bearer ${tokens.accessToken}` },
+      });
+      expect(list.status).toBe(200);
+      expect((await list.json()).data).toEqual([
+        expect.objectContaining({ username: 'root', roles: ['admin'] }),
+      ]);
+    } finally {
+      await new Promise(resolve => seeded.close(resolve));
+    }
+  });
+
+  test('keeps the demo routes reachable', async () => {
+    expect((await request('GET', '/users/not-found/7')).status).toBe(404);
+  });
+
+  test('checks demo permissions through the token roles', async () => {
+    await createAlice();
+    const { data: tokens } = await login('alice');
+
+    const denied = await request(
+      'DELETE',
+      '/users/admin-action/7',
+      null,
+      tokens.accessToken
+    );
+    expect(denied.status).toBe(403);
+    expect((await denied.json()).error.type).toBe('permission_denied');
+
+    // Headers no longer grant an identity
+    const forged = await fetch(`${baseUrl}/users/admin-action/7`, {
+      method: 'DELETE',
+      headers: { 'x-user-id': 'u1', 'x-user-role': 'admin' },
+    });
+    expect(forged.status).toBe(401);
+
+    const allowed = await request('DELETE', '/users/admin-action/7');
+    expect(allowed.status).toBe(200);
+    expect((await allowed.json()).meta.performedBy).toBe('admin-1');
+
+    const guest = await request(
+      'POST',
+      '/users/comprehensive-demo',
+      { action: 'delete', userId: '7', userRole: 'admin' },
+      null
+    );
+    expect(guest.status).toBe(403);
+  });
+});
@@ -0,0 +1,340 @@
+import { verifyPassword } from '../../../core/helpers/password.helper.js';
+import {
+  UserNotFoundException,
+  UserStateException,
+  UserValidationErrorsException,
+  UserValidationException,
+} from '../exceptions/user.exceptions.js';
+import { createMemoryUserRepository } from '../repositories/user-memory.repository.js';
+import { USER_STATUS } from '../user.constant.js';
+import { createUserService } from '../user.service.js';
+
+describe('createUserService()', () => {
+  let repository;
+  let service;
+
+  beforeEach(() => {
+    repository = createMemoryUserRepository();
+    service = createUserService({ repository });
+  });
+
+  test('requires a complete repository', () => {
+    expect(() => createUserService({ repository: { list() {} } })).toThrow(
+      'User repository is missing: findById, findOneBy, insert, update, remove'
+    );
+  });
+
+  describe('createUser()', () => {
+    test('assigns id, status and timestamps, keeping writable fields only', async () => {
+      const user = await service.createUser({
+        email: ' Alice@Example.COM ',
+        username: 'alice',
+        status: USER_STATUS.ACTIVE,
+        roles: ['admin'],
+      });
+
+      expect(user).toEqual({
+        id: expect.any(String),
+        email: 'alice@example.com',
+        username: 'alice',
+        name: null,
+        roles: ['user'],
+        status: USER_STATUS.INACTIVE,
+        createdAt: expect.any(String),
+        updatedAt: user.createdAt,
+      });
+      expect(await repository.findById(user.id)).toEqual({
+        ...user,
+        passwordHash: null,
+        statusHistory: [],
+      });
+    });
+
+    test('stores a hash of the password, never returning it', async () => {
+      const user = await service.createUser({
+        email: 'a@example.com',
+        username: 'alice',
+        password: 'correct horse',
+      });
+      const { passwordHash } = await repository.findById(user.id);
+
+      expect(user).not.toHaveProperty('passwordHash');
+      expect(await verifyPassword('correct horse', passwordHash)).toBe(true);
+
+      await service.updateUser(user.id, {
+        password: 'battery staple',
+        currentPassword: 'correct horse',
+      });
+      const updated = await repository.findById(user.id);
+      expect(await verifyPassword('battery staple', updated.passwordHash)).toBe(
+        true
+      );
+    });
+
+    test('changes a password only with the current one', async () => {
+      const user = await service.createUser({
+        email: 'a@example.com',
+        username: 'alice',
+        password: 'correct horse',
+      });
+
+      await expect(
+        service.updateUser(user.id, { password: 'battery staple' })
+      ).rejects.toMatchObject({
+        data: { field: 'currentPassword', rule: 'required' },
+      });
+      await expect(
+        service.replaceUser(user.id, {
+          email: 'a@example.com',
+          username: 'alice',
+          password: 'battery staple',
+          currentPassword: 'wrong horse',
+        })
+      ).rejects.toMatchObject({
+        data: { field: 'currentPassword', rule: 'mismatch' },
+      });
+
+      const { passwordHash } = await repository.findById(user.id);
+      expect(await verifyPassword('correct horse', passwordHash)).toBe(true);
+    });
+
+    test('rejects a taken email or username', async () => {
+      await service.createUser({ email: 'a@example.com', username: 'alice' });
+
+      await expect(
+        service.createUser({ email: 'A@example.com', username: 'other' })
+      ).rejects.toMatchObject({
+        constructor: UserValidationException,
+        data: { field: 'email', value: 'a@example.com', rule: 'unique' },
+      });
+      await expect(
+        service.createUser({ email: 'b@example.com', username: 'alice' })
+      ).rejects.toBeInstanceOf(UserValidationException);
+    });
+
+    test('reports a taken email and username together', async () => {
+      await service.createUser({ email: 'a@example.com', username: 'alice' });
+
+      const error = await service
+        .createUser({ email: 'a@example.com', username: 'alice' })
+        .catch(err => err);
+
+      expect(error).toBeInstanceOf(UserValidationErrorsException);
+      expect(error).not.toBeInstanceOf(UserValidationException);
+      expect(error.data.errors.map(({ field, rule }) => [field, rule])).toEqual(
+        [
+          ['email', 'unique'],
+          ['username', 'unique'],
+        ]
+      );
+    });
+
+    test('does not let concurrent requests take the same username', async () => {
+      const results = await Promise.allSettled([
+        service.createUser({ email: 'a@example.com', username: 'alice' }),
+        service.createUser({ email: 'b@example.com', username: 'alice' }),
+      ]);
+
+      expect(results.map(result => result.status)).toEqual([
+        'fulfilled',
+        'rejected',
+      ]);
+    });
+  });
+
+  describe('seedAdmin()', () => {
+    const admin = {
+      username: 'root',
+      email: 'Root@Example.com',
+      password: 'admin-password',
+    };
+
+    test('creates an active admin once', async () => {
+      const user = await service.seedAdmin(admin);
+      const stored = await repository.findById(user.id);
+
+      expect(user).toMatchObject({
+        username: 'root',
+        email: 'root@example.com',
+        roles: ['admin'],
+        status: USER_STATUS.ACTIVE,
+      });
+      expect(await verifyPassword('admin-password', stored.passwordHash)).toBe(
+        true
+      );
+      expect(await service.seedAdmin(admin)).toBeNull();
+      expect((await service.listUsers()).total).toBe(1);
+    });
+
+    test('leaves a user who took the username alone', async () => {
+      const user = await service.createUser({
+        email: 'a@example.com',
+        username: 'root',
+      });
+
+      expect(await service.seedAdmin(admin)).toBeNull();
+      expect((await repository.findById(user.id)).roles).toEqual(['user']);
+    });
+  });
+
+  describe('reading', () => {
+    test('lists one page with the total', async () => {
+      for (const username of ['u1', 'u2', 'u3']) {
+        await service.createUser({ email: `${username}@x.io`, username });
+      }
+
+      const { items, total } = await service.listUsers({ page: 2, limit: 2 });
+      expect(total).toBe(3);
+      expect(items.map(user => user.username)).toEqual(['u3']);
+    });
+
+    test('throws UserNotFoundException for unknown ids', async () => {
+      await expect(service.getUser('nope')).rejects.toBeInstanceOf(
+        UserNotFoundException
+      );
+    });
+  });
+
+  describe('transitionUser()', () => {
+    let user;
+    let onTransition;
+
+    beforeEach(async () => {
+      onTransition = jest.fn();
+      service = createUserService({ repository, onTransition: [onTransition] });
+      user = await service.createUser({
+        email: 'a@example.com',
+        username: 'alice',
+      });
+    });
+
+    test('changes the status, records history and runs the hooks', async () => {
+      const activated = await service.transitionUser(user.id, 'activate');
+      await service.transitionUser(user.id, 'suspend', { reason: 'spam' });
+
+      expect(activated.status).toBe(USER_STATUS.ACTIVE);
+      expect(activated).not.toHaveProperty('statusHistory');
+      expect(await service.getUserTransitions(user.id)).toEqual([
+        {
+          event: 'activate',
+          from: 'inactive',
+          to: 'active',
+          reason: null,
+          at: expect.any(String),
+        },
+        {
+          event: 'suspend',
+          from: 'active',
+          to: 'suspended',
+          reason: 'spam',
+          at: expect.any(String),
+        },
+      ]);
+      expect(onTransition).toHaveBeenLastCalledWith({
+        user: expect.objectContaining({ status: USER_STATUS.SUSPENDED }),
+        transition: { event: 'suspend', from: 'active', to: 'suspended' },
+      });
+    });
+
+    test('throws UserStateException with the accepted events', async () => {
+      await expect(
+        service.transitionUser(user.id, 'suspend')
+      ).rejects.toMatchObject({
+        constructor: UserStateException,
+        data: {
+          currentState: 'inactive',
+          requiredState: 'active',
+          possibleActions: [
+            expect.objectContaining({ event: 'activate' }),
+            expect.objectContaining({ event: 'delete' }),
+          ],
+        },
+      });
+      expect(onTransition).not.toHaveBeenCalled();
+    });
+
+    test('keeps the transition when a hook fails', async () => {
+      onTransition.mockRejectedValue(new Error('broker down'));
+
+      await expect(
+        service.transitionUser(user.id, 'activate')
+      ).resolves.toMatchObject({ status: USER_STATUS.ACTIVE });
+    });
+
+    test('locks deleted users', async () => {
+      await service.transitionUser(user.id, 'delete');
+
+      await expect(
+        service.updateUser(user.id, { name: 'X' })
+      ).rejects.toMatchObject({ data: { possibleActions: [] } });
+    });
+  });
+
+  describe('updating', () => {
+    let user;
+
+    beforeEach(async () => {
+      user = await service.createUser({
+        email: 'a@example.com',
+        username: 'alice',
+        name: 'Alice',
+      });
+    });
+
+    test('updateUser() changes the given fields only', async () => {
+      const updated = await service.updateUser(user.id, { username: 'al' });
+
+      expect(updated).toMatchObject({
+        username: 'al',
+        name: 'Alice',
+        email: 'a@example.com',
+      });
+    });
+
+    test('replaceUser() clears omitted optional fields', async () => {
+      const replaced = await service.replaceUser(user.id, {
+        email: 'a@example.com',
+        username: 'alice',
+      });
+
+      expect(replaced.name).toBeNull();
+    });
+
+    test('allows keeping its own email, not taking another one', async () => {
+      await service.createUser({ email: 'b@example.com', username: 'bob' });
+
+      await expect(
+        service.updateUser(user.id, { email: 'a@example.com' })
+      ).resolves.toBeDefined();
+      await expect(
+        service.updateUser(user.id, { email: 'b@example.com' })
+      ).rejects.toBeInstanceOf(UserValidationException);
+    });
+
+    test('refuses to edit a suspended user', async () => {
+      await repository.update(user.id, { status: USER_STATUS.SUSPENDED });
+
+      await expect(
+        service.updateUser(user.id, { name: 'X' })
+      ).rejects.toMatchObject({
+        constructor: UserStateException,
+        data: { currentState: 'suspended', operation: 'update' },
+      });
+    });
+
+    test('throws UserNotFoundException for unknown ids', async () => {
+      await expect(
+        service.updateUser('nope', { name: 'X' })
+      ).rejects.toBeInstanceOf(UserNotFoundException);
+      await expect(service.deleteUser('nope')).rejects.toBeInstanceOf(
+        UserNotFoundException
+      );
+    });
+
+    test('deleteUser() removes the user', async () => {
+      await service.deleteUser(user.id);
+
+      expect(await repository.findById(user.id)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,113 @@
+import {
+  UserStateException,
+  UserValidationException,
+} from '../exceptions/user.exceptions.js';
+import { USER_STATUS, USER_STATUSES } from '../user.constant.js';
+import { userLogger } from '../user.logger.js';
+import {
+  USER_STATE_MACHINE,
+  USER_TRANSITION_EVENTS,
+  getPossibleActions,
+  getSourceStates,
+  resolveUserTransition,
+  runTransitionHooks,
+} from '../user.state-machine.js';
+
+const userIn = status => ({ id: 'u1', status });
+
+describe('User state machine', () => {
+  test('declares every status and only targets known statuses', () => {
+    expect(Object.keys(USER_STATE_MACHINE.states).sort()).toEqual(
+      [...USER_STATUSES].sort()
+    );
+    for (const state of USER_STATUSES) {
+      for (const { to } of getPossibleActions(state)) {
+        expect(USER_STATUSES).toContain(to);
+      }
+    }
+    expect(Object.isFrozen(USER_STATE_MACHINE.states.active)).toBe(true);
+  });
+
+  test('lists events and the states accepting them', () => {
+    expect(USER_TRANSITION_EVENTS).toEqual(
+      expect.arrayContaining(['activate', 'suspend', 'reinstate', 'delete'])
+    );
+    expect(getSourceStates('reinstate')).toEqual([USER_STATUS.SUSPENDED]);
+    expect(getPossibleActions(USER_STATUS.DELETED)).toEqual([]);
+    expect(getPossibleActions(USER_STATUS.SUSPENDED)).toEqual([
+      {
+        event: 'reinstate',
+        to: USER_STATUS.ACTIVE,
+        description: 'Reinstate the account after review',
+      },
+      {
+        event: 'delete',
+        to: USER_STATUS.DELETED,
+        description: 'Delete the account',
+      },
+    ]);
+  });
+
+  describe('resolveUserTransition()', () => {
+    test('returns the transition accepted in the current status', () => {
+      expect(resolveUserTransition(userIn('inactive'), 'activate')).toEqual({
+        event: 'activate',
+        from: 'inactive',
+        to: 'active',
+      });
+    });
+
+    test('throws UserStateException for events not accepted', () => {
+      let error;
+      try {
+        resolveUserTransition(userIn('pending'), 'suspend');
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).toBeInstanceOf(UserStateException);
+      expect(error.data).toMatchObject({
+        currentState: 'pending',
+        requiredState: 'active',
+        operation: 'suspend',
+        possibleActions: getPossibleActions('pending'),
+      });
+    });
+
+    test('runs guards with the payload', () => {
+      expect(() => resolveUserTransition(userIn('active'), 'suspend')).toThrow(
+        UserValidationException
+      );
+      expect(
+        resolveUserTransition(userIn('active'), 'suspend', { reason: 'spam' })
+          .to
+      ).toBe('suspended');
+    });
+  });
+
+  test('runTransitionHooks() logs failing hooks and runs the others', async () => {
+    const logSpy = jest.spyOn(userLogger, 'error').mockImplementation(() => {});
+    const last = jest.fn();
+    const change = {
+      user: userIn('active'),
+      transition: { event: 'activate', from: 'inactive', to: 'active' },
+    };
+
+    await runTransitionHooks(
+      [
+        () => {
+          throw new Error('boom');
+        },
+        last,
+      ],
+      change
+    );
+
+    expect(last).toHaveBeenCalledWith(change);
+    expect(logSpy).toHaveBeenCalledWith(
+      'User transition hook failed',
+      expect.objectContaining({ event: 'USER_TRANSITION_HOOK_FAILURE' })
+    );
+    logSpy.mockRestore();
+  });
+});
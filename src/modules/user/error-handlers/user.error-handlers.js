@@ -8,17 +8,23 @@
  */
 import { HTTP_STATUS } from '../../../core/constants/http-status.constant.js';
 import { HttpResponse } from '../../../core/helpers/http.helper.js';
+import { maskIp } from '../../../core/helpers/redaction.helper.js';
 import { safeGet } from '../../../core/utils/safe-get.util.js';
+import { userLogger } from '../user.logger.js';
+import { getPossibleActions } from '../user.state-machine.js';
 
 /**
  * Handler for UserNotFoundException
  * Provides specific response format for user lookup failures
  */
 export function handleUserNotFound(err, req, _res) {
-  // Log for monitoring (could be replaced with proper logger)
-  console.log(
-    `[USER_NOT_FOUND] ${err.metadata.identifier} - Path: ${req.path}`
-  );
+  // Log for monitoring
+  userLogger.info('User not found', {
+    event: 'USER_NOT_FOUND',
+    identifier: err.metadata.identifier,
+    path: req.path,
+    correlationId: err.correlationId,
+  });
 
   return HttpResponse.error(
     'User not found',
@@ -40,28 +46,33 @@ export function handleUserNotFound(err, req, _res) {
 }
 
 /**
- * Handler for UserValidationException
- * Provides detailed validation feedback
+ * Handler for UserValidationErrorsException (and UserValidationException)
+ * Lists every failing field in the `HttpResponse.validationError` shape used
+ * by request validation, with suggestions per field. Values are not echoed.
  */
 export function handleUserValidation(err, _req, _res) {
-  console.log(
-    `[USER_VALIDATION] Field: ${err.data.field}, Rule: ${err.data.rule}`
-  );
+  const { errors } = err.data;
 
-  return HttpResponse.error(
+  userLogger.info('User validation failed', {
+    event: 'USER_VALIDATION',
+    failures: errors.map(({ field, rule }) => ({ field, rule })),
+    correlationId: err.correlationId,
+  });
+
+  return HttpResponse.validationError(
     'User validation failed',
-    HTTP_STATUS.BAD_REQUEST,
-    {
-      type: 'validation_error',
-      field: err.data.field,
-      rule: err.data.rule,
-      value: err.data.value,
-      suggestions: getValidationSuggestions(err.data.field, err.data.rule),
-    },
+    errors.map(({ location, field, rule, message }) => ({
+      location,
+      field,
+      rule,
+      message,
+      suggestions: getValidationSuggestions(field, rule),
+    })),
     {
       errorCode: err.errorCode,
       domain: err.metadata.domain,
       validationType: err.metadata.validationType,
+      correlationId: err.correlationId,
       timestamp: new Date().toISOString(),
     }
   );
@@ -73,9 +84,14 @@ export function handleUserValidation(err, _req, _res) {
  */
 export function handleUserPermission(err, req, _res) {
   // Enhanced security logging
-  console.warn(
-    `[SECURITY] Permission denied - User: ${err.data.userId}, Action: ${err.data.action}, Resource: ${err.data.resource}, IP: ${req.ip}`
-  );
+  userLogger.warn('Permission denied', {
+    event: 'SECURITY',
+    userId: err.data.userId,
+    action: err.data.action,
+    resource: err.data.resource,
+    ip: maskIp(req.ip),
+    correlationId: err.correlationId,
+  });
 
   return HttpResponse.error(
     'Access denied',
@@ -97,12 +113,17 @@ export function handleUserPermission(err, req, _res) {
 
 /**
  * Handler for UserStateException
- * Provides state transition guidance
+ * Provides state transition guidance: `possibleActions` are the transitions
+ * the state machine accepts in the current state
  */
 export function handleUserState(err, _req, _res) {
-  console.log(
-    `[USER_STATE] User: ${err.data.userId}, State: ${err.data.currentState} -> ${err.data.requiredState}`
-  );
+  userLogger.info('Invalid user state', {
+    event: 'USER_STATE',
+    userId: err.data.userId,
+    currentState: err.data.currentState,
+    requiredState: err.data.requiredState,
+    correlationId: err.correlationId,
+  });
 
   return HttpResponse.error(
     'Invalid user state for operation',
@@ -112,10 +133,8 @@ export function handleUserState(err, _req, _res) {
       currentState: err.data.currentState,
       requiredState: err.data.requiredState,
       operation: err.data.operation,
-      possibleActions: getStateTransitionActions(
-        err.data.currentState,
-        err.data.requiredState
-      ),
+      possibleActions:
+        err.data.possibleActions ?? getPossibleActions(err.data.currentState),
     },
     {
       errorCode: err.errorCode,
@@ -129,6 +148,41 @@ export function handleUserState(err, _req, _res) {
   );
 }
 
+/**
+ * Handler for UserAuthenticationException
+ * Asks for a bearer token without saying which credential was wrong
+ */
+export function handleUserAuthentication(err, req, _res) {
+  userLogger.warn('Authentication failed', {
+    event: 'SECURITY',
+    reason: err.data.reason,
+    path: req.path,
+    ip: maskIp(req.ip),
+    correlationId: err.correlationId,
+  });
+
+  // RFC 6750: `invalid_token` when a presented token was rejected
+  const tokenRejected = ['invalid_token', 'expired_token', 'revoked_token'];
+  const wwwAuthenticate = tokenRejected.includes(err.data.reason)
+    ? 'Bearer error="invalid_token"'
+    : 'Bearer';
+
+  return HttpResponse.unauthorized(
+    'Authentication required',
+    {
+      type: 'unauthenticated',
+      reason: err.data.reason,
+    },
+    {
+      errorCode: err.errorCode,
+      domain: err.metadata.domain,
+      correlationId: err.correlationId,
+      securityEvent: true,
+      timestamp: new Date().toISOString(),
+    }
+  ).withHeader('WWW-Authenticate', wwwAuthenticate);
+}
+
 // Helper functions
 function getValidationSuggestions(field, rule) {
   const suggestions = {
@@ -144,31 +198,18 @@ function getValidationSuggestions(field, rule) {
       format: ['Use only letters, numbers, and underscores'],
       unique: ['This username is taken', 'Try adding numbers or underscores'],
     },
-  };
-
-  return (
-    safeGet(safeGet(suggestions, field, {}), rule, '') || [
-      'Please check the input and try again',
-    ]
-  );
-}
-
-function getStateTransitionActions(currentState, requiredState) {
-  const transitions = {
-    inactive: {
-      active: ['Verify email address', 'Complete profile setup'],
-    },
-    suspended: {
-      active: ['Contact support for account review'],
+    currentPassword: {
+      required: ['Send `currentPassword` to change the password'],
+      mismatch: ['Check the current password and try again'],
     },
-    pending: {
-      active: ['Wait for account approval'],
+    reason: {
+      required: ['Explain the change in `reason`; it is kept in the history'],
     },
   };
 
   return (
-    safeGet(safeGet(transitions, currentState, {}), requiredState, []) || [
-      'Contact support for assistance',
+    safeGet(safeGet(suggestions, field, {}), rule, '') || [
+      'Please check the input and try again',
     ]
   );
 }
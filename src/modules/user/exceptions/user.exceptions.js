@@ -6,8 +6,18 @@
  * These are domain exceptions that extend BaseException
  * with specific business context and custom error handling.
  */
-import { HTTP_STATUS } from '../../../core/constants/http-status.constant.js';
 import { BaseException } from '../../../core/helpers/error-handler-registry.helper.js';
+import { safeGet } from '../../../core/utils/safe-get.util.js';
+import { USER_ERROR_CATALOG, USER_ERROR_CODES } from '../user.error-codes.js';
+
+/**
+ * Exception options of a user error code: status and retryability come
+ * from its catalog entry, so the two cannot drift apart
+ */
+function fromCatalog(errorCode) {
+  const { status, retryable = false } = safeGet(USER_ERROR_CATALOG, errorCode);
+  return { statusCode: status, errorCode, retryable };
+}
 
 /**
  * User not found exception
@@ -17,8 +27,7 @@ export class UserNotFoundException extends BaseException {
   constructor(identifier, options = {}) {
     const message = `User not found: ${identifier}`;
     super(message, {
-      statusCode: HTTP_STATUS.NOT_FOUND,
-      errorCode: 'USER_NOT_FOUND',
+      ...fromCatalog(USER_ERROR_CODES.NOT_FOUND),
       ...options,
       metadata: {
         domain: 'user',
@@ -30,21 +39,54 @@ export class UserNotFoundException extends BaseException {
   }
 }
 
+// Default per-error message when the thrower gives none
+const VALIDATION_RULE_MESSAGES = Object.freeze({
+  required: 'is required',
+  unique: 'is already taken',
+  length: 'has an invalid length',
+  format: 'has an invalid format',
+  mismatch: 'does not match',
+});
+
+function normalizeValidationError({
+  location = 'body',
+  field,
+  value,
+  rule,
+  message,
+}) {
+  const ruleMessage = safeGet(
+    VALIDATION_RULE_MESSAGES,
+    rule,
+    `breaks the ${rule} rule`
+  );
+
+  return {
+    location,
+    field,
+    value,
+    rule,
+    message: message ?? `${field} ${ruleMessage}`,
+  };
+}
+
 /**
- * User validation exception
- * For business rule validation (not input validation)
+ * User validation errors exception
+ * For business rule validation (not input validation) failing on several
+ * fields at once, so clients can fix them all in one round trip.
+ * Each error is `{ field, value, rule }`, optionally with `location`
+ * (default `body`) and `message`.
  */
-export class UserValidationException extends BaseException {
-  constructor(field, value, rule, options = {}) {
-    const message = `User validation failed: ${field} ${rule}`;
+export class UserValidationErrorsException extends BaseException {
+  constructor(errors, options = {}) {
+    const list = errors.map(normalizeValidationError);
+    const failed = list.map(({ field, rule }) => `${field} ${rule}`);
+    const message = `User validation failed: ${failed.join(', ')}`;
     super(message, {
-      statusCode: HTTP_STATUS.BAD_REQUEST,
-      errorCode: 'USER_VALIDATION_ERROR',
+      ...fromCatalog(USER_ERROR_CODES.VALIDATION_ERROR),
       ...options,
       data: {
-        field,
-        value,
-        rule,
+        errors: list,
         ...options.data,
       },
       metadata: {
@@ -53,6 +95,26 @@ export class UserValidationException extends BaseException {
         ...options.metadata,
       },
     });
+    this.name = 'UserValidationErrorsException';
+  }
+}
+
+/**
+ * User validation exception
+ * A single failing business rule; `data.field`, `data.value` and
+ * `data.rule` describe it
+ */
+export class UserValidationException extends UserValidationErrorsException {
+  constructor(field, value, rule, options = {}) {
+    super([{ field, value, rule }], {
+      ...options,
+      data: {
+        field,
+        value,
+        rule,
+        ...options.data,
+      },
+    });
     this.name = 'UserValidationException';
   }
 }
@@ -65,8 +127,7 @@ export class UserPermissionException extends BaseException {
   constructor(userId, action, resource, options = {}) {
     const message = `User ${userId} lacks permission for ${action} on ${resource}`;
     super(message, {
-      statusCode: HTTP_STATUS.FORBIDDEN,
-      errorCode: 'USER_PERMISSION_DENIED',
+      ...fromCatalog(USER_ERROR_CODES.PERMISSION_DENIED),
       ...options,
       data: {
         userId,
@@ -92,8 +153,7 @@ export class UserStateException extends BaseException {
   constructor(userId, currentState, requiredState, operation, options = {}) {
     const message = `User ${userId} is ${currentState}, requires ${requiredState} for ${operation}`;
     super(message, {
-      statusCode: HTTP_STATUS.CONFLICT,
-      errorCode: 'USER_INVALID_STATE',
+      ...fromCatalog(USER_ERROR_CODES.INVALID_STATE),
       ...options,
       data: {
         userId,
@@ -111,3 +171,28 @@ export class UserStateException extends BaseException {
     this.name = 'UserStateException';
   }
 }
+
+/**
+ * User authentication exception
+ * When a request carries no valid credentials (missing, invalid, expired or
+ * revoked token, wrong password)
+ */
+export class UserAuthenticationException extends BaseException {
+  constructor(reason, options = {}) {
+    const message = `Authentication failed: ${reason}`;
+    super(message, {
+      ...fromCatalog(USER_ERROR_CODES.UNAUTHENTICATED),
+      ...options,
+      data: {
+        reason,
+        ...options.data,
+      },
+      metadata: {
+        domain: 'user',
+        securityContext: true,
+        ...options.metadata,
+      },
+    });
+    this.name = 'UserAuthenticationException';
+  }
+}
@@ -0,0 +1,66 @@
+import {
+  createMockNext,
+  createMockReq,
+  createMockRes,
+} from '../../../../core/helpers/test-core.helper.js';
+import { UserAuthenticationException } from '../../exceptions/user.exceptions.js';
+import authenticate from '../authenticate.middleware.js';
+
+describe('authenticate()', () => {
+  const principal = { id: 'u1', roles: ['user'], sessionId: 's1' };
+  const auth = {
+    authenticateToken: jest.fn(token => {
+      if (token !== 'good') {
+        throw new UserAuthenticationException('invalid_token');
+      }
+      return principal;
+    }),
+  };
+
+  const run = (middleware, authorization) => {
+    const req = createMockReq({
+      get: name => (name === 'authorization' ? authorization : undefined),
+    });
+    const next = createMockNext();
+    middleware(req, createMockRes(), next);
+    return { req, error: next.mock.calls[0][0] };
+  };
+
+  test('puts the principal of a bearer token on req.user', () => {
+    const { req, error } = run(authenticate(auth), 'Bearer good');
+
+    expect(error).toBeUndefined();
+    expect(req.user).toBe(principal);
+    expect(run(authenticate(auth), 'bearer  good ').req.user).toBe(principal);
+  });
+
+  test.each([
+    [undefined, 'missing_token'],
+    ['Basic dXNlcjpwdw==', 'invalid_token'],
+    ['Bearer', 'invalid_token'],
+    ['Bearer good extra', 'invalid_token'],
+    ['Bearer bad', 'invalid_token'],
+  ])('rejects %p with %s', (authorization, reason) => {
+    const { req, error } = run(authenticate(auth), authorization);
+
+    expect(error).toBeInstanceOf(UserAuthenticationException);
+    expect(error.data.reason).toBe(reason);
+    expect(req.user).toBeUndefined();
+  });
+
+  test('optional mode lets anonymous requests through, not bad tokens', () => {
+    const middleware = authenticate(auth, { optional: true });
+
+    const anonymous = run(middleware, undefined);
+    expect(anonymous.error).toBeUndefined();
+    expect(anonymous.req.user).toBeUndefined();
+
+    expect(run(middleware, 'Bearer bad').error).toBeInstanceOf(
+      UserAuthenticationException
+    );
+  });
+
+  test('needs an auth service', () => {
+    expect(() => authenticate()).toThrow('needs an auth service');
+  });
+});
@@ -0,0 +1,71 @@
+import { createAccessControl } from '../../../../core/helpers/access-control.helper.js';
+import {
+  createMockNext,
+  createMockReq,
+  createMockRes,
+} from '../../../../core/helpers/test-core.helper.js';
+import { UserPermissionException } from '../../exceptions/user.exceptions.js';
+import { requirePermission } from '../permission.middleware.js';
+
+describe('requirePermission()', () => {
+  const run = (middleware, req) => {
+    const next = createMockNext();
+    middleware(createMockReq(req), createMockRes(), next);
+    return next;
+  };
+
+  test('lets permitted principals through', () => {
+    const next = run(requirePermission('delete', 'user:{id}'), {
+      params: { id: '42' },
+      user: { id: '1', roles: ['admin'] },
+    });
+
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  test('lets users update themselves, not others', () => {
+    const middleware = requirePermission('update', 'user:{id}');
+    const user = { id: '7', roles: ['user'] };
+
+    expect(
+      run(middleware, { params: { id: '7' }, user })
+    ).toHaveBeenCalledWith();
+
+    const denied = run(middleware, { params: { id: '8' }, user }).mock
+      .calls[0][0];
+    expect(denied).toBeInstanceOf(UserPermissionException);
+    expect(denied.data).toMatchObject({
+      userId: '7',
+      action: 'update',
+      resource: 'user:8',
+    });
+  });
+
+  test('treats requests without req.user as guests', () => {
+    const next = run(requirePermission('list', 'user'), { params: {} });
+
+    expect(next.mock.calls[0][0].data.userId).toBe('anonymous');
+    expect(run(requirePermission('create', 'user'), {})).toHaveBeenCalledWith();
+  });
+
+  test('accepts another access control', () => {
+    const accessControl = createAccessControl({
+      roles: { editor: { permissions: ['publish:post'] } },
+    });
+    const middleware = requirePermission('publish', 'post:{slug}', {
+      accessControl,
+    });
+
+    expect(
+      run(middleware, {
+        params: { slug: 'hello' },
+        user: { id: '1', roles: ['editor'] },
+      })
+    ).toHaveBeenCalledWith();
+  });
+
+  test('rejects invalid arguments at definition time', () => {
+    expect(() => requirePermission('', 'user')).toThrow('needs an action');
+    expect(() => requirePermission('read')).toThrow('needs a resource');
+  });
+});
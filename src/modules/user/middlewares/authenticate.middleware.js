@@ -0,0 +1,47 @@
+import { UserAuthenticationException } from '../exceptions/user.exceptions.js';
+
+/**
+ * Xác thực request bằng access token trong header
+ * `Authorization: Bearer <token>` và gắn principal vào `req.user`
+ * (`{ id, roles, sessionId }`) cho `requirePermission` và controller.
+ *
+ * Thiếu token, token sai/hết hạn/đã thu hồi → `UserAuthenticationException`
+ * (401, `data.reason`). Với `optional: true`, request không có header đi tiếp
+ * như khách (không có `req.user`); token gửi kèm mà không hợp lệ vẫn bị chặn.
+ *
+ * Ví dụ:
+ *   const auth = createUserAuthService({ repository });
+ *   router.get('/me', authenticate(auth), wrapController(getMe));
+ *
+ * @param {Object} auth - Kết quả của `createUserAuthService`
+ * @param {Object} options
+ * @param {boolean} options.optional - Cho phép request chưa đăng nhập
+ * @returns {import('express').RequestHandler}
+ */
+export default function authenticate(auth, options = {}) {
+  const { optional = false } = options;
+  if (typeof auth?.authenticateToken !== 'function') {
+    throw new Error('authenticate() needs an auth service');
+  }
+
+  return function authenticateMiddleware(req, _res, next) {
+    const header = req.get('authorization');
+    if (!header) {
+      return next(
+        optional ? undefined : new UserAuthenticationException('missing_token')
+      );
+    }
+
+    const [scheme, token, ...rest] = header.trim().split(/\s+/);
+    if (scheme.toLowerCase() !== 'bearer' || !token || rest.length > 0) {
+      return next(new UserAuthenticationException('invalid_token'));
+    }
+
+    try {
+      req.user = auth.authenticateToken(token);
+    } catch (err) {
+      return next(err);
+    }
+    return next();
+  };
+}
@@ -0,0 +1,42 @@
+import { formatResource } from '../../../core/helpers/access-control.helper.js';
+import { UserPermissionException } from '../exceptions/user.exceptions.js';
+import { GUEST_PRINCIPAL, userAccessControl } from '../user.permissions.js';
+
+/**
+ * Chặn request khi principal không có quyền `action` trên `resource`.
+ *
+ * Principal lấy từ `req.user` (`{ id, roles }`, do middleware xác thực gắn
+ * vào); request chưa xác thực được coi là `GUEST_PRINCIPAL`. Placeholder
+ * `{param}` trong `resource` được thay bằng `req.params`. Bị từ chối thì
+ * ném `UserPermissionException` (403) với bộ ba `userId/action/resource`.
+ *
+ * Ví dụ:
+ *   router.delete('/:id', requirePermission('delete', 'user:{id}'), handler);
+ *
+ * @param {string} action - Ví dụ `delete`
+ * @param {string} resource - `type` hoặc `type:{param}`, ví dụ `user:{id}`
+ * @param {Object} options
+ * @param {Object} options.accessControl - Mặc định `userAccessControl`
+ * @returns {import('express').RequestHandler}
+ */
+export function requirePermission(action, resource, options = {}) {
+  const { accessControl = userAccessControl } = options;
+  if (typeof action !== 'string' || action === '') {
+    throw new Error('requirePermission() needs an action');
+  }
+  if (typeof resource !== 'string' || resource === '') {
+    throw new Error('requirePermission() needs a resource');
+  }
+
+  return function permissionMiddleware(req, _res, next) {
+    const principal = req.user ?? GUEST_PRINCIPAL;
+    const target = formatResource(resource, req.params);
+
+    if (!accessControl.can(principal, action, target)) {
+      return next(new UserPermissionException(principal.id, action, target));
+    }
+    return next();
+  };
+}
+
+export default requirePermission;
@@ -0,0 +1,104 @@
+/**
+ * @jest-environment node
+ */
+import {
+  mkdirSync,
+  mkdtempSync,
+  readFileSync,
+  readdirSync,
+  rmSync,
+  writeFileSync,
+} from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { createFileUserRepository } from '../user-file.repository.js';
+
+const alice = { id: 'u1', email: 'alice@example.com', username: 'alice' };
+const bob = { id: 'u2', email: 'bob@example.com', username: 'bob' };
+
+describe('createFileUserRepository()', () => {
+  let dir;
+  let filePath;
+
+  const readDocument = () => JSON.parse(readFileSync(filePath, 'utf8'));
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'user-repository-'));
+    filePath = join(dir, 'data', 'users.json');
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('requires a file path', () => {
+    expect(() => createFileUserRepository()).toThrow(
+      'File user repository needs a filePath'
+    );
+  });
+
+  test('starts empty when the file does not exist', async () => {
+    const repository = createFileUserRepository({ filePath });
+
+    expect(await repository.list()).toEqual({ items: [], total: 0 });
+  });
+
+  test('persists writes and reloads them in a new repository', async () => {
+    const repository = createFileUserRepository({ filePath });
+    await repository.insert(alice);
+    await repository.insert(bob);
+    await repository.update('u1', { name: 'Alice' });
+    await repository.remove('u2');
+
+    expect(readDocument()).toEqual({ users: [{ ...alice, name: 'Alice' }] });
+    // Only the document is left, no temporary file
+    expect(readdirSync(join(dir, 'data'))).toEqual(['users.json']);
+
+    const reloaded = createFileUserRepository({ filePath });
+    expect(await reloaded.findOneBy('username', 'alice')).toMatchObject({
+      name: 'Alice',
+    });
+  });
+
+  test('keeps concurrent writes', async () => {
+    const repository = createFileUserRepository({ filePath });
+
+    await Promise.all([repository.insert(alice), repository.insert(bob)]);
+    await repository.close();
+
+    expect(readDocument().users).toHaveLength(2);
+  });
+
+  test('does not rewrite the file for unknown ids', async () => {
+    const repository = createFileUserRepository({ filePath });
+
+    expect(await repository.update('nope', { name: 'X' })).toBeNull();
+    expect(await repository.remove('nope')).toBe(false);
+    expect(() => readFileSync(filePath)).toThrow();
+  });
+
+  test('rejects a document without a users array, then retries', async () => {
+    const documentPath = join(dir, 'users.json');
+    writeFileSync(documentPath, '{"people": []}');
+    const repository = createFileUserRepository({ filePath: documentPath });
+
+    await expect(repository.list()).rejects.toThrow(
+      'must contain { "users": [] }'
+    );
+
+    writeFileSync(documentPath, JSON.stringify({ users: [alice] }));
+    expect((await repository.list()).total).toBe(1);
+  });
+
+  test('restores the cache when the file cannot be written', async () => {
+    const blocked = join(dir, 'blocked');
+    const repository = createFileUserRepository({ filePath: blocked });
+    await repository.list();
+    // A directory where the document should be makes the rename fail
+    mkdirSync(blocked);
+
+    await expect(repository.insert(alice)).rejects.toThrow();
+    expect(await repository.list()).toEqual({ items: [], total: 0 });
+  });
+});
@@ -0,0 +1,54 @@
+import { createMemoryUserRepository } from '../user-memory.repository.js';
+import { assertUserRepository } from '../user.repository.js';
+
+const alice = { id: 'u1', email: 'alice@example.com', username: 'alice' };
+const bob = { id: 'u2', email: 'bob@example.com', username: 'bob' };
+
+describe('createMemoryUserRepository()', () => {
+  test('implements the repository contract', () => {
+    expect(() =>
+      assertUserRepository(createMemoryUserRepository())
+    ).not.toThrow();
+  });
+
+  test('lists users in insertion order with offset and limit', async () => {
+    const repository = createMemoryUserRepository({ users: [alice, bob] });
+
+    expect(await repository.list({ offset: 1, limit: 5 })).toEqual({
+      items: [bob],
+      total: 2,
+    });
+    expect((await repository.list()).items).toEqual([alice, bob]);
+  });
+
+  test('finds users by id and by field', async () => {
+    const repository = createMemoryUserRepository({ users: [alice, bob] });
+
+    expect(await repository.findById('u2')).toEqual(bob);
+    expect(await repository.findById('nope')).toBeNull();
+    expect(await repository.findOneBy('username', 'alice')).toEqual(alice);
+    expect(await repository.findOneBy('username', 'carol')).toBeNull();
+  });
+
+  test('updates and removes users, reporting unknown ids', async () => {
+    const repository = createMemoryUserRepository({ users: [alice] });
+
+    expect(await repository.update('u1', { name: 'Alice', id: 'x' })).toEqual({
+      ...alice,
+      name: 'Alice',
+    });
+    expect(await repository.update('nope', { name: 'X' })).toBeNull();
+    expect(await repository.remove('u1')).toBe(true);
+    expect(await repository.remove('u1')).toBe(false);
+  });
+
+  test('returns copies, not the stored users', async () => {
+    const repository = createMemoryUserRepository();
+    const inserted = await repository.insert({ ...alice });
+
+    inserted.username = 'mallory';
+    (await repository.findById('u1')).email = 'mallory@example.com';
+
+    expect(repository.snapshot()).toEqual([alice]);
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * src/modules/user/repositories/user-file.repository.js
+ * --------------------------------------------------
+ * `UserRepository` persisted as one JSON document (`{ "users": [...] }`).
+ *
+ * The document is read once, on first access, into an in-memory repository
+ * that serves all reads. Writes are serialized: each one updates the cache,
+ * then rewrites the document through a temporary file and a rename, so a
+ * crash never leaves a half-written file. A failed write restores the cache.
+ *
+ * Meant for single-process deployments; use a database-backed repository
+ * when several instances share the data.
+ */
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { dirname } from 'node:path';
+
+import { isArray, isPlainObject } from '../../../core/utils/type-check.util.js';
+
+import { createMemoryUserRepository } from './user-memory.repository.js';
+
+/**
+ * Read users from the document; a missing file means no users yet
+ */
+async function readUsers(filePath) {
+  let text;
+  try {
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    text = await readFile(filePath, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  const document = JSON.parse(text);
+  if (!isPlainObject(document) || !isArray(document.users)) {
+    throw new Error(`User data file ${filePath} must contain { "users": [] }`);
+  }
+  return document.users;
+}
+
+async function writeUsers(filePath, users) {
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  await mkdir(dirname(filePath), { recursive: true });
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  await writeFile(tmpPath, `${JSON.stringify({ users }, null, 2)}\n`);
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  await rename(tmpPath, filePath);
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.filePath - JSON document, created on first write
+ * @returns {import('./user.repository.js').UserRepository}
+ */
+export function createFileUserRepository(options = {}) {
+  const { filePath } = options;
+  if (typeof filePath !== 'string' || filePath === '') {
+    throw new Error('File user repository needs a filePath');
+  }
+
+  let loading = null;
+  let writes = Promise.resolve();
+
+  const load = () => {
+    loading ??= readUsers(filePath).then(
+      users => createMemoryUserRepository({ users }),
+      err => {
+        // Read again on next access (e.g. once the file is fixed)
+        loading = null;
+        throw err;
+      }
+    );
+    return loading;
+  };
+
+  /**
+   * Apply `operation` to the cache and persist the result, one write at a time
+   */
+  const write = operation => {
+    const run = writes.then(async () => {
+      const cache = await load();
+      const before = cache.snapshot();
+      const result = await operation(cache);
+      // Unknown id: nothing changed
+      if (result === null || result === false) return result;
+
+      try {
+        await writeUsers(filePath, cache.snapshot());
+      } catch (err) {
+        loading = Promise.resolve(
+          createMemoryUserRepository({ users: before })
+        );
+        throw err;
+      }
+      return result;
+    });
+
+    // Keep the queue alive after a failed write
+    writes = run.catch(() => {});
+    return run;
+  };
+
+  return {
+    async list(page) {
+      return (await load()).list(page);
+    },
+
+    async findById(id) {
+      return (await load()).findById(id);
+    },
+
+    async findOneBy(field, value) {
+      return (await load()).findOneBy(field, value);
+    },
+
+    insert(user) {
+      return write(cache => cache.insert(user));
+    },
+
+    update(id, changes) {
+      return write(cache => cache.update(id, changes));
+    },
+
+    remove(id) {
+      return write(cache => cache.remove(id));
+    },
+
+    /**
+     * Wait for queued writes (graceful shutdown)
+     */
+    async close() {
+      await writes;
+    },
+  };
+}
+
+export default createFileUserRepository;
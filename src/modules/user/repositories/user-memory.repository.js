@@ -0,0 +1,70 @@
+/**
+ * src/modules/user/repositories/user-memory.repository.js
+ * --------------------------------------------------
+ * In-memory `UserRepository`: a Map in insertion order. Data is lost on
+ * restart; suited to development and tests, and used as the cache of the
+ * file repository.
+ */
+import { safeGet } from '../../../core/utils/safe-get.util.js';
+
+/**
+ * @param {Object} options
+ * @param {Array<import('./user.repository.js').User>} options.users - Initial users
+ * @returns {import('./user.repository.js').UserRepository & {snapshot: Function}}
+ */
+export function createMemoryUserRepository(options = {}) {
+  const { users = [] } = options;
+  const store = new Map(users.map(user => [user.id, structuredClone(user)]));
+
+  // Callers get copies, so they cannot change stored users by accident
+  const copy = user => (user ? structuredClone(user) : null);
+
+  return {
+    async list({ offset = 0, limit = Infinity } = {}) {
+      const all = [...store.values()];
+      return {
+        items: all.slice(offset, offset + limit).map(copy),
+        total: all.length,
+      };
+    },
+
+    async findById(id) {
+      return copy(store.get(id));
+    },
+
+    async findOneBy(field, value) {
+      for (const user of store.values()) {
+        if (safeGet(user, field) === value) return copy(user);
+      }
+      return null;
+    },
+
+    async insert(user) {
+      store.set(user.id, structuredClone(user));
+      return copy(user);
+    },
+
+    async update(id, changes) {
+      const current = store.get(id);
+      if (!current) return null;
+
+      const updated = { ...current, ...structuredClone(changes), id };
+      store.set(id, updated);
+      return copy(updated);
+    },
+
+    async remove(id) {
+      return store.delete(id);
+    },
+
+    /**
+     * All users, for persistence
+     * @returns {Array<import('./user.repository.js').User>}
+     */
+    snapshot() {
+      return [...store.values()].map(copy);
+    },
+  };
+}
+
+export default createMemoryUserRepository;
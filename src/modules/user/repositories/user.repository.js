@@ -0,0 +1,87 @@
+/**
+ * src/modules/user/repositories/user.repository.js
+ * --------------------------------------------------
+ * Storage contract of the User module.
+ *
+ * A repository only stores and retrieves users; ids, timestamps, uniqueness
+ * and status rules belong to `user.service.js`. Every method is async so
+ * in-memory, file and database implementations are interchangeable.
+ *
+ * Implementations:
+ *   - `createMemoryUserRepository`  (user-memory.repository.js)
+ *   - `createFileUserRepository`    (user-file.repository.js)
+ */
+import { createFileUserRepository } from './user-file.repository.js';
+import { createMemoryUserRepository } from './user-memory.repository.js';
+
+/**
+ * @typedef {Object} User
+ * @property {string} id
+ * @property {string} email - Lower-cased, unique
+ * @property {string} username - Unique
+ * @property {string|null} name
+ * @property {string} status - One of `USER_STATUSES`
+ * @property {string} createdAt - ISO 8601
+ * @property {string} updatedAt - ISO 8601
+ */
+
+/**
+ * @typedef {Object} UserRepository
+ * @property {(page: {offset: number, limit: number}) => Promise<{items: User[], total: number}>} list
+ *           Users in insertion order
+ * @property {(id: string) => Promise<User|null>} findById
+ * @property {(field: string, value: *) => Promise<User|null>} findOneBy
+ *           First user whose `field` equals `value`
+ * @property {(user: User) => Promise<User>} insert
+ * @property {(id: string, changes: Partial<User>) => Promise<User|null>} update
+ *           Merge `changes`; null when the id is unknown
+ * @property {(id: string) => Promise<boolean>} remove - false when the id is unknown
+ * @property {() => Promise<void>} [close] - Flush pending writes (shutdown)
+ */
+
+export const USER_REPOSITORY_METHODS = Object.freeze([
+  'list',
+  'findById',
+  'findOneBy',
+  'insert',
+  'update',
+  'remove',
+]);
+
+/**
+ * Check that an object implements the repository contract
+ * @param {*} repository
+ * @returns {UserRepository} The same repository
+ */
+export function assertUserRepository(repository) {
+  const missing = USER_REPOSITORY_METHODS.filter(
+    // Methods may live on a prototype (class-based repositories)
+    // eslint-disable-next-line security/detect-object-injection
+    method => typeof repository?.[method] !== 'function'
+  );
+  if (missing.length > 0) {
+    throw new Error(`User repository is missing: ${missing.join(', ')}`);
+  }
+  return repository;
+}
+
+/**
+ * Create the repository selected by the user module options
+ * @param {Object} options
+ * @param {'memory'|'file'} options.type
+ * @param {string} options.filePath - For the `file` repository
+ * @returns {UserRepository}
+ */
+export function createUserRepository(options = {}) {
+  const { type = 'memory', filePath } = options;
+
+  if (type === 'memory') return createMemoryUserRepository();
+  if (type === 'file') return createFileUserRepository({ filePath });
+  throw new Error(`Unknown user repository type "${type}"`);
+}
+
+export default {
+  USER_REPOSITORY_METHODS,
+  assertUserRepository,
+  createUserRepository,
+};
@@ -0,0 +1,334 @@
+/**
+ * src/modules/user/user.auth.js
+ * --------------------------------------------------
+ * Local username/password login and the lifecycle of its tokens.
+ *
+ * - access token (`typ: access`): short-lived, carries `sub` and `roles`;
+ *   `authenticate` accepts it without a storage lookup
+ * - refresh token (`typ: refresh`): single use. Each refresh revokes it and
+ *   issues a new pair in the same session (`sid`)
+ * - presenting a used refresh token again revokes its whole session: the
+ *   token was copied, so both holders have to log in again
+ * - logout revokes the session of the access token
+ * - `revokeUserSessions(userId)` invalidates every token issued so far
+ *   (suspension, deletion)
+ *
+ * Revocations live in memory until the tokens they cover expire; several
+ * instances sharing users need a shared revocation list.
+ */
+import { randomBytes, randomUUID } from 'node:crypto';
+
+import {
+  TokenVerificationError,
+  signJwt,
+  verifyJwt,
+} from '../../core/helpers/jwt.helper.js';
+import {
+  hashPassword,
+  verifyPassword,
+} from '../../core/helpers/password.helper.js';
+
+import {
+  UserAuthenticationException,
+  UserStateException,
+} from './exceptions/user.exceptions.js';
+import { USER_OPTIONS } from './user.config.js';
+import { LOCKED_USER_STATUSES, USER_STATUS } from './user.constant.js';
+import { userLogger } from './user.logger.js';
+import { USER_ROLES } from './user.permissions.js';
+import { getPossibleActions } from './user.state-machine.js';
+
+export const TOKEN_TYPES = Object.freeze({
+  ACCESS: 'access',
+  REFRESH: 'refresh',
+});
+
+const nowInSeconds = () => Math.floor(Date.now() / 1000);
+
+/**
+ * In-memory revocation list; entries are dropped once the tokens they cover
+ * have expired
+ *
+ * @param {Object} options
+ * @param {number} options.maxTokenAge - Longest token lifetime (seconds)
+ * @param {Function} options.now - Clock in seconds
+ */
+export function createTokenRevocationList(options = {}) {
+  const { maxTokenAge = USER_OPTIONS.REFRESH_TOKEN_TTL, now = nowInSeconds } =
+    options;
+  // token id or session id → expiry (seconds)
+  const revoked = new Map();
+  // Bumped by each subject revocation; tokens carry the value current when
+  // they were issued. Unlike `iat` (whole seconds), it orders a token issued
+  // right after a revocation correctly.
+  let generation = 0;
+  // user id → { generation, revokedAt }: tokens of an older generation are revoked
+  const subjects = new Map();
+
+  function prune() {
+    const time = now();
+    for (const [key, expiresAt] of revoked) {
+      if (expiresAt <= time) revoked.delete(key);
+    }
+    for (const [subject, { revokedAt }] of subjects) {
+      if (revokedAt + maxTokenAge <= time) subjects.delete(subject);
+    }
+  }
+
+  return {
+    /**
+     * @param {string} key - Token (`jti`) or session (`sid`) id
+     * @param {number} expiresAt - When tokens it covers expire (seconds)
+     */
+    revoke(key, expiresAt) {
+      prune();
+      revoked.set(key, expiresAt);
+    },
+
+    isRevoked(key) {
+      return revoked.has(key) && revoked.get(key) > now();
+    },
+
+    /**
+     * Generation to put in newly issued tokens (`gen` claim)
+     * @returns {number}
+     */
+    currentGeneration() {
+      return generation;
+    },
+
+    /**
+     * Revoke every token of a user issued until now
+     */
+    revokeSubject(subject) {
+      prune();
+      generation += 1;
+      subjects.set(subject, { generation, revokedAt: now() });
+    },
+
+    /**
+     * @param {string} subject - User id
+     * @param {number} tokenGeneration - `gen` claim of the token
+     */
+    isSubjectRevoked(subject, tokenGeneration) {
+      if (!subjects.has(subject)) return false;
+      const issued = Number.isInteger(tokenGeneration) ? tokenGeneration : 0;
+      return issued < subjects.get(subject).generation;
+    },
+  };
+}
+
+/**
+ * @param {Object} options
+ * @param {import('./repositories/user.repository.js').UserRepository} options.repository
+ * @param {string} options.secret - HMAC key (default: `AUTH_TOKEN_SECRET`,
+ *        or a random key per process outside production)
+ * @param {number} options.accessTokenTtl - Seconds (default: `ACCESS_TOKEN_TTL`)
+ * @param {number} options.refreshTokenTtl - Seconds (default: `REFRESH_TOKEN_TTL`)
+ * @param {Function} options.now - Clock in seconds
+ * @returns {Object} Auth service
+ * @throws {Error} No secret while `NODE_ENV` is `production`
+ */
+export function createUserAuthService(options = {}) {
+  const {
+    repository,
+    accessTokenTtl = USER_OPTIONS.ACCESS_TOKEN_TTL,
+    refreshTokenTtl = USER_OPTIONS.REFRESH_TOKEN_TTL,
+    now = nowInSeconds,
+  } = options;
+  let { secret = USER_OPTIONS.AUTH_TOKEN_SECRET } = options;
+
+  if (secret === '') {
+    // A per-process key logs everyone out on restart and splits instances
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('AUTH_TOKEN_SECRET must be set in production');
+    }
+    secret = randomBytes(32);
+    userLogger.warn('AUTH_TOKEN_SECRET is not set, using a random key', {
+      event: 'AUTH_RANDOM_SECRET',
+    });
+  }
+
+  const revocations =
+    options.revocations ??
+    createTokenRevocationList({ maxTokenAge: refreshTokenTtl, now });
+
+  // Compared against when the user does not exist, so the response time
+  // does not reveal which usernames are taken
+  let dummyHash = null;
+
+  function assertCanSignIn(user) {
+    if (LOCKED_USER_STATUSES.includes(user.status)) {
+      throw new UserStateException(
+        user.id,
+        user.status,
+        USER_STATUS.ACTIVE,
+        'login',
+        { data: { possibleActions: getPossibleActions(user.status) } }
+      );
+    }
+  }
+
+  function issueTokens(user, sessionId) {
+    const issuedAt = now();
+    const claims = {
+      sub: user.id,
+      sid: sessionId,
+      gen: revocations.currentGeneration(),
+    };
+
+    return {
+      tokenType: 'Bearer',
+      accessToken: signJwt(
+        {
+          ...claims,
+          typ: TOKEN_TYPES.ACCESS,
+          jti: randomUUID(),
+          roles: user.roles ?? [USER_ROLES.USER],
+        },
+        secret,
+        { expiresIn: accessTokenTtl, now: issuedAt }
+      ),
+      expiresIn: accessTokenTtl,
+      refreshToken: signJwt(
+        { ...claims, typ: TOKEN_TYPES.REFRESH, jti: randomUUID() },
+        secret,
+        { expiresIn: refreshTokenTtl, now: issuedAt }
+      ),
+      refreshExpiresIn: refreshTokenTtl,
+    };
+  }
+
+  /**
+   * Verify signature, expiry and type
+   * @throws {UserAuthenticationException} `expired_token` or `invalid_token`
+   */
+  function decodeToken(token, type) {
+    let claims;
+    try {
+      claims = verifyJwt(token, secret, { now: now() });
+    } catch (err) {
+      if (!(err instanceof TokenVerificationError)) throw err;
+      throw new UserAuthenticationException(
+        err.code === 'expired' ? 'expired_token' : 'invalid_token'
+      );
+    }
+
+    if (claims.typ !== type || typeof claims.sub !== 'string') {
+      throw new UserAuthenticationException('invalid_token');
+    }
+    return claims;
+  }
+
+  function isSessionRevoked(claims) {
+    return (
+      revocations.isRevoked(claims.sid) ||
+      revocations.isSubjectRevoked(claims.sub, claims.gen)
+    );
+  }
+
+  function revokeSession(sessionId) {
+    // Tokens of the session cannot outlive its last refresh token
+    revocations.revoke(sessionId, now() + refreshTokenTtl);
+  }
+
+  return {
+    /**
+     * Check a username (or email) and password and open a session
+     * @param {{username: string, password: string}} credentials
+     * @returns {Promise<Object>} Token pair (`accessToken`, `refreshToken`, ...)
+     * @throws {UserAuthenticationException} `invalid_credentials`
+     * @throws {UserStateException} Locked account
+     */
+    async login({ username, password }) {
+      const identifier = String(username ?? '').trim();
+      const user = identifier.includes('@')
+        ? await repository.findOneBy('email', identifier.toLowerCase())
+        : await repository.findOneBy('username', identifier);
+
+      dummyHash ??= hashPassword(randomUUID());
+      const valid = await verifyPassword(
+        password,
+        user?.passwordHash ?? (await dummyHash)
+      );
+      if (!user || !user.passwordHash || !valid) {
+        throw new UserAuthenticationException('invalid_credentials');
+      }
+
+      assertCanSignIn(user);
+      return issueTokens(user, randomUUID());
+    },
+
+    /**
+     * Exchange a refresh token for a new pair (rotation)
+     * @param {string} refreshToken
+     * @returns {Promise<Object>} Token pair
+     * @throws {UserAuthenticationException} Invalid, expired, reused or
+     *         revoked token
+     */
+    async refresh(refreshToken) {
+      const claims = decodeToken(refreshToken, TOKEN_TYPES.REFRESH);
+
+      if (revocations.isRevoked(claims.jti)) {
+        revokeSession(claims.sid);
+        userLogger.warn('Refresh token reused, session revoked', {
+          event: 'SECURITY',
+          userId: claims.sub,
+          sessionId: claims.sid,
+        });
+        throw new UserAuthenticationException('revoked_token');
+      }
+      if (isSessionRevoked(claims)) {
+        throw new UserAuthenticationException('revoked_token');
+      }
+      revocations.revoke(claims.jti, claims.exp);
+
+      const user = await repository.findById(claims.sub);
+      if (!user) throw new UserAuthenticationException('revoked_token');
+      assertCanSignIn(user);
+
+      return issueTokens(user, claims.sid);
+    },
+
+    /**
+     * Principal of a valid access token, for `req.user`
+     * @param {string} accessToken
+     * @returns {{id: string, roles: string[], sessionId: string}}
+     * @throws {UserAuthenticationException}
+     */
+    authenticateToken(accessToken) {
+      const claims = decodeToken(accessToken, TOKEN_TYPES.ACCESS);
+      if (isSessionRevoked(claims)) {
+        throw new UserAuthenticationException('revoked_token');
+      }
+
+      return {
+        id: claims.sub,
+        roles: Array.isArray(claims.roles) ? claims.roles : [],
+        sessionId: claims.sid,
+      };
+    },
+
+    /**
+     * End the session of an authenticated principal (all its tokens)
+     * @param {{sessionId: string}} principal - `req.user`
+     */
+    logout(principal) {
+      revokeSession(principal.sessionId);
+    },
+
+    /**
+     * Revoke every token issued to a user so far
+     * @param {string} userId
+     */
+    revokeUserSessions(userId) {
+      revocations.revokeSubject(userId);
+    },
+  };
+}
+
+export default {
+  TOKEN_TYPES,
+  createTokenRevocationList,
+  createUserAuthService,
+};
@@ -0,0 +1,99 @@
+/**
+ * src/modules/user/user.config.js
+ * --------------------------------------------------
+ * User module settings, loaded and validated like HTTP_OPTIONS (env,
+ * optional `.env`/JSON file, CLI flags).
+ */
+import {
+  defineConfigSchema,
+  loadConfig,
+} from '../../core/helpers/config-loader.helper.js';
+
+export const USER_OPTIONS_SCHEMA = defineConfigSchema({
+  /**
+   * Storage behind the user repository: `memory` (lost on restart) or
+   * `file` (JSON document at `DATA_FILE`).
+   */
+  REPOSITORY: {
+    type: 'string',
+    default: 'memory',
+    env: 'USER_REPOSITORY',
+    enum: ['memory', 'file'],
+  },
+
+  /**
+   * JSON document used by the `file` repository; created on first write.
+   * Held by one app at a time: other apps in the process need their own
+   * `repository`.
+   */
+  DATA_FILE: {
+    type: 'string',
+    default: 'data/users.json',
+    env: 'USER_DATA_FILE',
+    validate: value => value !== '' || 'must not be empty',
+  },
+
+  /**
+   * HMAC key signing access and refresh tokens (at least 32 characters).
+   * Empty: a random key per process, so tokens do not survive a restart and
+   * are not accepted by other instances. Required when `NODE_ENV` is
+   * `production`: the module refuses to start without it.
+   */
+  AUTH_TOKEN_SECRET: {
+    type: 'string',
+    default: '',
+    env: 'AUTH_TOKEN_SECRET',
+    validate: value =>
+      value === '' || value.length >= 32 || 'must be at least 32 characters',
+  },
+
+  /**
+   * Initial admin, created at startup when `ADMIN_PASSWORD` is set and no
+   * user has `ADMIN_USERNAME` yet. The password is only used to create the
+   * account; change it through the API afterwards.
+   */
+  ADMIN_USERNAME: {
+    type: 'string',
+    default: 'admin',
+    env: 'USER_ADMIN_USERNAME',
+    validate: value =>
+      /^\w{3,20}$/.test(value) || 'must be 3-20 letters, digits or underscores',
+  },
+
+  ADMIN_EMAIL: {
+    type: 'string',
+    default: '',
+    env: 'USER_ADMIN_EMAIL',
+  },
+
+  ADMIN_PASSWORD: {
+    type: 'string',
+    default: '',
+    env: 'USER_ADMIN_PASSWORD',
+    validate: value =>
+      value === '' || value.length >= 8 || 'must be at least 8 characters',
+  },
+
+  /**
+   * Lifetime (seconds) of access tokens. Keep it short: access tokens are
+   * checked without a storage lookup.
+   */
+  ACCESS_TOKEN_TTL: {
+    type: 'integer',
+    default: 900,
+    env: 'AUTH_ACCESS_TOKEN_TTL',
+    min: 1,
+  },
+
+  /**
+   * Lifetime (seconds) of refresh tokens; each refresh issues a new one.
+   */
+  REFRESH_TOKEN_TTL: {
+    type: 'integer',
+    default: 1209600,
+    env: 'AUTH_REFRESH_TOKEN_TTL',
+    min: 1,
+  },
+});
+
+export const USER_OPTIONS = loadConfig(USER_OPTIONS_SCHEMA);
@@ -0,0 +1,31 @@
+/**
+ * src/modules/user/user.constant.js
+ * --------------------------------------------------
+ * Account statuses of the User domain.
+ *
+ * New accounts start `inactive` and become `active` through activation;
+ * `pending` accounts wait for approval, `suspended` ones are locked and
+ * `deleted` ones are kept for their history only. Allowed transitions are
+ * declared in user.state-machine.js.
+ */
+export const USER_STATUS = Object.freeze({
+  PENDING: 'pending',
+  INACTIVE: 'inactive',
+  ACTIVE: 'active',
+  SUSPENDED: 'suspended',
+  DELETED: 'deleted',
+});
+
+export const USER_STATUSES = Object.freeze(Object.values(USER_STATUS));
+
+// Accounts in these statuses cannot be edited until reactivated
+export const LOCKED_USER_STATUSES = Object.freeze([
+  USER_STATUS.SUSPENDED,
+  USER_STATUS.DELETED,
+]);
+
+export default {
+  USER_STATUS,
+  USER_STATUSES,
+  LOCKED_USER_STATUSES,
+};
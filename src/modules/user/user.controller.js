@@ -1,20 +1,206 @@
 import { HttpResponse } from '../../core/helpers/http.helper.js';
-import { UserValidationException } from './exceptions/user.exceptions';
 
-export function getListUser(req) {
-  const { page, limit } = req.query;
+import { USER_TRANSITION_EVENTS } from './user.state-machine.js';
 
-  console.log(req.query);
-  console.log(req.body);
-  console.log(req.params);
+/**
+ * Query schema for list endpoints; `wrapController` coerces the raw query
+ * strings so controllers receive numbers with defaults applied.
+ */
+export const listUserSchema = {
+  query: {
+    page: { type: 'integer', default: 1, min: 1 },
+    limit: { type: 'integer', default: 10, min: 1, max: 100 },
+  },
+};
 
-  if (page < 1) {
-    throw new UserValidationException('page', page, 'must be greater than 0');
-  }
+// Shape checks only; uniqueness and status rules live in user.service.js
+const USER_FIELDS = {
+  email: { type: 'email', maxLength: 254 },
+  username: {
+    type: 'string',
+    minLength: 3,
+    maxLength: 20,
+    pattern: /^\w+$/,
+    message: 'username must be 3-20 letters, digits or underscores',
+  },
+  name: { type: 'string', maxLength: 100 },
+  password: { type: 'string', minLength: 8, maxLength: 128 },
+};
 
-  if (limit < 1) {
-    throw new UserValidationException('limit', limit, 'must be greater than 0');
-  }
+export const userIdSchema = {
+  params: { id: { type: 'string', required: true } },
+};
 
-  return HttpResponse.paginated([], { page, limit }, 'Oki');
+export const createUserSchema = {
+  body: {
+    ...USER_FIELDS,
+    email: { ...USER_FIELDS.email, required: true },
+    username: { ...USER_FIELDS.username, required: true },
+    password: { ...USER_FIELDS.password, required: true },
+  },
+};
+
+// Checked by the service whenever `password` changes
+const currentPassword = { type: 'string', maxLength: 128 };
+
+// The password stays unchanged when omitted
+export const replaceUserSchema = {
+  ...userIdSchema,
+  body: {
+    ...createUserSchema.body,
+    password: USER_FIELDS.password,
+    currentPassword,
+  },
+};
+
+export const updateUserSchema = {
+  ...userIdSchema,
+  body: { ...USER_FIELDS, currentPassword },
+};
+
+export const transitionUserSchema = {
+  params: {
+    ...userIdSchema.params,
+    event: { type: 'string', required: true, enum: USER_TRANSITION_EVENTS },
+  },
+  body: { reason: { type: 'string', maxLength: 500 } },
+};
+
+export const loginSchema = {
+  body: {
+    // Username or email
+    username: { type: 'string', required: true, maxLength: 254 },
+    password: { type: 'string', required: true, maxLength: 128 },
+  },
+};
+
+export const refreshTokenSchema = {
+  body: { refreshToken: { type: 'string', required: true } },
+};
+
+/**
+ * Token pairs must reach the client: allow them through response redaction
+ * and keep them out of caches (RFC 6749 §5.1)
+ */
+function tokenResponse(tokens, message) {
+  return HttpResponse.success(tokens, message)
+    .withRedaction({ allow: ['tokenType', 'accessToken', 'refreshToken'] })
+    .withHeader('Cache-Control', 'no-store');
+}
+
+/**
+ * CRUD controllers bound to a user service.
+ * Use as `wrapController(controller.listUsers, { schema: listUserSchema })`.
+ *
+ * @param {ReturnType<import('./user.service.js').createUserService>} service
+ * @param {Object} options
+ * @param {ReturnType<import('./user.auth.js').createUserAuthService>} options.auth -
+ *        Revokes the sessions of deleted users and after password changes
+ */
+export function createUserController(service, options = {}) {
+  const { auth } = options;
+
+  // A new password logs out every session, including stolen ones
+  const endSessionsOnPasswordChange = req => {
+    if (typeof req.body?.password === 'string') {
+      auth?.revokeUserSessions(req.params.id);
+    }
+  };
+
+  return {
+    async listUsers(req) {
+      const { page, limit } = req.query;
+      const { items, total } = await service.listUsers({ page, limit });
+
+      return HttpResponse.paginated(
+        items,
+        { page, limit, total },
+        'Users retrieved'
+      );
+    },
+
+    async getUser(req) {
+      return HttpResponse.success(
+        await service.getUser(req.params.id),
+        'User retrieved'
+      );
+    },
+
+    async createUser(req) {
+      const user = await service.createUser(req.body);
+
+      return HttpResponse.created(user, 'User created').withHeader(
+        'Location',
+        `${req.baseUrl}/${user.id}`
+      );
+    },
+
+    async replaceUser(req) {
+      const user = await service.replaceUser(req.params.id, req.body);
+      endSessionsOnPasswordChange(req);
+      return HttpResponse.success(user, 'User updated');
+    },
+
+    async updateUser(req) {
+      const user = await service.updateUser(req.params.id, req.body);
+      endSessionsOnPasswordChange(req);
+      return HttpResponse.success(user, 'User updated');
+    },
+
+    async transitionUser(req) {
+      const { id, event } = req.params;
+
+      return HttpResponse.success(
+        await service.transitionUser(id, event, { reason: req.body?.reason }),
+        'User status updated'
+      );
+    },
+
+    async listUserTransitions(req) {
+      return HttpResponse.success(
+        await service.getUserTransitions(req.params.id),
+        'User transitions retrieved'
+      );
+    },
+
+    async deleteUser(req) {
+      await service.deleteUser(req.params.id);
+      auth?.revokeUserSessions(req.params.id);
+      return HttpResponse.noContent('User deleted');
+    },
+  };
+}
+
+/**
+ * Login, token refresh, logout and current-user controllers.
+ * `logout` and `getCurrentUser` expect `authenticate` before them.
+ *
+ * @param {ReturnType<import('./user.auth.js').createUserAuthService>} auth
+ * @param {ReturnType<import('./user.service.js').createUserService>} service
+ */
+export function createAuthController(auth, service) {
+  return {
+    async login(req) {
+      return tokenResponse(await auth.login(req.body), 'Logged in');
+    },
+
+    async refresh(req) {
+      return tokenResponse(
+        await auth.refresh(req.body.refreshToken),
+        'Tokens refreshed'
+      );
+    },
+
+    async logout(req) {
+      auth.logout(req.user);
+      return HttpResponse.noContent('Logged out');
+    },
+
+    async getCurrentUser(req) {
+      return HttpResponse.success(
+        await service.getUser(req.user.id),
+        'User retrieved'
+      );
+    },
+  };
 }
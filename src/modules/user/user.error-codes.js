@@ -0,0 +1,55 @@
+/**
+ * src/modules/user/user.error-codes.js
+ * --------------------------------------------------
+ * Error codes owned by the User domain.
+ *
+ * Exceptions reference `USER_ERROR_CODES`; `initializeUserModule` registers
+ * `USER_ERROR_CATALOG` in the core error catalog (served at `/errors`).
+ */
+import { HTTP_STATUS } from '../../core/constants/http-status.constant.js';
+
+export const USER_ERROR_CODES = Object.freeze({
+  NOT_FOUND: 'USER_NOT_FOUND',
+  VALIDATION_ERROR: 'USER_VALIDATION_ERROR',
+  PERMISSION_DENIED: 'USER_PERMISSION_DENIED',
+  INVALID_STATE: 'USER_INVALID_STATE',
+  UNAUTHENTICATED: 'USER_UNAUTHENTICATED',
+});
+
+export const USER_ERROR_CATALOG = Object.freeze({
+  [USER_ERROR_CODES.NOT_FOUND]: {
+    status: HTTP_STATUS.NOT_FOUND,
+    message: 'User not found',
+    description:
+      'No user matches the given identifier. `meta.suggestions` lists ways to look the user up.',
+  },
+  [USER_ERROR_CODES.VALIDATION_ERROR]: {
+    status: HTTP_STATUS.BAD_REQUEST,
+    message: 'User validation failed',
+    description:
+      'Business rules rejected user fields. `errors` lists every failing field with its rule and suggestions.',
+  },
+  [USER_ERROR_CODES.PERMISSION_DENIED]: {
+    status: HTTP_STATUS.FORBIDDEN,
+    message: 'Permission denied',
+    description:
+      'The current user lacks the permission required for the action on the resource.',
+  },
+  [USER_ERROR_CODES.INVALID_STATE]: {
+    status: HTTP_STATUS.CONFLICT,
+    message: 'Invalid user state',
+    description:
+      'The user is not in the state the operation requires. `data.possibleActions` lists transitions that can unblock it. Not retryable as such: `meta.retryable` is true only while the user is pending or processing.',
+  },
+  [USER_ERROR_CODES.UNAUTHENTICATED]: {
+    status: HTTP_STATUS.UNAUTHORIZED,
+    message: 'Authentication required',
+    description:
+      'The request has no valid credentials. Log in again, or refresh the access token when `data.reason` is `expired_token`.',
+  },
+});
+
+export default {
+  USER_ERROR_CODES,
+  USER_ERROR_CATALOG,
+};
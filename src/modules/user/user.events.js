@@ -0,0 +1,132 @@
+/**
+ * src/modules/user/user.events.js
+ * --------------------------------------------------
+ * In-process feed of user state transitions
+ *
+ * Each user module owns one feed (`createUserEvents()`): transitions are
+ * published to it and the dashboard subscribes through the
+ * `/users/state-events` SSE endpoint. A bounded backlog lets reconnecting
+ * clients resume from their `Last-Event-ID`.
+ *
+ * Event ids are `<epoch>-<sequence>`: the epoch is unique per feed (and so
+ * per process start), so an id issued before a restart or by another
+ * instance never matches this backlog and is not mistaken for a position
+ * in it.
+ */
+import { randomBytes } from 'node:crypto';
+import { EventEmitter, on } from 'node:events';
+
+export const USER_STATE_CHANGED = 'user.state.changed';
+
+// Internal: ends every live subscription (graceful shutdown)
+const STREAMS_CLOSED = 'user.streams.closed';
+
+// Number of past transitions kept for Last-Event-ID resume
+const BACKLOG_SIZE = 100;
+
+/**
+ * Create a feed of state transitions
+ * @returns {{publish: Function, subscribe: Function, close: Function}}
+ */
+export function createUserEvents() {
+  const emitter = new EventEmitter();
+  // One listener per connected dashboard
+  emitter.setMaxListeners(0);
+
+  // Creation time plus random bits, for feeds created in the same millisecond
+  const epoch = `${Date.now().toString(36)}${randomBytes(2).toString('hex')}`;
+
+  const backlog = [];
+  let lastSequence = 0;
+
+  /**
+   * Sequence number of an id issued by this feed, or null
+   */
+  function parseSequence(id) {
+    const [idEpoch, sequence] = String(id ?? '').split('-');
+    if (idEpoch !== epoch || !/^\d+$/.test(sequence ?? '')) return null;
+    return Number(sequence);
+  }
+
+  return {
+    /**
+     * Publish a state transition
+     * @param {object} change
+     * @param {string} change.userId
+     * @param {string} change.from - Previous state
+     * @param {string} change.to - New state
+     * @param {string} [change.operation] - Operation that caused the transition
+     * @returns {object} The published event
+     */
+    publish({ userId, from, to, operation }) {
+      lastSequence += 1;
+      const event = {
+        id: `${epoch}-${lastSequence}`,
+        event: USER_STATE_CHANGED,
+        data: {
+          userId,
+          from,
+          to,
+          operation,
+          timestamp: new Date().toISOString(),
+        },
+      };
+
+      backlog.push(event);
+      if (backlog.length > BACKLOG_SIZE) backlog.shift();
+
+      emitter.emit(USER_STATE_CHANGED, event);
+      return event;
+    },
+
+    /**
+     * Stream state transitions as SSE events
+     * Replays backlog entries newer than `lastEventId` first, then follows
+     * live transitions until `signal` aborts or `close()` is called.
+     * An id from another feed (process, instance) replays nothing: its
+     * backlog is not this one. Live events are always delivered.
+     *
+     * @param {object} options
+     * @param {string} [options.lastEventId]
+     * @param {AbortSignal} options.signal
+     */
+    async *subscribe({ lastEventId, signal }) {
+      // Subscribe before replaying so nothing published in between is lost
+      const live = on(emitter, USER_STATE_CHANGED, {
+        signal,
+        close: [STREAMS_CLOSED],
+      });
+
+      const resumeFrom = parseSequence(lastEventId);
+      // Last sequence replayed; live events up to it were already sent
+      let replayed = lastSequence;
+      if (resumeFrom !== null) {
+        replayed = resumeFrom;
+        for (const event of backlog) {
+          const sequence = parseSequence(event.id);
+          if (sequence <= replayed) continue;
+          replayed = sequence;
+          yield event;
+        }
+      }
+
+      for await (const [event] of live) {
+        if (parseSequence(event.id) > replayed) yield event;
+      }
+    },
+
+    /**
+     * End the live subscriptions of this feed so their SSE responses finish
+     * normally and clients reconnect (to another instance) with their
+     * Last-Event-ID
+     */
+    close() {
+      emitter.emit(STREAMS_CLOSED);
+    },
+  };
+}
+
+export default {
+  USER_STATE_CHANGED,
+  createUserEvents,
+};
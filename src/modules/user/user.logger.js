@@ -0,0 +1,10 @@
+/**
+ * src/modules/user/user.logger.js
+ * --------------------------------------------------
+ * Logger bound to the User module (`module: "user"` on every record).
+ */
+import { logger } from '../../core/helpers/logger.helper.js';
+
+export const userLogger = logger.child({ module: 'user' });
+
+export default userLogger;
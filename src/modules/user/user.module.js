@@ -5,38 +5,170 @@
  *
  * Registers all user-specific components including
  * exception handlers, middleware, routes, etc.
+ *
+ * `createUserModule({ repository })` wires routes → services (users, auth)
+ * → repository, with its own state-event feed; by default the repository
+ * is the one selected by USER_OPTIONS. Each call builds a new, independent
+ * module, so apps built side by side share no state: a second app cannot
+ * take the configured data file while another one holds it.
  */
-import { registerErrorHandler } from '../../core/helpers/error-handler-registry.helper.js';
+import { resolve } from 'node:path';
+
+import { registerErrorCodes } from '../../core/helpers/error-catalog.helper.js';
+import { defaultErrorHandlerRegistry } from '../../core/helpers/error-handler-registry.helper.js';
+
 // Import domain exceptions
 import {
+  handleUserAuthentication,
   handleUserNotFound,
   handleUserPermission,
   handleUserState,
   handleUserValidation,
 } from './error-handlers/user.error-handlers.js';
 import {
+  UserAuthenticationException,
   UserNotFoundException,
   UserPermissionException,
   UserStateException,
+  UserValidationErrorsException,
   UserValidationException,
 } from './exceptions/user.exceptions.js';
+import { createUserRepository } from './repositories/user.repository.js';
+import { createUserAuthService } from './user.auth.js';
+import { USER_OPTIONS } from './user.config.js';
+import { LOCKED_USER_STATUSES } from './user.constant.js';
+import { USER_ERROR_CATALOG } from './user.error-codes.js';
+import { createUserEvents } from './user.events.js';
+import { userLogger } from './user.logger.js';
+import { createUserRoutes } from './user.route.js';
+import { createUserService } from './user.service.js';
+import { createPublishTransitionHook } from './user.state-machine.js';
 
-export { default as userRoutes } from './user.route.js';
+// Data files held by default file repositories, one app each
+const claimedDataFiles = new Set();
 
-// Import custom error handlers
+/**
+ * Create the repository selected by the options, for one app
+ * A `file` repository holds its data file until it is closed: two apps
+ * writing the same document would overwrite each other's users.
+ *
+ * @param {Object} options - Default: USER_OPTIONS
+ * @param {'memory'|'file'} options.REPOSITORY
+ * @param {string} options.DATA_FILE
+ * @returns {import('./repositories/user.repository.js').UserRepository}
+ * @throws {Error} When another app holds the data file
+ */
+export function createDefaultUserRepository(options = USER_OPTIONS) {
+  const { REPOSITORY: type, DATA_FILE } = options;
+  if (type !== 'file') return createUserRepository({ type });
+
+  const filePath = resolve(DATA_FILE);
+  if (claimedDataFiles.has(filePath)) {
+    throw new Error(
+      `User data file ${filePath} is already used by another app; pass each app its own \`repository\``
+    );
+  }
+
+  const repository = createUserRepository({ type, filePath });
+  claimedDataFiles.add(filePath);
+  return {
+    ...repository,
+    async close() {
+      await repository.close();
+      claimedDataFiles.delete(filePath);
+    },
+  };
+}
 
 /**
  * Initialize the User module
  * Registers all error handlers and sets up module components
+ *
+ * @param {Object} options
+ * @param {Object} options.registry - Error handler registry of the app
+ *        (default: the process-wide registry)
  */
-export function initializeUserModule() {
+export function initializeUserModule(options = {}) {
+  const { registry = defaultErrorHandlerRegistry } = options;
+
+  // Declare the module's error codes in the core catalog
+  registerErrorCodes('user', USER_ERROR_CATALOG);
+
   // Register exception handlers
-  registerErrorHandler(UserNotFoundException, handleUserNotFound);
-  // registerErrorHandler(UserValidationException, handleUserValidation);
-  registerErrorHandler(UserPermissionException, handleUserPermission);
-  registerErrorHandler(UserStateException, handleUserState);
+  registry.register(UserNotFoundException, handleUserNotFound);
+  // Also handles UserValidationException (subclass)
+  registry.register(UserValidationErrorsException, handleUserValidation);
+  registry.register(UserPermissionException, handleUserPermission);
+  registry.register(UserStateException, handleUserState);
+  registry.register(UserAuthenticationException, handleUserAuthentication);
+
+  userLogger.info('Error handlers registered', {
+    exceptionTypes: userModuleInfo.exceptionTypes,
+  });
+}
 
-  console.log('[USER_MODULE] Error handlers registered');
+/**
+ * Start draining the User module
+ * Ends the state-event streams of its feed, which would otherwise keep
+ * their connections open until the drain deadline
+ *
+ * @param {Object} options
+ * @param {string} options.reason - Why the app stops (e.g. `SIGTERM`)
+ * @param {Object} options.events - Feed of the module (`createUserEvents`)
+ */
+export function drainUserModule(options = {}) {
+  options.events?.close();
+
+  userLogger.info('State event streams closed', { reason: options.reason });
+}
+
+/**
+ * Shut the User module down once in-flight requests are done
+ * Flushes the repository's pending writes
+ *
+ * @param {Object} options
+ * @param {string} options.reason - Why the app stops (e.g. `SIGTERM`)
+ * @param {Object} options.repository - Repository to close, if any
+ */
+export async function shutdownUserModule(options = {}) {
+  await options.repository?.close?.();
+
+  userLogger.info('Module stopped', { reason: options.reason });
+}
+
+/**
+ * Create the initial admin, logging the outcome instead of failing startup
+ *
+ * @param {Object} options
+ * @param {ReturnType<import('./user.service.js').createUserService>} options.service
+ * @param {{username: string, email: string|null, password: string}} options.admin
+ * @returns {Promise<Object|null>} The created admin, or null
+ */
+export async function seedAdminUser(options) {
+  const { service, admin } = options;
+
+  try {
+    const user = await service.seedAdmin(admin);
+    if (user) {
+      userLogger.info('Admin user created', {
+        event: 'USER_ADMIN_SEEDED',
+        userId: user.id,
+        username: user.username,
+      });
+    } else {
+      userLogger.info('Admin user not created, username exists', {
+        username: admin.username,
+      });
+    }
+    return user;
+  } catch (err) {
+    userLogger.error('Admin user could not be created', {
+      event: 'USER_ADMIN_SEED_FAILURE',
+      username: admin.username,
+      err,
+    });
+    return null;
+  }
 }
 
 /**
@@ -46,8 +178,10 @@ export function getUserExceptions() {
   return {
     UserNotFoundException,
     UserValidationException,
+    UserValidationErrorsException,
     UserPermissionException,
     UserStateException,
+    UserAuthenticationException,
   };
 }
 
@@ -61,13 +195,82 @@ export const userModuleInfo = {
   exceptionTypes: [
     'UserNotFoundException',
     'UserValidationException',
+    'UserValidationErrorsException',
     'UserPermissionException',
     'UserStateException',
+    'UserAuthenticationException',
   ],
 };
 
+/**
+ * Build the module definition consumed by `createApp`: routes are mounted
+ * at `basePath` after `initialize` has registered the module's handlers;
+ * `onDrain` and `onShutdown` run during graceful shutdown.
+ *
+ * @param {Object} options
+ * @param {import('./repositories/user.repository.js').UserRepository} options.repository
+ *        Storage of users (default: `createDefaultUserRepository()`)
+ * @param {{username: string, email?: string, password: string}|null} options.admin
+ *        Initial admin created by `initialize` (default: from `USER_OPTIONS`,
+ *        none without `ADMIN_PASSWORD`); `seedAdmin()` waits for it
+ * @param {Object} options.events - State-event feed (default: a new one)
+ */
+export function createUserModule(options = {}) {
+  const {
+    repository = createDefaultUserRepository(),
+    events = createUserEvents(),
+    admin = USER_OPTIONS.ADMIN_PASSWORD
+      ? {
+          username: USER_OPTIONS.ADMIN_USERNAME,
+          email: USER_OPTIONS.ADMIN_EMAIL || null,
+          password: USER_OPTIONS.ADMIN_PASSWORD,
+        }
+      : null,
+  } = options;
+  const auth = createUserAuthService({ repository });
+  const service = createUserService({
+    repository,
+    onTransition: [
+      createPublishTransitionHook(events),
+      // Suspended or deleted users lose their sessions at once
+      ({ user }) => {
+        if (LOCKED_USER_STATUSES.includes(user.status)) {
+          auth.revokeUserSessions(user.id);
+        }
+      },
+    ],
+  });
+
+  // Runs once; later calls return the same outcome
+  let adminSeeding = null;
+  const seedAdmin = () =>
+    (adminSeeding ??= admin
+      ? seedAdminUser({ service, admin })
+      : Promise.resolve(null));
+
+  return {
+    name: userModuleInfo.name,
+    basePath: '/users',
+    routes: createUserRoutes({ service, auth, events }),
+    service,
+    auth,
+    seedAdmin,
+    initialize: context => {
+      initializeUserModule(context);
+      seedAdmin();
+    },
+    onDrain: ({ reason }) => drainUserModule({ reason, events }),
+    onShutdown: ({ reason }) => shutdownUserModule({ reason, repository }),
+  };
+}
+
 export default {
   initializeUserModule,
+  drainUserModule,
+  shutdownUserModule,
+  seedAdminUser,
+  createDefaultUserRepository,
   getUserExceptions,
   userModuleInfo,
+  createUserModule,
 };
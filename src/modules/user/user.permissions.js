@@ -0,0 +1,53 @@
+/**
+ * src/modules/user/user.permissions.js
+ * --------------------------------------------------
+ * Roles of the User domain and what they may do to users.
+ *
+ *   guest  → create:user (sign up)
+ *   user   → guest + read/update their own account
+ *   admin  → user + every action on users
+ *
+ * Actions on `user` resources: list, read, create, update, delete,
+ * transition. Checks go through `requirePermission` (see
+ * middlewares/permission.middleware.js).
+ */
+import { createAccessControl } from '../../core/helpers/access-control.helper.js';
+
+export const USER_ROLES = Object.freeze({
+  GUEST: 'guest',
+  USER: 'user',
+  ADMIN: 'admin',
+});
+
+export const USER_ROLE_DEFINITIONS = Object.freeze({
+  [USER_ROLES.GUEST]: { permissions: ['create:user'] },
+  [USER_ROLES.USER]: {
+    inherits: [USER_ROLES.GUEST],
+    own: ['read:user', 'update:user'],
+  },
+  [USER_ROLES.ADMIN]: {
+    inherits: [USER_ROLES.USER],
+    permissions: ['*:user'],
+  },
+});
+
+// Principal of requests that carry no identity
+export const GUEST_PRINCIPAL = Object.freeze({
+  id: 'anonymous',
+  roles: Object.freeze([USER_ROLES.GUEST]),
+});
+
+export const userAccessControl = createAccessControl({
+  roles: USER_ROLE_DEFINITIONS,
+  owners: {
+    // Users own their account
+    user: (principal, id) => principal.id === id,
+  },
+});
+
+export default {
+  USER_ROLES,
+  USER_ROLE_DEFINITIONS,
+  GUEST_PRINCIPAL,
+  userAccessControl,
+};
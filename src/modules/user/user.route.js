@@ -1,7 +1,27 @@
 /**
  * src/modules/user/user.route.js
  * --------------------------------------------------
- * User module routes demonstrating normalized response format
+ * User module routes: authentication and CRUD on `/users` plus demos of
+ * the normalized response format
+ *
+ *   POST   /users/auth/login    → token pair (`username` or email + password)
+ *   POST   /users/auth/refresh  → new token pair (refresh token rotation)
+ *   POST   /users/auth/logout   → 204, revokes the session
+ *   GET    /users/me            → the authenticated user
+ *   GET    /users/state-events  → SSE feed of state transitions
+ *
+ *   GET    /users        → paginated list (`?page=&limit=`)
+ *   POST   /users        → 201 + Location (sign-up, open to guests)
+ *   GET    /users/:id
+ *   PUT    /users/:id    → replace writable fields
+ *   PATCH  /users/:id    → change given fields
+ *   DELETE /users/:id    → 204
+ *
+ *   POST   /users/:id/transitions/:event → apply a state machine event
+ *   GET    /users/:id/transitions        → status history
+ *
+ * Other routes need `Authorization: Bearer <access token>` and the
+ * permission named next to them (see user.permissions.js).
  */
 import { Router } from 'express';
 
@@ -10,13 +30,29 @@ import {
   HttpResponse,
   wrapController,
 } from '../../core/helpers/http.helper.js';
+
 import {
   UserNotFoundException,
   UserPermissionException,
   UserStateException,
-  UserValidationException,
 } from './exceptions/user.exceptions.js';
+import authenticate from './middlewares/authenticate.middleware.js';
+import { requirePermission } from './middlewares/permission.middleware.js';
+import {
+  createAuthController,
+  createUserController,
+  createUserSchema,
+  listUserSchema,
+  loginSchema,
+  refreshTokenSchema,
+  replaceUserSchema,
+  transitionUserSchema,
+  updateUserSchema,
+  userIdSchema,
+} from './user.controller.js';
+import { GUEST_PRINCIPAL, userAccessControl } from './user.permissions.js';
 
+// Demo endpoints, shared by every user router
 const router = Router();
 
 // Demo: Success response with normalized format
@@ -35,7 +71,7 @@ router.get(
 // Demo: Success response with meta
 router.get(
   '/success-with-meta',
-  wrapController(async req => {
+  wrapController(async () => {
     const response = HttpResponse.success(
       {
         users: [
@@ -46,7 +82,6 @@ router.get(
       'Users retrieved successfully',
       HTTP_STATUS.OK,
       {
-        correlationId: `req_${Date.now()}`,
         source: 'user-service',
         timestamp: new Date().toISOString(),
       }
@@ -62,77 +97,34 @@ router.get(
   wrapController(async req => {
     const { id } = req.params;
     // Always throw not found for demo
-    throw new UserNotFoundException(id, {
-      correlationId: `req_${Date.now()}`,
-    });
+    throw new UserNotFoundException(id);
   })
 );
 
-// Demo: UserValidationException with structured error
+// Demo: declarative request validation (all failing fields reported at once)
 router.post(
   '/validate-demo',
-  wrapController(async req => {
-    const { email, username } = req.body;
-
-    if (!email) {
-      throw new UserValidationException('email', email, 'required', {
-        correlationId: `val_${Date.now()}`,
-      });
-    }
-
-    if (email && !email.includes('@')) {
-      throw new UserValidationException('email', email, 'format', {
-        correlationId: `val_${Date.now()}`,
-      });
-    }
-
-    if (username && username.length < 3) {
-      throw new UserValidationException('username', username, 'length', {
-        correlationId: `val_${Date.now()}`,
-      });
-    }
-
-    return HttpResponse.success(
-      { message: 'Validation passed' },
-      'User data is valid',
-      HTTP_STATUS.OK,
-      {
-        validatedFields: ['email', 'username'],
-        timestamp: new Date().toISOString(),
-      }
-    );
-  })
-);
-
-// Demo: UserPermissionException with security context
-router.delete(
-  '/admin-action/:id',
-  wrapController(async req => {
-    const { id } = req.params;
-    const userRole = req.headers['x-user-role'] || 'user';
-
-    if (userRole !== 'admin') {
-      throw new UserPermissionException(
-        'current_user',
-        'delete',
-        `user:${id}`,
+  wrapController(
+    async () => {
+      return HttpResponse.success(
+        { message: 'Validation passed' },
+        'User data is valid',
+        HTTP_STATUS.OK,
         {
-          correlationId: `perm_${Date.now()}`,
+          validatedFields: ['email', 'username'],
+          timestamp: new Date().toISOString(),
         }
       );
+    },
+    {
+      schema: {
+        body: {
+          email: { type: 'email', required: true },
+          username: { type: 'string', minLength: 3 },
+        },
+      },
     }
-
-    return HttpResponse.success(
-      null,
-      'User deleted successfully',
-      HTTP_STATUS.OK,
-      {
-        deletedUserId: id,
-        performedBy: 'admin',
-        timestamp: new Date().toISOString(),
-      }
-    );
-  })
+  )
 );
 
 // Demo: UserStateException with transition guidance
@@ -152,9 +144,7 @@ router.post(
     const currentState = userStates[id] || 'active';
 
     if (currentState !== 'inactive') {
-      throw new UserStateException(id, currentState, 'active', 'activation', {
-        correlationId: `state_${Date.now()}`,
-      });
+      throw new UserStateException(id, currentState, 'active', 'activation');
     }
 
     return HttpResponse.success(
@@ -169,78 +159,219 @@ router.post(
   })
 );
 
-// Demo: Paginated response
+// Demo: Paginated response (typed query via schema coercion)
 router.get(
   '/paginated',
-  wrapController(async req => {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const total = 150; // Mock total
-
-    // Mock data
-    const users = Array.from({ length: limit }, (_, i) => ({
-      id: (page - 1) * limit + i + 1,
-      name: `User ${(page - 1) * limit + i + 1}`,
-      email: `user${(page - 1) * limit + i + 1}@example.com`,
-    }));
-
-    return HttpResponse.paginated(
-      users,
-      { page, limit, total },
-      'Users retrieved successfully',
-      {
-        correlationId: `req_${Date.now()}`,
-        source: 'user-service',
-      }
-    );
-  })
+  wrapController(
+    async req => {
+      const { page, limit } = req.query;
+      const total = 150; // Mock total
+
+      // Mock data
+      const users = Array.from({ length: limit }, (_, i) => ({
+        id: (page - 1) * limit + i + 1,
+        name: `User ${(page - 1) * limit + i + 1}`,
+        email: `user${(page - 1) * limit + i + 1}@example.com`,
+      }));
+
+      return HttpResponse.paginated(
+        users,
+        { page, limit, total },
+        'Users retrieved successfully',
+        {
+          source: 'user-service',
+        }
+      );
+    },
+    { schema: listUserSchema }
+  )
 );
 
-// Demo: Multiple error types in one endpoint
-router.post(
-  '/comprehensive-demo',
-  wrapController(async req => {
-    const { action, userId, userRole } = req.body;
+/**
+ * Build the user router around its services
+ * @param {Object} options
+ * @param {ReturnType<import('./user.service.js').createUserService>} options.service
+ * @param {ReturnType<import('./user.auth.js').createUserAuthService>} options.auth
+ * @param {ReturnType<import('./user.events.js').createUserEvents>} options.events -
+ *        Feed of `/state-events`
+ * @returns {import('express').Router}
+ */
+export function createUserRoutes(options) {
+  const { service, auth, events } = options;
+  const controller = createUserController(service, { auth });
+  const authController = createAuthController(auth, service);
+  const signedIn = authenticate(auth);
+  const userRouter = Router();
 
-    // Validation errors
-    if (!action) {
-      throw new UserValidationException('action', action, 'required');
-    }
+  // Fixed demo paths first, so `/:id` does not shadow them
+  userRouter.use(router);
 
-    if (!userId) {
-      throw new UserValidationException('userId', userId, 'required');
-    }
+  // Demo: UserPermissionException with security context (only admins may
+  // delete)
+  userRouter.delete(
+    '/admin-action/:id',
+    signedIn,
+    requirePermission('delete', 'user:{id}'),
+    wrapController(async req => {
+      const { id } = req.params;
 
-    // Permission errors
-    if (action === 'delete' && userRole !== 'admin') {
-      throw new UserPermissionException(userRole, 'delete', `user:${userId}`);
-    }
+      return HttpResponse.success(
+        null,
+        'User deleted successfully',
+        HTTP_STATUS.OK,
+        {
+          deletedUserId: id,
+          performedBy: req.user.id,
+          timestamp: new Date().toISOString(),
+        }
+      );
+    })
+  );
 
-    // Not found errors
-    if (userId === '404') {
-      throw new UserNotFoundException(userId);
-    }
+  // Demo: Multiple error types in one endpoint (acts as the token's user,
+  // or as a guest without one)
+  userRouter.post(
+    '/comprehensive-demo',
+    authenticate(auth, { optional: true }),
+    wrapController(
+      async req => {
+        const { action, userId } = req.body;
+        const principal = req.user ?? GUEST_PRINCIPAL;
 
-    // State errors
-    if (action === 'activate' && userId === 'suspended') {
-      throw new UserStateException(userId, 'suspended', 'active', 'activation');
-    }
+        // Permission errors
+        const resource = `user:${userId}`;
+        if (
+          action === 'delete' &&
+          !userAccessControl.can(principal, 'delete', resource)
+        ) {
+          throw new UserPermissionException(principal.id, 'delete', resource);
+        }
 
-    // Success case
-    return HttpResponse.success(
-      {
-        action: action,
-        userId: userId,
-        result: 'completed',
+        // Not found errors
+        if (userId === '404') {
+          throw new UserNotFoundException(userId);
+        }
+
+        // State errors
+        if (action === 'activate' && userId === 'suspended') {
+          throw new UserStateException(
+            userId,
+            'suspended',
+            'active',
+            'activation'
+          );
+        }
+
+        // Success case
+        return HttpResponse.success(
+          {
+            action: action,
+            userId: userId,
+            result: 'completed',
+          },
+          'Action completed successfully',
+          HTTP_STATUS.OK,
+          {
+            performedBy: principal.id,
+            timestamp: new Date().toISOString(),
+          }
+        );
       },
-      'Action completed successfully',
-      HTTP_STATUS.OK,
       {
-        performedBy: userRole,
-        timestamp: new Date().toISOString(),
+        schema: {
+          body: {
+            action: { type: 'string', required: true },
+            userId: { required: true },
+          },
+        },
       }
-    );
-  })
-);
+    )
+  );
+
+  userRouter.post(
+    '/auth/login',
+    wrapController(authController.login, { schema: loginSchema })
+  );
+  userRouter.post(
+    '/auth/refresh',
+    wrapController(authController.refresh, { schema: refreshTokenSchema })
+  );
+  userRouter.post(
+    '/auth/logout',
+    signedIn,
+    wrapController(authController.logout)
+  );
+  userRouter.get(
+    '/me',
+    signedIn,
+    wrapController(authController.getCurrentUser)
+  );
+
+  // Live feed of every user's state transitions (Server-Sent Events)
+  userRouter.get(
+    '/state-events',
+    signedIn,
+    requirePermission('list', 'user'),
+    wrapController(async () =>
+      HttpResponse.eventStream(options => events.subscribe(options), {
+        retry: 3000,
+      })
+    )
+  );
+
+  userRouter.get(
+    '/',
+    signedIn,
+    requirePermission('list', 'user'),
+    wrapController(controller.listUsers, { schema: listUserSchema })
+  );
+  // Sign-up: open to guests, see user.permissions.js
+  userRouter.post(
+    '/',
+    authenticate(auth, { optional: true }),
+    requirePermission('create', 'user'),
+    wrapController(controller.createUser, { schema: createUserSchema })
+  );
+  userRouter.get(
+    '/:id',
+    signedIn,
+    requirePermission('read', 'user:{id}'),
+    wrapController(controller.getUser, { schema: userIdSchema })
+  );
+  userRouter.put(
+    '/:id',
+    signedIn,
+    requirePermission('update', 'user:{id}'),
+    wrapController(controller.replaceUser, { schema: replaceUserSchema })
+  );
+  userRouter.patch(
+    '/:id',
+    signedIn,
+    requirePermission('update', 'user:{id}'),
+    wrapController(controller.updateUser, { schema: updateUserSchema })
+  );
+  userRouter.delete(
+    '/:id',
+    signedIn,
+    requirePermission('delete', 'user:{id}'),
+    wrapController(controller.deleteUser, { schema: userIdSchema })
+  );
+  userRouter.get(
+    '/:id/transitions',
+    signedIn,
+    requirePermission('read', 'user:{id}'),
+    wrapController(controller.listUserTransitions, { schema: userIdSchema })
+  );
+  userRouter.post(
+    '/:id/transitions/:event',
+    signedIn,
+    requirePermission('transition', 'user:{id}'),
+    wrapController(controller.transitionUser, {
+      schema: transitionUserSchema,
+    })
+  );
+
+  return userRouter;
+}
 
-export default router;
+export default createUserRoutes;
@@ -0,0 +1,346 @@
+/**
+ * src/modules/user/user.service.js
+ * --------------------------------------------------
+ * Business rules of user CRUD on top of a `UserRepository`.
+ *
+ * - ids and timestamps are assigned here, not by the storage
+ * - email (case-insensitive) and username are unique → UserValidationException,
+ *   or UserValidationErrorsException when both are taken
+ * - unknown ids → UserNotFoundException
+ * - locked (suspended, deleted) accounts cannot be edited → UserStateException
+ * - status only changes through `transitionUser`, as allowed by
+ *   user.state-machine.js; each transition is appended to the user's
+ *   `statusHistory` (not part of the user representation)
+ * - passwords are stored as scrypt hashes (`passwordHash`, never returned);
+ *   changing one needs the current password
+ *
+ * Writes run one at a time, so a uniqueness check and the write that
+ * follows it cannot interleave with another request.
+ */
+import { randomUUID } from 'node:crypto';
+
+import {
+  hashPassword,
+  verifyPassword,
+} from '../../core/helpers/password.helper.js';
+
+import {
+  UserNotFoundException,
+  UserStateException,
+  UserValidationErrorsException,
+  UserValidationException,
+} from './exceptions/user.exceptions.js';
+import { assertUserRepository } from './repositories/user.repository.js';
+import { LOCKED_USER_STATUSES, USER_STATUS } from './user.constant.js';
+import { USER_ROLES } from './user.permissions.js';
+import {
+  USER_STATE_MACHINE,
+  getPossibleActions,
+  resolveUserTransition,
+  runTransitionHooks,
+} from './user.state-machine.js';
+
+// Fields clients may set; everything else is managed by the service
+export const USER_WRITABLE_FIELDS = Object.freeze([
+  'email',
+  'username',
+  'name',
+]);
+const UNIQUE_FIELDS = ['email', 'username'];
+
+/**
+ * Keep writable fields only, normalizing the email
+ */
+function pickWritable(data) {
+  const fields = Object.fromEntries(
+    Object.entries(data ?? {}).filter(([field]) =>
+      USER_WRITABLE_FIELDS.includes(field)
+    )
+  );
+  if (typeof fields.email === 'string') {
+    fields.email = fields.email.trim().toLowerCase();
+  }
+  return fields;
+}
+
+/**
+ * Writable fields plus the hash of `data.password`, when given
+ */
+async function prepareFields(data) {
+  const fields = pickWritable(data);
+  if (typeof data?.password === 'string') {
+    fields.passwordHash = await hashPassword(data.password);
+  }
+  return fields;
+}
+
+/**
+ * User as returned to callers, without its transition history and password
+ */
+function present(user) {
+  if (!user) return user;
+  const {
+    statusHistory: _statusHistory,
+    passwordHash: _passwordHash,
+    ...rest
+  } = user;
+  return rest;
+}
+
+/**
+ * @param {Object} options
+ * @param {import('./repositories/user.repository.js').UserRepository} options.repository
+ * @param {Array<Function>} options.onTransition - Side-effect hooks run after
+ *        each transition, e.g. `createPublishTransitionHook(events)`
+ * @returns {Object} User service
+ */
+export function createUserService(options = {}) {
+  const repository = assertUserRepository(options.repository);
+  const { onTransition = [] } = options;
+  let writes = Promise.resolve();
+
+  const exclusive = fn => {
+    const run = writes.then(fn);
+    writes = run.catch(() => {});
+    return run;
+  };
+
+  async function findExisting(id) {
+    const user = await repository.findById(id);
+    if (!user) throw new UserNotFoundException(id);
+    return user;
+  }
+
+  function insertUser(fields, options = {}) {
+    const { roles = [USER_ROLES.USER], status = USER_STATE_MACHINE.initial } =
+      options;
+    const now = new Date().toISOString();
+
+    return repository.insert({
+      id: randomUUID(),
+      email: fields.email ?? null,
+      username: fields.username,
+      name: fields.name ?? null,
+      passwordHash: fields.passwordHash ?? null,
+      roles,
+      status,
+      statusHistory: [],
+      createdAt: now,
+      updatedAt: now,
+    });
+  }
+
+  // Reports every taken field at once
+  async function assertUnique(fields, exceptId) {
+    const conflicts = [];
+    for (const [field, value] of Object.entries(fields)) {
+      if (!UNIQUE_FIELDS.includes(field)) continue;
+
+      const owner = await repository.findOneBy(field, value);
+      if (owner && owner.id !== exceptId) {
+        conflicts.push({ field, value, rule: 'unique' });
+      }
+    }
+
+    if (conflicts.length === 1) {
+      const [{ field, value, rule }] = conflicts;
+      throw new UserValidationException(field, value, rule);
+    }
+    if (conflicts.length > 1) {
+      throw new UserValidationErrorsException(conflicts);
+    }
+  }
+
+  function assertEditable(user, operation) {
+    if (LOCKED_USER_STATUSES.includes(user.status)) {
+      throw new UserStateException(
+        user.id,
+        user.status,
+        USER_STATUS.ACTIVE,
+        operation,
+        { data: { possibleActions: getPossibleActions(user.status) } }
+      );
+    }
+  }
+
+  // Changing a password needs the current one, unless none is set yet
+  async function assertCurrentPassword(user, currentPassword) {
+    if (!user.passwordHash) return;
+    if (typeof currentPassword !== 'string') {
+      throw new UserValidationException(
+        'currentPassword',
+        undefined,
+        'required'
+      );
+    }
+    if (!(await verifyPassword(currentPassword, user.passwordHash))) {
+      throw new UserValidationException(
+        'currentPassword',
+        undefined,
+        'mismatch'
+      );
+    }
+  }
+
+  async function modify(id, fields, operation, { currentPassword } = {}) {
+    const user = await findExisting(id);
+    assertEditable(user, operation);
+    if (fields.passwordHash !== undefined) {
+      await assertCurrentPassword(user, currentPassword);
+    }
+    await assertUnique(fields, id);
+
+    return present(
+      await repository.update(id, {
+        ...fields,
+        updatedAt: new Date().toISOString(),
+      })
+    );
+  }
+
+  return {
+    /**
+     * @param {{page: number, limit: number}} query
+     * @returns {Promise<{items: Array, total: number}>}
+     */
+    async listUsers({ page = 1, limit = 10 } = {}) {
+      const { items, total } = await repository.list({
+        offset: (page - 1) * limit,
+        limit,
+      });
+      return { items: items.map(present), total };
+    },
+
+    /**
+     * @throws {UserNotFoundException}
+     */
+    async getUser(id) {
+      return present(await findExisting(id));
+    },
+
+    /**
+     * Transitions the user went through, oldest first
+     * @returns {Promise<Array<{event: string, from: string, to: string, reason: string|null, at: string}>>}
+     * @throws {UserNotFoundException}
+     */
+    async getUserTransitions(id) {
+      const user = await findExisting(id);
+      return user.statusHistory ?? [];
+    },
+
+    /**
+     * New users start in the machine's initial status (`inactive`) with the
+     * `user` role
+     * @throws {UserValidationErrorsException} Email and/or username taken
+     */
+    async createUser(data) {
+      // Hash outside the write queue: it is the slow part
+      const { passwordHash = null, ...fields } = await prepareFields(data);
+
+      return exclusive(async () => {
+        await assertUnique(fields);
+        return present(await insertUser({ ...fields, passwordHash }));
+      });
+    },
+
+    /**
+     * Create the initial admin (active, `admin` role) unless a user with
+     * its username exists; an existing user is left untouched, so a
+     * username taken by a sign-up never gains admin rights this way
+     *
+     * @param {{username: string, email: string|null, password: string}} admin
+     * @returns {Promise<Object|null>} The created admin, or null
+     * @throws {UserValidationErrorsException} Email taken by another user
+     */
+    async seedAdmin({ username, email = null, password }) {
+      const passwordHash = await hashPassword(password);
+
+      return exclusive(async () => {
+        if (await repository.findOneBy('username', username)) return null;
+        const fields = pickWritable({ username, email });
+        if (fields.email) await assertUnique({ email: fields.email });
+
+        return present(
+          await insertUser(
+            { ...fields, passwordHash },
+            { roles: [USER_ROLES.ADMIN], status: USER_STATUS.ACTIVE }
+          )
+        );
+      });
+    },
+
+    /**
+     * PUT semantics: omitted optional fields are cleared (the password is
+     * only changed when given, together with `currentPassword`)
+     * @throws {UserNotFoundException|UserStateException|UserValidationErrorsException}
+     */
+    async replaceUser(id, data) {
+      const fields = await prepareFields(data);
+      return exclusive(() =>
+        modify(id, { name: null, ...fields }, 'replace', {
+          currentPassword: data?.currentPassword,
+        })
+      );
+    },
+
+    /**
+     * PATCH semantics: only the given fields change; a new `password` needs
+     * `currentPassword`
+     * @throws {UserNotFoundException|UserStateException|UserValidationErrorsException}
+     */
+    async updateUser(id, data) {
+      const fields = await prepareFields(data);
+      return exclusive(() =>
+        modify(id, fields, 'update', {
+          currentPassword: data?.currentPassword,
+        })
+      );
+    },
+
+    /**
+     * Apply a state machine event, e.g. `activate` or `suspend`
+     *
+     * @param {string} id
+     * @param {string} event - One of `USER_TRANSITION_EVENTS`
+     * @param {Object} payload - `reason` is checked by some guards and kept
+     *        in the history
+     * @throws {UserNotFoundException}
+     * @throws {UserStateException} Event not accepted in the current status
+     * @throws {UserValidationException} Payload rejected by a guard
+     */
+    async transitionUser(id, event, payload = {}) {
+      const { user, transition } = await exclusive(async () => {
+        const current = await findExisting(id);
+        const resolved = resolveUserTransition(current, event, payload);
+        const at = new Date().toISOString();
+
+        const updated = await repository.update(id, {
+          status: resolved.to,
+          statusHistory: [
+            ...(current.statusHistory ?? []),
+            { ...resolved, reason: payload.reason ?? null, at },
+          ],
+          updatedAt: at,
+        });
+        return { user: present(updated), transition: resolved };
+      });
+
+      // Outside the write queue: slow hooks do not hold other writes
+      await runTransitionHooks(onTransition, { user, transition });
+      return user;
+    },
+
+    /**
+     * Remove the user and its history; the `delete` transition keeps them
+     * @throws {UserNotFoundException}
+     */
+    deleteUser(id) {
+      return exclusive(async () => {
+        await findExisting(id);
+        await repository.remove(id);
+      });
+    },
+  };
+}
+
+export default createUserService;
@@ -0,0 +1,206 @@
+/**
+ * src/modules/user/user.state-machine.js
+ * --------------------------------------------------
+ * Lifecycle of a user account, declared as a state machine.
+ *
+ *   pending    approve → inactive    reject → deleted
+ *   inactive   activate → active     delete → deleted
+ *   active     deactivate → inactive suspend → suspended  delete → deleted
+ *   suspended  reinstate → active    delete → deleted
+ *   deleted    (final)
+ *
+ * Each state lists the events it accepts; a transition names its target,
+ * a description (shown to clients as a possible action) and an optional
+ * guard. `resolveUserTransition` is the only place that decides whether a
+ * transition is allowed, so `UserStateException.possibleActions` always
+ * matches the definition below.
+ */
+import defineConstModule from '../../core/utils/define-const.util.js';
+import { safeGet } from '../../core/utils/safe-get.util.js';
+
+import {
+  UserStateException,
+  UserValidationException,
+} from './exceptions/user.exceptions.js';
+import { USER_STATUS } from './user.constant.js';
+import { userLogger } from './user.logger.js';
+
+const { defineConst } = defineConstModule;
+
+/**
+ * Guard: the event payload must explain the transition (kept in history)
+ */
+function requireReason({ payload }) {
+  if (typeof payload?.reason === 'string' && payload.reason.trim() !== '') {
+    return true;
+  }
+  return { field: 'reason', rule: 'required' };
+}
+
+const deleteTransition = {
+  to: USER_STATUS.DELETED,
+  description: 'Delete the account',
+};
+
+/**
+ * Guards receive `{ user, payload }` and return `true`, or the failing
+ * payload rule as `{ field, rule }`.
+ */
+export const USER_STATE_MACHINE = defineConst({
+  initial: USER_STATUS.INACTIVE,
+  states: {
+    [USER_STATUS.PENDING]: {
+      approve: { to: USER_STATUS.INACTIVE, description: 'Approve the account' },
+      reject: {
+        to: USER_STATUS.DELETED,
+        description: 'Reject the registration',
+      },
+    },
+    [USER_STATUS.INACTIVE]: {
+      activate: { to: USER_STATUS.ACTIVE, description: 'Activate the account' },
+      delete: deleteTransition,
+    },
+    [USER_STATUS.ACTIVE]: {
+      deactivate: {
+        to: USER_STATUS.INACTIVE,
+        description: 'Deactivate the account',
+      },
+      suspend: {
+        to: USER_STATUS.SUSPENDED,
+        description: 'Suspend the account',
+        guard: requireReason,
+      },
+      delete: deleteTransition,
+    },
+    [USER_STATUS.SUSPENDED]: {
+      reinstate: {
+        to: USER_STATUS.ACTIVE,
+        description: 'Reinstate the account after review',
+        guard: requireReason,
+      },
+      delete: deleteTransition,
+    },
+    // Final: the record is kept for its history only
+    [USER_STATUS.DELETED]: {},
+  },
+});
+
+export const USER_TRANSITION_EVENTS = Object.freeze([
+  ...new Set(Object.values(USER_STATE_MACHINE.states).flatMap(Object.keys)),
+]);
+
+/**
+ * Transitions accepted in a state
+ * @param {string} state
+ * @returns {Array<{event: string, to: string, description: string}>}
+ */
+export function getPossibleActions(state) {
+  const transitions = safeGet(USER_STATE_MACHINE.states, state, {});
+
+  return Object.entries(transitions).map(([event, { to, description }]) => ({
+    event,
+    to,
+    description,
+  }));
+}
+
+/**
+ * States in which an event is accepted
+ * @param {string} event
+ * @returns {Array<string>}
+ */
+export function getSourceStates(event) {
+  return Object.entries(USER_STATE_MACHINE.states)
+    .filter(([, transitions]) => Object.hasOwn(transitions, event))
+    .map(([state]) => state);
+}
+
+/**
+ * Check that `event` may move `user` out of its current status
+ *
+ * @param {import('./repositories/user.repository.js').User} user
+ * @param {string} event - One of `USER_TRANSITION_EVENTS`
+ * @param {Object} payload - Event data passed to the guard (e.g. `reason`)
+ * @returns {{event: string, from: string, to: string}}
+ * @throws {UserStateException} Event not accepted in the current status;
+ *         `data.possibleActions` lists the accepted ones
+ * @throws {UserValidationException} Payload rejected by the guard
+ */
+export function resolveUserTransition(user, event, payload = {}) {
+  const transitions = safeGet(USER_STATE_MACHINE.states, user.status, {});
+  const transition = Object.hasOwn(transitions, event)
+    ? safeGet(transitions, event)
+    : null;
+
+  if (!transition) {
+    throw new UserStateException(
+      user.id,
+      user.status,
+      getSourceStates(event).join(' or '),
+      event,
+      { data: { possibleActions: getPossibleActions(user.status) } }
+    );
+  }
+
+  const result = transition.guard?.({ user, payload }) ?? true;
+  if (result !== true) {
+    throw new UserValidationException(
+      result.field,
+      safeGet(payload, result.field),
+      result.rule
+    );
+  }
+
+  return { event, from: user.status, to: transition.to };
+}
+
+/**
+ * Side-effect hook feeding `/users/state-events`
+ * @param {ReturnType<import('./user.events.js').createUserEvents>} events -
+ *        Feed of the module
+ * @returns {Function} Hook for `createUserService({ onTransition })`
+ */
+export function createPublishTransitionHook(events) {
+  return function publishTransition({ user, transition }) {
+    events.publish({
+      userId: user.id,
+      from: transition.from,
+      to: transition.to,
+      operation: transition.event,
+    });
+  };
+}
+
+/**
+ * Run side-effect hooks of a committed transition. The new status is already
+ * stored, so a failing hook is logged and does not stop the others.
+ *
+ * @param {Array<Function>} hooks - `({ user, transition }) => void|Promise<void>`
+ * @param {Object} change
+ * @param {import('./repositories/user.repository.js').User} change.user - Updated user
+ * @param {{event: string, from: string, to: string}} change.transition
+ */
+export async function runTransitionHooks(hooks, change) {
+  for (const hook of hooks) {
+    try {
+      await hook(change);
+    } catch (err) {
+      userLogger.error('User transition hook failed', {
+        event: 'USER_TRANSITION_HOOK_FAILURE',
+        userId: change.user.id,
+        transition: change.transition.event,
+        err,
+      });
+    }
+  }
+}
+
+export default {
+  USER_STATE_MACHINE,
+  USER_TRANSITION_EVENTS,
+  createPublishTransitionHook,
+  getPossibleActions,
+  getSourceStates,
+  resolveUserTransition,
+  runTransitionHooks,
+};
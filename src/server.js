@@ -0,0 +1,51 @@
+/**
+ * src/server.js
+ * --------------------------------------------------
+ * HTTP server startup for an app built by `createApp`.
+ *
+ * The listen address comes from `SERVER_OPTIONS` (PORT/HOST env, config
+ * file or `--port`/`--host` flags) unless given explicitly. Once listening,
+ * the server is attached to the app's lifecycle (drained on shutdown) and
+ * readiness passes. `bootstrap.js` is the process entrypoint that calls
+ * `startServer()` and installs the SIGTERM/SIGINT handlers.
+ */
+import { createApp } from './app.js';
+import { SERVER_OPTIONS } from './core/config/server.config.js';
+import { logger } from './core/helpers/logger.helper.js';
+
+/**
+ * Create (unless given) an app and listen on the configured address
+ *
+ * @param {Object} options
+ * @param {import('express').Express} options.app - App to serve (default: `createApp()`)
+ * @param {number} options.port - Default: `SERVER_OPTIONS.PORT`
+ * @param {string} options.host - Default: `SERVER_OPTIONS.HOST`
+ * @returns {Promise<import('node:http').Server>} Resolves once listening,
+ *          rejects when the address cannot be bound
+ */
+export function startServer(options = {}) {
+  const {
+    app = createApp(),
+    port = SERVER_OPTIONS.PORT,
+    host = SERVER_OPTIONS.HOST,
+  } = options;
+
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, host, error => {
+      if (error) return reject(error);
+
+      const { lifecycle } = app.locals;
+      lifecycle?.attach(server);
+      lifecycle?.markReady();
+
+      const address = server.address();
+      logger.info('Server is running', {
+        host: address.address,
+        port: address.port,
+      });
+      return resolve(server);
+    });
+  });
+}
+
+export default startServer;